@@ -64,6 +64,12 @@ import { hash as jsBlake3HashV6 } from "./js/v6.js";
 import { hash as jsBlake3HashV7 } from "./js/v7.js";
 import { hash as jsBlake3HashV8 } from "./js/v8.js";
 import { hash as jsBlake3HashV9 } from "./js/v9.js";
+
+/**
+ * blake3-turbo-js: blake3() и пакетный hashMany() для бенчмарка
+ * множества маленьких сообщений
+ */
+import { blake3 as turboHash, hashMany, ready } from "./js/blake3-turbo-js.js";
 //import { hash as jsBlake3HashV9t } from "./js/v9_test2.js";
 
 
@@ -360,6 +366,56 @@ for (const suite of testSuites) {
   
 }
 
+// ============================================================================
+// МНОГО МАЛЕНЬКИХ СООБЩЕНИЙ: hashMany()
+// ============================================================================
+
+/**
+ * 20 000 сообщений от 40 до 900 байт — записи индекса, строки журнала.
+ * Такие сообщения короче 4 чанков и не попадают в SIMD-путь blake3():
+ * каждое хэшируется отдельным вызовом. hashMany() копирует их пачками
+ * в память WASM и хэширует по 4 сообщения за раз — по одному на
+ * SIMD-линию, весь цикл по блокам внутри WASM.
+ *
+ * Сообщения — view'ы на один буфер (как и в prepareBenchCases).
+ */
+const MANY_COUNT = 20_000;
+const MANY_MIN_LEN = 40;
+const MANY_MAX_LEN = 900;
+
+await ready();
+
+const manyBuffer = new Uint8Array(MANY_COUNT * MANY_MAX_LEN);
+fillWithPseudoRandom(manyBuffer);
+const manyMessages: Uint8Array[] = [];
+for (let i = 0, offset = 0; i < MANY_COUNT; i++) {
+  const length = MANY_MIN_LEN + Math.floor(Math.random() * (MANY_MAX_LEN - MANY_MIN_LEN + 1));
+  manyMessages.push(manyBuffer.subarray(offset, offset + length));
+  offset += length;
+}
+const manyOut = new Uint8Array(MANY_COUNT * 32);
+
+const manyGroup = `hashMany: ${MANY_COUNT} × ${MANY_MIN_LEN}-${MANY_MAX_LEN}B`;
+
+Deno.bench({
+  name: "blake3-turbo-js blake3() в цикле",
+  group: manyGroup,
+  baseline: true,
+  fn() {
+    for (let i = 0; i < manyMessages.length; i++) {
+      manyOut.set(turboHash(manyMessages[i]), i * 32);
+    }
+  },
+});
+
+Deno.bench({
+  name: "blake3-turbo-js hashMany()",
+  group: manyGroup,
+  fn() {
+    hashMany(manyMessages, { out: manyOut });
+  },
+});
+
 // ============================================================================
 // ПРИМЕЧАНИЯ
 // ============================================================================
@@ -18,8 +18,10 @@
  * 3. Chunk results are combined into a Merkle tree
  * 4. The tree root gives the final hash
  * 
- * Input:  Uint8Array (any length)
- * Output: Uint8Array (32 bytes)
+ * Input:  string (UTF-8), ArrayBuffer, SharedArrayBuffer or any typed
+ *         array / DataView (any length), see HashInput
+ * Output: Uint8Array (32 bytes by default, any length via XOF), or a
+ *         string with { encoding }
  */
 
 /**
@@ -53,10 +55,13 @@
  *       for parallel processing of 4 chunks simultaneously.
  * 
  *       Key features:
- *       - WASM bytecode generation at runtime (no external .wasm files)
+ *       - WASM bytecode generation at runtime (no external .wasm files),
+ *         or precompiled bytes from build-wasm.js (usePrecompiledWasm())
  *       - compress4x: 4 parallel compress operations via SIMD (i32x4)
  *       - Fallback to JavaScript for remainder and finalization
- *       - Constant memory usage: 1 WASM page (64 KB)
+ *       - WASM memory starts at 1 page (64 KB) and grows on demand with
+ *         the input window of large inputs: 64 KB per 64-chunk subtree,
+ *         up to 1 MB by default (setWasmWindowSize(), at most 16 MB)
  * 
  */
 
@@ -88,11 +93,13 @@ const IV = new Uint32Array([
  * Used for domain separation, so that identical data
  * in different contexts produces different hashes.
  */
-const CHUNK_START = 1;   // 0b0001 — first block in chunk
-const CHUNK_END = 2;     // 0b0010 — last block in chunk
-const PARENT = 4;        // 0b0100 — parent node in Merkle tree
-const ROOT = 8;          // 0b1000 — root node (final hash)
-// Also exist: KEYED_HASH = 16, DERIVE_KEY_CONTEXT = 32, DERIVE_KEY_MATERIAL = 64
+const CHUNK_START = 1;           // 0b0000001 — first block in chunk
+const CHUNK_END = 2;             // 0b0000010 — last block in chunk
+const PARENT = 4;                // 0b0000100 — parent node in Merkle tree
+const ROOT = 8;                  // 0b0001000 — root node (final hash)
+const KEYED_HASH = 16;           // 0b0010000 — keyed hashing mode (MAC)
+const DERIVE_KEY_CONTEXT = 32;   // 0b0100000 — KDF: hashing the context string
+const DERIVE_KEY_MATERIAL = 64;  // 0b1000000 — KDF: hashing the key material
 
 /**
  * Block size in bytes.
@@ -165,119 +172,388 @@ function toLebU32(n) {
 }
 
 /**
- * Generates a WASM module with the compress4x function.
+ * Encodes a number in signed LEB128 format.
+ * i32.const takes a signed immediate: 0x40..0x7f in unsigned form would be
+ * read back as a negative number (e.g. address 64 → -64).
+ */
+function toLebI32(n) {
+  const bytes = [];
+  while (true) {
+    const byte = n & 0x7f;
+    n >>= 7;
+    if ((n === 0 && (byte & 0x40) === 0) || (n === -1 && (byte & 0x40) !== 0)) {
+      bytes.push(byte);
+      return bytes;
+    }
+    bytes.push(byte | 0x80);
+  }
+}
+
+/**
+ * Encodes a number in unsigned LEB128 format padded to a fixed width.
+ * Used to patch section/function sizes into space reserved in advance:
+ * padding bytes must keep the continuation bit (0x80), otherwise
+ * the decoder stops at the first byte.
+ */
+function toLebU32Padded(n, width) {
+  const bytes = [];
+  for (let i = 0; i < width; i++) {
+    let byte = n & 0x7f;
+    n >>>= 7;
+    if (i < width - 1) byte |= 0x80;
+    bytes.push(byte);
+  }
+  return bytes;
+}
+
+// ============================================================================
+// WASM ASSEMBLER
+// ============================================================================
+
+// Value types
+const WASM_I32 = 0x7f;
+const WASM_V128 = 0x7b;
+
+/**
+ * Byte encoders for the module generators. Each returns the bytes of one
+ * construct — a section, an instruction with its immediates — so emitters
+ * read as instruction lists (appended with emit()) and sizes are
+ * computed instead of counted:
+ *
+ *   emit(code, asm.localGet(a), asm.localGet(b), asm.i32x4Add(), asm.localSet(a));
+ *
+ * Memory instructions take the natural alignment (v128: 16, i32: 4) and
+ * an optional offset. SIMD instructions are 0xfd + the LEB128 opcode.
+ */
+const asm = {
+  // ─── Module structure ───────────────────────────────────────────────────
+  header: () => [0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00],  // "\0asm", version 1
+  section: (id, contents) => concatBytes([id, ...toLebU32(contents.length)], contents),
+  vector: (items) => concatBytes(toLebU32(items.length), ...items),
+  name: (text) => [...toLebU32(text.length), ...Array.from(text, (c) => c.charCodeAt(0))],
+  funcType: (params, results = []) => [0x60, ...toLebU32(params.length), ...params, ...toLebU32(results.length), ...results],
+  memoryImport: (module, name, initialPages) => [...asm.name(module), ...asm.name(name), 0x02, 0x00, ...toLebU32(initialPages)],
+  funcExport: (name, index) => [...asm.name(name), 0x00, ...toLebU32(index)],
+  // Local declarations: [[count, type], ...]
+  locals: (groups) => asm.vector(groups.map(([count, type]) => [...toLebU32(count), type])),
+
+  // ─── Control and locals ─────────────────────────────────────────────────
+  block: () => [0x02, 0x40],  // no result
+  loop: () => [0x03, 0x40],   // no result
+  if: () => [0x04, 0x40],     // no result
+  else: () => [0x05],
+  end: () => [0x0b],
+  br: (depth) => [0x0c, ...toLebU32(depth)],
+  brIf: (depth) => [0x0d, ...toLebU32(depth)],
+  call: (index) => [0x10, ...toLebU32(index)],
+  localGet: (index) => index < 0x80 ? [0x20, index] : [0x20, ...toLebU32(index)],
+  localSet: (index) => index < 0x80 ? [0x21, index] : [0x21, ...toLebU32(index)],
+  localTee: (index) => index < 0x80 ? [0x22, index] : [0x22, ...toLebU32(index)],
+  select: () => [0x1b],
+
+  // ─── i32 ────────────────────────────────────────────────────────────────
+  i32Const: (value) => [0x41, ...toLebI32(value)],
+  i32Load: (offset = 0) => [0x28, 0x02, ...toLebU32(offset)],
+  i32Store: (offset = 0) => [0x36, 0x02, ...toLebU32(offset)],
+  i32Eqz: () => [0x45],
+  i32Eq: () => [0x46],
+  i32LtU: () => [0x49],
+  i32Add: () => [0x6a],
+  i32Sub: () => [0x6b],
+  i32Or: () => [0x72],
+  i32Xor: () => [0x73],
+  i32Shl: () => [0x74],
+  i32ShrU: () => [0x76],
+  i32Rotr: () => [0x78],
+
+  // ─── v128 ───────────────────────────────────────────────────────────────
+  simd: (opcode) => [0xfd, ...toLebU32(opcode)],
+  v128Load: (offset = 0) => [...asm.simd(0x00), 0x04, ...toLebU32(offset)],
+  v128Store: (offset = 0) => [...asm.simd(0x0b), 0x04, ...toLebU32(offset)],
+  v128Load32Zero: (offset = 0) => [...asm.simd(0x5c), 0x02, ...toLebU32(offset)],
+  v128Load32Lane: (offset, lane) => [...asm.simd(0x56), 0x02, ...toLebU32(offset), lane],
+  v128Const: (bytes) => [...asm.simd(0x0c), ...bytes],
+  // v128.const with the same 32-bit word in all 4 lanes
+  v128ConstI32x4: (word) => asm.v128Const(new Array(4).fill([word & 0xff, (word >> 8) & 0xff, (word >> 16) & 0xff, (word >>> 24) & 0xff]).flat()),
+  i8x16Shuffle: (lanes) => [...asm.simd(0x0d), ...lanes],
+  i8x16RelaxedSwizzle: simdOp(0x100),
+  i32x4Splat: simdOp(0x11),
+  i32x4Add: simdOp(0xae),
+  i32x4Shl: simdOp(0xab),
+  i32x4ShrU: simdOp(0xad),
+  v128Or: simdOp(0x50),
+  v128Xor: simdOp(0x51),
+};
+
+/**
+ * Encoder of a SIMD instruction without immediates. The bytes are
+ * encoded once and shared: callers spread them, never modify them.
+ */
+function simdOp(opcode) {
+  const bytes = [0xfd, ...toLebU32(opcode)];
+  return () => bytes;
+}
+
+/**
+ * Overwrites code[at..] with bytes (sizes reserved in advance).
+ */
+function patchBytes(code, at, bytes) {
+  for (let i = 0; i < bytes.length; i++) {
+    code[at + i] = bytes[i];
+  }
+}
+
+/**
+ * Appends encoded instructions (asm.*() results) to code:
+ *
+ *   emit(code, asm.localGet(a), asm.localGet(b), asm.i32x4Add());
+ *
+ * Cheaper than code.push(...a, ...b): generation runs on the first
+ * large hash, mostly before the engine has optimized anything.
+ *
+ * @param {number[]} code - output byte array
+ * @param {...number[]} parts - byte arrays
+ */
+function emit(code, ...parts) {
+  for (let p = 0; p < parts.length; p++) {
+    const part = parts[p];
+    for (let i = 0; i < part.length; i++) {
+      code.push(part[i]);
+    }
+  }
+}
+
+/**
+ * Concatenates byte arrays (see emit()).
+ *
+ * @param {...number[]} parts - byte arrays
+ * @returns {number[]}
+ */
+function concatBytes(...parts) {
+  const bytes = [];
+  emit(bytes, ...parts);
+  return bytes;
+}
+
+/**
+ * Alternative instruction sequences of the SIMD module ("code paths").
+ *
+ *   rotations — rotr by 16 and 8 in G (12 and 7 are always shr/shl/or):
+ *     'shift'           i32x4.shr_u + i32x4.shl + v128.or
+ *     'shuffle'         one i8x16.shuffle (byte rotation, ROTR16 / ROTR8)
+ *     'relaxed-swizzle' one i8x16.relaxed_swizzle (relaxed SIMD proposal)
+ *   loads — message words of 4 lanes:
+ *     'transpose'       v128.load of 4 words per lane + 4×4 shuffle transposition
+ *     'lanes'           v128.load32_zero + 3 × v128.load32_lane per word
+ *
+ * Every path computes the same function; the probes (probeWasmFeatures())
+ * decide which ones the engine can compile.
+ */
+const CODE_PATHS = {
+  rotations: ['shift', 'shuffle', 'relaxed-swizzle'],
+  loads: ['transpose', 'lanes'],
+};
+
+// Path of plain WASM SIMD; with relaxed SIMD, 'relaxed-swizzle' rotations
+// are ~10% faster (see selectCodePath())
+const DEFAULT_CODE_PATH = { rotations: 'shuffle', loads: 'transpose' };
+
+// Code path of the module being generated (read by the emitters)
+let emitPath = DEFAULT_CODE_PATH;
+
+/**
+ * Feature probes: minimal modules using one instruction each,
+ * checked with WebAssembly.validate() (no compilation).
+ */
+const WASM_FEATURE_PROBES = {
+  // () → v128: v128.const 0
+  simd: probeModule(asm.v128ConstI32x4(0)),
+  // () → v128: i8x16.relaxed_swizzle(v128.const 0, v128.const 0)
+  relaxedSimd: probeModule(asm.v128ConstI32x4(0), asm.v128ConstI32x4(0), asm.i8x16RelaxedSwizzle()),
+};
+
+/**
+ * Module of one function () → v128 with the given instructions.
+ *
+ * @param {...number[]} instructions - encoded instructions (asm.*())
+ * @returns {number[]} - module bytes
+ */
+function probeModule(...instructions) {
+  const body = concatBytes(asm.locals([]), ...instructions, asm.end());
+  return concatBytes(
+    asm.header(),
+    asm.section(1, asm.vector([asm.funcType([], [WASM_V128])])),  // types
+    asm.section(3, asm.vector([toLebU32(0)])),                      // functions
+    asm.section(10, asm.vector([concatBytes(toLebU32(body.length), body)]))  // code
+  );
+}
+
+/**
+ * Probes the WASM features of the engine.
+ *
+ * @returns {{ wasm: boolean, simd: boolean, relaxedSimd: boolean }}
+ */
+function probeWasmFeatures() {
+  const features = { wasm: typeof WebAssembly === 'object', simd: false, relaxedSimd: false };
+  if (features.wasm) {
+    for (const name of Object.keys(WASM_FEATURE_PROBES)) {
+      try {
+        features[name] = WebAssembly.validate(new Uint8Array(WASM_FEATURE_PROBES[name]));
+      } catch (e) {
+        features[name] = false;
+      }
+    }
+  }
+  return features;
+}
+
+/**
+ * Checks a code path against the probed features.
+ *
+ * @param {{ rotations: string, loads: string }} path
+ * @param {{ relaxedSimd: boolean }} features
+ * @returns {string|null} - why the path can't be used, or null
+ */
+function codePathUnsupported(path, features) {
+  if (!CODE_PATHS.rotations.includes(path.rotations)) {
+    return `Unknown rotations: ${path.rotations}`;
+  }
+  if (!CODE_PATHS.loads.includes(path.loads)) {
+    return `Unknown loads: ${path.loads}`;
+  }
+  if (path.rotations === 'relaxed-swizzle' && !features.relaxedSimd) {
+    return 'Relaxed SIMD is not supported by this engine';
+  }
+  return null;
+}
+
+/**
+ * Fastest code path for the probed features. 'lanes' loads are not
+ * picked: in V8 they measure slightly slower than the transposition.
+ *
+ * @param {{ relaxedSimd: boolean }} features
+ * @returns {{ rotations: string, loads: string }}
+ */
+function selectCodePath(features) {
+  if (features.relaxedSimd) {
+    return { rotations: 'relaxed-swizzle', loads: 'transpose' };
+  }
+  return DEFAULT_CODE_PATH;
+}
+
+/**
+ * Generates a WASM module with the compress4x functions.
  * 
  * compress4x performs 4 parallel compress operations via SIMD.
- * No parameters — works with fixed memory addresses.
+ * compress4xFull does the same, but also writes the upper half of the
+ * output (state[8..15] ^ cv[0..7]) — needed for XOF root output.
+ * compressChunks4x / 8x / 16x compress 4, 8 or 16 whole chunks
+ * (16 blocks each) in one call: raw input in, chunk CVs out.
+ * compressParents4x reduces one level of the Merkle tree in place,
+ * 4 parent nodes per iteration.
+ * compressWindow walks the input window: whole 64-chunk subtrees in,
+ * one CV per subtree out (calls compressChunks16x / compressParents4x).
+ * compressMany4x hashes a batch of single-chunk messages, one per lane
+ * (hashMany()).
+ * No parameters — work with fixed memory addresses.
+ *
+ * The instruction sequences of rotations and loads follow `path`
+ * (see CODE_PATHS).
  * 
  * Memory layout:
  *   0x000-0x0FF: blockWords[0..15] — 16 × v128 (256 bytes)
- *   0x100-0x1FF: CV input [0..7] × 4 — 8 × v128 (128 bytes)  
- *   0x180-0x1FF: counter_lo, counter_hi, blockLen, flags × 4
- *   0x200-0x2FF: state output [0..7] × 4 — 8 × v128 (128 bytes)
+ *   0x100-0x17F: CV input [0..7] × 4 — 8 × v128 (128 bytes)  
+ *   0x180-0x1BF: counter_lo, counter_hi, blockLen, flags × 4
+ *                (compressChunks* / compressParents4x: flags lane 0 only)
+ *   0x1C0:       parent count (compressParents4x), message count (compressMany4x)
+ *   0x1C4:       subtree count (compressWindow)
+ *   0x1C8:       input address (compressChunks*)
+ *   0x1D0-0x1D7: first chunk counter low/high (compressWindow)
+ *   0x200-0x27F: state output [0..7] × 4 — 8 × v128 (128 bytes)
+ *   0x280-0x2FF: state output [8..15] × 4 — 8 × v128 (compress4xFull only)
+ *   0x300-0x37F: chunk counters low/high, 4 × 2 × v128 (compressChunks*)
+ *   0x400-0x5FF: chunk CVs, 4 × 8 × v128 (compressChunks*)
+ *   0x1000-0x4FFF: up to 16 consecutive chunks of raw input (compressChunks*)
+ *   0x5000-0x57FF: one tree level, up to 64 CVs (compressParents4x only)
+ *   0x6000-0x7FFF: subtree CVs, up to 256 (compressWindow)
+ *   0x8000-0x8FFF: message table, up to 512 × (address, length) (compressMany4x)
+ *   0x9000-0xCFFF: message digests, up to 512 (compressMany4x)
+ *   0x10000-...:   input window, 64 KB per subtree (compressWindow) or
+ *                  padded messages (compressMany4x) — pages beyond the
+ *                  first are grown on demand
+ *
+ * @param {{ rotations: string, loads: string }} [path] - code path
+ * @returns {Uint8Array} - module bytes
  */
-function generateWasmModule() {
-  const code = [];
+function generateWasmModule(path = DEFAULT_CODE_PATH) {
+  emitPath = path;
   
-  // ═══════════════════════════════════════════════════════════════════════
-  // WASM HEADER
-  // ═══════════════════════════════════════════════════════════════════════
-  code.push(
-    0x00, 0x61, 0x73, 0x6d,  // Magic: "\0asm"
-    0x01, 0x00, 0x00, 0x00   // Version: 1
-  );
-  
-  // ═══════════════════════════════════════════════════════════════════════
-  // SECTION 1: Types
-  // ═══════════════════════════════════════════════════════════════════════
-  code.push(
-    0x01,       // Section ID
-    0x04,       // Section size: 4 bytes
-    0x01,       // 1 type
-    0x60,       // func type
-    0x00,       // 0 params
-    0x00        // 0 results
-  );
-  
-  // ═══════════════════════════════════════════════════════════════════════
-  // SECTION 2: Imports (memory from host)
-  // ═══════════════════════════════════════════════════════════════════════
-  code.push(
-    0x02,       // Section ID
-    0x0b,       // Section size: 11 bytes
-    0x01,       // 1 import
-    0x02, 0x6a, 0x73,       // module: "js"
-    0x03, 0x6d, 0x65, 0x6d, // name: "mem"
-    0x02,       // import kind: memory
-    0x00,       // limits flags: no max
-    0x01        // initial: 1 page (64KB)
-  );
+  // Exported functions: [name, body emitter]
+  const functions = [
+    ["compress4x", (body) => emitCompress4x(body, false)],
+    ["compress4xFull", (body) => emitCompress4x(body, true)],
+    ["compressChunks4x", (body) => emitCompressChunks(body, 1)],
+    ["compressChunks8x", (body) => emitCompressChunks(body, 2)],
+    ["compressChunks16x", (body) => emitCompressChunks(body, 2, 2)],
+    ["compressParents4x", emitCompressParents4x],
+    ["compressWindow", (body) => emitCompressWindow(body, funcIndex("compressChunks16x"), funcIndex("compressParents4x"))],
+    ["compressMany4x", emitCompressMany4x],
+  ];
+  const funcIndex = (name) => functions.findIndex(([exportName]) => exportName === name);
   
-  // ═══════════════════════════════════════════════════════════════════════
-  // SECTION 3: Functions
-  // ═══════════════════════════════════════════════════════════════════════
-  code.push(
-    0x03,       // Section ID
-    0x02,       // Section size: 2 bytes
-    0x01,       // 1 function
-    0x00        // function 0 uses type 0
+  // One type: () → ()
+  return assembleModule([asm.funcType([])], functions);
+}
+
+/**
+ * Assembles a module: header, function types, the memory imported from
+ * the host as js.mem, then the functions. Every function is exported
+ * under its name; function indices follow the order of the list.
+ *
+ * @param {number[][]} types - function types (asm.funcType())
+ * @param {Array} functions - [name, body emitter, type index (default 0)]
+ * @returns {Uint8Array} - module bytes
+ */
+function assembleModule(types, functions) {
+  const code = concatBytes(
+    asm.header(),
+    asm.section(1, asm.vector(types)),                                    // types
+    asm.section(2, asm.vector([asm.memoryImport('js', 'mem', 1)])),       // imports: 1 page
+    asm.section(3, asm.vector(functions.map(([, , type = 0]) => toLebU32(type)))),  // functions
+    asm.section(7, asm.vector(functions.map(([name], index) => asm.funcExport(name, index))))  // exports
   );
   
-  // ═══════════════════════════════════════════════════════════════════════
-  // SECTION 7: Exports
-  // ═══════════════════════════════════════════════════════════════════════
-  const exportName = "compress4x";
-  code.push(
-    0x07,                           // Section ID
-    2 + exportName.length + 2,      // Section size
-    0x01,                           // 1 export
-    exportName.length               // name length
-  );
-  for (let i = 0; i < exportName.length; i++) {
-    code.push(exportName.charCodeAt(i));
+  // Code section, emitted in place: bodies are the bulk of the module.
+  // Its size and the body sizes are reserved as 5-byte LEB128 and
+  // filled in afterwards (the module bytes have always had this form).
+  const sectionStart = code.length;
+  code.push(10, 0, 0, 0, 0, 0, ...toLebU32(functions.length));  // section 10: code
+  for (const [, emitBody] of functions) {
+    const sizeAt = code.length;
+    code.push(0, 0, 0, 0, 0);
+    emitBody(code);
+    patchBytes(code, sizeAt, toLebU32Padded(code.length - sizeAt - 5, 5));
   }
-  code.push(
-    0x00,       // export kind: function
-    0x00        // function index: 0
-  );
-  
-  // ═══════════════════════════════════════════════════════════════════════
-  // SECTION 10: Code
-  // ═══════════════════════════════════════════════════════════════════════
-  
-  // Start code section
-  const codeSectionStart = code.length;
-  code.push(0x0a);  // Section ID
-  
-  // Reserve space for section size (5 bytes LEB128)
-  const sectionSizePos = code.length;
-  code.push(0x00, 0x00, 0x00, 0x00, 0x00);
-  
-  code.push(0x01);  // 1 function
-  
-  // Reserve space for function size
-  const funcSizePos = code.length;
-  code.push(0x00, 0x00, 0x00, 0x00, 0x00);
-  
-  const funcStart = code.length;
-  
+  patchBytes(code, sectionStart + 1, toLebU32Padded(code.length - sectionStart - 6, 5));
+  return new Uint8Array(code);
+}
+
+/**
+ * Generates the body of a compress4x function (locals + code + end).
+ * 
+ * @param {number[]} code - output byte array
+ * @param {boolean} fullOutput - also write state[8..15] ^ cv[0..7] (XOF)
+ */
+function emitCompress4x(code, fullOutput) {
   // Local variables: 32 × v128
   // (16 for blockWords + 16 for state)
-  code.push(
-    0x01,       // 1 group of local variables
-    0x20,       // 32 variables
-    0x7b        // type v128
-  );
+  emit(code, asm.locals([[32, WASM_V128]]));
   
   // ─────────────────────────────────────────────────────────────────────────
   // Load blockWords from memory into local variables $0..$15
   // ─────────────────────────────────────────────────────────────────────────
   for (let i = 0; i < 16; i++) {
-    code.push(
-      0x41, ...toLebU32(i * 16),  // i32.const [address]
-      0xfd, 0x00, 0x04, 0x00,     // v128.load align=4
-      0x21, i                      // local.set $i
-    );
+    emit(code, asm.i32Const(i * 16), asm.v128Load(), asm.localSet(i));
   }
   
   // ─────────────────────────────────────────────────────────────────────────
@@ -287,387 +563,1697 @@ function generateWasmModule() {
   
   // state[0..7] = CV[0..7] from memory
   for (let i = 0; i < 8; i++) {
-    code.push(
-      0x41, ...toLebU32(0x100 + i * 16),  // i32.const [address]
-      0xfd, 0x00, 0x04, 0x00,              // v128.load
-      0x21, 16 + i                          // local.set $[16+i]
-    );
+    emit(code, asm.i32Const(0x100 + i * 16), asm.v128Load(), asm.localSet(16 + i));
   }
   
-  // state[8..11] = IV[0..3] (constants, need to create)
-  // Create v128 from 4 identical i32 values
-  const ivValues = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a];
-  for (let i = 0; i < 4; i++) {
-    // v128.const with 4 identical IV[i] values
-    code.push(0xfd, 0x0c);  // v128.const
-    // 16 bytes little-endian (4 copies of IV[i])
-    for (let j = 0; j < 4; j++) {
-      const v = ivValues[i];
-      code.push(v & 0xff, (v >> 8) & 0xff, (v >> 16) & 0xff, (v >> 24) & 0xff);
-    }
-    code.push(0x21, 24 + i);  // local.set $[24+i]
-  }
+  // state[8..11] = IV[0..3]
+  emitIvRows(code);
   
   // state[12..15] = counter_lo, counter_hi, blockLen, flags
   // Load from memory (addresses 0x180-0x1BF)
   for (let i = 0; i < 4; i++) {
-    code.push(
-      0x41, ...toLebU32(0x180 + i * 16),
-      0xfd, 0x00, 0x04, 0x00,
-      0x21, 28 + i
-    );
+    emit(code, asm.i32Const(0x180 + i * 16), asm.v128Load(), asm.localSet(28 + i));
   }
   
-  // ─────────────────────────────────────────────────────────────────────────
   // 7 rounds
+  emitRounds(code);
+  
+  // ─────────────────────────────────────────────────────────────────────────
+  // Finalization: state[i] ^= state[i+8], write to memory
   // ─────────────────────────────────────────────────────────────────────────
+  for (let i = 0; i < 8; i++) {
+    emit(code,
+      asm.i32Const(0x200 + i * 16),      // output address
+      asm.localGet(16 + i),
+      asm.localGet(24 + i),
+      asm.v128Xor(),
+      asm.v128Store()
+    );
+  }
+  
+  // Extended output: state[i+8] ^= cv[i] (CV is still in memory at 0x100)
+  if (fullOutput) {
+    for (let i = 0; i < 8; i++) {
+      emit(code,
+        asm.i32Const(0x280 + i * 16),    // output address
+        asm.localGet(24 + i),
+        asm.i32Const(0x100 + i * 16),    // CV address
+        asm.v128Load(),
+        asm.v128Xor(),
+        asm.v128Store()
+      );
+    }
+  }
+  
+  emit(code, asm.end());
+}
+
+/**
+ * Sets state[8..11] ($24..$27 by default) to IV[0..3] in all 4 lanes.
+ *
+ * These rows are IV in every mode: the key of KEYED_HASH / DERIVE_KEY_*
+ * enters only through the CV rows, written by the JS side.
+ *
+ * @param {number[]} code - output byte array
+ * @param {number} [state=16] - first state local
+ */
+function emitIvRows(code, state = 16) {
+  for (let i = 0; i < 4; i++) {
+    emit(code, asm.v128ConstI32x4(IV[i]), asm.localSet(state + 8 + i));
+  }
+}
+
+/**
+ * Generates 7 rounds of the compression function.
+ * Message words in locals $0..$15, state in $16..$31.
+ *
+ * With several register sets ([message, state] local bases) the G
+ * functions of all sets are interleaved: the sets are independent, so
+ * the engine can overlap their dependency chains.
+ *
+ * @param {number[]} code - output byte array
+ * @param {number[][]} [sets=[[0, 16]]] - [first message local, first state local] per set
+ * @param {Function} [g=emitG] - G emitter: emitG (v128) or emitScalarG (i32)
+ */
+function emitRounds(code, sets = [[0, 16]], g = emitG) {
+  // 8 G-calls per round (4 columns + 4 diagonals)
+  const gCalls = [
+    [16, 20, 24, 28],  // G(0,4,8,12) → state indices + 16
+    [17, 21, 25, 29],  // G(1,5,9,13)
+    [18, 22, 26, 30],  // G(2,6,10,14)
+    [19, 23, 27, 31],  // G(3,7,11,15)
+    [16, 21, 26, 31],  // G(0,5,10,15)
+    [17, 22, 27, 28],  // G(1,6,11,12)
+    [18, 23, 24, 29],  // G(2,7,8,13)
+    [19, 20, 25, 30],  // G(3,4,9,14)
+  ];
   let msgIdx = 0;
   
   for (let round = 0; round < 7; round++) {
-    // 8 G-calls (4 columns + 4 diagonals)
-    const gCalls = [
-      [16, 20, 24, 28],  // G(0,4,8,12) → state indices + 16
-      [17, 21, 25, 29],  // G(1,5,9,13)
-      [18, 22, 26, 30],  // G(2,6,10,14)
-      [19, 23, 27, 31],  // G(3,7,11,15)
-      [16, 21, 26, 31],  // G(0,5,10,15)
-      [17, 22, 27, 28],  // G(1,6,11,12)
-      [18, 23, 24, 29],  // G(2,7,8,13)
-      [19, 20, 25, 30],  // G(3,4,9,14)
-    ];
-    
-    for (let g = 0; g < 8; g++) {
-      const [a, b, c, d] = gCalls[g];
+    for (let call = 0; call < 8; call++) {
+      const [a, b, c, d] = gCalls[call];
       const mx = MESSAGE_SCHEDULE[msgIdx++];
       const my = MESSAGE_SCHEDULE[msgIdx++];
       
-      // Generate G-function
-      emitG(code, a, b, c, d, mx, my);
+      // Generate G-function (state indices are relative to $16)
+      for (const [msg, state] of sets) {
+        const s = state - 16;
+        g(code, a + s, b + s, c + s, d + s, msg + mx, msg + my);
+      }
     }
   }
+}
+
+/**
+ * i8x16.shuffle lane patterns of the 4×4 word transposition
+ * (indices 0..15 — first operand, 16..31 — second operand).
+ */
+const SHUFFLE_LO32 = [0, 1, 2, 3, 16, 17, 18, 19, 4, 5, 6, 7, 20, 21, 22, 23];
+const SHUFFLE_HI32 = [8, 9, 10, 11, 24, 25, 26, 27, 12, 13, 14, 15, 28, 29, 30, 31];
+const SHUFFLE_LO64 = [0, 1, 2, 3, 4, 5, 6, 7, 16, 17, 18, 19, 20, 21, 22, 23];
+const SHUFFLE_HI64 = [8, 9, 10, 11, 12, 13, 14, 15, 24, 25, 26, 27, 28, 29, 30, 31];
+
+/**
+ * Generates the body of compressChunks4x / 8x / 16x: 4 × sets × passes
+ * whole chunks per call.
+ *
+ * Input: consecutive chunks of raw bytes at the address stored at 0x1C8
+ * (0x1000, or a window subtree for compressWindow), key words (initial
+ * CV) at 0x100, base flags at 0x1B0; for each group of 4 chunks g
+ * (chunks 4g..4g+3) the chunk counters at 0x300 + g*32 (low) and +16
+ * (high). Output: CVs of group g at 0x400 + g*128 (8 rows, same layout
+ * as compress4x).
+ *
+ * Each pass runs a loop over 16 blocks, CVs stay in locals between blocks:
+ *   1. load 4 words from each chunk, transpose 4×4 with i8x16.shuffle
+ *      → blockWords[w] = [chunk0[w], chunk1[w], chunk2[w], chunk3[w]]
+ *   2. state = CV, IV, counters, blockLen 64,
+ *      flags = base | CHUNK_START (block 0) | CHUNK_END (block 15)
+ *   3. 7 rounds, CV = state[0..7] ^ state[8..15]
+ * Steps 1-3 are emitted for every register set; the rounds of all sets
+ * are interleaved G by G (see emitRounds()). Two sets are the sweet spot:
+ * with four, the live state no longer fits the 16 vector registers of
+ * x64 and the spills make V8's code ~2.5× slower than with two — so
+ * 16 chunks are two passes of two sets, not one pass of four.
+ *
+ * Locals (set s, base = 40s):
+ *   $base+0..15  blockWords    $base+32..39  CV
+ *   $base+16..31 state
+ *   then 8 transposition temporaries, flags (v128),
+ *   block, input pointer, base flags, group offset (i32)
+ *
+ * @param {number[]} code - output byte array
+ * @param {number} sets - interleaved register sets of 4 chunks: 1 or 2
+ * @param {number} [passes=1] - passes over consecutive groups of sets
+ */
+function emitCompressChunks(code, sets, passes = 1) {
+  const SET_LOCALS = 40;
+  const TMP = sets * SET_LOCALS;
+  const FLAGS = TMP + 8;
+  const BLOCK = FLAGS + 1;
+  const PTR = BLOCK + 1;
+  const BASE_FLAGS = PTR + 1;
+  const GROUP_OFFSET = BASE_FLAGS + 1;  // 32 × index of the pass's first group
+  const msgBase = (set) => set * SET_LOCALS;
+  const stateBase = (set) => set * SET_LOCALS + 16;
+  const cvBase = (set) => set * SET_LOCALS + 32;
   
-  // ─────────────────────────────────────────────────────────────────────────
-  // Finalization: state[i] ^= state[i+8], write to memory
-  // ─────────────────────────────────────────────────────────────────────────
+  emit(code, asm.locals([[FLAGS + 1, WASM_V128], [4, WASM_I32]]));
+  
+  // Input pointer, base flags
+  emit(code,
+    asm.i32Const(0x1C8), asm.i32Load(), asm.localSet(PTR),
+    asm.i32Const(0x1B0), asm.i32Load(), asm.localSet(BASE_FLAGS)
+  );
+  
+  if (passes > 1) {
+    emit(code, asm.loop());  // passes
+  }
+  
+  // CV = key words from memory (same for all chunks), block = 0
   for (let i = 0; i < 8; i++) {
-    code.push(
-      0x41, ...toLebU32(0x200 + i * 16),  // i32.const [output address]
-      0x20, 16 + i,                        // local.get $[state_i]
-      0x20, 24 + i,                        // local.get $[state_i+8]
-      0xfd, 0x51,                          // v128.xor
-      0xfd, 0x0b, 0x04, 0x00               // v128.store align=4
-    );
+    emit(code, asm.i32Const(0x100 + i * 16), asm.v128Load(), asm.localSet(cvBase(0) + i));
+    for (let set = 1; set < sets; set++) {
+      emit(code, asm.localGet(cvBase(0) + i), asm.localSet(cvBase(set) + i));
+    }
   }
+  emit(code, asm.i32Const(0), asm.localSet(BLOCK));
+  
+  emit(code, asm.loop());  // blocks
+  
+  // flags = base | (block == 0) | (block == 15) << 1
+  emit(code,
+    asm.localGet(BASE_FLAGS),
+    asm.localGet(BLOCK), asm.i32Eqz(),                    // CHUNK_START
+    asm.i32Or(),
+    asm.localGet(BLOCK), asm.i32Const(15), asm.i32Eq(),
+    asm.i32Const(1), asm.i32Shl(),                        // CHUNK_END
+    asm.i32Or(),
+    asm.i32x4Splat(),
+    asm.localSet(FLAGS)
+  );
   
-  // end
-  code.push(0x0b);
+  for (let set = 0; set < sets; set++) {
+    const state = stateBase(set);
+    
+    // ───────────────────────────────────────────────────────────────────────
+    // 1. Load + transpose the current block of chunks 4s..4s+3
+    // ───────────────────────────────────────────────────────────────────────
+    emitLoadTransposed(code, PTR, CHUNK_LEN, TMP, msgBase(set), set * 4);
+    
+    // ───────────────────────────────────────────────────────────────────────
+    // 2. State initialization
+    // ───────────────────────────────────────────────────────────────────────
+    for (let i = 0; i < 8; i++) {
+      emit(code, asm.localGet(cvBase(set) + i), asm.localSet(state + i));  // state[i] = cv[i]
+    }
+    emitIvRows(code, state);
+    for (let i = 0; i < 2; i++) {
+      emit(code,
+        asm.localGet(GROUP_OFFSET),
+        asm.v128Load(0x300 + set * 32 + i * 16),  // counter_lo, counter_hi
+        asm.localSet(state + 12 + i)
+      );
+    }
+    emit(code,
+      asm.i32Const(BLOCK_LEN), asm.i32x4Splat(), asm.localSet(state + 14),  // blockLen = 64
+      asm.localGet(FLAGS), asm.localSet(state + 15)
+    );
+  }
   
   // ─────────────────────────────────────────────────────────────────────────
-  // Fill in sizes
+  // 3. 7 rounds, CV = state[0..7] ^ state[8..15]
   // ─────────────────────────────────────────────────────────────────────────
-  const funcSize = code.length - funcStart;
-  const funcSizeBytes = toLebU32(funcSize);
-  // Pad to 5 bytes
-  while (funcSizeBytes.length < 5) funcSizeBytes.push(0);
-  for (let i = 0; i < 5; i++) {
-    code[funcSizePos + i] = funcSizeBytes[i];
+  const roundSets = [];
+  for (let set = 0; set < sets; set++) {
+    roundSets.push([msgBase(set), stateBase(set)]);
   }
+  emitRounds(code, roundSets);
+  for (let set = 0; set < sets; set++) {
+    for (let i = 0; i < 8; i++) {
+      emit(code,
+        asm.localGet(stateBase(set) + i),
+        asm.localGet(stateBase(set) + 8 + i),
+        asm.v128Xor(),
+        asm.localSet(cvBase(set) + i)
+      );
+    }
+  }
+  
+  // Next block: ptr += 64, block += 1, loop while block < 16
+  emit(code,
+    asm.localGet(PTR), asm.i32Const(BLOCK_LEN), asm.i32Add(), asm.localSet(PTR),
+    asm.localGet(BLOCK), asm.i32Const(1), asm.i32Add(), asm.localTee(BLOCK),
+    asm.i32Const(16), asm.i32LtU(),
+    asm.brIf(0),
+    asm.end()
+  );
   
-  const sectionSize = code.length - sectionSizePos - 5;
-  const sectionSizeBytes = toLebU32(sectionSize);
-  while (sectionSizeBytes.length < 5) sectionSizeBytes.push(0);
-  for (let i = 0; i < 5; i++) {
-    code[sectionSizePos + i] = sectionSizeBytes[i];
+  // Output CVs: 0x400 + 4 × group offset
+  for (let set = 0; set < sets; set++) {
+    for (let i = 0; i < 8; i++) {
+      emit(code,
+        asm.localGet(GROUP_OFFSET), asm.i32Const(2), asm.i32Shl(),
+        asm.localGet(cvBase(set) + i),
+        asm.v128Store(0x400 + set * 128 + i * 16)
+      );
+    }
   }
   
-  return new Uint8Array(code);
+  if (passes > 1) {
+    // Next pass: ptr is at the end of the first chunk of the pass,
+    // skip the rest; loop while group offset < passes × sets × 32
+    emit(code,
+      asm.localGet(PTR), asm.i32Const(CHUNK_LEN * (sets * 4 - 1)), asm.i32Add(), asm.localSet(PTR),
+      asm.localGet(GROUP_OFFSET), asm.i32Const(sets * 32), asm.i32Add(), asm.localTee(GROUP_OFFSET),
+      asm.i32Const(passes * sets * 32), asm.i32LtU(),
+      asm.brIf(0),
+      asm.end()
+    );
+  }
+  
+  emit(code, asm.end());
 }
 
 /**
- * Generates G-function code for SIMD.
- * 
- * G(a, b, c, d, mx, my):
- *   a = a + b + m[mx]; d = rotr(d ^ a, 16); c = c + d; b = rotr(b ^ c, 12);
- *   a = a + b + m[my]; d = rotr(d ^ a, 8);  c = c + d; b = rotr(b ^ c, 7);
+ * Generates the body of compressParents4x: one tree level, 4 parents
+ * per iteration.
+ *
+ * The level is a row of CVs at 0x5000 (8 words each, in tree order):
+ * parent i compresses the 64-byte block CV[2i] || CV[2i+1]. Results
+ * overwrite the level in place — parent i goes to slot i, which has
+ * always been read already. Parent count (a multiple of 4) at 0x1C0,
+ * key words at 0x100 (all lanes), base flags at 0x1B0 — PARENT is
+ * added here, so chunk and parent functions share the same flags.
+ *
+ * Locals:
+ *   $0..$15  blockWords     $32..$39  key words
+ *   $16..$31 state          $40..$47  transposition temporaries
+ *   $48 flags (v128)   $49 groups left (i32)   $50 input / $51 output pointer (i32)
+ *
+ * @param {number[]} code - output byte array
  */
-const ROTR16 = [2, 3, 0, 1, 6, 7, 4, 5, 10, 11, 8, 9, 14, 15, 12, 13];
-const ROTR8  = [1, 2, 3, 0, 5, 6, 7, 4, 9, 10, 11, 8, 13, 14, 15, 12];
- 
-function emitG(code, a, b, c, d, mx, my) {
-  // First half of G (rotation 16, 12)
-  emitGHalf(code, a, b, c, d, mx, 16, 12);
-  // Second half of G (rotation 8, 7)
-  emitGHalf(code, a, b, c, d, my, 8, 7);
-}
-
-function emitGHalf(code, a, b, c, d, m, rotD, rotB) {
-  // a = a + b + m[m]
-  code.push(
-    0x20, a,            // local.get $a
-    0x20, b,            // local.get $b
-    0xfd, 0xae, 0x01,   // i32x4.add
-    0x20, m,            // local.get $m (blockWords index)
-    0xfd, 0xae, 0x01,   // i32x4.add
-    0x22, a             // local.tee $a
-  );
+function emitCompressParents4x(code) {
+  const KEY = 32;
+  const TMP = 40;
+  const FLAGS = 48;
+  const GROUPS = 49;
+  const IN_PTR = 50;
+  const OUT_PTR = 51;
   
-  // d = rotr(d ^ a, rotD)
-  code.push(
-    0x20, d,            // local.get $d
-    0xfd, 0x51,         // v128.xor
-    0x22, d,            // local.tee $d
-    0x41, rotD,         // i32.const rotD
-    0xfd, 0xad, 0x01,   // i32x4.shr_u
-    0x20, d,            // local.get $d
-    0x41, 32 - rotD,    // i32.const (32 - rotD)
-    0xfd, 0xab, 0x01,   // i32x4.shl
-    0xfd, 0x50,         // v128.or
-    0x22, d             // local.tee $d
+  emit(code, asm.locals([[49, WASM_V128], [3, WASM_I32]]));
+  
+  for (let i = 0; i < 8; i++) {
+    emit(code, asm.i32Const(0x100 + i * 16), asm.v128Load(), asm.localSet(KEY + i));
+  }
+  emit(code,
+    asm.i32Const(0x1B0), asm.i32Load(),
+    asm.i32Const(PARENT), asm.i32Or(),
+    asm.i32x4Splat(), asm.localSet(FLAGS),
+    asm.i32Const(0x1C0), asm.i32Load(),
+    asm.i32Const(2), asm.i32ShrU(), asm.localSet(GROUPS),  // groups of 4
+    asm.i32Const(0x5000), asm.localTee(IN_PTR), asm.localSet(OUT_PTR)
   );
   
-  // c = c + d
-  code.push(
-    0x20, c,            // local.get $c
-    0xfd, 0xae, 0x01,   // i32x4.add
-    0x22, c             // local.tee $c
+  emit(code, asm.loop());
+  
+  // Message blocks of 4 parents: 4 × 64 consecutive bytes
+  emitLoadTransposed(code, IN_PTR, BLOCK_LEN, TMP);
+  
+  // state = key, IV, counter 0, blockLen 64, flags
+  for (let i = 0; i < 8; i++) {
+    emit(code, asm.localGet(KEY + i), asm.localSet(16 + i));
+  }
+  emitIvRows(code);
+  emit(code,
+    asm.v128ConstI32x4(0), asm.localTee(28), asm.localSet(29),  // counter_lo, counter_hi
+    asm.i32Const(BLOCK_LEN), asm.i32x4Splat(), asm.localSet(30),
+    asm.localGet(FLAGS), asm.localSet(31)
   );
   
-  // b = rotr(b ^ c, rotB)
-  code.push(
-    0x20, b,            // local.get $b
-    0xfd, 0x51,         // v128.xor
-    0x22, b,            // local.tee $b
-    0x41, rotB,         // i32.const rotB
-    0xfd, 0xad, 0x01,   // i32x4.shr_u
-    0x20, b,            // local.get $b
-    0x41, 32 - rotB,    // i32.const (32 - rotB)
-    0xfd, 0xab, 0x01,   // i32x4.shl
-    0xfd, 0x50,         // v128.or
-    0x21, b             // local.set $b
+  emitRounds(code);
+  
+  // Rows → lanes: state[i] ^ state[i+8] holds word i of 4 parents,
+  // transpose back to get each parent CV as 2 consecutive v128
+  for (let i = 0; i < 8; i++) {
+    emit(code, asm.localGet(16 + i), asm.localGet(24 + i), asm.v128Xor(), asm.localSet(16 + i));
+  }
+  emitTranspose(code, [16, 17, 18, 19], [0, 1, 2, 3], TMP);
+  emitTranspose(code, [20, 21, 22, 23], [4, 5, 6, 7], TMP);
+  for (let lane = 0; lane < 4; lane++) {
+    for (let half = 0; half < 2; half++) {
+      emit(code,
+        asm.localGet(OUT_PTR),
+        asm.localGet(half * 4 + lane),  // $cv_half
+        asm.v128Store(lane * 32 + half * 16)
+      );
+    }
+  }
+  
+  // Next 4 parents: in += 256, out += 128, loop while --groups
+  emit(code,
+    asm.localGet(IN_PTR), asm.i32Const(BLOCK_LEN * 4), asm.i32Add(), asm.localSet(IN_PTR),
+    asm.localGet(OUT_PTR), asm.i32Const(128), asm.i32Add(), asm.localSet(OUT_PTR),
+    asm.localGet(GROUPS), asm.i32Const(1), asm.i32Sub(), asm.localTee(GROUPS),
+    asm.brIf(0),
+    asm.end()
   );
+  
+  emit(code, asm.end());
 }
 
-// ============================================================================
-// WASM INITIALIZATION
-// ============================================================================
-
-let wasmMemory = null;
-let wasmCompress4x = null;
-let wasmMemoryView = null;
-let wasmMemoryU32 = null;
-let wasmSupported = false;
-
 /**
- * WASM module initialization.
- * Called once on load.
+ * Generates the body of compressWindow: CVs of whole 64-chunk subtrees
+ * of the input window, chunks and parents, in one call.
+ *
+ * Input: subtree count (≥ 1) at 0x1C4, raw input at 0x10000 (one
+ * 64 KB page per subtree), chunk counter of the first chunk at 0x1D0
+ * (low) / 0x1D4 (high), key words at 0x100, base flags at 0x1B0.
+ * Output: 8-word CV of subtree k at 0x6000 + k*32.
+ *
+ * Per subtree:
+ *   1. 4 × compressChunks16x: counters of the 16 chunks to 0x300,
+ *      CV rows at 0x400 transposed back into CVs of the level at 0x5000
+ *   2. compressParents4x for 32, 16, 8, 4 parents, then 3 more calls of
+ *      4 for the levels of 2 and 1 parent — the extra lanes compress
+ *      stale CVs of the level and their results are never read
+ *   3. CV of the subtree = first CV of the level
+ *
+ * Locals:
+ *   $0..$7 transposition temporaries   $8..$11 transposed CV halves (v128)
+ *   $12 subtrees left  $13 input pointer  $14/$15 counter low/high
+ *   $16 level pointer  $17 output pointer (i32)
+ *
+ * @param {number[]} code - output byte array
+ * @param {number} chunks16x - function index of compressChunks16x
+ * @param {number} parents4x - function index of compressParents4x
  */
-async function initWasm() {
-  try {
-    // Check WASM SIMD support
-    const simdTest = new Uint8Array([
-      0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00,
-      0x01, 0x05, 0x01, 0x60, 0x00, 0x01, 0x7b,
-      0x03, 0x02, 0x01, 0x00,
-      0x0a, 0x0a, 0x01, 0x08, 0x00, 0x41, 0x00, 0xfd, 0x0c,
-      0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
-      0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x0b
-    ]);
-    
-    await WebAssembly.compile(simdTest);
-    
-    // Generate our module
-    const wasmBytes = generateWasmModule();
-    
-    // Create memory
-    wasmMemory = new WebAssembly.Memory({ initial: 1 });
-    wasmMemoryView = new Uint8Array(wasmMemory.buffer);
-    wasmMemoryU32 = new Uint32Array(wasmMemory.buffer);
-    
-    // Compile and instantiate
-    const module = await WebAssembly.compile(wasmBytes);
-    const instance = await WebAssembly.instantiate(module, {
-      js: { mem: wasmMemory }
-    });
-    
-    wasmCompress4x = instance.exports.compress4x;
-    wasmSupported = true;
-    
-    console.log('BLAKE3 WASM SIMD initialized successfully');
-  } catch (e) {
-    console.warn('BLAKE3 WASM SIMD not available, using JS fallback:', e.message);
-    wasmSupported = false;
+function emitCompressWindow(code, chunks16x, parents4x) {
+  const TMP = 0;
+  const CV = 8;
+  const SUBTREES = 12;
+  const PTR = 13;
+  const CTR_LO = 14;
+  const CTR_HI = 15;
+  const LEVEL = 16;
+  const OUT = 17;
+  
+  emit(code, asm.locals([[12, WASM_V128], [6, WASM_I32]]));
+  
+  emit(code,
+    asm.i32Const(0x1C4), asm.i32Load(), asm.localSet(SUBTREES),  // subtree count
+    asm.i32Const(0x1D0), asm.i32Load(), asm.localSet(CTR_LO),    // counter low
+    asm.i32Const(0x1D4), asm.i32Load(), asm.localSet(CTR_HI),    // counter high
+    asm.i32Const(0x10000), asm.localSet(PTR),
+    asm.i32Const(0x6000), asm.localSet(OUT)
+  );
+  
+  emit(code, asm.loop());  // subtrees
+  emit(code, asm.i32Const(0x5000), asm.localSet(LEVEL));
+  
+  emit(code, asm.loop());  // 16 chunks
+  
+  // ─────────────────────────────────────────────────────────────────────────
+  // 1. Input pointer and counters of chunks 0..15, compressChunks16x
+  // ─────────────────────────────────────────────────────────────────────────
+  emit(code, asm.i32Const(0x1C8), asm.localGet(PTR), asm.i32Store());
+  for (let c = 0; c < 16; c++) {
+    const address = 0x300 + (c >> 2) * 32 + (c & 3) * 4;
+    emit(code,
+      // low = counter_lo + c
+      asm.i32Const(address),
+      asm.localGet(CTR_LO), asm.i32Const(c), asm.i32Add(),
+      asm.i32Store(),
+      // high = counter_hi + carry (low + c wrapped below low)
+      asm.i32Const(address + 16),
+      asm.localGet(CTR_HI),
+      asm.localGet(CTR_LO), asm.i32Const(c), asm.i32Add(),
+      asm.localGet(CTR_LO), asm.i32LtU(),
+      asm.i32Add(),
+      asm.i32Store()
+    );
   }
-}
+  emit(code, asm.call(chunks16x));
+  
+  // Rows (word i of 4 chunks) → 16 consecutive CVs of the level
+  for (let set = 0; set < 4; set++) {
+    for (let half = 0; half < 2; half++) {
+      for (let i = 0; i < 4; i++) {
+        emit(code, asm.i32Const(0x400 + set * 128 + (half * 4 + i) * 16), asm.v128Load(), asm.localSet(TMP + i));
+      }
+      emitTranspose(code, [TMP, TMP + 1, TMP + 2, TMP + 3], [CV, CV + 1, CV + 2, CV + 3], TMP);
+      for (let lane = 0; lane < 4; lane++) {
+        emit(code, asm.localGet(LEVEL), asm.localGet(CV + lane), asm.v128Store((set * 4 + lane) * 32 + half * 16));
+      }
+    }
+  }
+  
+  // counter += 16 (carry when the low word wraps below 16), ptr += 16 KB,
+  // level += 16 CVs; loop while level < 0x5800
+  emit(code,
+    asm.localGet(CTR_LO), asm.i32Const(16), asm.i32Add(), asm.localTee(CTR_LO),
+    asm.i32Const(16), asm.i32LtU(),                        // carry
+    asm.localGet(CTR_HI), asm.i32Add(), asm.localSet(CTR_HI),
+    asm.localGet(PTR), asm.i32Const(CHUNK_LEN * 16), asm.i32Add(), asm.localSet(PTR),
+    asm.localGet(LEVEL), asm.i32Const(512), asm.i32Add(), asm.localTee(LEVEL),
+    asm.i32Const(0x5800), asm.i32LtU(),
+    asm.brIf(0),
+    asm.end()
+  );
+  
+  // ─────────────────────────────────────────────────────────────────────────
+  // 2. Parent levels: 32, 16, 8, 4, then 4 (2), 4 (1)
+  // ─────────────────────────────────────────────────────────────────────────
+  for (const parents of [32, 16, 8, 4, 4, 4]) {
+    emit(code, asm.i32Const(0x1C0), asm.i32Const(parents), asm.i32Store(), asm.call(parents4x));
+  }
+  
+  // ─────────────────────────────────────────────────────────────────────────
+  // 3. Subtree CV → output; out += 32, loop while --subtrees
+  // ─────────────────────────────────────────────────────────────────────────
+  for (let half = 0; half < 2; half++) {
+    emit(code,
+      asm.localGet(OUT),
+      asm.i32Const(0x5000 + half * 16), asm.v128Load(),
+      asm.v128Store(half * 16)
+    );
+  }
+  emit(code,
+    asm.localGet(OUT), asm.i32Const(32), asm.i32Add(), asm.localSet(OUT),
+    asm.localGet(SUBTREES), asm.i32Const(1), asm.i32Sub(), asm.localTee(SUBTREES),
+    asm.brIf(0),
+    asm.end()
+  );
+  
+  emit(code, asm.end());
+}
 
-// Synchronous initialization (for module systems)
-function initWasmSync() {
-  try {
-    const wasmBytes = generateWasmModule();
-    wasmMemory = new WebAssembly.Memory({ initial: 1 });
-    wasmMemoryView = new Uint8Array(wasmMemory.buffer);
-    wasmMemoryU32 = new Uint32Array(wasmMemory.buffer);
-    
-    const module = new WebAssembly.Module(wasmBytes);
-    const instance = new WebAssembly.Instance(module, {
-      js: { mem: wasmMemory }
-    });
-    
-    wasmCompress4x = instance.exports.compress4x;
-    wasmSupported = true;
-  } catch (e) {
-    wasmSupported = false;
+/**
+ * Memory of compressMany4x (hashMany()): a table of up to MANY_MAX_BATCH
+ * messages (address, length) at 0x8000, their digests at 0x9000, and the
+ * messages themselves in the window area, each zero-padded to whole
+ * blocks.
+ */
+const MANY_TABLE = 0x8000;
+const MANY_DIGESTS = 0x9000;
+const MANY_INPUT = 0x10000;
+const MANY_MAX_BATCH = 512;
+
+/**
+ * Generates the body of compressMany4x: a batch of single-chunk
+ * messages, one message per lane.
+ *
+ * Input: message count at 0x1C0, address and length of message i at
+ * MANY_TABLE + 8i, key words in lane 0 of 0x100..0x17F, base flags at
+ * 0x1B0. Every message is padded with zeros to whole blocks, an empty
+ * one to a single block. Output: digest of message i at MANY_DIGESTS + 32i.
+ *
+ * Each iteration compresses the current block of all 4 lanes:
+ *   1. blockLen = min(64, bytes left), flags = base | CHUNK_START (first
+ *      block) | CHUNK_END | ROOT (last block) → lane slots at 0x1A0 / 0x1B0
+ *   2. load + transpose one block from each lane's pointer
+ *   3. state = CV rows at 0x100, IV, counters 0, blockLen, flags;
+ *      7 rounds, CV rows = state[0..7] ^ state[8..15]
+ *   4. a lane past its last block copies its CV (every message is a root
+ *      chunk, so the CV is the digest) and takes the next message, with
+ *      the key words as CV. With no message left it idles: it compresses
+ *      stale words and the result is never read.
+ * The loop ends when all lanes are idle.
+ *
+ * Locals: $0..15 blockWords, $16..31 state, $32..39 transposition
+ *   temporaries (v128); key words ×8, base flags, next message, message
+ *   count, active lanes, then per lane: pointer, bytes left, digest
+ *   address (0 — idle lane), CHUNK_START of the next block (i32)
+ *
+ * @param {number[]} code - output byte array
+ */
+function emitCompressMany4x(code) {
+  const TMP = 32;
+  const KEY = 40;
+  const BASE_FLAGS = KEY + 8;
+  const NEXT = BASE_FLAGS + 1;
+  const COUNT = NEXT + 1;
+  const ACTIVE = COUNT + 1;
+  const PTR = ACTIVE + 1;
+  const LEFT = PTR + 4;
+  const DIGEST = LEFT + 4;
+  const START = DIGEST + 4;
+  
+  // Lane takes message $next if there is one, else goes idle
+  const emitTakeMessage = (lane) => {
+    emit(code,
+      asm.localGet(NEXT), asm.localGet(COUNT), asm.i32LtU(), asm.if(),
+      asm.localGet(NEXT), asm.i32Const(3), asm.i32Shl(), asm.i32Load(MANY_TABLE), asm.localSet(PTR + lane),
+      asm.localGet(NEXT), asm.i32Const(3), asm.i32Shl(), asm.i32Load(MANY_TABLE + 4), asm.localSet(LEFT + lane),
+      asm.localGet(NEXT), asm.i32Const(5), asm.i32Shl(), asm.i32Const(MANY_DIGESTS), asm.i32Add(), asm.localSet(DIGEST + lane),
+      asm.i32Const(CHUNK_START), asm.localSet(START + lane),
+      asm.localGet(NEXT), asm.i32Const(1), asm.i32Add(), asm.localSet(NEXT)
+    );
+    for (let i = 0; i < 8; i++) {
+      emit(code, asm.i32Const(0x100 + i * 16 + lane * 4), asm.localGet(KEY + i), asm.i32Store());
+    }
+    emit(code,
+      asm.else(),
+      asm.i32Const(0), asm.localSet(DIGEST + lane),
+      asm.localGet(ACTIVE), asm.i32Const(1), asm.i32Sub(), asm.localSet(ACTIVE),
+      asm.end()
+    );
+  };
+  
+  emit(code, asm.locals([[KEY, WASM_V128], [START + 4 - KEY, WASM_I32]]));
+  
+  for (let i = 0; i < 8; i++) {
+    emit(code, asm.i32Const(0x100 + i * 16), asm.i32Load(), asm.localSet(KEY + i));
+  }
+  emit(code,
+    asm.i32Const(0x1B0), asm.i32Load(), asm.localSet(BASE_FLAGS),
+    asm.i32Const(0x1C0), asm.i32Load(), asm.localSet(COUNT),
+    asm.i32Const(4), asm.localSet(ACTIVE)
+  );
+  for (let lane = 0; lane < 4; lane++) {
+    emitTakeMessage(lane);
+  }
+  
+  emit(code, asm.block(), asm.loop(), asm.localGet(ACTIVE), asm.i32Eqz(), asm.brIf(1));
+  
+  // ─────────────────────────────────────────────────────────────────────────
+  // 1. blockLen and flags of each lane
+  // ─────────────────────────────────────────────────────────────────────────
+  for (let lane = 0; lane < 4; lane++) {
+    const left = LEFT + lane;
+    emit(code,
+      asm.i32Const(0x1A0 + lane * 4),
+      asm.localGet(left), asm.i32Const(BLOCK_LEN),
+      asm.localGet(left), asm.i32Const(BLOCK_LEN), asm.i32LtU(),
+      asm.select(),                                    // min(left, 64)
+      asm.i32Store(),
+      asm.i32Const(0x1B0 + lane * 4),
+      asm.localGet(BASE_FLAGS), asm.localGet(START + lane), asm.i32Or(),
+      asm.i32Const(CHUNK_END | ROOT), asm.i32Const(0),
+      asm.localGet(left), asm.i32Const(BLOCK_LEN + 1), asm.i32LtU(),
+      asm.select(),                                    // last block
+      asm.i32Or(),
+      asm.i32Store()
+    );
+  }
+  
+  // ─────────────────────────────────────────────────────────────────────────
+  // 2-3. Load + transpose, compress
+  // ─────────────────────────────────────────────────────────────────────────
+  emitLoadTransposed(code, [PTR, PTR + 1, PTR + 2, PTR + 3], 0, TMP);
+  for (let i = 0; i < 8; i++) {
+    emit(code, asm.i32Const(0x100 + i * 16), asm.v128Load(), asm.localSet(16 + i));
+  }
+  emitIvRows(code);
+  emit(code,
+    asm.v128ConstI32x4(0), asm.localSet(28),
+    asm.v128ConstI32x4(0), asm.localSet(29),
+    asm.i32Const(0x1A0), asm.v128Load(), asm.localSet(30),
+    asm.i32Const(0x1B0), asm.v128Load(), asm.localSet(31)
+  );
+  emitRounds(code);
+  for (let i = 0; i < 8; i++) {
+    emit(code,
+      asm.i32Const(0x100 + i * 16),
+      asm.localGet(16 + i),
+      asm.localGet(24 + i),
+      asm.v128Xor(),
+      asm.v128Store()
+    );
+  }
+  
+  // ─────────────────────────────────────────────────────────────────────────
+  // 4. Next block of each active lane; finished lanes write the digest
+  // ─────────────────────────────────────────────────────────────────────────
+  for (let lane = 0; lane < 4; lane++) {
+    emit(code,
+      asm.localGet(DIGEST + lane), asm.if(),
+      asm.i32Const(0), asm.localSet(START + lane),
+      asm.localGet(PTR + lane), asm.i32Const(BLOCK_LEN), asm.i32Add(), asm.localSet(PTR + lane),
+      asm.localGet(LEFT + lane), asm.i32Const(BLOCK_LEN + 1), asm.i32LtU(), asm.if()
+    );
+    for (let i = 0; i < 8; i++) {
+      emit(code,
+        asm.localGet(DIGEST + lane),
+        asm.i32Const(0x100 + i * 16 + lane * 4), asm.i32Load(),
+        asm.i32Store(i * 4)
+      );
+    }
+    emitTakeMessage(lane);
+    emit(code,
+      asm.else(),
+      asm.localGet(LEFT + lane), asm.i32Const(BLOCK_LEN), asm.i32Sub(), asm.localSet(LEFT + lane),
+      asm.end(),
+      asm.end()
+    );
   }
+  
+  emit(code, asm.br(0), asm.end(), asm.end(), asm.end());
 }
 
-// Try to initialize synchronously
-initWasmSync();
+/**
+ * Loads one 64-byte block from each of 4 lanes and transposes it into
+ * blockWords $msg..$msg+15: $msg+w = [lane0[w], lane1[w], lane2[w], lane3[w]].
+ * Lane l starts at $ptr + (firstLane + l) * laneStride, or at $ptr[l]
+ * when ptr lists one local per lane (lanes of unrelated messages).
+ *
+ * With the 'lanes' load path each word is gathered from the 4 lanes with
+ * v128.load32_zero + v128.load32_lane instead.
+ *
+ * @param {number[]} code - output byte array
+ * @param {number|number[]} ptr - i32 local with the address of lane 0,
+ *        or 4 locals with the address of each lane
+ * @param {number} laneStride - distance between lanes in bytes (single ptr)
+ * @param {number} tmp - first of 8 temporary v128 locals
+ * @param {number} [msg=0] - first blockWords local
+ * @param {number} [firstLane=0] - lane index of the first of the 4 lanes
+ */
+function emitLoadTransposed(code, ptr, laneStride, tmp, msg = 0, firstLane = 0) {
+  const lanePtr = (lane) => Array.isArray(ptr) ? ptr[lane] : ptr;
+  const laneOffset = (lane) => Array.isArray(ptr) ? 0 : (firstLane + lane) * laneStride;
+  if (emitPath.loads === 'lanes') {
+    for (let w = 0; w < 16; w++) {
+      // Stack: the addresses of lanes 3..0, lane 0 on top for load32_zero
+      for (let lane = 3; lane >= 0; lane--) {
+        emit(code, asm.localGet(lanePtr(lane)));
+      }
+      emit(code, asm.v128Load32Zero(laneOffset(0) + w * 4));
+      for (let lane = 1; lane < 4; lane++) {
+        emit(code, asm.v128Load32Lane(laneOffset(lane) + w * 4, lane));
+      }
+      emit(code, asm.localSet(msg + w));
+    }
+    return;
+  }
+  for (let group = 0; group < 4; group++) {
+    // $tmp0..3 = words [4g..4g+3] of lanes 0..3
+    for (let lane = 0; lane < 4; lane++) {
+      emit(code,
+        asm.localGet(lanePtr(lane)),
+        asm.v128Load(laneOffset(lane) + group * 16),
+        asm.localSet(tmp + lane)
+      );
+    }
+    const w = msg + group * 4;
+    emitTranspose(code, [tmp, tmp + 1, tmp + 2, tmp + 3], [w, w + 1, w + 2, w + 3], tmp);
+  }
+}
 
-// ============================================================================
-// WASM MEMORY FUNCTIONS
-// ============================================================================
+/**
+ * 4×4 transposition of 32-bit words: dst[j] = [src0[j], src1[j], src2[j], src3[j]].
+ * Uses $tmp+4..$tmp+7 as scratch; src may overlap $tmp..$tmp+3.
+ *
+ * @param {number[]} code - output byte array
+ * @param {number[]} src - 4 source locals
+ * @param {number[]} dst - 4 destination locals
+ * @param {number} tmp - first of 8 temporary v128 locals
+ */
+function emitTranspose(code, src, dst, tmp) {
+  // $tmp4 = [a0 b0 a1 b1]   $tmp5 = [c0 d0 c1 d1]
+  // $tmp6 = [a2 b2 a3 b3]   $tmp7 = [c2 d2 c3 d3]
+  emitShuffle(code, src[0], src[1], SHUFFLE_LO32, tmp + 4);
+  emitShuffle(code, src[2], src[3], SHUFFLE_LO32, tmp + 5);
+  emitShuffle(code, src[0], src[1], SHUFFLE_HI32, tmp + 6);
+  emitShuffle(code, src[2], src[3], SHUFFLE_HI32, tmp + 7);
+  // dst[j] = [aj bj cj dj]
+  emitShuffle(code, tmp + 4, tmp + 5, SHUFFLE_LO64, dst[0]);
+  emitShuffle(code, tmp + 4, tmp + 5, SHUFFLE_HI64, dst[1]);
+  emitShuffle(code, tmp + 6, tmp + 7, SHUFFLE_LO64, dst[2]);
+  emitShuffle(code, tmp + 6, tmp + 7, SHUFFLE_HI64, dst[3]);
+}
 
 /**
- * Writes transposed blocks to WASM memory.
- * 
- * 4 chunks × 16 blocks = 64 blocks
- * But compress4x processes 4 blocks at a time (one from each chunk).
+ * Emits $dst = i8x16.shuffle($a, $b, lanes).
+ */
+function emitShuffle(code, a, b, lanes, dst) {
+  emit(code, asm.localGet(a), asm.localGet(b), asm.i8x16Shuffle(lanes), asm.localSet(dst));
+}
+
+/**
+ * Generates G-function code for SIMD.
  * 
- * For block #i:
- *   blockWords[j] = [chunk0[i*16+j], chunk1[i*16+j], chunk2[i*16+j], chunk3[i*16+j]]
+ * G(a, b, c, d, mx, my):
+ *   a = a + b + m[mx]; d = rotr(d ^ a, 16); c = c + d; b = rotr(b ^ c, 12);
+ *   a = a + b + m[my]; d = rotr(d ^ a, 8);  c = c + d; b = rotr(b ^ c, 7);
  */
-function writeTransposedBlock(input, offsets, blockIndex) {
-  // offsets = [offset0, offset1, offset2, offset3] — starts of 4 chunks
-  // blockIndex = 0..15 — block number within chunk
-  
-  const blockOffset = blockIndex * BLOCK_LEN;
+const ROTR16 = [2, 3, 0, 1, 6, 7, 4, 5, 10, 11, 8, 9, 14, 15, 12, 13];
+const ROTR8  = [1, 2, 3, 0, 5, 6, 7, 4, 9, 10, 11, 8, 13, 14, 15, 12];
+ 
+function emitG(code, a, b, c, d, mx, my) {
+  // First half of G (rotation 16, 12)
+  emitGHalf(code, a, b, c, d, mx, 16, 12);
+  // Second half of G (rotation 8, 7)
+  emitGHalf(code, a, b, c, d, my, 8, 7);
+}
+
+/**
+ * v128 rotr of the value on the stack by `bits` with shifts; $x holds
+ * the same value (the caller tees it).
+ */
+function emitRotrShift(code, x, bits) {
+  emit(code,
+    asm.i32Const(bits), asm.i32x4ShrU(),
+    asm.localGet(x),
+    asm.i32Const(32 - bits), asm.i32x4Shl(),
+    asm.v128Or()
+  );
+}
+
+function emitGHalf(code, a, b, c, d, m, rotD, rotB) {
+  // a = a + b + m[m]
+  emit(code,
+    asm.localGet(a), asm.localGet(b), asm.i32x4Add(),
+    asm.localGet(m), asm.i32x4Add(),
+    asm.localTee(a)
+  );
   
-  for (let word = 0; word < 16; word++) {
-    const memAddr = word * 16;  // Address in WASM memory
-    
-    for (let chunk = 0; chunk < 4; chunk++) {
-      const inputOffset = offsets[chunk] + blockOffset + word * 4;
-      
-      // Read 4 bytes as little-endian word
-      const w = input[inputOffset] |
-                (input[inputOffset + 1] << 8) |
-                (input[inputOffset + 2] << 16) |
-                (input[inputOffset + 3] << 24);
-      
-      // Write to corresponding v128 position
-      wasmMemoryU32[(memAddr >> 2) + chunk] = w;
-    }
+  // d = rotr(d ^ a, rotD)
+  emit(code, asm.localGet(d), asm.v128Xor());
+  const bytes = rotD === 16 ? ROTR16 : ROTR8;
+  if (emitPath.rotations === 'shuffle') {
+    emit(code, asm.localTee(d), asm.localGet(d), asm.i8x16Shuffle(bytes));
+  } else if (emitPath.rotations === 'relaxed-swizzle') {
+    emit(code, asm.v128Const(bytes), asm.i8x16RelaxedSwizzle());
+  } else {
+    emit(code, asm.localTee(d));
+    emitRotrShift(code, d, rotD);
   }
+  emit(code, asm.localTee(d));
+  
+  // c = c + d
+  emit(code, asm.localGet(c), asm.i32x4Add(), asm.localTee(c));
+  
+  // b = rotr(b ^ c, rotB)
+  emit(code, asm.localGet(b), asm.v128Xor(), asm.localTee(b));
+  emitRotrShift(code, b, rotB);
+  emit(code, asm.localSet(b));
 }
 
+// ============================================================================
+// SCALAR WASM MODULE (engines without SIMD)
+// ============================================================================
+
 /**
- * Writes CV and parameters for 4 parallel compress operations.
+ * Generates a WASM module for engines with WASM MVP but without SIMD:
+ * the same compression function on plain i32 locals, one block per call.
+ *
+ * compress(cv, block, counterLo, counterHi, blockLen, flags, out)
+ *   compresses the 16 words at `block` with the 8-word CV at `cv` and
+ *   writes the 8-word result to `out` (may equal `cv`).
+ * compressWindow has the same interface as in the SIMD module (see
+ *   generateWasmModule()): whole 64-chunk subtrees at 0x10000, subtree
+ *   CVs at 0x6000, key words in lane 0 of 0x100..0x17F.
+ *
+ * Memory layout (besides the compressWindow interface):
+ *   0x5000-0x57FF: one tree level, 64 CVs
+ *   0x5800-0x581F: key words, contiguous
  */
-function writeCVAndParams(cvs, counters, blockLen, flags) {
-  // cvs = [[cv0], [cv1], [cv2], [cv3]] — 4 arrays of 8 words each
-  // counters = [counter0, counter1, counter2, counter3]
+function generateScalarWasmModule() {
+  // Exported functions: [name, body emitter, type]
+  const functions = [
+    ["compress", emitScalarCompress, 1],
+    ["compressWindow", emitScalarWindow, 0],
+  ];
   
-  // CV: addresses 0x100-0x17F (8 × v128)
+  // Types: 0 — () → (), 1 — (i32 × 7) → ()
+  return assembleModule([asm.funcType([]), asm.funcType(new Array(7).fill(WASM_I32))], functions);
+}
+
+/**
+ * Generates the body of the scalar compress function.
+ *
+ * Locals: $0..$6 parameters (cv, block, counterLo, counterHi, blockLen,
+ * flags, out), $7..$22 blockWords, $23..$38 state.
+ *
+ * @param {number[]} code - output byte array
+ */
+function emitScalarCompress(code) {
+  const MSG = 7;
+  const STATE = 23;
+  
+  emit(code, asm.locals([[32, WASM_I32]]));
+  
+  for (let i = 0; i < 16; i++) {
+    emit(code, asm.localGet(1), asm.i32Load(i * 4), asm.localSet(MSG + i));    // $block
+  }
   for (let i = 0; i < 8; i++) {
-    const memAddr = 0x100 + i * 16;
-    for (let chunk = 0; chunk < 4; chunk++) {
-      wasmMemoryU32[(memAddr >> 2) + chunk] = cvs[chunk][i];
-    }
+    emit(code, asm.localGet(0), asm.i32Load(i * 4), asm.localSet(STATE + i));  // $cv
+  }
+  for (let i = 0; i < 4; i++) {
+    emit(code, asm.i32Const(IV[i] | 0), asm.localSet(STATE + 8 + i));
+  }
+  for (let i = 0; i < 4; i++) {
+    emit(code, asm.localGet(2 + i), asm.localSet(STATE + 12 + i));  // counter lo/hi, blockLen, flags
   }
   
-  // counter_lo: address 0x180
-  for (let chunk = 0; chunk < 4; chunk++) {
-    wasmMemoryU32[(0x180 >> 2) + chunk] = counters[chunk] | 0;
+  emitRounds(code, [[MSG, STATE]], emitScalarG);
+  
+  for (let i = 0; i < 8; i++) {
+    emit(code,
+      asm.localGet(6),                   // $out
+      asm.localGet(STATE + i),
+      asm.localGet(STATE + 8 + i),
+      asm.i32Xor(),
+      asm.i32Store(i * 4)
+    );
   }
   
-  // counter_hi: address 0x190
-  for (let chunk = 0; chunk < 4; chunk++) {
-    wasmMemoryU32[(0x190 >> 2) + chunk] = (counters[chunk] / 0x100000000) | 0;
+  emit(code, asm.end());
+}
+
+/**
+ * Generates the body of the scalar compressWindow.
+ *
+ * Per subtree: 64 chunks of 16 compress calls each, the CV of chunk c
+ * built in place in slot c of the level at 0x5000; then 6 parent levels
+ * (32 → 1) in place, as in compressParents4x.
+ *
+ * Locals:
+ *   $0 subtrees left  $1 input pointer  $2/$3 counter low/high
+ *   $4 level slot     $5 block          $6 parents in level
+ *   $7 parent         $8 output pointer $9 base flags
+ *
+ * @param {number[]} code - output byte array
+ */
+function emitScalarWindow(code) {
+  const SUBTREES = 0;
+  const PTR = 1;
+  const CTR_LO = 2;
+  const CTR_HI = 3;
+  const SLOT = 4;
+  const BLOCK = 5;
+  const PARENTS = 6;
+  const PARENT_INDEX = 7;
+  const OUT = 8;
+  const BASE_FLAGS = 9;
+  const KEY = 0x5800;
+  const COMPRESS = 0;  // function index
+  
+  emit(code, asm.locals([[10, WASM_I32]]));
+  
+  emit(code,
+    asm.i32Const(0x1C4), asm.i32Load(), asm.localSet(SUBTREES),
+    asm.i32Const(0x1D0), asm.i32Load(), asm.localSet(CTR_LO),
+    asm.i32Const(0x1D4), asm.i32Load(), asm.localSet(CTR_HI),
+    asm.i32Const(0x1B0), asm.i32Load(), asm.localSet(BASE_FLAGS),
+    asm.i32Const(0x10000), asm.localSet(PTR),
+    asm.i32Const(0x6000), asm.localSet(OUT)
+  );
+  
+  // Key words: lane 0 of the rows at 0x100 → contiguous at KEY
+  for (let i = 0; i < 8; i++) {
+    emit(code, asm.i32Const(KEY + i * 4), asm.i32Const(0x100 + i * 16), asm.i32Load(), asm.i32Store());
   }
   
-  // blockLen: address 0x1A0
-  for (let chunk = 0; chunk < 4; chunk++) {
-    wasmMemoryU32[(0x1A0 >> 2) + chunk] = blockLen;
+  emit(code, asm.loop());  // subtrees
+  emit(code, asm.i32Const(0x5000), asm.localSet(SLOT));
+  
+  emit(code, asm.loop());  // 64 chunks
+  
+  // slot = key words, block = 0
+  for (let i = 0; i < 8; i++) {
+    emit(code, asm.localGet(SLOT), asm.i32Const(KEY + i * 4), asm.i32Load(), asm.i32Store(i * 4));
   }
+  emit(code, asm.i32Const(0), asm.localSet(BLOCK));
   
-  // flags: address 0x1B0
-  for (let chunk = 0; chunk < 4; chunk++) {
-    wasmMemoryU32[(0x1B0 >> 2) + chunk] = flags[chunk];
+  // compress(slot, ptr, counter, 64, base | CHUNK_START | CHUNK_END, slot)
+  emit(code,
+    asm.loop(),                                           // 16 blocks
+    asm.localGet(SLOT),
+    asm.localGet(PTR),
+    asm.localGet(CTR_LO),
+    asm.localGet(CTR_HI),
+    asm.i32Const(BLOCK_LEN),
+    asm.localGet(BASE_FLAGS),
+    asm.localGet(BLOCK), asm.i32Eqz(), asm.i32Or(),       // | (block == 0)
+    asm.localGet(BLOCK), asm.i32Const(15), asm.i32Eq(),
+    asm.i32Const(1), asm.i32Shl(), asm.i32Or(),           // | (block == 15) << 1
+    asm.localGet(SLOT),
+    asm.call(COMPRESS),
+    asm.localGet(PTR), asm.i32Const(BLOCK_LEN), asm.i32Add(), asm.localSet(PTR),
+    asm.localGet(BLOCK), asm.i32Const(1), asm.i32Add(), asm.localTee(BLOCK),
+    asm.i32Const(16), asm.i32LtU(),
+    asm.brIf(0),
+    asm.end()
+  );
+  
+  // counter += 1 (carry when low wraps to 0), next slot; loop while slot < 0x5800
+  emit(code,
+    asm.localGet(CTR_LO), asm.i32Const(1), asm.i32Add(), asm.localTee(CTR_LO),
+    asm.i32Eqz(),                                         // carry
+    asm.localGet(CTR_HI), asm.i32Add(), asm.localSet(CTR_HI),
+    asm.localGet(SLOT), asm.i32Const(32), asm.i32Add(), asm.localTee(SLOT),
+    asm.i32Const(0x5800), asm.i32LtU(),
+    asm.brIf(0),
+    asm.end()
+  );
+  
+  // Parent levels: parents = 32, 16, ..., 1
+  emit(code,
+    asm.i32Const(32), asm.localSet(PARENTS),
+    asm.loop(),                                           // levels
+    asm.i32Const(0), asm.localSet(PARENT_INDEX),
+    asm.loop(),                                           // parents
+    // compress(key, level + 64i, 0, 0, 64, base | PARENT, level + 32i)
+    asm.i32Const(KEY),
+    asm.localGet(PARENT_INDEX), asm.i32Const(6), asm.i32Shl(),
+    asm.i32Const(0x5000), asm.i32Add(),
+    asm.i32Const(0),
+    asm.i32Const(0),
+    asm.i32Const(BLOCK_LEN),
+    asm.localGet(BASE_FLAGS), asm.i32Const(PARENT), asm.i32Or(),
+    asm.localGet(PARENT_INDEX), asm.i32Const(5), asm.i32Shl(),
+    asm.i32Const(0x5000), asm.i32Add(),
+    asm.call(COMPRESS),
+    asm.localGet(PARENT_INDEX), asm.i32Const(1), asm.i32Add(), asm.localTee(PARENT_INDEX),
+    asm.localGet(PARENTS), asm.i32LtU(),
+    asm.brIf(0),
+    asm.end(),
+    asm.localGet(PARENTS), asm.i32Const(1), asm.i32ShrU(), asm.localTee(PARENTS),
+    asm.brIf(0),
+    asm.end()
+  );
+  
+  // Subtree CV → output; out += 32, loop while --subtrees
+  for (let i = 0; i < 8; i++) {
+    emit(code, asm.localGet(OUT), asm.i32Const(0x5000 + i * 4), asm.i32Load(), asm.i32Store(i * 4));
   }
+  emit(code,
+    asm.localGet(OUT), asm.i32Const(32), asm.i32Add(), asm.localSet(OUT),
+    asm.localGet(SUBTREES), asm.i32Const(1), asm.i32Sub(), asm.localTee(SUBTREES),
+    asm.brIf(0),
+    asm.end()
+  );
+  
+  emit(code, asm.end());
 }
 
 /**
- * Reads compress4x results from WASM memory.
+ * Scalar G function on i32 locals (i32.rotr does the rotations).
  */
-function readResults(cvs) {
-  // Results at addresses 0x200-0x27F (8 × v128)
-  for (let i = 0; i < 8; i++) {
-    const memAddr = 0x200 + i * 16;
-    for (let chunk = 0; chunk < 4; chunk++) {
-      cvs[chunk][i] = wasmMemoryU32[(memAddr >> 2) + chunk];
-    }
+function emitScalarG(code, a, b, c, d, mx, my) {
+  for (const [m, rotD, rotB] of [[mx, 16, 12], [my, 8, 7]]) {
+    emit(code,
+      asm.localGet(a), asm.localGet(b), asm.i32Add(),           // a + b
+      asm.localGet(m), asm.i32Add(),                            // + m
+      asm.localTee(a),
+      asm.localGet(d), asm.i32Xor(),                            // d ^ a
+      asm.i32Const(rotD), asm.i32Rotr(),
+      asm.localTee(d),
+      asm.localGet(c), asm.i32Add(),                            // c + d
+      asm.localTee(c),
+      asm.localGet(b), asm.i32Xor(),                            // b ^ c
+      asm.i32Const(rotB), asm.i32Rotr(),
+      asm.localSet(b)
+    );
   }
 }
 
+// ============================================================================
+// WASM INITIALIZATION
+// ============================================================================
 
-// ═══════════════════════════════════════════════════════════════════════
-// GLOBAL REUSABLE PRE-ALLOCATED BUFFERS
-// Global buffers (created once when the module loads)
-// No allocations in blake3() function and hot loop
-// ═══════════════════════════════════════════════════════════════════════
+let wasmMemory = null;
+let wasmCompress4x = null;
+let wasmCompress4xFull = null;
+let wasmCompressChunks4x = null;
+let wasmCompressChunks8x = null;
+let wasmCompressChunks16x = null;
+let wasmCompressParents4x = null;
+let wasmCompressWindow = null;
+let wasmCompressMany4x = null;
+let wasmMemoryView = null;
+let wasmMemoryU32 = null;
+let wasmSupported = false;
+let wasmBackend = 'js';
+let wasmFeatures = null;     // probed on first use (getWasmFeatures())
+let wasmCodePath = null;
 
-// Buffer for current CV (8 words) and message block (16 words)
-// Combined into one array for better locality
-const globalWorkBuffer = new Uint32Array(8 + 16);  // cv[0..7] + block[0..15]
+// Nothing is generated or compiled at import: the backend is picked on
+// the first hash large enough to use WASM, by setBackend() or by ready()
+let wasmInitialized = false;
 
-// Cached CV stack — grows when needed, but never shrinks
-let globalCvStack = null;
+/**
+ * Input window of compressWindow: one 64 KB page per 64-chunk subtree
+ * after the first page. The output area (0x6000-0x7FFF) bounds it to
+ * 256 subtrees; setWasmWindowSize() picks the size, pages are grown on
+ * first use and never given back.
+ */
+const MAX_WINDOW_SUBTREES = 256;
+let wasmWindowSubtrees = 16;  // 1 MB
 
+/**
+ * Sets the size of the WASM input window (default 1 MB).
+ *
+ * Large inputs are hashed one window at a time: copied into WASM memory
+ * with a single Uint8Array.set(), then one call compresses every chunk
+ * and parent of the window. A larger window means fewer calls but more
+ * memory — WASM memory grows up to the window size and never shrinks.
+ *
+ * @param {number} bytes - multiple of 65536, from 64 KB to 16 MB
+ */
+function setWasmWindowSize(bytes) {
+  const subtrees = bytes / (CHUNK_LEN * 64);
+  if (!Number.isInteger(subtrees) || subtrees < 1 || subtrees > MAX_WINDOW_SUBTREES) {
+    throw new RangeError('WASM window size must be a multiple of 65536 from 65536 to 16777216 bytes');
+  }
+  wasmWindowSubtrees = subtrees;
+}
 
 /**
- * Get a CV stack of the required size.
- * Reuses the existing one if it's large enough.
- * 
- * @param {number} inputLength - input length for calculating tree depth
- * @returns {Uint32Array} - Stack of sufficient size
+ * Grows WASM memory to hold a window of `subtrees` subtrees.
+ * Growing detaches the old buffer, so the views are recreated.
+ *
+ * @param {number} subtrees - subtrees in the window
  */
-function getCvStack(inputLength) {
-  // Maximum tree depth: log2(max_chunks)
-  const maxDepth = Math.log2(1 + Math.ceil(inputLength / 1024)) + 1;
-  // Minimum 54 levels — covers files up to 2^54 chunks long
-  const depth = Math.max(maxDepth, 54);
-  const length = depth * 8;
-  
-  if (globalCvStack === null || globalCvStack.length < length) {
-    // Create new only if the old one is too small
-    globalCvStack = new Uint32Array(length);
+function ensureWasmWindow(subtrees) {
+  const pages = 1 + subtrees;
+  const currentPages = wasmMemory.buffer.byteLength >> 16;
+  if (currentPages < pages) {
+    wasmMemory.grow(pages - currentPages);
+    wasmMemoryView = new Uint8Array(wasmMemory.buffer);
+    wasmMemoryU32 = new Uint32Array(wasmMemory.buffer);
   }
-  
-  return globalCvStack;
 }
 
+/**
+ * WASM backends in order of preference: [name, module generator].
+ * An engine without SIMD rejects the first module at compile time and
+ * gets the scalar one; without WebAssembly at all, hashing stays in JS.
+ * The SIMD module is generated for the current code path (wasmCodePath).
+ */
+const WASM_BACKENDS = [
+  ['wasm-simd', () => generateWasmModule(wasmCodePath)],
+  ['wasm-scalar', generateScalarWasmModule],
+];
 
-// ============================================================================
-// COMPRESSION FUNCTION
-// ============================================================================
+/**
+ * Probes the engine's WASM features once and picks the SIMD code path.
+ *
+ * @returns {{ wasm: boolean, simd: boolean, relaxedSimd: boolean }}
+ */
+function getWasmFeatures() {
+  if (wasmFeatures === null) {
+    wasmFeatures = probeWasmFeatures();
+    wasmCodePath = selectCodePath(wasmFeatures);
+  }
+  return wasmFeatures;
+}
 
 /**
- * Compression function - the core cryptographic operation of BLAKE3.
- * 
- * BLAKE3 compression function with in-place result writing and
- * register-based state storage.
- * 
- * Instead of using Uint32Array for state (which requires memory access),
- * we use 16 local variables s_0...s_15 that the JIT compiler
- * can place directly in CPU registers.
- * 
- * This eliminates:
- * - 448 array writes per compress() call
- * - 1008 array reads per compress() call
- * - Bounds checking overhead
- * - Memory indirection
- * 
- * The G-function is fully inlined with hardcoded indices.
- * Code is generated via metaprogramming (see generator in comments).
+ * Creates the shared WASM memory and its views.
+ */
+function createWasmMemory() {
+  wasmMemory = new WebAssembly.Memory({ initial: 1, maximum: 1 + MAX_WINDOW_SUBTREES });
+  wasmMemoryView = new Uint8Array(wasmMemory.buffer);
+  wasmMemoryU32 = new Uint32Array(wasmMemory.buffer);
+}
+
+/**
+ * Takes the exports of an instantiated backend module. The scalar
+ * module has only compressWindow: the SIMD entry points stay null and
+ * wasmSupported (SIMD available) stays false.
+ *
+ * @param {WebAssembly.Instance} instance - instance of the backend module
+ * @param {string} backend - 'wasm-simd' or 'wasm-scalar'
+ */
+function bindWasmExports(instance, backend) {
+  const exports = instance.exports;
+  wasmCompress4x = exports.compress4x || null;
+  wasmCompress4xFull = exports.compress4xFull || null;
+  wasmCompressChunks4x = exports.compressChunks4x || null;
+  wasmCompressChunks8x = exports.compressChunks8x || null;
+  wasmCompressChunks16x = exports.compressChunks16x || null;
+  wasmCompressParents4x = exports.compressParents4x || null;
+  wasmCompressWindow = exports.compressWindow;
+  wasmCompressMany4x = exports.compressMany4x || null;
+  wasmSupported = backend === 'wasm-simd';
+  wasmBackend = backend;
+}
+
+// Names accepted by setBackend()
+const BACKENDS = ['auto', 'wasm-simd', 'wasm-scalar', 'js'];
+
+// Backend requested with setBackend(); 'auto' — best available
+let requestedBackend = 'auto';
+
+// Bytes embedded by build-wasm.js, compiled instead of generated
+// (usePrecompiledWasm())
+const precompiledBytes = new Map();
+
+/**
+ * Bytes of a backend module: the precompiled ones if given, else
+ * freshly generated.
+ *
+ * @param {string} backend - 'wasm-simd' or 'wasm-scalar'
+ * @returns {Uint8Array}
+ */
+function backendBytes(backend) {
+  const bytes = precompiledBytes.get(backend);
+  if (bytes !== undefined) {
+    return bytes;
+  }
+  const [, generate] = WASM_BACKENDS.find(([name]) => name === backend);
+  return generate();
+}
+
+// Compiled modules and instances per backend, created on first use and
+// kept for later switches. Modules can be handed to other instances of
+// this library or to workers (getWasmModules() / provideWasmModules()).
+const wasmModules = new Map();
+const wasmInstances = new Map();
+
+/**
+ * Returns the instance of a WASM backend, compiling it synchronously on
+ * first use. All instances share one memory.
+ *
+ * @param {string} backend - 'wasm-simd' or 'wasm-scalar'
+ * @returns {WebAssembly.Instance}
+ */
+function instantiateBackend(backend) {
+  let instance = wasmInstances.get(backend);
+  if (instance === undefined) {
+    getWasmFeatures();
+    let module = wasmModules.get(backend);
+    if (module === undefined) {
+      module = new WebAssembly.Module(backendBytes(backend));
+      wasmModules.set(backend, module);
+    }
+    if (wasmMemory === null) {
+      createWasmMemory();
+    }
+    instance = new WebAssembly.Instance(module, { js: { mem: wasmMemory } });
+    wasmInstances.set(backend, instance);
+  }
+  return instance;
+}
+
+/**
+ * Switches the hashing functions to a backend.
+ *
+ * @param {string} backend - 'wasm-simd', 'wasm-scalar' or 'js'
+ */
+function useBackend(backend) {
+  if (backend === 'js') {
+    wasmSupported = false;
+    wasmBackend = 'js';
+    wasmCompressWindow = null;
+    return;
+  }
+  bindWasmExports(instantiateBackend(backend), backend);
+}
+
+/**
+ * Selects the hashing backend.
+ *
+ *   'auto'        — the fastest one the engine supports (default)
+ *   'wasm-simd'   — WASM with 128-bit SIMD
+ *   'wasm-scalar' — WASM without SIMD
+ *   'js'          — pure JavaScript
+ *
+ * Every backend produces the same hashes, so the same input can be run
+ * through each of them to reproduce a bug or to compare speed. The
+ * choice applies to this thread only: hashParallel() workers pick
+ * their own backend with 'auto'.
+ *
+ * @param {string} backend - backend name
+ */
+function setBackend(backend) {
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown backend: ${backend}`);
+  }
+  if (backend === 'auto') {
+    requestedBackend = 'auto';
+    wasmInitialized = true;
+    for (const [name] of WASM_BACKENDS) {
+      try {
+        useBackend(name);
+        return;
+      } catch (e) {
+        // Next backend
+      }
+    }
+    useBackend('js');
+    return;
+  }
+  const features = getWasmFeatures();
+  if ((backend === 'wasm-simd' && !features.simd) ||
+      (backend === 'wasm-scalar' && !features.wasm)) {
+    throw new Error(`Backend not supported by this engine: ${backend}`);
+  }
+  useBackend(backend);
+  requestedBackend = backend;
+  wasmInitialized = true;
+}
+
+/**
+ * Picks the backend on first use. Called by the hashing functions only
+ * for inputs large enough to use WASM, so small hashes never compile.
+ *
+ * While ready() is compiling, nothing is compiled here a second time:
+ * hashes keep the current backend until the async compile binds its
+ * module (a module it already finished is reused by instantiateBackend()).
+ */
+function ensureWasm() {
+  if (!wasmInitialized && readyPromise === null) {
+    setBackend(requestedBackend);
+  }
+}
+
+let readyPromise = null;
+
+/**
+ * Generates and compiles the WASM backend asynchronously.
+ *
+ * Optional: without it the module is compiled synchronously on the
+ * first large hash, which browsers refuse on the main thread for
+ * modules of this size — hashing then stays on a slower backend until
+ * ready() is awaited. A backend already picked is replaced only by a
+ * faster one; a backend forced with setBackend() is kept. Never logs
+ * and never rejects: without WebAssembly it resolves with 'js'.
+ *
+ * @returns {Promise<string>} - the active backend
+ */
+function ready() {
+  if (readyPromise === null) {
+    readyPromise = compileBackendAsync().then(() => {
+      readyPromise = null;
+      wasmInitialized = true;
+      return wasmBackend;
+    });
+  }
+  return readyPromise;
+}
+
+async function compileBackendAsync() {
+  if (requestedBackend !== 'auto' || !getWasmFeatures().wasm) {
+    return;
+  }
+  for (const [backend] of WASM_BACKENDS) {
+    if (backend === wasmBackend) {
+      return;
+    }
+    try {
+      let instance = wasmInstances.get(backend);
+      if (instance === undefined) {
+        let module = wasmModules.get(backend);
+        if (module === undefined) {
+          module = await WebAssembly.compile(backendBytes(backend));
+          wasmModules.set(backend, module);
+        }
+        if (wasmMemory === null) {
+          createWasmMemory();
+        }
+        instance = await WebAssembly.instantiate(module, { js: { mem: wasmMemory } });
+        // setCodePath() may have run meanwhile
+        if (!wasmInstances.has(backend)) {
+          wasmInstances.set(backend, instance);
+        }
+        instance = wasmInstances.get(backend);
+      }
+      if (requestedBackend === 'auto') {
+        bindWasmExports(instance, backend);
+      }
+      return;
+    } catch (e) {
+      // Next backend
+    }
+  }
+}
+
+/**
+ * Same as ready(), kept for code written before it.
+ *
+ * @returns {Promise<void>}
+ */
+async function initWasm() {
+  await ready();
+}
+
+/**
+ * Compiled WASM modules of this instance, to be passed to
+ * provideWasmModules() of another one — a worker (WebAssembly.Module
+ * survives postMessage()), another bundle or realm — which then skips
+ * generating and compiling. Only modules compiled so far are returned:
+ * await ready() first.
+ *
+ * @returns {{
+ *   simd: WebAssembly.Module|null, scalar: WebAssembly.Module|null,
+ *   codePath: { rotations: string, loads: string }|null
+ * }}
+ */
+function getWasmModules() {
+  const simd = wasmModules.get('wasm-simd') || null;
+  return {
+    simd,
+    scalar: wasmModules.get('wasm-scalar') || null,
+    codePath: simd !== null ? { ...wasmCodePath } : null
+  };
+}
+
+/**
+ * Takes modules from getWasmModules() of another instance. Backends
+ * already instantiated here keep their own module.
+ *
+ * @param {{ simd?: WebAssembly.Module|null, scalar?: WebAssembly.Module|null,
+ *           codePath?: Object|null }} modules
+ */
+function provideWasmModules(modules) {
+  for (const [backend, module] of [['wasm-simd', modules.simd], ['wasm-scalar', modules.scalar]]) {
+    if (module === undefined || module === null) {
+      continue;
+    }
+    if (!(module instanceof WebAssembly.Module)) {
+      throw new Error('Modules must be WebAssembly.Module');
+    }
+    if (wasmInstances.has(backend)) {
+      continue;
+    }
+    wasmModules.set(backend, module);
+    if (backend === 'wasm-simd' && modules.codePath) {
+      getWasmFeatures();
+      wasmCodePath = { ...DEFAULT_CODE_PATH, ...modules.codePath };
+    }
+  }
+}
+
+/**
+ * Module bytes as the generator builds them, for build-wasm.js and
+ * dumpWat(). The SIMD module is built on the default code path, which
+ * every engine with SIMD runs, unless another path is given.
+ *
+ * @param {{ rotations?: string, loads?: string }} [path] - code path of
+ *        the SIMD module; missing fields default to the plain SIMD path.
+ *        Unknown names throw, as in setCodePath()
+ * @returns {{
+ *   simd: Uint8Array, scalar: Uint8Array,
+ *   codePath: { rotations: string, loads: string }
+ * }}
+ */
+function getWasmModuleBytes(path) {
+  const codePath = { ...DEFAULT_CODE_PATH, ...path };
+  // Bytes only: relaxed SIMD need not run here, but names must be known
+  const reason = codePathUnsupported(codePath, { relaxedSimd: true });
+  if (reason !== null) {
+    throw new Error(reason);
+  }
+  return {
+    simd: generateWasmModule(codePath),
+    scalar: generateScalarWasmModule(),
+    codePath
+  };
+}
+
+/**
+ * Compiles the modules embedded in blake3-turbo-wasm.js (written by
+ * build-wasm.js) instead of generating them at run time:
+ *
+ *   import { PRECOMPILED_WASM } from './blake3-turbo-wasm.js';
+ *   usePrecompiledWasm(PRECOMPILED_WASM);
+ *
+ * The BLAKE3 checksum of each module is always checked. With verify,
+ * the bytes are also compared with what this version of the generator
+ * produces, which catches a stale blake3-turbo-wasm.js (e.g. in CI).
+ * Backends already instantiated keep their module.
+ *
+ * @param {{
+ *   codePath: { rotations: string, loads: string },
+ *   simd: string, scalar: string,
+ *   checksums: { simd: string, scalar: string }
+ * }} precompiled - base64 module bytes and their BLAKE3 hex checksums
+ * @param {{ verify?: boolean }} [options]
+ */
+function usePrecompiledWasm(precompiled, options) {
+  const generated = options !== undefined && options.verify ? getWasmModuleBytes() : null;
+  const codePath = { ...DEFAULT_CODE_PATH, ...precompiled.codePath };
+  if (generated !== null &&
+      (codePath.rotations !== generated.codePath.rotations || codePath.loads !== generated.codePath.loads)) {
+    throw new Error('Precompiled WASM is out of date: rebuild it with build-wasm.js');
+  }
+  const modules = [];
+  for (const [backend, name] of [['wasm-simd', 'simd'], ['wasm-scalar', 'scalar']]) {
+    const bytes = parseDigest(precompiled[name], 'base64');
+    // JS backend: hashing these bytes must not compile anything
+    if (toHex(blake3Fallback(bytes, IV, 0, 32)) !== precompiled.checksums[name]) {
+      throw new Error(`Precompiled WASM is corrupted: ${backend} checksum mismatch`);
+    }
+    if (generated !== null && !equal(bytes, generated[name])) {
+      throw new Error('Precompiled WASM is out of date: rebuild it with build-wasm.js');
+    }
+    modules.push([backend, bytes]);
+  }
+  for (const [backend, bytes] of modules) {
+    if (wasmInstances.has(backend)) {
+      continue;
+    }
+    precompiledBytes.set(backend, bytes);
+    wasmModules.delete(backend);
+    if (backend === 'wasm-simd') {
+      getWasmFeatures();
+      wasmCodePath = codePath;
+    }
+  }
+}
+
+/**
+ * Active hashing backend. Reports state only: before the first hash large
+ * enough for WASM (or ready()) no backend is picked yet and this is 'js'
+ * — getBackendInfo().initialized tells the two apart.
+ *
+ * @returns {string} - 'wasm-simd', 'wasm-scalar' (WASM without SIMD) or 'js'
+ */
+function getBackend() {
+  return wasmBackend;
+}
+
+/**
+ * Active backend, feature probes and size thresholds of the hashing
+ * paths, e.g. for bug reports or for A/B comparisons in production.
+ * Compiles nothing: initialized is false until a backend is picked.
+ *
+ * @returns {{
+ *   backend: string, requested: string, initialized: boolean,
+ *   features: { wasm: boolean, simd: boolean, relaxedSimd: boolean },
+ *   codePath: { rotations: string, loads: string }|null,
+ *   thresholds: Object<string, number>
+ * }}
+ */
+function getBackendInfo() {
+  return {
+    backend: wasmBackend,
+    requested: requestedBackend,
+    initialized: wasmInitialized,
+    features: { ...getWasmFeatures() },
+    codePath: getCodePath(),
+    thresholds: {
+      simdMinLength: WASM_SIMD_MIN_LEN,          // SIMD chunk batches from here
+      scalarMinLength: WASM_SCALAR_MIN_LEN,      // scalar WASM from here
+      subtreeLength: CHUNK_LEN * SIMD_SUBTREE_CHUNKS,
+      windowSize: wasmWindowSubtrees * CHUNK_LEN * SIMD_SUBTREE_CHUNKS,
+      manyLaneMaxLength: MANY_LANE_MAX_LEN,      // hashMany() lanes up to here
+      parallelMinLength: PARALLEL_MIN_LEN        // hashParallel() workers from here
+    }
+  };
+}
+
+/**
+ * Code path of the active SIMD module (see CODE_PATHS).
+ *
+ * @returns {{ rotations: string, loads: string }|null} - null while the
+ *          SIMD backend is not active
+ */
+function getCodePath() {
+  return wasmSupported ? { ...wasmCodePath } : null;
+}
+
+/**
+ * Rebuilds the SIMD module with another code path, e.g. to compare
+ * paths or to rule one out while chasing a bug. Hashes don't depend on
+ * the path, only speed does.
+ *
+ * @param {{ rotations?: string, loads?: string }} path - missing fields
+ *        default to the plain SIMD path
+ */
+function setCodePath(path) {
+  const fullPath = { ...DEFAULT_CODE_PATH, ...path };
+  const features = getWasmFeatures();
+  const reason = codePathUnsupported(fullPath, features);
+  if (reason !== null) {
+    throw new Error(reason);
+  }
+  if (!features.simd) {
+    throw new Error('WASM SIMD is not supported by this engine');
+  }
+  const previousPath = wasmCodePath;
+  const previousBytes = precompiledBytes.get('wasm-simd');
+  const previousModule = wasmModules.get('wasm-simd');
+  const previousInstance = wasmInstances.get('wasm-simd');
+  wasmCodePath = fullPath;
+  precompiledBytes.delete('wasm-simd');
+  wasmModules.delete('wasm-simd');
+  wasmInstances.delete('wasm-simd');
+  let instance;
+  try {
+    instance = instantiateBackend('wasm-simd');
+  } catch (e) {
+    wasmCodePath = previousPath;
+    if (previousBytes !== undefined) {
+      precompiledBytes.set('wasm-simd', previousBytes);
+    }
+    if (previousModule !== undefined) {
+      wasmModules.set('wasm-simd', previousModule);
+    }
+    if (previousInstance !== undefined) {
+      wasmInstances.set('wasm-simd', previousInstance);
+    }
+    throw e;
+  }
+  if (wasmBackend === 'wasm-simd') {
+    bindWasmExports(instance, 'wasm-simd');
+  }
+}
+
+// ============================================================================
+// WASM MEMORY FUNCTIONS
+// ============================================================================
+
+/**
+ * Writes CV and parameters for 4 parallel compress operations.
+ */
+function writeCVAndParams(cvs, counters, blockLen, flags) {
+  // cvs = [[cv0], [cv1], [cv2], [cv3]] — 4 arrays of 8 words each
+  // counters = [counter0, counter1, counter2, counter3]
+  
+  // CV: addresses 0x100-0x17F (8 × v128)
+  for (let i = 0; i < 8; i++) {
+    const memAddr = 0x100 + i * 16;
+    for (let chunk = 0; chunk < 4; chunk++) {
+      wasmMemoryU32[(memAddr >> 2) + chunk] = cvs[chunk][i];
+    }
+  }
+  
+  // counter_lo: address 0x180
+  for (let chunk = 0; chunk < 4; chunk++) {
+    wasmMemoryU32[(0x180 >> 2) + chunk] = counters[chunk] | 0;
+  }
+  
+  // counter_hi: address 0x190
+  for (let chunk = 0; chunk < 4; chunk++) {
+    wasmMemoryU32[(0x190 >> 2) + chunk] = (counters[chunk] / 0x100000000) | 0;
+  }
+  
+  // blockLen: address 0x1A0
+  for (let chunk = 0; chunk < 4; chunk++) {
+    wasmMemoryU32[(0x1A0 >> 2) + chunk] = blockLen;
+  }
+  
+  // flags: address 0x1B0
+  for (let chunk = 0; chunk < 4; chunk++) {
+    wasmMemoryU32[(0x1B0 >> 2) + chunk] = flags[chunk];
+  }
+}
+
+/**
+ * Writes the same message block to all 4 lanes.
+ * Used for XOF: 4 output blocks of one root node differ only in counter.
+ */
+function writeBroadcastBlock(words, wordsOffset) {
+  for (let word = 0; word < 16; word++) {
+    const w = words[wordsOffset + word];
+    const memIndex = word * 4;
+    wasmMemoryU32[memIndex] = w;
+    wasmMemoryU32[memIndex + 1] = w;
+    wasmMemoryU32[memIndex + 2] = w;
+    wasmMemoryU32[memIndex + 3] = w;
+  }
+}
+
+/**
+ * Reads compress4xFull results: 4 × 16 words.
+ * out[lane * 16 + word] — lane-major, i.e. 4 consecutive output blocks.
+ */
+function readFullResults(out) {
+  // Results at addresses 0x200-0x2FF (16 × v128)
+  for (let i = 0; i < 16; i++) {
+    const memIndex = (0x200 >> 2) + i * 4;
+    for (let lane = 0; lane < 4; lane++) {
+      out[lane * 16 + i] = wasmMemoryU32[memIndex + lane];
+    }
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════
+// GLOBAL REUSABLE PRE-ALLOCATED BUFFERS
+// Global buffers (created once when the module loads)
+// No allocations in blake3() function and hot loop
+// ═══════════════════════════════════════════════════════════════════════
+
+// Buffer for current CV (8 words) and message block (16 words)
+// Combined into one array for better locality
+const globalWorkBuffer = new Uint32Array(8 + 16);  // cv[0..7] + block[0..15]
+const globalWorkBytes = new Uint8Array(globalWorkBuffer.buffer);
+
+// Full 16-word output of a root compression (XOF output block)
+const globalXofBuffer = new Uint32Array(16);
+const globalXofBytes = new Uint8Array(globalXofBuffer.buffer);
+
+// 4 consecutive XOF output blocks from compress4xFull (4 × 16 words)
+const globalXof4Buffer = new Uint32Array(64);
+const globalXof4Bytes = new Uint8Array(globalXof4Buffer.buffer);
+
+// Cached CV stack — grows when needed, but never shrinks
+let globalCvStack = null;
+
+// CVs of the up to 16 chunks processed in parallel by processChunksSimd()
+const simdCVs = Array.from({ length: 16 }, () => new Uint32Array(8));
+
+
+/**
+ * Get a CV stack of the required size.
+ * Reuses the existing one if it's large enough.
+ * 
+ * @param {number} inputLength - input length for calculating tree depth
+ * @returns {Uint32Array} - Stack of sufficient size
+ */
+function getCvStack(inputLength) {
+  // Maximum tree depth: log2(max_chunks)
+  const maxDepth = Math.log2(1 + Math.ceil(inputLength / 1024)) + 1;
+  // Minimum 54 levels — covers files up to 2^54 chunks long
+  const depth = Math.max(maxDepth, 54);
+  const length = depth * 8;
+  
+  if (globalCvStack === null || globalCvStack.length < length) {
+    // Create new only if the old one is too small
+    globalCvStack = new Uint32Array(length);
+  }
+  
+  return globalCvStack;
+}
+
+
+// ============================================================================
+// COMPRESSION FUNCTION
+// ============================================================================
+
+/**
+ * Compression function - the core cryptographic operation of BLAKE3.
+ * 
+ * BLAKE3 compression function with in-place result writing and
+ * register-based state storage.
+ * 
+ * Instead of using Uint32Array for state (which requires memory access),
+ * we use 16 local variables s_0...s_15 that the JIT compiler
+ * can place directly in CPU registers.
+ * 
+ * This eliminates:
+ * - 448 array writes per compress() call
+ * - 1008 array reads per compress() call
+ * - Bounds checking overhead
+ * - Memory indirection
+ * 
+ * The G-function is fully inlined with hardcoded indices.
+ * Code is generated via metaprogramming (see generator in comments).
  * 
  * ═══════════════════════════════════════════════════════════════════════════
  * INITIAL STATE STRUCTURE (16 words = 512 bits)
@@ -1096,67 +2682,406 @@ function readLittleEndianWordsPartial(array, offset, length, words, wordsOffset)
 }
 
 // ============================================================================
-// MAIN FUNCTION WITH SIMD
+// ROOT OUTPUT (XOF)
 // ============================================================================
 
 /**
- * Processes 4 chunks in parallel via WASM SIMD.
- * 
- * @param {Uint8Array} input - input data
- * @param {number} baseOffset - starting offset
- * @param {number} baseChunkCounter - initial chunk counter
- * @returns {Array} - 4 CVs (each is Uint32Array[8])
- */
-function process4ChunksSimd(input, baseOffset, baseChunkCounter) {
-  const offsets = [
-    baseOffset,
-    baseOffset + CHUNK_LEN,
-    baseOffset + CHUNK_LEN * 2,
-    baseOffset + CHUNK_LEN * 3
-  ];
-  
-  const counters = [
-    baseChunkCounter,
-    baseChunkCounter + 1,
-    baseChunkCounter + 2,
-    baseChunkCounter + 3
-  ];
-  
-  // Initialize CV = IV for all 4 chunks
-  for (let c = 0; c < 4; c++) {
-    simdCVs[c].set(IV);
-  }
-  
-  // 16 blocks per chunk
-  for (let block = 0; block < 16; block++) {
-    // Write transposed block
-    writeTransposedBlock(input, offsets, block);
-    
-    // Determine flags
-    const flags = [];
-    for (let c = 0; c < 4; c++) {
-      let f = 0;
-      if (block === 0) f |= CHUNK_START;
-      if (block === 15) f |= CHUNK_END;
-      flags.push(f);
-    }
-    
-    // Write CV and parameters
-    writeCVAndParams(simdCVs, counters, BLOCK_LEN, flags);
-    
-    // Call SIMD compress
-    wasmCompress4x();
-    
-    // Read results back into simdCVs
-    readResults(simdCVs);
-  }
-  
-  // Return copies of CVs
-  return simdCVs.map(cv => new Uint32Array(cv));
-}
+ * outLen value for the hashing functions: return an OutputReader
+ * positioned at 0 instead of a fixed number of bytes.
+ */
+const OUTPUT_READER = -1;
 
-// ============================================================================
-// MAIN FUNCTION 
+/**
+ * Produces the final output from the root node.
+ *
+ * The root node is the last compression of the tree (a chunk's final block
+ * or the topmost parent). Instead of compressing it once, BLAKE3 can
+ * compress it again and again with an incrementing output block counter:
+ * each compression gives 64 bytes of output (all 16 words, not truncated).
+ *
+ *   counter 0 → bytes [0..63]
+ *   counter 1 → bytes [64..127]
+ *   ...
+ *
+ * For the default 32-byte output a single truncated compression
+ * is enough. The result is always copied out of globalWorkBuffer:
+ * into a new array (owned by the caller), or into `out` (hashInto).
+ *
+ * @param {Uint32Array} cv        - root CV
+ * @param {number}      cvOffset  - CV offset in array
+ * @param {Uint32Array} m         - root message block
+ * @param {number}      mOffset   - block offset in array
+ * @param {number}      blockLen  - root block length in bytes
+ * @param {number}      flags     - root flags (ROOT included)
+ * @param {number}      outLen    - output length in bytes, or OUTPUT_READER
+ * @param {Uint8Array|null} [out=null] - destination of a 32-byte output
+ * @param {number}      [outOffset=0]  - write offset in out
+ * @returns {Uint8Array|OutputReader} - output (outLen bytes) or reader
+ */
+function rootOutput(cv, cvOffset, m, mOffset, blockLen, flags, outLen, out = null, outOffset = 0) {
+  if (outLen === 32) {
+    compress(
+      cv, cvOffset,
+      m, mOffset,
+      globalWorkBuffer, 0,
+      true,
+      0, blockLen, flags
+    );
+    if (out === null) {
+      out = new Uint8Array(32);
+      outOffset = 0;
+    }
+    copyOutputBytes(globalWorkBuffer, globalWorkBytes, 0, out, outOffset, 32);
+    return out;
+  }
+
+  const reader = new OutputReader(cv, cvOffset, m, mOffset, blockLen, flags);
+  if (outLen === OUTPUT_READER) {
+    return reader;
+  }
+  return reader.read(new Uint8Array(outLen));
+}
+
+/**
+ * Copies output bytes of little-endian words into dest.
+ *
+ * @param {Uint32Array} words    - output words
+ * @param {Uint8Array}  bytes    - byte view of the same buffer (native order)
+ * @param {number}      start    - first byte to copy
+ * @param {Uint8Array}  dest     - destination
+ * @param {number}      destPos  - write position in dest
+ * @param {number}      count    - number of bytes
+ */
+function copyOutputBytes(words, bytes, start, dest, destPos, count) {
+  if (!IsBigEndian) {
+    dest.set(bytes.subarray(start, start + count), destPos);
+  } else {
+    for (let i = start, end = start + count; i < end; ++i) {
+      dest[destPos++] = words[i >> 2] >>> ((i & 3) << 3);
+    }
+  }
+}
+
+/**
+ * Seekable reader of the extendable output (XOF).
+ *
+ * Keeps the root node (CV, block, block length, flags) rather than
+ * output bytes, so any part of the output stream is computed on demand:
+ * byte N lives in the output block with counter floor(N / 64).
+ * Seeking is free — nothing before the position is generated.
+ *
+ * With WASM SIMD, 4 consecutive output blocks are produced per
+ * compress4xFull call (same root node in every lane, counters c..c+3).
+ *
+ *   const reader = finalizeXof(data);
+ *   reader.read(first64);          // bytes [0..63]
+ *   reader.seek(1 << 20);
+ *   reader.read(chunk);            // bytes [1 MiB ..]
+ */
+class OutputReader {
+  /**
+   * @param {Uint32Array} cv        - root CV
+   * @param {number}      cvOffset  - CV offset in array
+   * @param {Uint32Array} m         - root message block
+   * @param {number}      mOffset   - block offset in array
+   * @param {number}      blockLen  - root block length in bytes
+   * @param {number}      flags     - root flags (ROOT included)
+   */
+  constructor(cv, cvOffset, m, mOffset, blockLen, flags) {
+    // Copies: cv and m usually live in the shared global buffers
+    this.cv = cv.slice(cvOffset, cvOffset + 8);
+    this.block = m.slice(mOffset, mOffset + 16);
+    this.blockLen = blockLen;
+    this.flags = flags;
+    this._position = 0;
+
+    // Per-reader lane arrays for writeCVAndParams()
+    this._cvs = [this.cv, this.cv, this.cv, this.cv];
+    this._counters = [0, 0, 0, 0];
+    this._flags = [flags, flags, flags, flags];
+  }
+
+  /**
+   * Current byte offset in the output stream.
+   * @returns {number}
+   */
+  get position() {
+    return this._position;
+  }
+
+  /**
+   * Moves to an absolute byte offset in the output stream.
+   *
+   * @param {number} byteOffset - new position
+   * @returns {OutputReader} - this
+   */
+  seek(byteOffset) {
+    if (!Number.isSafeInteger(byteOffset) || byteOffset < 0) {
+      throw new RangeError('Position must be a non-negative safe integer');
+    }
+    this._position = byteOffset;
+    return this;
+  }
+
+  /**
+   * Fills dest with output bytes starting at the current position,
+   * and advances the position by dest.length.
+   *
+   * @param {Uint8Array} dest - destination buffer
+   * @returns {Uint8Array} - dest
+   */
+  read(dest) {
+    if (!(dest instanceof Uint8Array)) {
+      throw new Error('Destination must be Uint8Array');
+    }
+
+    const length = dest.length;
+    let pos = 0;
+    if (length >= WASM_SIMD_MIN_LEN) {
+      ensureWasm();
+    }
+
+    while (pos < length) {
+      const counter = Math.floor(this._position / BLOCK_LEN);
+      const skip = this._position - counter * BLOCK_LEN;
+      let take;
+
+      if (wasmSupported && skip + (length - pos) > BLOCK_LEN) {
+        // 2+ output blocks needed — 4 blocks per SIMD call
+        take = Math.min(BLOCK_LEN * 4 - skip, length - pos);
+        this._compress4(counter);
+        copyOutputBytes(globalXof4Buffer, globalXof4Bytes, skip, dest, pos, take);
+      } else {
+        take = Math.min(BLOCK_LEN - skip, length - pos);
+        compress(
+          this.cv, 0,
+          this.block, 0,
+          globalXofBuffer, 0,
+          false,                  // all 16 words
+          counter, this.blockLen, this.flags
+        );
+        copyOutputBytes(globalXofBuffer, globalXofBytes, skip, dest, pos, take);
+      }
+
+      pos += take;
+      this._position += take;
+    }
+
+    return dest;
+  }
+
+  /**
+   * Output blocks counter..counter+3 → globalXof4Buffer.
+   */
+  _compress4(counter) {
+    const counters = this._counters;
+    counters[0] = counter;
+    counters[1] = counter + 1;
+    counters[2] = counter + 2;
+    counters[3] = counter + 3;
+
+    writeBroadcastBlock(this.block, 0);
+    writeCVAndParams(this._cvs, counters, this.blockLen, this._flags);
+    wasmCompress4xFull();
+    readFullResults(globalXof4Buffer);
+  }
+}
+
+// ============================================================================
+// MAIN FUNCTION WITH SIMD
+// ============================================================================
+
+/**
+ * Widest chunk batch of processChunksSimd() that fits in chunkCount
+ * chunks: 16, 8 or 4, or 0 if fewer than 4 are left.
+ *
+ * @param {number} chunkCount - full chunks available
+ * @returns {number}
+ */
+function simdBatchChunks(chunkCount) {
+  return chunkCount >= 16 ? 16 : chunkCount >= 8 ? 8 : chunkCount >= 4 ? 4 : 0;
+}
+
+/**
+ * Processes 4, 8 or 16 chunks in parallel via WASM SIMD.
+ *
+ * One compressChunks4x / 8x / 16x call per batch: the raw input is
+ * copied into WASM memory as is — transposition and all 16 blocks happen
+ * inside WASM. The 8- and 16-chunk variants interleave 2 and 4 register
+ * sets of 4 lanes, so each call has more independent work in flight.
+ * 
+ * @param {Uint8Array} input - input data
+ * @param {number} baseOffset - starting offset
+ * @param {number} baseChunkCounter - initial chunk counter
+ * @param {Uint32Array} keyWords - initial CV of each chunk (IV or key)
+ * @param {number} baseFlags - mode flags (0, KEYED_HASH, ...)
+ * @param {number} [chunks=4] - batch size: 4, 8 or 16
+ * @returns {Array} - CVs of the batch (each is Uint32Array[8]); reused by
+ *                    the next call, callers copy them out immediately
+ */
+function processChunksSimd(input, baseOffset, baseChunkCounter, keyWords, baseFlags, chunks = 4) {
+  const mem = wasmMemoryU32;
+  
+  // Raw input: 4-16 chunks → 0x1000
+  wasmMemoryView.set(input.subarray(baseOffset, baseOffset + CHUNK_LEN * chunks), 0x1000);
+  
+  // CV = key words (IV in plain hashing mode) in all 4 lanes: 0x100
+  for (let i = 0; i < 8; i++) {
+    const w = keyWords[i];
+    const memIndex = (0x100 >> 2) + i * 4;
+    mem[memIndex] = w;
+    mem[memIndex + 1] = w;
+    mem[memIndex + 2] = w;
+    mem[memIndex + 3] = w;
+  }
+  
+  // Chunk counters of set s (chunks 4s..4s+3): 0x300 + s*32 (low),
+  // +16 (high); base flags: 0x1B0
+  for (let c = 0; c < chunks; c++) {
+    const counter = baseChunkCounter + c;
+    const memIndex = (0x300 >> 2) + (c >> 2) * 8 + (c & 3);
+    mem[memIndex] = counter | 0;
+    mem[memIndex + 4] = (counter / 0x100000000) | 0;
+  }
+  mem[0x1B0 >> 2] = baseFlags;
+  mem[0x1C8 >> 2] = 0x1000;
+  
+  if (chunks === 16) {
+    wasmCompressChunks16x();
+  } else if (chunks === 8) {
+    wasmCompressChunks8x();
+  } else {
+    wasmCompressChunks4x();
+  }
+  
+  // Results: set s at 0x400 + s*128, word i of 4 lanes per row
+  for (let c = 0; c < chunks; c++) {
+    const cv = simdCVs[c];
+    const base = (0x400 >> 2) + (c >> 2) * 32 + (c & 3);
+    for (let i = 0; i < 8; i++) {
+      cv[i] = mem[base + i * 4];
+    }
+  }
+  return simdCVs;
+}
+
+/**
+ * Chunks per subtree of processSubtreesWasm(): the tree level buffer in
+ * WASM memory (0x5000-0x57FF) holds 64 CVs.
+ */
+const SIMD_SUBTREE_CHUNKS = 64;
+
+// Shortest inputs blake3Internal() hashes in WASM: SIMD needs one batch of
+// 4 chunks, scalar WASM one whole subtree before the last chunk
+const WASM_SIMD_MIN_LEN = CHUNK_LEN * 4;
+const WASM_SCALAR_MIN_LEN = CHUNK_LEN * (SIMD_SUBTREE_CHUNKS + 1);
+
+/**
+ * Computes the CVs of consecutive complete 64-chunk subtrees in WASM.
+ *
+ * The input is copied into the WASM window with one Uint8Array.set(),
+ * then a single compressWindow call does all chunks (compressChunks16x)
+ * and parent levels (compressParents4x) of every subtree — or, with the
+ * scalar backend, the same work one block at a time. The subtrees
+ * are never the root: all nodes are plain CHUNK / PARENT compressions.
+ *
+ * @param {Uint8Array}  input            - input data
+ * @param {number}      baseOffset       - start of the first subtree in input
+ * @param {number}      baseChunkCounter - index of the first chunk
+ * @param {number}      count            - subtrees, 1 to wasmWindowSubtrees
+ * @param {Uint32Array} keyWords         - key words (IV or key)
+ * @param {number}      flags            - mode flags
+ * @returns {number} - index in wasmMemoryU32 of the first CV (8 words
+ *                     per subtree); valid until the next WASM call
+ */
+function processSubtreesWasm(input, baseOffset, baseChunkCounter, count, keyWords, flags) {
+  ensureWasmWindow(count);
+  const mem = wasmMemoryU32;
+  
+  // Raw input: count × 64 KB → window at 0x10000
+  wasmMemoryView.set(
+    input.subarray(baseOffset, baseOffset + count * CHUNK_LEN * SIMD_SUBTREE_CHUNKS),
+    0x10000
+  );
+  
+  // Key words in all 4 lanes: 0x100
+  for (let i = 0; i < 8; i++) {
+    const w = keyWords[i];
+    const memIndex = (0x100 >> 2) + i * 4;
+    mem[memIndex] = w;
+    mem[memIndex + 1] = w;
+    mem[memIndex + 2] = w;
+    mem[memIndex + 3] = w;
+  }
+  mem[0x1B0 >> 2] = flags;
+  mem[0x1C4 >> 2] = count;
+  mem[0x1D0 >> 2] = baseChunkCounter | 0;
+  mem[0x1D4 >> 2] = (baseChunkCounter / 0x100000000) | 0;
+  
+  wasmCompressWindow();
+  return 0x6000 >> 2;
+}
+
+// ============================================================================
+// INPUT NORMALIZATION
+// ============================================================================
+
+// Shared UTF-8 encoder (stateless, safe to reuse)
+const textEncoder = new TextEncoder();
+
+// Scratch buffer for UTF-8 encoding of short strings.
+// Valid only until the next toBytes() call: every caller consumes the
+// bytes synchronously (hashes them or copies them into its own buffer).
+const STRING_SCRATCH_LEN = 16384;
+const stringScratch = new Uint8Array(STRING_SCRATCH_LEN);
+
+/**
+ * Input accepted by every hashing function.
+ * @typedef {string|ArrayBuffer|SharedArrayBuffer|ArrayBufferView} HashInput
+ */
+
+/**
+ * Converts any supported input into a Uint8Array over the same bytes.
+ *
+ * - Uint8Array (and Node Buffer)     → returned as is
+ * - other typed arrays, DataView     → Uint8Array view of the exact byte
+ *                                      range (byteOffset..+byteLength), no copy
+ * - ArrayBuffer, SharedArrayBuffer   → Uint8Array view of the whole buffer
+ * - string                           → UTF-8 bytes
+ *
+ * Views keep the byteOffset of the original, so 4-byte aligned inputs
+ * still get the direct Uint32Array view in the hashing loops.
+ *
+ * Strings that fit the scratch buffer even in the worst case (3 bytes
+ * per UTF-16 code unit) are encoded with encodeInto() — no allocation.
+ * Longer strings are encoded into a new array exactly once.
+ *
+ * @param {HashInput} input - input data
+ * @returns {Uint8Array} - input bytes
+ */
+function toBytes(input) {
+  if (input instanceof Uint8Array) {
+    return input;
+  }
+  if (typeof input === 'string') {
+    if (input.length * 3 <= STRING_SCRATCH_LEN) {
+      const { written } = textEncoder.encodeInto(input, stringScratch);
+      return stringScratch.subarray(0, written);
+    }
+    return textEncoder.encode(input);
+  }
+  if (ArrayBuffer.isView(input)) {
+    return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+  }
+  if (input instanceof ArrayBuffer ||
+      (typeof SharedArrayBuffer !== 'undefined' && input instanceof SharedArrayBuffer)) {
+    return new Uint8Array(input);
+  }
+  throw new Error('Input must be a string, ArrayBuffer or ArrayBufferView (Uint8Array, Buffer, DataView, ...)');
+}
+
+// ============================================================================
+// MAIN FUNCTION 
 // BLAKE3 hash using WASM SIMD
 // ============================================================================
 
@@ -1190,17 +3115,20 @@ function process4ChunksSimd(input, baseOffset, baseChunkCounter) {
  *      |     |    |     |
  *   Chunk0 Chunk1 Chunk2 Chunk3
  * 
- * @param {Uint8Array} input - input data
- * @returns {Uint8Array} - hash (32 bytes)
+ * @param {HashInput} input - input data
+ * @param {Uint32Array} keyWords - initial CV of every chunk and parent (IV or key)
+ * @param {number} flags - mode flags (0, KEYED_HASH or DERIVE_KEY_*)
+ * @param {number} outLen - output length in bytes (32 by default, any for XOF)
+ *                          or OUTPUT_READER
+ * @param {Uint8Array|null} [out=null] - destination of a 32-byte hash (hashInto)
+ * @param {number} [outOffset=0] - write offset in out
+ * @returns {Uint8Array|OutputReader} - hash (outLen bytes) or XOF reader
  */
-function blake3(input) {
-  // Input type validation
-  if (!(input instanceof Uint8Array)) {
-    throw new Error('Input must be Uint8Array');
-  }
+function blake3Internal(input, keyWords, flags, outLen, out = null, outOffset = 0) {
+  // Input type normalization (strings, ArrayBuffer, any typed array)
+  input = toBytes(input);
 
   // Initialization
-  const flags = 0;                    // Base flags (can add KEYED_HASH etc.)
   const length = input.length;
   
   
@@ -1219,9 +3147,15 @@ function blake3(input) {
   // For data >= 4 KB:
   //   - SIMD processes 4 chunks in parallel
   //   - Parallelism gains outweigh the overhead
+  //
+  // Scalar WASM (no SIMD) only takes whole 64-chunk subtrees (STAGE 0)
   // ═══════════════════════════════════════════════════════════════════════
-  if (!wasmSupported || length < CHUNK_LEN * 4) {
-    return blake3Fallback(input);
+  if (length >= WASM_SIMD_MIN_LEN) {
+    ensureWasm();
+  }
+  const wasmMinLength = wasmSupported ? WASM_SIMD_MIN_LEN : WASM_SCALAR_MIN_LEN;
+  if (wasmBackend === 'js' || length < wasmMinLength) {
+    return blake3Fallback(input, keyWords, flags, outLen, out, outOffset);
   }
   
 
@@ -1243,8 +3177,8 @@ function blake3(input) {
   const CV_OFFSET = 0;
   const BLOCK_OFFSET = 8;
 
-  // Initialize CV = IV
-  workBuffer.set(IV, CV_OFFSET);
+  // Initialize CV = key words (IV in plain hashing mode)
+  workBuffer.set(keyWords, CV_OFFSET);
 
   let chunkCounter = 0;               // Counter of processed chunks
   let offset = 0;                     // Current position in input data
@@ -1253,29 +3187,55 @@ function blake3(input) {
   // Calculate boundaries for different stages
   // ═══════════════════════════════════════════════════════════════════════
   
-  // How many full groups of 4 chunks? (for SIMD)
-  const fullGroups = Math.floor(length / (CHUNK_LEN * 4));
-  const simdEnd = fullGroups * CHUNK_LEN * 4;
-  
   // How many full chunks total?
   let take = length - (length % CHUNK_LEN);
   if (take === length && length > 0) {
     take -= CHUNK_LEN;
   }
   
+  // How many complete 64-chunk subtrees? (chunks and parents in WASM)
+  const fullSubtrees = Math.floor(take / (CHUNK_LEN * SIMD_SUBTREE_CHUNKS));
+  
+  // How many full groups of 4 chunks? (for SIMD)
+  // Counted within `take`: the last chunk is always finalized in STAGE 2/3
+  const fullGroups = wasmSupported ? Math.floor(take / (CHUNK_LEN * 4)) : 0;
+  const simdEnd = fullGroups * CHUNK_LEN * 4;
+  
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // STAGE 0: Complete 64-chunk subtrees in WASM, parents included,
+  // one WASM window (1 MB by default) per call
+  // ═══════════════════════════════════════════════════════════════════════
+  //
+  // All subtrees have the same size, so the merge rule of the CV stack
+  // works in units of subtrees exactly as in units of chunks — and the
+  // chunk-level stages below continue on the same stack.
+  // ═══════════════════════════════════════════════════════════════════════
+  
+  for (let subtree = 0; subtree < fullSubtrees; ) {
+    const count = Math.min(fullSubtrees - subtree, wasmWindowSubtrees);
+    const cvIndex = processSubtreesWasm(input, offset, chunkCounter, count, keyWords, flags);
+    const cvs = wasmMemoryU32;
+    for (let k = 0; k < count; k++) {
+      cvStackPos = pushChunkCv(cvStack, cvStackPos, cvs, cvIndex + k * 8, ++subtree, keyWords, flags);
+    }
+    offset += count * CHUNK_LEN * SIMD_SUBTREE_CHUNKS;
+    chunkCounter += count * SIMD_SUBTREE_CHUNKS;
+  }
 
   // ═══════════════════════════════════════════════════════════════════════
   // STAGE 1a: Processing full groups of 4 chunks (4*1024 bytes = 4*16 blocks)
-  // via SIMD
+  // via SIMD, 16 or 8 chunks per call while they fit
   // ═══════════════════════════════════════════════════════════════════════
   
-  for (; offset < simdEnd; offset += CHUNK_LEN * 4, chunkCounter += 4) {
-    // Process 4 chunks in parallel
-    const cvResults = process4ChunksSimd(input, offset, chunkCounter);
+  for (let batch; offset < simdEnd; offset += CHUNK_LEN * batch, chunkCounter += batch) {
+    // Process 4, 8 or 16 chunks in parallel
+    batch = simdBatchChunks((simdEnd - offset) / CHUNK_LEN);
+    const cvResults = processChunksSimd(input, offset, chunkCounter, keyWords, flags, batch);
 
-    // Process 4 chunk groups
+    // Process chunk groups
     // Push CV to stack. Add chunk result to stack
-    for (let c = 0; c < 4; c++) {
+    for (let c = 0; c < batch; c++) {
       cvStack.set(cvResults[c], cvStackPos);
       cvStackPos += 8;
       
@@ -1290,7 +3250,7 @@ function blake3(input) {
         // Compress with PARENT flag
         // Two CVs already lie adjacent in cvStack — use as blockWords!
         compress(
-          IV, 0,                  // cv = IV (for parent node)
+          keyWords, 0,            // cv = key words (for parent node)
           cvStack, cvStackPos,    // message = two CVs, already adjacent!
           cvStack, cvStackPos,    // out = write result back to CV
           true,                   // truncate = only need 8 words
@@ -1310,7 +3270,7 @@ function blake3(input) {
   // ═══════════════════════════════════════════════════════════════════════
   
   for (; offset < take; ) {
-    workBuffer.set(IV, CV_OFFSET);
+    workBuffer.set(keyWords, CV_OFFSET);
 
     for (let i = 0; i < 16; ++i, offset += 64) {
       if (!canUseDirectView) {
@@ -1337,7 +3297,7 @@ function blake3(input) {
     while ((totalChunks & 1) === 0) {
       cvStackPos -= 16;
       compress(
-        IV, 0,
+        keyWords, 0,
         cvStack, cvStackPos,
         cvStack, cvStackPos,
         true,
@@ -1356,7 +3316,7 @@ function blake3(input) {
   const remainingBytes = length - take;
   const fullBlocks = remainingBytes > 0 ? ((remainingBytes - 1) / 64) | 0 : 0;
 
-  workBuffer.set(IV, CV_OFFSET);
+  workBuffer.set(keyWords, CV_OFFSET);
 
   // Process full blocks of the last chunk
   for (let i = 0; i < fullBlocks; ++i, offset += 64) {
@@ -1392,14 +3352,12 @@ function blake3(input) {
     // Special case: all data fits in one chunk
     // Final block is also the tree root
     // All data in one chunk — compute ROOT directly
-    compress(
+    return rootOutput(
       workBuffer, CV_OFFSET,
       workBuffer, BLOCK_OFFSET,
-      workBuffer, CV_OFFSET,
-      true,
-      chunkCounter,
       lastBlockLen,
-      flags | ROOT | CHUNK_END | (fullBlocks === 0 ? CHUNK_START : 0)
+      flags | ROOT | CHUNK_END | (fullBlocks === 0 ? CHUNK_START : 0),
+      outLen, out, outOffset
     );
   } else {
     // General case: need to build Merkle tree
@@ -1420,7 +3378,7 @@ function blake3(input) {
     while (cvStackPos > 16) {
       cvStackPos -= 16;
       compress(
-        IV, 0,
+        keyWords, 0,
         cvStack, cvStackPos,
         cvStack, cvStackPos,
         true,
@@ -1433,31 +3391,35 @@ function blake3(input) {
 
     // Final merge with ROOT flag
     cvStackPos -= 16;
-    compress(
-      IV, 0,
+    return rootOutput(
+      keyWords, 0,
       cvStack, cvStackPos,
-      workBuffer, CV_OFFSET,  // Result in workBuffer
-      true,
-      0,
       BLOCK_LEN,
-      flags | PARENT | ROOT
+      flags | PARENT | ROOT,
+      outLen, out, outOffset
     );
   }
-  // Return first 32 bytes (256 bits) as hash
-  return new Uint8Array(workBuffer.buffer, CV_OFFSET * 4, 32);
 }
 
 /**
  * Fallback to pure JavaScript (code from v8).
+ *
+ * @param {Uint8Array} input - input data
+ * @param {Uint32Array} keyWords - initial CV of every chunk and parent (IV or key)
+ * @param {number} flags - mode flags (0, KEYED_HASH or DERIVE_KEY_*)
+ * @param {number} outLen - output length in bytes (32 by default, any for XOF)
+ *                          or OUTPUT_READER
+ * @param {Uint8Array|null} [out=null] - destination of a 32-byte hash (hashInto)
+ * @param {number} [outOffset=0] - write offset in out
+ * @returns {Uint8Array|OutputReader} - hash (outLen bytes) or XOF reader
  */
-function blake3Fallback(input) {
+function blake3Fallback(input, keyWords, flags, outLen, out = null, outOffset = 0) {
   // Input type validation
   if (!(input instanceof Uint8Array)) {
     throw new Error('Input must be Uint8Array');
   }
 
   // Initialization
-  const flags = 0;                    // Base flags (can add KEYED_HASH etc.)
   const length = input.length;
 
   // ═════════════════════════════════════════════════════════════════════
@@ -1478,8 +3440,8 @@ function blake3Fallback(input) {
   const CV_OFFSET = 0;
   const BLOCK_OFFSET = 8;
 
-  // Initialize CV = IV
-  workBuffer.set(IV, CV_OFFSET);
+  // Initialize CV = key words (IV in plain hashing mode)
+  workBuffer.set(keyWords, CV_OFFSET);
 
   let chunkCounter = 0;               // Counter of processed chunks
   let offset = 0;                     // Current position in input data
@@ -1499,8 +3461,8 @@ function blake3Fallback(input) {
   // ═══════════════════════════════════════════════════════════════════════
   
   for (; offset < take; ) {
-    // Reset CV to IV for new chunk
-    workBuffer.set(IV, CV_OFFSET);
+    // Reset CV to key words for new chunk
+    workBuffer.set(keyWords, CV_OFFSET);
 
     // Process 16 blocks of chunk
     for (let i = 0; i < 16; ++i, offset += 64) {
@@ -1532,100 +3494,1294 @@ function blake3Fallback(input) {
       );
     }
 
-    // Push CV to stack. Add chunk result to stack
-    cvStack.set(workBuffer.subarray(CV_OFFSET, CV_OFFSET + 8), cvStackPos);
-    cvStackPos += 8;
-    chunkCounter += 1;
+    // Push CV to stack. Add chunk result to stack
+    cvStack.set(workBuffer.subarray(CV_OFFSET, CV_OFFSET + 8), cvStackPos);
+    cvStackPos += 8;
+    chunkCounter += 1;
+
+    // Merge Merkle tree nodes while possible
+    // (while chunk count is divisible by 2)
+    let totalChunks = chunkCounter;
+    while ((totalChunks & 1) === 0) {
+      // Extract two child nodes
+      cvStackPos -= 16;  // "Pop" two elements - just shift the number!
+      
+      // Compress with PARENT flag
+      // Two CVs already lie adjacent in cvStack — use as blockWords!
+      compress(
+        keyWords, 0,              // cv = key words (for parent node)
+        cvStack, cvStackPos,      // m = two CVs, already adjacent!
+        cvStack, cvStackPos,      // out = write result to same location
+        true,                     // truncate = only need 8 words
+        0, BLOCK_LEN, 
+        flags | PARENT
+      );
+      
+      // Add to array
+      cvStackPos += 8;   // "Push" one element - result already in place!
+
+      totalChunks >>= 1;
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // STAGE 2: Processing the last (possibly partial) chunk
+  // ═══════════════════════════════════════════════════════════════════════
+
+  const remainingBytes = length - take;
+  const fullBlocks = remainingBytes > 0 ? ((remainingBytes - 1) / 64) | 0 : 0;
+
+  // Reset CV to key words
+  workBuffer.set(keyWords, CV_OFFSET);
+
+  // Process full blocks of the last chunk
+  for (let i = 0; i < fullBlocks; ++i, offset += 64) {
+    if (!canUseDirectView) {
+      // If big-endian, byte conversion is needed
+      readLittleEndianWordsFull(input, offset, workBuffer, BLOCK_OFFSET);  // ✅ Fast version
+    }
+
+    compress(
+      workBuffer, CV_OFFSET,
+      // block: workBuffer or directly input
+      canUseDirectView ? inputWords : workBuffer, 
+      // offset: in workBuffer or in inputWords
+      canUseDirectView ? (offset >> 2) : BLOCK_OFFSET,
+      workBuffer, CV_OFFSET,
+      true,
+      chunkCounter,
+      BLOCK_LEN,
+      flags | (i === 0 ? CHUNK_START : 0)
+    );
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // STAGE 3: Finalization - processing last block and building root
+  // ═══════════════════════════════════════════════════════════════════════
+
+  // Read last block (may be partial)
+  readLittleEndianWordsPartial(input, offset, length, workBuffer, BLOCK_OFFSET);  // ✅ With bounds checking
+  const lastBlockLen = length - offset;
+
+  if (cvStackPos === 0) {
+    // Special case: all data fits in one chunk
+    // Final block is also the tree root
+    // All data in one chunk — compute ROOT directly
+    return rootOutput(
+      workBuffer, CV_OFFSET,
+      workBuffer, BLOCK_OFFSET,
+      lastBlockLen,
+      flags | ROOT | CHUNK_END | (fullBlocks === 0 ? CHUNK_START : 0),
+      outLen, out, outOffset
+    );
+  } else {
+    // General case: need to build Merkle tree
+
+    // Complete the last chunk
+    compress(
+      workBuffer, CV_OFFSET,
+      workBuffer, BLOCK_OFFSET,
+      cvStack, cvStackPos,  // Push result to stack
+      true,
+      chunkCounter,
+      lastBlockLen,
+      flags | CHUNK_END | (fullBlocks === 0 ? CHUNK_START : 0)
+    );
+    cvStackPos += 8;
+
+    // Merge remaining nodes into tree
+    while (cvStackPos > 16) {
+      cvStackPos -= 16;
+      compress(
+        keyWords, 0,
+        cvStack, cvStackPos,
+        cvStack, cvStackPos,
+        true,
+        0,
+        BLOCK_LEN,
+        flags | PARENT
+      );
+      cvStackPos += 8;
+    }
+
+    // Final merge with ROOT flag
+    cvStackPos -= 16;
+    return rootOutput(
+      keyWords, 0,
+      cvStack, cvStackPos,
+      BLOCK_LEN,
+      flags | PARENT | ROOT,
+      outLen, out, outOffset
+    );
+  }
+}
+
+// ============================================================================
+// OUTPUT ENCODINGS
+// ============================================================================
+
+/**
+ * Text encodings of digests.
+ *
+ * All codecs are driven by the same two tables, built on first use:
+ *   pairs  — every combination of two symbols (2*bits bits → 2 chars),
+ *            so a 32-byte digest takes ~22 string concatenations in
+ *            base64 instead of 44
+ *   lookup — char code → symbol value (-1 for invalid characters)
+ *
+ * prefix    — prepended to the output (multibase code)
+ * bits      — bits per symbol (4 hex, 5 base32, 6 base64)
+ * block     — output padded with '=' to a multiple of block chars (0: no padding);
+ *             decoding accepts only the exact padding, and none with block 0
+ * padRequired — decoding rejects missing padding (multibase padded bases)
+ * foldCase  — decoding is case-insensitive
+ */
+const ENCODINGS = {
+  hex: {
+    alphabet: '0123456789abcdef',
+    prefix: '', bits: 4, block: 0, padRequired: false, foldCase: true, pairs: null, lookup: null
+  },
+  base64: {
+    alphabet: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/',
+    prefix: '', bits: 6, block: 4, padRequired: false, foldCase: false, pairs: null, lookup: null
+  },
+  base64url: {
+    alphabet: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_',
+    prefix: '', bits: 6, block: 0, padRequired: false, foldCase: false, pairs: null, lookup: null
+  },
+  // RFC 4648, section 6
+  base32: {
+    alphabet: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567',
+    prefix: '', bits: 5, block: 8, padRequired: false, foldCase: true, pairs: null, lookup: null
+  },
+  // https://www.crockford.com/base32.html (without check symbol)
+  base32crockford: {
+    alphabet: '0123456789ABCDEFGHJKMNPQRSTVWXYZ',
+    prefix: '', bits: 5, block: 0, padRequired: false, foldCase: true, pairs: null, lookup: null
+  },
+  // Multibase 'b': lowercase unpadded RFC 4648 base32, the multibase default
+  multibase: {
+    alphabet: 'abcdefghijklmnopqrstuvwxyz234567',
+    prefix: 'b', bits: 5, block: 0, padRequired: false, foldCase: true, pairs: null, lookup: null
+  },
+};
+
+/**
+ * Decoding-only codec of one multibase prefix: exact case, and padding
+ * either forbidden or required, as the multibase table defines it.
+ *
+ * @param {string} alphabet - symbols
+ * @param {number} bits - bits per symbol
+ * @param {number} block - padding block (0: unpadded)
+ * @returns {Object} - codec
+ */
+function multibaseCodec(alphabet, bits, block) {
+  return {
+    alphabet, prefix: '', bits, block, padRequired: block !== 0, foldCase: false,
+    pairs: null, lookup: null
+  };
+}
+
+// Multibase prefixes accepted by parseDigest(str, 'multibase'), one codec each
+const MULTIBASE_PREFIXES = {
+  f: multibaseCodec('0123456789abcdef', 4, 0),                    // base16
+  F: multibaseCodec('0123456789ABCDEF', 4, 0),                    // base16upper
+  b: multibaseCodec(ENCODINGS.multibase.alphabet, 5, 0),          // base32
+  B: multibaseCodec(ENCODINGS.base32.alphabet, 5, 0),             // base32upper
+  c: multibaseCodec(ENCODINGS.multibase.alphabet, 5, 8),          // base32pad
+  C: multibaseCodec(ENCODINGS.base32.alphabet, 5, 8),             // base32padupper
+  m: multibaseCodec(ENCODINGS.base64.alphabet, 6, 0),             // base64
+  M: multibaseCodec(ENCODINGS.base64.alphabet, 6, 4),             // base64pad
+  u: multibaseCodec(ENCODINGS.base64url.alphabet, 6, 0),          // base64url
+  U: multibaseCodec(ENCODINGS.base64url.alphabet, 6, 4),          // base64urlpad
+};
+
+/**
+ * Returns the codec for an encoding name.
+ *
+ * @param {string} encoding - encoding name
+ * @returns {Object} - codec (see ENCODINGS)
+ */
+function getEncoding(encoding) {
+  const codec = Object.prototype.hasOwnProperty.call(ENCODINGS, encoding)
+    ? ENCODINGS[encoding]
+    : null;
+  if (codec === null) {
+    throw new Error(`Unknown encoding: ${encoding}`);
+  }
+  return codec;
+}
+
+/**
+ * Builds the pair table of a codec (once).
+ *
+ * @param {Object} codec - codec
+ * @returns {string[]} - pairs[v] = two symbols of the 2*bits-bit value v
+ */
+function getPairTable(codec) {
+  if (codec.pairs === null) {
+    const { alphabet, bits } = codec;
+    const count = 1 << (bits * 2);
+    const pairs = new Array(count);
+    for (let v = 0; v < count; ++v) {
+      pairs[v] = alphabet[v >>> bits] + alphabet[v & ((1 << bits) - 1)];
+    }
+    codec.pairs = pairs;
+  }
+  return codec.pairs;
+}
+
+/**
+ * Builds the decoding table of a codec (once).
+ *
+ * @param {Object} codec - codec
+ * @returns {Int8Array} - lookup[charCode] = symbol value or -1
+ */
+function getLookupTable(codec) {
+  if (codec.lookup === null) {
+    const lookup = new Int8Array(128).fill(-1);
+    const alphabet = codec.alphabet;
+    for (let v = 0; v < alphabet.length; ++v) {
+      const ch = alphabet[v];
+      lookup[ch.charCodeAt(0)] = v;
+      if (codec.foldCase) {
+        lookup[ch.toLowerCase().charCodeAt(0)] = v;
+        lookup[ch.toUpperCase().charCodeAt(0)] = v;
+      }
+    }
+    if (codec === ENCODINGS.base32crockford) {
+      // Crockford: I, L → 1 and O → 0 (commonly misread characters)
+      lookup[0x49] = lookup[0x69] = lookup[0x4c] = lookup[0x6c] = 1;
+      lookup[0x4f] = lookup[0x6f] = 0;
+    }
+    codec.lookup = lookup;
+  }
+  return codec.lookup;
+}
+
+/**
+ * Encodes bytes with a codec: big-endian bit stream, 2 symbols per
+ * table lookup, zero bits appended to the last symbol.
+ *
+ * @param {Uint8Array} bytes - data
+ * @param {Object} codec - codec
+ * @returns {string} - encoded string
+ */
+function encodeWith(bytes, codec) {
+  const pairs = getPairTable(codec);
+  const bits = codec.bits;
+  const pairBits = bits * 2;
+  const symbolMask = (1 << bits) - 1;
+
+  let result = codec.prefix;
+  let acc = 0;
+  let accBits = 0;
+  for (let i = 0; i < bytes.length; ++i) {
+    acc = (acc << 8) | bytes[i];
+    accBits += 8;
+    while (accBits >= pairBits) {
+      accBits -= pairBits;
+      result += pairs[acc >>> accBits];
+      acc &= (1 << accBits) - 1;
+    }
+  }
+
+  // Tail: up to one more pair's worth of bits
+  let symbols = 0;
+  if (accBits >= bits) {
+    accBits -= bits;
+    result += codec.alphabet[acc >>> accBits];
+    acc &= (1 << accBits) - 1;
+    ++symbols;
+  }
+  if (accBits > 0) {
+    result += codec.alphabet[(acc << (bits - accBits)) & symbolMask];
+    ++symbols;
+  }
+
+  if (codec.block !== 0 && symbols !== 0) {
+    const charCount = (bytes.length * 8 + bits - 1) / bits | 0;
+    const padding = (codec.block - charCount % codec.block) % codec.block;
+    result += '='.repeat(padding);
+  }
+  return result;
+}
+
+/**
+ * Decodes a string with a codec. Strict: rejects invalid characters,
+ * impossible lengths and non-zero trailing bits, so every digest has
+ * exactly one accepted spelling (modulo case and padding).
+ *
+ * @param {string} str - encoded string
+ * @param {Object} codec - codec
+ * @param {number} [start=0] - index of the first symbol (multibase prefix)
+ * @returns {Uint8Array} - decoded bytes
+ */
+function decodeWith(str, codec, start = 0) {
+  const lookup = getLookupTable(codec);
+  const bits = codec.bits;
+  const crockford = codec === ENCODINGS.base32crockford;
+
+  let end = str.length;
+  while (end > start && str.charCodeAt(end - 1) === 0x3d) {  // '='
+    --end;
+  }
+
+  let symbolCount = end - start;
+  if (crockford) {
+    for (let i = start; i < end; ++i) {
+      if (str.charCodeAt(i) === 0x2d) --symbolCount;  // '-' separators
+    }
+  }
+
+  // Padding, where the codec has it, must be exactly the '=' count that
+  // completes the last block; optional unless padRequired
+  const padding = str.length - end;
+  if (padding !== 0 || codec.padRequired) {
+    const block = codec.block;
+    if (padding !== (block !== 0 ? (block - symbolCount % block) % block : 0)) {
+      throw new Error('Invalid padding');
+    }
+  }
+
+  const out = new Uint8Array((symbolCount * bits) >>> 3);
+  let pos = 0;
+  let acc = 0;
+  let accBits = 0;
+  for (let i = start; i < end; ++i) {
+    const code = str.charCodeAt(i);
+    if (crockford && code === 0x2d) {
+      continue;
+    }
+    const value = code < 128 ? lookup[code] : -1;
+    if (value < 0) {
+      throw new Error(`Invalid character at position ${i}`);
+    }
+    acc = (acc << bits) | value;
+    accBits += bits;
+    if (accBits >= 8) {
+      accBits -= 8;
+      out[pos++] = acc >>> accBits;
+      acc &= (1 << accBits) - 1;
+    }
+  }
+
+  if (accBits >= bits || acc !== 0) {
+    throw new Error('Invalid encoded length or trailing bits');
+  }
+  return out;
+}
+
+/**
+ * Encodes bytes (usually a digest) as text.
+ *
+ * Encodings:
+ *   'hex'              — lowercase hexadecimal
+ *   'base64'           — RFC 4648 base64 with '=' padding
+ *   'base64url'        — RFC 4648 URL-safe base64, unpadded
+ *   'base32'           — RFC 4648 base32, uppercase with '=' padding
+ *   'base32crockford'  — Crockford base32, uppercase, unpadded
+ *   'multibase'        — 'b' + lowercase unpadded base32 (multibase default)
+ *
+ * @param {Uint8Array} bytes - data
+ * @param {string} encoding - encoding name
+ * @returns {string} - encoded string
+ */
+function encodeDigest(bytes, encoding) {
+  if (!(bytes instanceof Uint8Array)) {
+    throw new Error('Input must be Uint8Array');
+  }
+  return encodeWith(bytes, getEncoding(encoding));
+}
+
+/**
+ * Parses a string produced by encodeDigest() back into bytes.
+ *
+ * Decoding is case-insensitive for hex and base32. Padding is optional
+ * for base64 and base32 but must be exact; unpadded encodings reject '='.
+ * With 'multibase' the prefix selects exactly one base, case and padding
+ * included: f/F (hex lower/upper), b/B (base32 lower/upper), c/C (padded
+ * base32 lower/upper), m/M (base64 unpadded/padded), u/U (base64url
+ * unpadded/padded).
+ *
+ * @param {string} str - encoded string
+ * @param {string} encoding - encoding name
+ * @returns {Uint8Array} - decoded bytes
+ */
+function parseDigest(str, encoding) {
+  if (typeof str !== 'string') {
+    throw new Error('Encoded digest must be a string');
+  }
+  if (encoding === 'multibase') {
+    const prefix = str.charAt(0);
+    const codec = Object.prototype.hasOwnProperty.call(MULTIBASE_PREFIXES, prefix)
+      ? MULTIBASE_PREFIXES[prefix]
+      : null;
+    if (codec === null) {
+      throw new Error(`Unsupported multibase prefix: '${prefix}'`);
+    }
+    return decodeWith(str, codec, 1);
+  }
+  return decodeWith(str, getEncoding(encoding));
+}
+
+/**
+ * Converts bytes to a lowercase hexadecimal string.
+ *
+ * @param {Uint8Array} bytes - data
+ * @returns {string} - hex string
+ */
+function toHex(bytes) {
+  return encodeDigest(bytes, 'hex');
+}
+
+/**
+ * Converts a hexadecimal string (any case) to bytes.
+ *
+ * @param {string} hex - hex string
+ * @returns {Uint8Array} - bytes
+ */
+function fromHex(hex) {
+  return parseDigest(hex, 'hex');
+}
+
+/**
+ * Applies the optional output encoding of hash() / digest().
+ *
+ * @param {Uint8Array} bytes - digest
+ * @param {string|undefined} encoding - encoding name or undefined (bytes)
+ * @returns {Uint8Array|string} - digest as bytes or encoded string
+ */
+function applyEncoding(bytes, encoding) {
+  return encoding === undefined ? bytes : encodeDigest(bytes, encoding);
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Converts a 32-byte key into 8 little-endian words.
+ *
+ * @param {Uint8Array} key - 32-byte key
+ * @returns {Uint32Array} - key words (used as the initial CV)
+ */
+function keyToWords(key) {
+  if (!(key instanceof Uint8Array)) {
+    throw new Error('Key must be Uint8Array');
+  }
+  if (key.length !== 32) {
+    throw new Error('Key must be exactly 32 bytes');
+  }
+
+  const words = new Uint32Array(8);
+  for (let i = 0, offset = 0; i < 8; ++i, offset += 4) {
+    words[i] =
+      key[offset] |
+      (key[offset + 1] << 8) |
+      (key[offset + 2] << 16) |
+      (key[offset + 3] << 24);
+  }
+  return words;
+}
+
+/**
+ * Computes BLAKE3 hash of input data.
+ *
+ * @param {HashInput} input - input data
+ * @returns {Uint8Array} - hash (32 bytes)
+ */
+function blake3(input) {
+  return blake3Internal(input, IV, 0, 32);
+}
+
+/**
+ * Computes BLAKE3 hash of input data into a caller-provided buffer.
+ *
+ * Zero-allocation variant of blake3() for hot loops: the 32-byte hash
+ * is written to out[outOffset..outOffset+31], nothing else is allocated
+ * for the output. The caller owns out and decides when to reuse it.
+ *
+ * @param {HashInput} input - input data
+ * @param {Uint8Array} out - destination buffer
+ * @param {number} [outOffset=0] - write offset in out
+ * @returns {Uint8Array} - out
+ */
+function hashInto(input, out, outOffset = 0) {
+  if (!(out instanceof Uint8Array)) {
+    throw new Error('Output must be Uint8Array');
+  }
+  if (!Number.isInteger(outOffset) || outOffset < 0 || outOffset + 32 > out.length) {
+    throw new RangeError('Output buffer too small: 32 bytes required at the given offset');
+  }
+  return blake3Internal(input, IV, 0, 32, out, outOffset);
+}
+
+/**
+ * Keyed hashing (MAC) — KEYED_HASH mode.
+ *
+ * Identical to blake3(), except that the 32-byte key replaces IV as the
+ * initial CV of every chunk and parent node, and KEYED_HASH is set in
+ * the flags of every compression (chunks, parents and root).
+ *
+ * @param {Uint8Array} key - 32-byte key
+ * @param {HashInput} input - input data
+ * @returns {Uint8Array} - MAC (32 bytes)
+ */
+function keyedHash(key, input) {
+  return blake3Internal(input, keyToWords(key), KEYED_HASH, 32);
+}
+
+// Context keys of deriveKey(), cached per context string.
+// Contexts are normally hardcoded, so the cache stays tiny; the cap only
+// protects against callers that build context strings dynamically.
+const contextKeyCache = new Map();
+const CONTEXT_KEY_CACHE_LIMIT = 64;
+
+/**
+ * Returns the context key (as 8 words) for a deriveKey() context string.
+ * The context string is hashed with DERIVE_KEY_CONTEXT once and cached.
+ *
+ * @param {string} context - context string
+ * @returns {Uint32Array} - context key words
+ */
+function getContextKeyWords(context) {
+  let keyWords = contextKeyCache.get(context);
+  if (keyWords === undefined) {
+    const contextBytes = textEncoder.encode(context);
+    keyWords = keyToWords(blake3Internal(contextBytes, IV, DERIVE_KEY_CONTEXT, 32));
+
+    if (contextKeyCache.size >= CONTEXT_KEY_CACHE_LIMIT) {
+      contextKeyCache.clear();
+    }
+    contextKeyCache.set(context, keyWords);
+  }
+  return keyWords;
+}
+
+/**
+ * Key derivation (KDF) — DERIVE_KEY_CONTEXT / DERIVE_KEY_MATERIAL modes.
+ *
+ * Two passes:
+ * 1. The context string is hashed with DERIVE_KEY_CONTEXT → context key
+ *    (cached per context string)
+ * 2. The key material is hashed with the context key as initial CV and
+ *    DERIVE_KEY_MATERIAL set — large material takes the SIMD path
+ *
+ * The context string should be hardcoded, globally unique and
+ * application-specific, e.g. "my-app 2024-01-01 session tokens v1".
+ *
+ * @param {string} context - context string
+ * @param {HashInput} keyMaterial - input key material
+ * @param {number} [outLen=32] - output length in bytes (any, XOF)
+ * @returns {Uint8Array} - derived key
+ */
+function deriveKey(context, keyMaterial, outLen = 32) {
+  if (typeof context !== 'string') {
+    throw new Error('Context must be a string');
+  }
+  checkOutputLength(outLen);
+
+  const contextKeyWords = getContextKeyWords(context);
+  return blake3Internal(keyMaterial, contextKeyWords, DERIVE_KEY_MATERIAL, outLen);
+}
+
+/**
+ * Validates a requested output length.
+ *
+ * @param {number} outLen - output length in bytes
+ */
+function checkOutputLength(outLen) {
+  if (!Number.isInteger(outLen) || outLen < 0) {
+    throw new RangeError('Output length must be a non-negative integer');
+  }
+}
+
+/**
+ * Flexible hashing function with extendable output (XOF).
+ *
+ * hash(input) is the same as blake3(input). With { length } the root node
+ * is expanded to any number of bytes; shorter outputs are prefixes of
+ * longer ones:
+ *
+ *   hash(data, { length: 64 }).subarray(0, 32)  ≡  blake3(data)
+ *
+ * With { encoding } the hash is returned as a string (see encodeDigest()):
+ *
+ *   hash(data, { encoding: 'base64url' })  // "ZDezrDhGUTP_tjt1..."
+ *
+ * @param {HashInput} input - input data
+ * @param {{ length?: number, encoding?: string }} [options]
+ *        length: output length in bytes (default 32)
+ *        encoding: 'hex', 'base64', 'base64url', 'base32', 'base32crockford', 'multibase'
+ * @returns {Uint8Array|string} - hash (length bytes), encoded if requested
+ */
+function hash(input, options) {
+  const outLen = options !== undefined && options.length !== undefined ? options.length : 32;
+  const encoding = options !== undefined ? options.encoding : undefined;
+  checkOutputLength(outLen);
+  if (encoding !== undefined) {
+    getEncoding(encoding);  // fail before hashing
+  }
+  return applyEncoding(blake3Internal(input, IV, 0, outLen), encoding);
+}
+
+/**
+ * Extendable output as a seekable reader.
+ *
+ * One-shot counterpart of Hasher.finalize_xof() in the reference
+ * implementation: the input is hashed up to the root node, and the
+ * output stream is produced on demand by the returned OutputReader.
+ *
+ * @param {HashInput} input - input data
+ * @returns {OutputReader} - reader positioned at 0
+ */
+function finalizeXof(input) {
+  return blake3Internal(input, IV, 0, OUTPUT_READER);
+}
+
+/**
+ * Constant-time comparison of two byte arrays.
+ *
+ * The running time depends only on the lengths, never on the contents:
+ * every byte is visited and the differences are OR-ed together, there is
+ * no early exit on the first mismatch. Use it for MACs and other secret
+ * values; === on hex strings leaks the length of the matching prefix.
+ *
+ * @param {Uint8Array} a - first array
+ * @param {Uint8Array} b - second array
+ * @returns {boolean} - true if a and b have the same length and bytes
+ */
+function equal(a, b) {
+  if (!(a instanceof Uint8Array) || !(b instanceof Uint8Array)) {
+    throw new Error('Arguments must be Uint8Array');
+  }
+  const length = a.length;
+  const bLength = b.length;
+  let diff = length ^ bLength;
+  for (let i = 0; i < length; ++i) {
+    diff |= a[i] ^ (i < bLength ? b[i] : 0);
+  }
+  return diff === 0;
+}
+
+/**
+ * Converts an expected digest (bytes or encoded string) to bytes.
+ * Returns null for strings that are not valid in the given encoding:
+ * a malformed digest is simply a digest that does not match.
+ *
+ * @param {Uint8Array|string} expected - expected digest
+ * @param {string} encoding - encoding of string digests
+ * @returns {Uint8Array|null} - digest bytes or null
+ */
+function expectedDigestBytes(expected, encoding) {
+  if (expected instanceof Uint8Array) {
+    return expected;
+  }
+  if (typeof expected !== 'string') {
+    throw new Error('Expected digest must be Uint8Array or string');
+  }
+  getEncoding(encoding);  // unknown encoding is a caller bug — throw
+  try {
+    return parseDigest(expected, encoding);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Checks input against an expected 32-byte hash.
+ *
+ * The expected hash may be bytes or a string in any supported encoding
+ * (hex by default). The comparison is constant-time (see equal()).
+ *
+ *   verify(file, '6437b3ac...')                    // hex
+ *   verify(file, storedId, 'base64url')
+ *
+ * @param {HashInput} input - input data
+ * @param {Uint8Array|string} expectedDigest - expected hash
+ * @param {string} [encoding='hex'] - encoding of a string expectedDigest
+ * @returns {boolean} - true if the hash of input matches
+ */
+function verify(input, expectedDigest, encoding = 'hex') {
+  const expected = expectedDigestBytes(expectedDigest, encoding);
+  const actual = blake3Internal(input, IV, 0, 32);
+  return expected !== null && equal(actual, expected);
+}
+
+/**
+ * Checks a keyed hash (MAC) in constant time.
+ *
+ *   if (!verifyKeyed(key, request.body, request.headers['x-signature'], 'base64url')) {
+ *     reject();
+ *   }
+ *
+ * @param {Uint8Array} key - 32-byte key
+ * @param {HashInput} input - input data
+ * @param {Uint8Array|string} expectedMac - expected MAC
+ * @param {string} [encoding='hex'] - encoding of a string expectedMac
+ * @returns {boolean} - true if the MAC of input matches
+ */
+function verifyKeyed(key, input, expectedMac, encoding = 'hex') {
+  const keyWords = keyToWords(key);
+  const expected = expectedDigestBytes(expectedMac, encoding);
+  const actual = blake3Internal(input, keyWords, KEYED_HASH, 32);
+  return expected !== null && equal(actual, expected);
+}
+
+
+// ============================================================================
+// STREAMING API (Hasher)
+// ============================================================================
+
+/**
+ * Size of the Hasher input buffer: 4 chunks — one full SIMD group.
+ * Small update() calls accumulate here until compress4x can take them.
+ */
+const HASHER_BUFFER_LEN = CHUNK_LEN * 4;
+
+/**
+ * Maximum CV stack depth of a Hasher (same as getCvStack minimum):
+ * 54 levels cover inputs up to 2^54 chunks.
+ */
+const HASHER_STACK_DEPTH = 54;
+
+/**
+ * Serialized Hasher state (exportState / importState), little-endian:
+ *
+ *   offset  size
+ *   0       4     magic "B3HS"
+ *   4       1     format version (HASHER_STATE_VERSION)
+ *   5       1     mode flags (0, KEYED_HASH or DERIVE_KEY_MATERIAL)
+ *   6       2     reserved, 0
+ *   8       8     chunk counter (u64)
+ *   16      4     buffered input length (0..4096)
+ *   20      4     CV stack depth N (= number of 1 bits in chunk counter)
+ *   24      K     context key words, DERIVE_KEY_MATERIAL only (K = 32,
+ *                 otherwise K = 0)
+ *   24+K    32×N  CV stack
+ *   ...           buffered input (partial chunks)
+ *   ...     32    checksum of all preceding bytes
+ *
+ * The MAC key of a keyed hasher is never written: importState() takes it
+ * again, and the checksum of a keyed state is keyedHash(key, ...), so a
+ * wrong key is rejected. Still, the state holds buffered input in plain
+ * text — treat it as being as secret as the data being hashed.
+ *
+ * For unkeyed states the checksum is a plain BLAKE3 hash: it detects
+ * truncation and corruption but is NOT a MAC. A state stored on the
+ * client side should additionally be authenticated if the client must
+ * not be able to forge it.
+ */
+const HASHER_STATE_MAGIC = 0x53483342;  // "B3HS" little-endian
+const HASHER_STATE_VERSION = 2;
+const HASHER_STATE_HEADER_LEN = 24;
+const HASHER_STATE_CHECKSUM_LEN = 32;
+
+/**
+ * Number of 1 bits of a non-negative safe integer.
+ * The Hasher CV stack holds exactly one CV per 1 bit of the chunk counter.
+ */
+function popCount(n) {
+  let count = 0;
+  for (; n > 0; n = Math.floor(n / 2)) {
+    count += n % 2;
+  }
+  return count;
+}
+
+/**
+ * Pushes a chunk CV onto a CV stack and merges complete subtrees.
+ *
+ * Same merge rule as in blake3(): after chunk number N (1-based),
+ * merge while N is divisible by 2. Must only be called for chunks
+ * that are known NOT to be the last one — the root is never merged here.
+ *
+ * @param {Uint32Array} cvStack     - CV stack
+ * @param {number}      cvStackPos  - stack top (in words)
+ * @param {Uint32Array} cv          - chunk CV
+ * @param {number}      cvOffset    - CV offset in array
+ * @param {number}      totalChunks - number of chunks including this one
+ * @param {Uint32Array} keyWords    - key words (parent CV)
+ * @param {number}      flags       - mode flags
+ * @returns {number}                - new stack top (in words)
+ */
+function pushChunkCv(cvStack, cvStackPos, cv, cvOffset, totalChunks, keyWords, flags) {
+  cvStack.set(cv.subarray(cvOffset, cvOffset + 8), cvStackPos);
+  cvStackPos += 8;
+
+  while ((totalChunks & 1) === 0) {
+    cvStackPos -= 16;
+    compress(
+      keyWords, 0,
+      cvStack, cvStackPos,
+      cvStack, cvStackPos,
+      true,
+      0, BLOCK_LEN,
+      flags | PARENT
+    );
+    cvStackPos += 8;
+    totalChunks /= 2;
+  }
+
+  return cvStackPos;
+}
+
+/**
+ * Computes the CV of one full chunk (16 blocks) that is not the root.
+ * Result is left in globalWorkBuffer[0..7].
+ *
+ * @param {Uint8Array}       input        - input data
+ * @param {number}           offset       - chunk start in input
+ * @param {Uint32Array|null} inputWords   - direct word view of input (LE, aligned) or null
+ * @param {number}           wordsOffset  - chunk start in inputWords
+ * @param {Uint32Array}      keyWords     - key words (initial CV)
+ * @param {number}           chunkCounter - chunk index
+ * @param {number}           flags        - mode flags
+ */
+function compressFullChunk(input, offset, inputWords, wordsOffset, keyWords, chunkCounter, flags) {
+  const workBuffer = globalWorkBuffer;
+  workBuffer.set(keyWords, 0);
+
+  for (let i = 0; i < 16; ++i, offset += 64, wordsOffset += 16) {
+    if (inputWords === null) {
+      readLittleEndianWordsFull(input, offset, workBuffer, 8);
+    }
+
+    compress(
+      workBuffer, 0,
+      inputWords !== null ? inputWords : workBuffer,
+      inputWords !== null ? wordsOffset : 8,
+      workBuffer, 0,
+      true,
+      chunkCounter,
+      BLOCK_LEN,
+      flags | (i === 0 ? CHUNK_START : i === 15 ? CHUNK_END : 0)
+    );
+  }
+}
+
+/**
+ * Creates a Uint32Array view on input starting at offset,
+ * or null when a direct view is impossible (big-endian, misaligned).
+ */
+function directWordView(input, offset) {
+  const byteOffset = input.byteOffset + offset;
+  if (IsBigEndian || byteOffset % 4 !== 0) {
+    return null;
+  }
+  return new Uint32Array(input.buffer, byteOffset, (input.length - offset) >> 2);
+}
+
+/**
+ * Incremental (streaming) BLAKE3 hasher.
+ *
+ * Input may be split in any way: results are byte-identical to blake3()
+ * of the concatenated input.
+ *
+ * State:
+ *   buffer       — up to 4 chunks of not yet compressed input
+ *   cvStack      — CVs of complete subtrees (Merkle tree "spine")
+ *   chunkCounter — number of chunks already compressed into cvStack
+ *
+ * A chunk is compressed only when more input follows it, so the last
+ * chunk always stays in the buffer and is finalized by digest().
+ * Groups of 4 chunks — from the buffer or directly from update() data —
+ * go through compress4x; the rest through the JS compress().
+ *
+ * digest() does not modify the state: the hasher can be updated further.
+ *
+ *   const hasher = createHash();
+ *   hasher.update(chunk1);
+ *   hasher.update(chunk2);
+ *   const digest = hasher.digest();
+ */
+class Hasher {
+  /**
+   * Use createHash() / createKeyed() instead.
+   *
+   * @param {Uint32Array} [keyWords=IV] - initial CV of every chunk and parent
+   * @param {number}      [flags=0]     - mode flags (0, KEYED_HASH, DERIVE_KEY_MATERIAL)
+   */
+  constructor(keyWords = IV, flags = 0) {
+    this.keyWords = keyWords.slice(0, 8);
+    this.flags = flags;
+    this.buffer = new Uint8Array(HASHER_BUFFER_LEN);
+    this.bufferLen = 0;
+    this.cvStack = new Uint32Array(HASHER_STACK_DEPTH * 8);
+    this.cvStackPos = 0;
+    this.chunkCounter = 0;
+  }
+
+  /**
+   * Adds input data.
+   *
+   * @param {HashInput} input - input data
+   * @returns {Hasher} - this (for chaining)
+   */
+  update(input) {
+    input = toBytes(input);
+
+    const length = input.length;
+    let offset = 0;
+
+    // ═══════════════════════════════════════════════════════════════════
+    // 1. Top up the buffer. Once it is full and more input follows,
+    //    none of its 4 chunks can be the last one — compress them.
+    // ═══════════════════════════════════════════════════════════════════
+    if (this.bufferLen > 0) {
+      offset = Math.min(HASHER_BUFFER_LEN - this.bufferLen, length);
+      this.buffer.set(input.subarray(0, offset), this.bufferLen);
+      this.bufferLen += offset;
+
+      if (offset === length) {
+        return this;
+      }
+
+      this._compressChunks(this.buffer, 0, HASHER_BUFFER_LEN);
+      this.bufferLen = 0;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // 2. Compress full chunks directly from input, except the last
+    //    (possibly full) chunk
+    // ═══════════════════════════════════════════════════════════════════
+    const remaining = length - offset;
+    if (remaining > CHUNK_LEN) {
+      const direct = remaining - (((remaining - 1) % CHUNK_LEN) + 1);
+      this._compressChunks(input, offset, direct);
+      offset += direct;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // 3. Keep the tail (1..1024 bytes) for later
+    // ═══════════════════════════════════════════════════════════════════
+    this.buffer.set(input.subarray(offset), 0);
+    this.bufferLen = length - offset;
+
+    return this;
+  }
+
+  /**
+   * Computes the 32-byte hash of all input so far.
+   * Does not modify the hasher state: it can be called any number of
+   * times while streaming (intermediate digests) and update() continues
+   * from the same point afterwards.
+   *
+   *   hasher.digest()        // Uint8Array(32)
+   *   hasher.digest('hex')   // "6437b3ac..."
+   *
+   * @param {string} [encoding] - output encoding (see encodeDigest())
+   * @returns {Uint8Array|string} - hash (32 bytes), encoded if requested
+   */
+  digest(encoding) {
+    return applyEncoding(this._finalize(32), encoding);
+  }
+
+  /**
+   * Creates an independent copy of the hasher.
+   *
+   * Useful for messages sharing a long common prefix: hash the prefix
+   * once, then clone() for each suffix. Only the used parts of the
+   * CV stack and the buffer are copied.
+   *
+   *   const base = createHash().update(header);
+   *   const d1 = base.clone().update(payload1).digest();
+   *   const d2 = base.clone().update(payload2).digest();
+   *
+   * @returns {Hasher} - copy with the same state
+   */
+  clone() {
+    const copy = new Hasher(this.keyWords, this.flags);
+    copy.buffer.set(this.buffer.subarray(0, this.bufferLen), 0);
+    copy.bufferLen = this.bufferLen;
+    copy.cvStack.set(this.cvStack.subarray(0, this.cvStackPos), 0);
+    copy.cvStackPos = this.cvStackPos;
+    copy.chunkCounter = this.chunkCounter;
+    return copy;
+  }
+
+  /**
+   * Returns the hasher to its initial state (same key and mode),
+   * reusing the existing buffers — no allocations.
+   *
+   * @returns {Hasher} - this (for chaining)
+   */
+  reset() {
+    this.bufferLen = 0;
+    this.cvStackPos = 0;
+    this.chunkCounter = 0;
+    return this;
+  }
+
+  /**
+   * Returns a seekable reader of the extendable output (XOF)
+   * of all input so far. Does not modify the hasher state.
+   *
+   * @returns {OutputReader} - reader positioned at 0
+   */
+  finalizeXof() {
+    return this._finalize(OUTPUT_READER);
+  }
+
+  /**
+   * Serializes the hasher state (see HASHER_STATE_* for the format).
+   * The hasher can be restored later — even in another process —
+   * with Hasher.importState(). The key of a keyed hasher is not part
+   * of the state and must be passed to importState() again.
+   *
+   * @returns {Uint8Array} - state bytes
+   */
+  exportState() {
+    const cvCount = this.cvStackPos >> 3;
+    const keyLen = this.flags === DERIVE_KEY_MATERIAL ? 32 : 0;
+    const bodyLen = HASHER_STATE_HEADER_LEN + keyLen + cvCount * 32 + this.bufferLen;
+    const state = new Uint8Array(bodyLen + HASHER_STATE_CHECKSUM_LEN);
+    const view = new DataView(state.buffer);
+
+    // Header
+    view.setUint32(0, HASHER_STATE_MAGIC, true);
+    view.setUint8(4, HASHER_STATE_VERSION);
+    view.setUint8(5, this.flags);
+    view.setUint32(8, this.chunkCounter >>> 0, true);
+    view.setUint32(12, (this.chunkCounter / 0x100000000) >>> 0, true);
+    view.setUint32(16, this.bufferLen, true);
+    view.setUint32(20, cvCount, true);
+
+    // Context key words, CV stack, buffered input
+    let pos = HASHER_STATE_HEADER_LEN;
+    for (let i = 0; i < keyLen >> 2; ++i, pos += 4) {
+      view.setUint32(pos, this.keyWords[i], true);
+    }
+    for (let i = 0; i < cvCount * 8; ++i, pos += 4) {
+      view.setUint32(pos, this.cvStack[i], true);
+    }
+    state.set(this.buffer.subarray(0, this.bufferLen), pos);
+
+    // Checksum of everything above, keyed for a keyed hasher
+    const keyed = this.flags === KEYED_HASH;
+    blake3Internal(state.subarray(0, bodyLen), keyed ? this.keyWords : IV, keyed ? KEYED_HASH : 0,
+      32, state, bodyLen);
+
+    return state;
+  }
+
+  /**
+   * Restores a hasher from exportState() bytes.
+   * Throws if the data is truncated, corrupted or of an unknown version,
+   * and if the key is missing, unexpected or wrong.
+   *
+   *   const state = createKeyed(key).update(part).exportState();
+   *   const mac = Hasher.importState(state, key).digest();
+   *
+   * @param {Uint8Array} state - state bytes
+   * @param {Uint8Array} [key] - 32-byte key, required for a keyed hasher
+   * @returns {Hasher} - restored hasher
+   */
+  static importState(state, key) {
+    if (!(state instanceof Uint8Array)) {
+      throw new Error('Hasher state must be Uint8Array');
+    }
+    if (state.length < HASHER_STATE_HEADER_LEN + HASHER_STATE_CHECKSUM_LEN) {
+      throw new Error('Invalid hasher state: truncated');
+    }
+
+    const view = new DataView(state.buffer, state.byteOffset, state.byteLength);
+
+    if (view.getUint32(0, true) !== HASHER_STATE_MAGIC) {
+      throw new Error('Invalid hasher state: bad magic');
+    }
+    const version = view.getUint8(4);
+    if (version !== HASHER_STATE_VERSION) {
+      throw new Error(`Invalid hasher state: unsupported version ${version}`);
+    }
+
+    const flags = view.getUint8(5);
+    const chunkCounter = view.getUint32(8, true) + view.getUint32(12, true) * 0x100000000;
+    const bufferLen = view.getUint32(16, true);
+    const cvCount = view.getUint32(20, true);
+    const keyLen = flags === DERIVE_KEY_MATERIAL ? 32 : 0;
+    const bodyLen = HASHER_STATE_HEADER_LEN + keyLen + cvCount * 32 + bufferLen;
+
+    if (cvCount > HASHER_STACK_DEPTH || bufferLen > HASHER_BUFFER_LEN ||
+        state.length !== bodyLen + HASHER_STATE_CHECKSUM_LEN) {
+      throw new Error('Invalid hasher state: truncated or inconsistent lengths');
+    }
+
+    const keyed = flags === KEYED_HASH;
+    if (keyed && key === undefined) {
+      throw new Error('Keyed hasher state: the key is required');
+    }
+    if (!keyed && key !== undefined) {
+      throw new Error('Hasher state is not keyed: no key expected');
+    }
+    let keyWords = keyed ? keyToWords(key) : IV;
+
+    // Constant-work comparison of the checksum (keyed: also checks the key)
+    const checksum = blake3Internal(state.subarray(0, bodyLen), keyWords, keyed ? KEYED_HASH : 0, 32);
+    let diff = 0;
+    for (let i = 0; i < HASHER_STATE_CHECKSUM_LEN; i++) {
+      diff |= checksum[i] ^ state[bodyLen + i];
+    }
+    if (diff !== 0) {
+      throw new Error(keyed
+        ? 'Invalid hasher state: checksum mismatch or wrong key'
+        : 'Invalid hasher state: checksum mismatch');
+    }
 
-    // Merge Merkle tree nodes while possible
-    // (while chunk count is divisible by 2)
-    let totalChunks = chunkCounter;
-    while ((totalChunks & 1) === 0) {
-      // Extract two child nodes
-      cvStackPos -= 16;  // "Pop" two elements - just shift the number!
-      
-      // Compress with PARENT flag
-      // Two CVs already lie adjacent in cvStack — use as blockWords!
-      compress(
-        IV, 0,                    // cv = IV (for parent node)
-        cvStack, cvStackPos,      // m = two CVs, already adjacent!
-        cvStack, cvStackPos,      // out = write result to same location
-        true,                     // truncate = only need 8 words
-        0, BLOCK_LEN, 
-        flags | PARENT
-      );
-      
-      // Add to array
-      cvStackPos += 8;   // "Push" one element - result already in place!
+    // Structural invariants (a valid checksum does not prove a sane state)
+    if (view.getUint16(6, true) !== 0 ||
+        (flags !== 0 && flags !== KEYED_HASH && flags !== DERIVE_KEY_MATERIAL) ||
+        !Number.isSafeInteger(chunkCounter) ||
+        cvCount !== popCount(chunkCounter) ||
+        (chunkCounter > 0 && bufferLen === 0)) {
+      throw new Error('Invalid hasher state: inconsistent fields');
+    }
 
-      totalChunks >>= 1;
+    let pos = HASHER_STATE_HEADER_LEN;
+    if (keyLen !== 0) {
+      keyWords = new Uint32Array(8);
+      for (let i = 0; i < 8; ++i, pos += 4) {
+        keyWords[i] = view.getUint32(pos, true);
+      }
     }
-  }
 
-  // ═══════════════════════════════════════════════════════════════════════
-  // STAGE 2: Processing the last (possibly partial) chunk
-  // ═══════════════════════════════════════════════════════════════════════
+    const hasher = new Hasher(keyWords, flags);
+    for (let i = 0; i < cvCount * 8; ++i, pos += 4) {
+      hasher.cvStack[i] = view.getUint32(pos, true);
+    }
+    hasher.cvStackPos = cvCount * 8;
+    hasher.chunkCounter = chunkCounter;
+    hasher.buffer.set(state.subarray(pos, pos + bufferLen), 0);
+    hasher.bufferLen = bufferLen;
 
-  const remainingBytes = length - take;
-  const fullBlocks = remainingBytes > 0 ? ((remainingBytes - 1) / 64) | 0 : 0;
+    return hasher;
+  }
 
-  // Reset CV to IV
-  workBuffer.set(IV, CV_OFFSET);
+  /**
+   * Compresses full, non-final chunks and pushes their CVs.
+   *
+   * @param {Uint8Array} input   - input data
+   * @param {number}     offset  - start of the first chunk
+   * @param {number}     byteLen - multiple of CHUNK_LEN
+   */
+  _compressChunks(input, offset, byteLen) {
+    const end = offset + byteLen;
+    const keyWords = this.keyWords;
+    const flags = this.flags;
 
-  // Process full blocks of the last chunk
-  for (let i = 0; i < fullBlocks; ++i, offset += 64) {
-    if (!canUseDirectView) {
-      // If big-endian, byte conversion is needed
-      readLittleEndianWordsFull(input, offset, workBuffer, BLOCK_OFFSET);  // ✅ Fast version
+    // Groups of 4-16 chunks via SIMD
+    if (byteLen >= CHUNK_LEN * 4) {
+      ensureWasm();
+    }
+    if (wasmSupported) {
+      for (let batch; (batch = simdBatchChunks((end - offset) / CHUNK_LEN)) > 0; offset += CHUNK_LEN * batch) {
+        const cvResults = processChunksSimd(input, offset, this.chunkCounter, keyWords, flags, batch);
+        for (let c = 0; c < batch; c++) {
+          this.chunkCounter += 1;
+          this.cvStackPos = pushChunkCv(
+            this.cvStack, this.cvStackPos,
+            cvResults[c], 0,
+            this.chunkCounter, keyWords, flags
+          );
+        }
+      }
     }
 
-    compress(
-      workBuffer, CV_OFFSET,
-      // block: workBuffer or directly input
-      canUseDirectView ? inputWords : workBuffer, 
-      // offset: in workBuffer or in inputWords
-      canUseDirectView ? (offset >> 2) : BLOCK_OFFSET,
-      workBuffer, CV_OFFSET,
-      true,
-      chunkCounter,
-      BLOCK_LEN,
-      flags | (i === 0 ? CHUNK_START : 0)
-    );
+    // Remaining chunks via JS
+    if (offset < end) {
+      // View starts at offset: update() may begin mid-word of the input
+      const inputWords = directWordView(input, offset);
+      for (let wordsOffset = 0; offset < end; offset += CHUNK_LEN, wordsOffset += CHUNK_LEN >> 2) {
+        compressFullChunk(input, offset, inputWords, wordsOffset, keyWords, this.chunkCounter, flags);
+        this.chunkCounter += 1;
+        this.cvStackPos = pushChunkCv(
+          this.cvStack, this.cvStackPos,
+          globalWorkBuffer, 0,
+          this.chunkCounter, keyWords, flags
+        );
+      }
+    }
   }
 
-  // ═══════════════════════════════════════════════════════════════════════
-  // STAGE 3: Finalization - processing last block and building root
-  // ═══════════════════════════════════════════════════════════════════════
+  /**
+   * Finalizes a copy of the state: buffered chunks, last chunk, tree root.
+   * Works on the shared global CV stack, so this.cvStack stays intact.
+   *
+   * @param {number} outLen - output length, or OUTPUT_READER
+   * @returns {Uint8Array|OutputReader}
+   */
+  _finalize(outLen) {
+    const keyWords = this.keyWords;
+    const flags = this.flags;
+    const input = this.buffer;
+    const length = this.bufferLen;
 
-  let finalChainingValue;
-  let finalBlockLen;
-  let finalFlags;
+    const cvStack = getCvStack(0);
+    cvStack.set(this.cvStack.subarray(0, this.cvStackPos), 0);
+    let cvStackPos = this.cvStackPos;
+    let chunkCounter = this.chunkCounter;
 
-  // Read last block (may be partial)
-  readLittleEndianWordsPartial(input, offset, length, workBuffer, BLOCK_OFFSET);  // ✅ With bounds checking
-  const lastBlockLen = length - offset;
+    const workBuffer = globalWorkBuffer;
+    const CV_OFFSET = 0;
+    const BLOCK_OFFSET = 8;
 
-  if (cvStackPos === 0) {
-    // Special case: all data fits in one chunk
-    // Final block is also the tree root
-    // All data in one chunk — compute ROOT directly
-    compress(
-      workBuffer, CV_OFFSET,
-      workBuffer, BLOCK_OFFSET,
-      workBuffer, CV_OFFSET,
-      true,
-      chunkCounter,
-      lastBlockLen,
-      flags | ROOT | CHUNK_END | (fullBlocks === 0 ? CHUNK_START : 0)
-    );
-  } else {
-    // General case: need to build Merkle tree
+    // The buffer is aligned: on little-endian read words directly
+    const inputWords = directWordView(input, 0);
+
+    // Buffered full chunks before the last one
+    let offset = 0;
+    for (; length - offset > CHUNK_LEN; offset += CHUNK_LEN) {
+      compressFullChunk(input, offset, inputWords, offset >> 2, keyWords, chunkCounter, flags);
+      chunkCounter += 1;
+      cvStackPos = pushChunkCv(
+        cvStack, cvStackPos,
+        workBuffer, CV_OFFSET,
+        chunkCounter, keyWords, flags
+      );
+    }
+
+    // Last chunk: full blocks, then the last (possibly partial) block
+    const remainingBytes = length - offset;
+    const fullBlocks = remainingBytes > 0 ? ((remainingBytes - 1) / 64) | 0 : 0;
+
+    workBuffer.set(keyWords, CV_OFFSET);
+
+    for (let i = 0; i < fullBlocks; ++i, offset += 64) {
+      if (inputWords === null) {
+        readLittleEndianWordsFull(input, offset, workBuffer, BLOCK_OFFSET);
+      }
+
+      compress(
+        workBuffer, CV_OFFSET,
+        inputWords !== null ? inputWords : workBuffer,
+        inputWords !== null ? (offset >> 2) : BLOCK_OFFSET,
+        workBuffer, CV_OFFSET,
+        true,
+        chunkCounter,
+        BLOCK_LEN,
+        flags | (i === 0 ? CHUNK_START : 0)
+      );
+    }
+
+    readLittleEndianWordsPartial(input, offset, length, workBuffer, BLOCK_OFFSET);
+    const lastBlockLen = length - offset;
+
+    if (cvStackPos === 0) {
+      // All data in one chunk — its last block is the root
+      return rootOutput(
+        workBuffer, CV_OFFSET,
+        workBuffer, BLOCK_OFFSET,
+        lastBlockLen,
+        flags | ROOT | CHUNK_END | (fullBlocks === 0 ? CHUNK_START : 0),
+        outLen
+      );
+    }
 
-    // Complete the last chunk
     compress(
       workBuffer, CV_OFFSET,
       workBuffer, BLOCK_OFFSET,
-      cvStack, cvStackPos,  // Push result to stack
+      cvStack, cvStackPos,
       true,
       chunkCounter,
       lastBlockLen,
@@ -1633,44 +4789,564 @@ function blake3Fallback(input) {
     );
     cvStackPos += 8;
 
-    // Merge remaining nodes into tree
     while (cvStackPos > 16) {
       cvStackPos -= 16;
       compress(
-        IV, 0,
+        keyWords, 0,
         cvStack, cvStackPos,
         cvStack, cvStackPos,
         true,
-        0,
-        BLOCK_LEN,
+        0, BLOCK_LEN,
         flags | PARENT
       );
       cvStackPos += 8;
     }
 
-    // Final merge with ROOT flag
     cvStackPos -= 16;
-    compress(
-      IV, 0,
+    return rootOutput(
+      keyWords, 0,
       cvStack, cvStackPos,
-      workBuffer, CV_OFFSET,  // Result in workBuffer
-      true,
-      0,
       BLOCK_LEN,
-      flags | PARENT | ROOT
+      flags | PARENT | ROOT,
+      outLen
+    );
+  }
+}
+
+/**
+ * Creates a streaming hasher.
+ *
+ * @returns {Hasher}
+ */
+function createHash() {
+  return new Hasher(IV, 0);
+}
+
+/**
+ * Creates a keyed streaming hasher (KEYED_HASH mode).
+ *
+ * @param {Uint8Array} key - 32-byte key
+ * @returns {Hasher}
+ */
+function createKeyed(key) {
+  return new Hasher(keyToWords(key), KEYED_HASH);
+}
+
+
+// ============================================================================
+// BATCH HASHING (many small messages)
+// ============================================================================
+
+/**
+ * Messages up to one chunk are hashed in the 4 lanes of compressMany4x: a
+ * single-chunk message is its own root, so each lane is an independent
+ * chain of blocks. Longer messages are hashed one by one.
+ */
+const MANY_LANE_MAX_LEN = CHUNK_LEN;
+
+/**
+ * Hashes many independent messages, 4 at a time through WASM SIMD.
+ *
+ * Small messages never reach the SIMD path of blake3() (it needs 4
+ * chunks); here each of the 4 lanes of compressMany4x works on its own
+ * message with its own blockLen and flags. A lane that finishes its
+ * message takes the next one, so messages of mixed lengths keep all
+ * lanes busy. Messages are copied into WASM memory in batches and each
+ * batch is hashed by one call.
+ *
+ *   const digests = hashMany(records);               // Uint8Array(32)[]
+ *   hashMany(records, { out: packed });              // packed[32*i..]
+ *
+ * @param {HashInput[]} messages - messages to hash
+ * @param {{ out?: Uint8Array }} [options]
+ *        out: destination of the digests, 32 bytes per message in order
+ * @returns {Uint8Array[]|Uint8Array} - one 32-byte digest per message,
+ *          or out if given
+ */
+function hashMany(messages, options) {
+  if (!Array.isArray(messages)) {
+    throw new Error('Messages must be an array');
+  }
+  const count = messages.length;
+  const given = options !== undefined ? options.out : undefined;
+  if (given !== undefined) {
+    if (!(given instanceof Uint8Array)) {
+      throw new Error('Output must be Uint8Array');
+    }
+    if (given.length < count * 32) {
+      throw new RangeError('Output buffer too small: 32 bytes required per message');
+    }
+  }
+  const out = given !== undefined ? given : new Uint8Array(count * 32);
+  if (count >= 4) {
+    ensureWasm();
+  }
+  
+  // Every message is normalized up front: strings are encoded into their
+  // own arrays (toBytes() reuses one scratch buffer)
+  const inputs = new Array(count);
+  const lanes = [];
+  for (let m = 0; m < count; m++) {
+    const message = messages[m];
+    const input = typeof message === 'string' ? textEncoder.encode(message) : toBytes(message);
+    inputs[m] = input;
+    if (wasmSupported && input.length <= MANY_LANE_MAX_LEN) {
+      lanes.push(m);
+    } else {
+      // Before the lanes: blake3Internal() may use the same WASM memory
+      blake3Internal(input, IV, 0, 32, out, m * 32);
+    }
+  }
+  
+  if (lanes.length > 0) {
+    hashManyLanes(inputs, lanes, IV, 0, out);
+  }
+  
+  if (given !== undefined) {
+    return out;
+  }
+  const digests = new Array(count);
+  for (let m = 0; m < count; m++) {
+    digests[m] = out.subarray(m * 32, m * 32 + 32);
+  }
+  return digests;
+}
+
+/**
+ * Hashes single-chunk messages with compressMany4x, in batches of up to
+ * MANY_MAX_BATCH messages that fit the window: each message is copied
+ * into the window area, padded with zeros to whole blocks, and listed in
+ * the message table. Lanes, blocks and flags are all handled in WASM.
+ *
+ * @param {Uint8Array[]} inputs   - messages
+ * @param {number[]}     lanes    - indices of the messages to hash (≤ 1 chunk each)
+ * @param {Uint32Array}  keyWords - key words (IV or key)
+ * @param {number}       flags    - mode flags
+ * @param {Uint8Array}   out      - digest of message m at out[32*m..]
+ */
+function hashManyLanes(inputs, lanes, keyWords, flags, out) {
+  const windowEnd = (1 + wasmWindowSubtrees) << 16;
+  let first = 0;
+  let address = MANY_INPUT;
+  for (let j = 0; j < lanes.length; j++) {
+    const input = inputs[lanes[j]];
+    const padded = Math.max(BLOCK_LEN, Math.ceil(input.length / BLOCK_LEN) * BLOCK_LEN);
+    if (j - first === MANY_MAX_BATCH || address + padded > windowEnd) {
+      compressManyBatch(lanes, first, j - first, keyWords, flags, out);
+      first = j;
+      address = MANY_INPUT;
+    }
+    const end = address + padded;
+    if (end > wasmMemoryView.length) {
+      ensureWasmWindow((end - 1) >> 16);
+    }
+    wasmMemoryView.set(input, address);
+    wasmMemoryView.fill(0, address + input.length, end);
+    wasmMemoryU32[(MANY_TABLE >> 2) + (j - first) * 2] = address;
+    wasmMemoryU32[(MANY_TABLE >> 2) + (j - first) * 2 + 1] = input.length;
+    address = end;
+  }
+  compressManyBatch(lanes, first, lanes.length - first, keyWords, flags, out);
+}
+
+/**
+ * Runs compressMany4x on the messages already in the table and copies
+ * the digests out.
+ *
+ * @param {number[]}    lanes    - message indices
+ * @param {number}      first    - position in lanes of the first message of the batch
+ * @param {number}      count    - messages in the batch
+ * @param {Uint32Array} keyWords - key words (IV or key)
+ * @param {number}      flags    - mode flags
+ * @param {Uint8Array}  out      - digest of message m at out[32*m..]
+ */
+function compressManyBatch(lanes, first, count, keyWords, flags, out) {
+  const mem = wasmMemoryU32;
+  for (let i = 0; i < 8; i++) {
+    mem[(0x100 >> 2) + i * 4] = keyWords[i];
+  }
+  mem[0x1B0 >> 2] = flags;
+  mem[0x1C0 >> 2] = count;
+  wasmCompressMany4x();
+  
+  // Usually no message of the batch was hashed outside the lanes:
+  // the digests are consecutive in out too
+  const view = wasmMemoryView;
+  if (lanes[first + count - 1] - lanes[first] === count - 1) {
+    out.set(view.subarray(MANY_DIGESTS, MANY_DIGESTS + count * 32), lanes[first] * 32);
+    return;
+  }
+  for (let k = 0, at = MANY_DIGESTS; k < count; k++, at += 32) {
+    out.set(view.subarray(at, at + 32), lanes[first + k] * 32);
+  }
+}
+
+// ============================================================================
+// PARALLEL HASHING (worker pool)
+// ============================================================================
+
+/**
+ * Inputs below this size are hashed on the calling thread:
+ * posting jobs to workers costs more than hashing them.
+ */
+const PARALLEL_MIN_LEN = CHUNK_LEN * 128;
+
+/**
+ * Subtrees given to workers hold at least this many chunks
+ * (one compress4x group).
+ */
+const PARALLEL_MIN_SUBTREE_CHUNKS = 4;
+
+// Worker pool, shared by all hashParallel() calls.
+// Workers are created on demand and live until terminateWorkers().
+// Growth is chained on workerPoolGrowth: concurrent calls wait for each
+// other instead of each spawning workers up to its own thread count.
+const workerPool = [];
+let workerPoolGrowth = Promise.resolve();
+const pendingJobs = new Map();  // job id → { resolve, reject, worker }
+let nextJobId = 0;
+
+/**
+ * Computes the CV of one complete subtree of chunkCount chunks
+ * (a power of 2) starting at chunk chunkCounter. The subtree is
+ * never the root: all merges are plain PARENT compressions.
+ *
+ * @param {Uint8Array}  input        - input data
+ * @param {number}      offset       - subtree start in input
+ * @param {number}      chunkCounter - index of the first chunk
+ * @param {number}      chunkCount   - number of chunks (power of 2)
+ * @param {Uint32Array} keyWords     - key words (initial CV)
+ * @param {number}      flags        - mode flags
+ * @param {Uint32Array} cvStack      - scratch CV stack
+ * @param {Uint32Array} out          - destination of the CV
+ * @param {number}      outOffset    - CV offset in out
+ */
+function computeSubtreeCv(input, offset, chunkCounter, chunkCount, keyWords, flags, cvStack, out, outOffset) {
+  // Merges count chunks from the start of the subtree, not from the
+  // start of the input: the stack holds nothing outside this subtree
+  let cvStackPos = 0;
+  let done = 0;
+
+  if (wasmBackend !== 'js' && chunkCount >= SIMD_SUBTREE_CHUNKS) {
+    // chunkCount is a power of 2: whole 64-chunk subtrees, parents in WASM
+    for (let piece = 0; done < chunkCount; ) {
+      const count = Math.min((chunkCount - done) / SIMD_SUBTREE_CHUNKS, wasmWindowSubtrees);
+      const cvIndex = processSubtreesWasm(input, offset, chunkCounter + done, count, keyWords, flags);
+      const cvs = wasmMemoryU32;
+      for (let k = 0; k < count; k++) {
+        cvStackPos = pushChunkCv(cvStack, cvStackPos, cvs, cvIndex + k * 8, ++piece, keyWords, flags);
+      }
+      done += count * SIMD_SUBTREE_CHUNKS;
+      offset += count * CHUNK_LEN * SIMD_SUBTREE_CHUNKS;
+    }
+  }
+
+  if (wasmSupported) {
+    for (let batch; (batch = simdBatchChunks(chunkCount - done)) > 0; done += batch, offset += CHUNK_LEN * batch) {
+      const cvResults = processChunksSimd(input, offset, chunkCounter + done, keyWords, flags, batch);
+      for (let c = 0; c < batch; c++) {
+        cvStackPos = pushChunkCv(cvStack, cvStackPos, cvResults[c], 0, done + c + 1, keyWords, flags);
+      }
+    }
+  }
+
+  const inputWords = directWordView(input, offset);
+  for (let wordsOffset = 0; done < chunkCount; ++done, offset += CHUNK_LEN, wordsOffset += CHUNK_LEN >> 2) {
+    compressFullChunk(input, offset, inputWords, wordsOffset, keyWords, chunkCounter + done, flags);
+    cvStackPos = pushChunkCv(cvStack, cvStackPos, globalWorkBuffer, 0, done + 1, keyWords, flags);
+  }
+
+  out.set(cvStack.subarray(0, 8), outOffset);
+}
+
+/**
+ * Runs one hashParallel() job inside a worker (see blake3-turbo-worker.js).
+ *
+ * Job fields:
+ *   buffer, byteOffset, byteLength — input, a SharedArrayBuffer range
+ *   results                        — SharedArrayBuffer, 8 words per subtree
+ *   firstSubtree, subtreeCount     — subtrees of this job
+ *   subtreeChunks                  — chunks per subtree (power of 2)
+ *   keyWords, flags                — hashing mode
+ *
+ * @param {Object} job - job description
+ */
+function computeSubtreeCvs(job) {
+  const input = new Uint8Array(job.buffer, job.byteOffset, job.byteLength);
+  const results = new Uint32Array(job.results);
+  const keyWords = Uint32Array.from(job.keyWords);
+  const cvStack = new Uint32Array(HASHER_STACK_DEPTH * 8);
+  const subtreeChunks = job.subtreeChunks;
+  ensureWasm();
+
+  const end = job.firstSubtree + job.subtreeCount;
+  for (let k = job.firstSubtree; k < end; k++) {
+    computeSubtreeCv(
+      input, k * subtreeChunks * CHUNK_LEN,
+      k * subtreeChunks, subtreeChunks,
+      keyWords, job.flags,
+      cvStack, results, k * 8
     );
   }
-  // Return first 32 bytes (256 bits) as hash
-  return new Uint8Array(workBuffer.buffer, CV_OFFSET * 4, 32);
 }
-const hash = blake3;
+
+/**
+ * Creates a pool worker: a Web Worker where the global Worker exists
+ * (browsers, Deno, Bun), otherwise a Node worker_threads Worker.
+ *
+ * The returned wrapper hides the difference; active counts jobs in
+ * flight — idle Node workers are unref'ed so they never keep the
+ * process alive.
+ *
+ * @returns {Promise<Object>} - { post, terminate, ref, unref, active }
+ */
+async function createPoolWorker() {
+  const url = new URL('./blake3-turbo-worker.js', import.meta.url);
+  const wrapper = { post: null, terminate: null, ref: null, unref: null, active: 0 };
+
+  if (typeof Worker === 'function') {
+    const worker = new Worker(url, { type: 'module' });
+    worker.onmessage = (event) => onWorkerMessage(event.data);
+    worker.onerror = (event) => {
+      event.preventDefault();
+      onWorkerFailure(wrapper, new Error(`Worker failed: ${event.message}`));
+    };
+    wrapper.post = (message) => worker.postMessage(message);
+    wrapper.terminate = () => worker.terminate();
+    wrapper.ref = () => {};
+    wrapper.unref = () => {};
+  } else {
+    const { Worker: NodeWorker } = await import('node:worker_threads');
+    const worker = new NodeWorker(url);
+    worker.on('message', onWorkerMessage);
+    worker.on('error', (error) => onWorkerFailure(wrapper, error));
+    worker.on('exit', () => onWorkerFailure(wrapper, new Error('Worker exited')));
+    worker.unref();
+    wrapper.post = (message) => worker.postMessage(message);
+    wrapper.terminate = () => worker.terminate();
+    wrapper.ref = () => worker.ref();
+    wrapper.unref = () => worker.unref();
+  }
+  // Compiled on this thread by hashParallel(): the worker skips compiling
+  wrapper.post({ wasmModules: getWasmModules() });
+  return wrapper;
+}
+
+/**
+ * Grows the worker pool to at least size workers.
+ *
+ * @param {number} size - required number of workers
+ * @returns {Promise<Object[]>} - the first size pool workers
+ */
+function getWorkerPool(size) {
+  const grown = workerPoolGrowth.then(async () => {
+    while (workerPool.length < size) {
+      workerPool.push(await createPoolWorker());
+    }
+    return workerPool.slice(0, size);
+  });
+  // A failed spawn rejects this call only; the next call tries again
+  workerPoolGrowth = grown.catch(() => {});
+  return grown;
+}
+
+function onWorkerMessage(message) {
+  const job = pendingJobs.get(message.id);
+  if (job === undefined) {
+    return;
+  }
+  pendingJobs.delete(message.id);
+  if (--job.worker.active === 0) {
+    job.worker.unref();
+  }
+  if (message.error !== undefined) {
+    job.reject(new Error(message.error));
+  } else {
+    job.resolve();
+  }
+}
+
+function onWorkerFailure(worker, error) {
+  const index = workerPool.indexOf(worker);
+  if (index >= 0) {
+    workerPool.splice(index, 1);
+  }
+  for (const [id, job] of pendingJobs) {
+    if (job.worker === worker) {
+      pendingJobs.delete(id);
+      job.reject(error);
+    }
+  }
+}
+
+/**
+ * Posts a job to a pool worker.
+ *
+ * @param {Object} worker - pool worker
+ * @param {Object} job - job description (see computeSubtreeCvs())
+ * @returns {Promise<void>} - resolves when the worker is done
+ */
+function runWorkerJob(worker, job) {
+  return new Promise((resolve, reject) => {
+    const id = nextJobId++;
+    pendingJobs.set(id, { resolve, reject, worker });
+    if (worker.active++ === 0) {
+      worker.ref();
+    }
+    worker.post({ ...job, id });
+  });
+}
+
+/**
+ * Returns the default number of threads: available CPU cores.
+ *
+ * @returns {Promise<number>}
+ */
+async function defaultThreadCount() {
+  if (typeof navigator !== 'undefined' && navigator.hardwareConcurrency > 0) {
+    return navigator.hardwareConcurrency;
+  }
+  try {
+    const os = await import('node:os');
+    return os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+  } catch {
+    return 1;
+  }
+}
+
+/**
+ * Multi-threaded BLAKE3 hash of a large input.
+ *
+ * The chunk tree is split into equal complete subtrees. Workers compute
+ * their CVs (compress4x, as on the main thread) straight from a
+ * SharedArrayBuffer; the main thread pushes them onto a Hasher CV stack —
+ * merging with PARENT compressions — and hashes the tail (at most one
+ * subtree plus the last chunk) itself. Same result as blake3(input).
+ *
+ *                    ROOT  ← main thread
+ *                  /      \
+ *             PARENT      PARENT
+ *             /    \      /    \
+ *          sub0   sub1  sub2   tail
+ *          (W1)   (W1)  (W2)   (main)
+ *
+ * Input not already on a SharedArrayBuffer is copied once into one.
+ * Without workers or SharedArrayBuffer (e.g. a page that is not
+ * cross-origin isolated), and for inputs below 128 KB, the input is
+ * hashed on the calling thread.
+ *
+ * @param {HashInput} input - input data
+ * @param {{ threads?: number }} [options]
+ *        threads: number of workers (default: number of CPU cores)
+ * @returns {Promise<Uint8Array>} - hash (32 bytes)
+ */
+async function hashParallel(input, options) {
+  const bytes = toBytes(input);
+  const length = bytes.length;
+
+  let threads = options !== undefined && options.threads !== undefined
+    ? options.threads
+    : undefined;
+  if (threads !== undefined && (!Number.isInteger(threads) || threads < 1)) {
+    throw new RangeError('threads must be a positive integer');
+  }
+
+  if (length < PARALLEL_MIN_LEN || typeof SharedArrayBuffer === 'undefined') {
+    return blake3Internal(bytes, IV, 0, 32);
+  }
+
+  // Copy into shared memory first: after the first await the caller's
+  // input (or the string scratch buffer) may change
+  let shared = bytes;
+  if (!(bytes.buffer instanceof SharedArrayBuffer)) {
+    shared = new Uint8Array(new SharedArrayBuffer(length));
+    shared.set(bytes);
+  }
+
+  if (threads === undefined) {
+    threads = await defaultThreadCount();
+  }
+  if (threads < 2) {
+    return blake3Internal(shared, IV, 0, 32);
+  }
+
+  // Subtree size: a power of 2, ~8 subtrees per thread. The last chunk
+  // is never given to a worker — it belongs to the root path.
+  const totalChunks = Math.ceil(length / CHUNK_LEN);
+  let subtreeChunks = PARALLEL_MIN_SUBTREE_CHUNKS;
+  while (subtreeChunks * 2 * threads * 8 <= totalChunks) {
+    subtreeChunks *= 2;
+  }
+  const subtreeCount = Math.floor((totalChunks - 1) / subtreeChunks);
+  const jobThreads = Math.min(threads, subtreeCount);
+
+  await ready();
+  const workers = await getWorkerPool(jobThreads);
+
+  const results = new SharedArrayBuffer(subtreeCount * 32);
+  const jobs = [];
+  for (let w = 0; w < jobThreads; w++) {
+    const firstSubtree = Math.floor(subtreeCount * w / jobThreads);
+    const lastSubtree = Math.floor(subtreeCount * (w + 1) / jobThreads);
+    jobs.push(runWorkerJob(workers[w], {
+      buffer: shared.buffer,
+      byteOffset: shared.byteOffset,
+      byteLength: length,
+      results,
+      firstSubtree,
+      subtreeCount: lastSubtree - firstSubtree,
+      subtreeChunks,
+      keyWords: Array.from(IV),
+      flags: 0,
+    }));
+  }
+  await Promise.all(jobs);
+
+  // Subtree CVs → CV stack. All subtrees have the same size, so the
+  // merge rule works in units of subtrees exactly as in units of chunks.
+  const hasher = new Hasher(IV, 0);
+  const cvs = new Uint32Array(results);
+  for (let k = 0; k < subtreeCount; k++) {
+    hasher.cvStackPos = pushChunkCv(hasher.cvStack, hasher.cvStackPos, cvs, k * 8, k + 1, IV, 0);
+  }
+  hasher.chunkCounter = subtreeCount * subtreeChunks;
+  hasher.update(shared.subarray(subtreeCount * subtreeChunks * CHUNK_LEN));
+  return hasher.digest();
+}
+
+/**
+ * Terminates the hashParallel() worker pool.
+ * The next hashParallel() call creates new workers.
+ */
+function terminateWorkers() {
+  const workers = workerPool.splice(0, workerPool.length);
+  for (const worker of workers) {
+    onWorkerFailure(worker, new Error('Worker pool terminated'));
+    worker.terminate();
+  }
+}
 
 
 // ============================================================================
 // EXPORT
 // ============================================================================
 
-export { blake3, hash, initWasm, wasmSupported };
+export {
+  blake3, hash, hashInto, keyedHash, deriveKey,
+  finalizeXof, OutputReader,
+  createHash, createKeyed, Hasher,
+  encodeDigest, parseDigest, toHex, fromHex,
+  equal, verify, verifyKeyed,
+  hashMany,
+  hashParallel, terminateWorkers,
+  ready, initWasm, wasmSupported, setBackend, getBackend, getBackendInfo,
+  getCodePath, setCodePath, setWasmWindowSize,
+  getWasmModules, provideWasmModules, getWasmModuleBytes, usePrecompiledWasm
+};
+
+// Entry point of blake3-turbo-worker.js, not part of the public API:
+// the job format may change in any release
+export { computeSubtreeCvs as _computeSubtreeCvs };
 
 /*
 ┌─────────────────────────────────────────────────────────────────┐
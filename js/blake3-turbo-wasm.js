@@ -0,0 +1,21 @@
+/**
+ * Precompiled WASM modules of blake3-turbo-js.js.
+ *
+ * GENERATED by build-wasm.js — do not edit. Use with:
+ *
+ *   import { PRECOMPILED_WASM } from './blake3-turbo-wasm.js';
+ *   usePrecompiledWasm(PRECOMPILED_WASM);
+ *
+ * simd:   86852 bytes
+ * scalar: 4391 bytes
+ */
+
+export const PRECOMPILED_WASM = {
+  codePath: { rotations: 'shuffle', loads: 'transpose' },
+  checksums: {
+    simd: 'dc07fcec9fad926d97f7f4b4d29aa50ff9ddc9373405625ab60736cf203727b3',
+    scalar: '5283ba0dad795e20e358d91018ef060aa87480a57757bcf0a0a171c995af6848'
+  },
+  simd: 'AGFzbQEAAAABBAFgAAACCwECanMDbWVtAgABAwkIAAAAAAAAAAAHjwEICmNvbXByZXNzNHgAAA5jb21wcmVzczR4RnVsbAABEGNvbXByZXNzQ2h1bmtzNHgAAhBjb21wcmVzc0NodW5rczh4AAMRY29tcHJlc3NDaHVua3MxNngABBFjb21wcmVzc1BhcmVudHM0eAAFDmNvbXByZXNzV2luZG93AAYOY29tcHJlc3NNYW55NHgABwqGpYWAAAjEwYCAAAEge0EA/QAEACEAQRD9AAQAIQFBIP0ABAAhAkEw/QAEACEDQcAA/QAEACEEQdAA/QAEACEFQeAA/QAEACEGQfAA/QAEACEHQYAB/QAEACEIQZAB/QAEACEJQaAB/QAEACEKQbAB/QAEACELQcAB/QAEACEMQdAB/QAEACENQeAB/QAEACEOQfAB/QAEACEPQYAC/QAEACEQQZAC/QAEACERQaAC/QAEACESQbAC/QAEACETQcAC/QAEACEUQdAC/QAEACEVQeAC/QAEACEWQfAC/QAEACEX/Qxn5glqZ+YJamfmCWpn5glqIRj9DIWuZ7uFrme7ha5nu4WuZ7shGf0McvNuPHLzbjxy8248cvNuPCEa/Qw69U+lOvVPpTr1T6U69U+lIRtBgAP9AAQAIRxBkAP9AAQAIR1BoAP9AAQAIR5BsAP9AAQAIR8gECAU/a4BIAD9rgEiECAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgGP2uASIYIBT9USIUQQz9rQEgFEEU/asB/VAhFCAQIBT9rgEgAf2uASIQIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAY/a4BIhggFP1RIhRBB/2tASAUQRn9qwH9UCEUIBEgFf2uASAC/a4BIhEgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBn9rgEiGSAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgESAV/a4BIAP9rgEiESAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGf2uASIZIBX9USIVQQf9rQEgFUEZ/asB/VAhFSASIBb9rgEgBP2uASISIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAa/a4BIhogFv1RIhZBDP2tASAWQRT9qwH9UCEWIBIgFv2uASAF/a4BIhIgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBr9rgEiGiAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgEyAX/a4BIAb9rgEiEyAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gG/2uASIbIBf9USIXQQz9rQEgF0EU/asB/VAhFyATIBf9rgEgB/2uASITIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAb/a4BIhsgF/1RIhdBB/2tASAXQRn9qwH9UCEXIBAgFf2uASAI/a4BIhAgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBr9rgEiGiAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgECAV/a4BIAn9rgEiECAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gGv2uASIaIBX9USIVQQf9rQEgFUEZ/asB/VAhFSARIBb9rgEgCv2uASIRIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAb/a4BIhsgFv1RIhZBDP2tASAWQRT9qwH9UCEWIBEgFv2uASAL/a4BIhEgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBv9rgEiGyAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgEiAX/a4BIAz9rgEiEiAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGP2uASIYIBf9USIXQQz9rQEgF0EU/asB/VAhFyASIBf9rgEgDf2uASISIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAY/a4BIhggF/1RIhdBB/2tASAXQRn9qwH9UCEXIBMgFP2uASAO/a4BIhMgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBn9rgEiGSAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgEyAU/a4BIA/9rgEiEyAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGf2uASIZIBT9USIUQQf9rQEgFEEZ/asB/VAhFCAQIBT9rgEgAv2uASIQIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAY/a4BIhggFP1RIhRBDP2tASAUQRT9qwH9UCEUIBAgFP2uASAG/a4BIhAgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBj9rgEiGCAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgESAV/a4BIAP9rgEiESAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGf2uASIZIBX9USIVQQz9rQEgFUEU/asB/VAhFSARIBX9rgEgCv2uASIRIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAZ/a4BIhkgFf1RIhVBB/2tASAVQRn9qwH9UCEVIBIgFv2uASAH/a4BIhIgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBr9rgEiGiAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgEiAW/a4BIAD9rgEiEiAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGv2uASIaIBb9USIWQQf9rQEgFkEZ/asB/VAhFiATIBf9rgEgBP2uASITIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAb/a4BIhsgF/1RIhdBDP2tASAXQRT9qwH9UCEXIBMgF/2uASAN/a4BIhMgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBv9rgEiGyAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgECAV/a4BIAH9rgEiECAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gGv2uASIaIBX9USIVQQz9rQEgFUEU/asB/VAhFSAQIBX9rgEgC/2uASIQIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAa/a4BIhogFf1RIhVBB/2tASAVQRn9qwH9UCEVIBEgFv2uASAM/a4BIhEgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBv9rgEiGyAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgESAW/a4BIAX9rgEiESAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgG/2uASIbIBb9USIWQQf9rQEgFkEZ/asB/VAhFiASIBf9rgEgCf2uASISIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAY/a4BIhggF/1RIhdBDP2tASAXQRT9qwH9UCEXIBIgF/2uASAO/a4BIhIgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBj9rgEiGCAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgEyAU/a4BIA/9rgEiEyAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGf2uASIZIBT9USIUQQz9rQEgFEEU/asB/VAhFCATIBT9rgEgCP2uASITIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAZ/a4BIhkgFP1RIhRBB/2tASAUQRn9qwH9UCEUIBAgFP2uASAD/a4BIhAgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBj9rgEiGCAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgECAU/a4BIAT9rgEiECAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgGP2uASIYIBT9USIUQQf9rQEgFEEZ/asB/VAhFCARIBX9rgEgCv2uASIRIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAZ/a4BIhkgFf1RIhVBDP2tASAVQRT9qwH9UCEVIBEgFf2uASAM/a4BIhEgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBn9rgEiGSAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgEiAW/a4BIA39rgEiEiAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGv2uASIaIBb9USIWQQz9rQEgFkEU/asB/VAhFiASIBb9rgEgAv2uASISIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAa/a4BIhogFv1RIhZBB/2tASAWQRn9qwH9UCEWIBMgF/2uASAH/a4BIhMgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBv9rgEiGyAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEyAX/a4BIA79rgEiEyAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gG/2uASIbIBf9USIXQQf9rQEgF0EZ/asB/VAhFyAQIBX9rgEgBv2uASIQIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAa/a4BIhogFf1RIhVBDP2tASAVQRT9qwH9UCEVIBAgFf2uASAF/a4BIhAgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBr9rgEiGiAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgESAW/a4BIAn9rgEiESAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgG/2uASIbIBb9USIWQQz9rQEgFkEU/asB/VAhFiARIBb9rgEgAP2uASIRIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAb/a4BIhsgFv1RIhZBB/2tASAWQRn9qwH9UCEWIBIgF/2uASAL/a4BIhIgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBj9rgEiGCAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEiAX/a4BIA/9rgEiEiAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGP2uASIYIBf9USIXQQf9rQEgF0EZ/asB/VAhFyATIBT9rgEgCP2uASITIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAZ/a4BIhkgFP1RIhRBDP2tASAUQRT9qwH9UCEUIBMgFP2uASAB/a4BIhMgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBn9rgEiGSAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgECAU/a4BIAr9rgEiECAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgGP2uASIYIBT9USIUQQz9rQEgFEEU/asB/VAhFCAQIBT9rgEgB/2uASIQIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAY/a4BIhggFP1RIhRBB/2tASAUQRn9qwH9UCEUIBEgFf2uASAM/a4BIhEgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBn9rgEiGSAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgESAV/a4BIAn9rgEiESAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGf2uASIZIBX9USIVQQf9rQEgFUEZ/asB/VAhFSASIBb9rgEgDv2uASISIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAa/a4BIhogFv1RIhZBDP2tASAWQRT9qwH9UCEWIBIgFv2uASAD/a4BIhIgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBr9rgEiGiAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgEyAX/a4BIA39rgEiEyAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gG/2uASIbIBf9USIXQQz9rQEgF0EU/asB/VAhFyATIBf9rgEgD/2uASITIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAb/a4BIhsgF/1RIhdBB/2tASAXQRn9qwH9UCEXIBAgFf2uASAE/a4BIhAgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBr9rgEiGiAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgECAV/a4BIAD9rgEiECAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gGv2uASIaIBX9USIVQQf9rQEgFUEZ/asB/VAhFSARIBb9rgEgC/2uASIRIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAb/a4BIhsgFv1RIhZBDP2tASAWQRT9qwH9UCEWIBEgFv2uASAC/a4BIhEgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBv9rgEiGyAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgEiAX/a4BIAX9rgEiEiAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGP2uASIYIBf9USIXQQz9rQEgF0EU/asB/VAhFyASIBf9rgEgCP2uASISIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAY/a4BIhggF/1RIhdBB/2tASAXQRn9qwH9UCEXIBMgFP2uASAB/a4BIhMgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBn9rgEiGSAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgEyAU/a4BIAb9rgEiEyAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGf2uASIZIBT9USIUQQf9rQEgFEEZ/asB/VAhFCAQIBT9rgEgDP2uASIQIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAY/a4BIhggFP1RIhRBDP2tASAUQRT9qwH9UCEUIBAgFP2uASAN/a4BIhAgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBj9rgEiGCAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgESAV/a4BIAn9rgEiESAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGf2uASIZIBX9USIVQQz9rQEgFUEU/asB/VAhFSARIBX9rgEgC/2uASIRIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAZ/a4BIhkgFf1RIhVBB/2tASAVQRn9qwH9UCEVIBIgFv2uASAP/a4BIhIgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBr9rgEiGiAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgEiAW/a4BIAr9rgEiEiAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGv2uASIaIBb9USIWQQf9rQEgFkEZ/asB/VAhFiATIBf9rgEgDv2uASITIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAb/a4BIhsgF/1RIhdBDP2tASAXQRT9qwH9UCEXIBMgF/2uASAI/a4BIhMgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBv9rgEiGyAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgECAV/a4BIAf9rgEiECAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gGv2uASIaIBX9USIVQQz9rQEgFUEU/asB/VAhFSAQIBX9rgEgAv2uASIQIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAa/a4BIhogFf1RIhVBB/2tASAVQRn9qwH9UCEVIBEgFv2uASAF/a4BIhEgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBv9rgEiGyAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgESAW/a4BIAP9rgEiESAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgG/2uASIbIBb9USIWQQf9rQEgFkEZ/asB/VAhFiASIBf9rgEgAP2uASISIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAY/a4BIhggF/1RIhdBDP2tASAXQRT9qwH9UCEXIBIgF/2uASAB/a4BIhIgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBj9rgEiGCAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgEyAU/a4BIAb9rgEiEyAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGf2uASIZIBT9USIUQQz9rQEgFEEU/asB/VAhFCATIBT9rgEgBP2uASITIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAZ/a4BIhkgFP1RIhRBB/2tASAUQRn9qwH9UCEUIBAgFP2uASAJ/a4BIhAgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBj9rgEiGCAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgECAU/a4BIA79rgEiECAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgGP2uASIYIBT9USIUQQf9rQEgFEEZ/asB/VAhFCARIBX9rgEgC/2uASIRIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAZ/a4BIhkgFf1RIhVBDP2tASAVQRT9qwH9UCEVIBEgFf2uASAF/a4BIhEgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBn9rgEiGSAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgEiAW/a4BIAj9rgEiEiAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGv2uASIaIBb9USIWQQz9rQEgFkEU/asB/VAhFiASIBb9rgEgDP2uASISIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAa/a4BIhogFv1RIhZBB/2tASAWQRn9qwH9UCEWIBMgF/2uASAP/a4BIhMgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBv9rgEiGyAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEyAX/a4BIAH9rgEiEyAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gG/2uASIbIBf9USIXQQf9rQEgF0EZ/asB/VAhFyAQIBX9rgEgDf2uASIQIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAa/a4BIhogFf1RIhVBDP2tASAVQRT9qwH9UCEVIBAgFf2uASAD/a4BIhAgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBr9rgEiGiAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgESAW/a4BIAD9rgEiESAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgG/2uASIbIBb9USIWQQz9rQEgFkEU/asB/VAhFiARIBb9rgEgCv2uASIRIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAb/a4BIhsgFv1RIhZBB/2tASAWQRn9qwH9UCEWIBIgF/2uASAC/a4BIhIgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBj9rgEiGCAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEiAX/a4BIAb9rgEiEiAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGP2uASIYIBf9USIXQQf9rQEgF0EZ/asB/VAhFyATIBT9rgEgBP2uASITIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAZ/a4BIhkgFP1RIhRBDP2tASAUQRT9qwH9UCEUIBMgFP2uASAH/a4BIhMgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBn9rgEiGSAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgECAU/a4BIAv9rgEiECAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgGP2uASIYIBT9USIUQQz9rQEgFEEU/asB/VAhFCAQIBT9rgEgD/2uASIQIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAY/a4BIhggFP1RIhRBB/2tASAUQRn9qwH9UCEUIBEgFf2uASAF/a4BIhEgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBn9rgEiGSAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgESAV/a4BIAD9rgEiESAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGf2uASIZIBX9USIVQQf9rQEgFUEZ/asB/VAhFSASIBb9rgEgAf2uASISIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAa/a4BIhogFv1RIhZBDP2tASAWQRT9qwH9UCEWIBIgFv2uASAJ/a4BIhIgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBr9rgEiGiAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgEyAX/a4BIAj9rgEiEyAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gG/2uASIbIBf9USIXQQz9rQEgF0EU/asB/VAhFyATIBf9rgEgBv2uASITIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAb/a4BIhsgF/1RIhdBB/2tASAXQRn9qwH9UCEXIBAgFf2uASAO/a4BIhAgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBr9rgEiGiAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgECAV/a4BIAr9rgEiECAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gGv2uASIaIBX9USIVQQf9rQEgFUEZ/asB/VAhFSARIBb9rgEgAv2uASIRIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAb/a4BIhsgFv1RIhZBDP2tASAWQRT9qwH9UCEWIBEgFv2uASAM/a4BIhEgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBv9rgEiGyAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgEiAX/a4BIAP9rgEiEiAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGP2uASIYIBf9USIXQQz9rQEgF0EU/asB/VAhFyASIBf9rgEgBP2uASISIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAY/a4BIhggF/1RIhdBB/2tASAXQRn9qwH9UCEXIBMgFP2uASAH/a4BIhMgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBn9rgEiGSAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgEyAU/a4BIA39rgEiEyAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGf2uASIZIBT9USIUQQf9rQEgFEEZ/asB/VAhFEGABCAQIBj9Uf0LBABBkAQgESAZ/VH9CwQAQaAEIBIgGv1R/QsEAEGwBCATIBv9Uf0LBABBwAQgFCAc/VH9CwQAQdAEIBUgHf1R/QsEAEHgBCAWIB79Uf0LBABB8AQgFyAf/VH9CwQAC9TCgIAAASB7QQD9AAQAIQBBEP0ABAAhAUEg/QAEACECQTD9AAQAIQNBwAD9AAQAIQRB0AD9AAQAIQVB4AD9AAQAIQZB8AD9AAQAIQdBgAH9AAQAIQhBkAH9AAQAIQlBoAH9AAQAIQpBsAH9AAQAIQtBwAH9AAQAIQxB0AH9AAQAIQ1B4AH9AAQAIQ5B8AH9AAQAIQ9BgAL9AAQAIRBBkAL9AAQAIRFBoAL9AAQAIRJBsAL9AAQAIRNBwAL9AAQAIRRB0AL9AAQAIRVB4AL9AAQAIRZB8AL9AAQAIRf9DGfmCWpn5glqZ+YJamfmCWohGP0Mha5nu4WuZ7uFrme7ha5nuyEZ/Qxy8248cvNuPHLzbjxy8248IRr9DDr1T6U69U+lOvVPpTr1T6UhG0GAA/0ABAAhHEGQA/0ABAAhHUGgA/0ABAAhHkGwA/0ABAAhHyAQIBT9rgEgAP2uASIQIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAY/a4BIhggFP1RIhRBDP2tASAUQRT9qwH9UCEUIBAgFP2uASAB/a4BIhAgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBj9rgEiGCAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgESAV/a4BIAL9rgEiESAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGf2uASIZIBX9USIVQQz9rQEgFUEU/asB/VAhFSARIBX9rgEgA/2uASIRIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAZ/a4BIhkgFf1RIhVBB/2tASAVQRn9qwH9UCEVIBIgFv2uASAE/a4BIhIgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBr9rgEiGiAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgEiAW/a4BIAX9rgEiEiAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGv2uASIaIBb9USIWQQf9rQEgFkEZ/asB/VAhFiATIBf9rgEgBv2uASITIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAb/a4BIhsgF/1RIhdBDP2tASAXQRT9qwH9UCEXIBMgF/2uASAH/a4BIhMgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBv9rgEiGyAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgECAV/a4BIAj9rgEiECAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gGv2uASIaIBX9USIVQQz9rQEgFUEU/asB/VAhFSAQIBX9rgEgCf2uASIQIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAa/a4BIhogFf1RIhVBB/2tASAVQRn9qwH9UCEVIBEgFv2uASAK/a4BIhEgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBv9rgEiGyAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgESAW/a4BIAv9rgEiESAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgG/2uASIbIBb9USIWQQf9rQEgFkEZ/asB/VAhFiASIBf9rgEgDP2uASISIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAY/a4BIhggF/1RIhdBDP2tASAXQRT9qwH9UCEXIBIgF/2uASAN/a4BIhIgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBj9rgEiGCAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgEyAU/a4BIA79rgEiEyAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGf2uASIZIBT9USIUQQz9rQEgFEEU/asB/VAhFCATIBT9rgEgD/2uASITIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAZ/a4BIhkgFP1RIhRBB/2tASAUQRn9qwH9UCEUIBAgFP2uASAC/a4BIhAgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBj9rgEiGCAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgECAU/a4BIAb9rgEiECAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgGP2uASIYIBT9USIUQQf9rQEgFEEZ/asB/VAhFCARIBX9rgEgA/2uASIRIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAZ/a4BIhkgFf1RIhVBDP2tASAVQRT9qwH9UCEVIBEgFf2uASAK/a4BIhEgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBn9rgEiGSAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgEiAW/a4BIAf9rgEiEiAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGv2uASIaIBb9USIWQQz9rQEgFkEU/asB/VAhFiASIBb9rgEgAP2uASISIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAa/a4BIhogFv1RIhZBB/2tASAWQRn9qwH9UCEWIBMgF/2uASAE/a4BIhMgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBv9rgEiGyAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEyAX/a4BIA39rgEiEyAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gG/2uASIbIBf9USIXQQf9rQEgF0EZ/asB/VAhFyAQIBX9rgEgAf2uASIQIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAa/a4BIhogFf1RIhVBDP2tASAVQRT9qwH9UCEVIBAgFf2uASAL/a4BIhAgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBr9rgEiGiAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgESAW/a4BIAz9rgEiESAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgG/2uASIbIBb9USIWQQz9rQEgFkEU/asB/VAhFiARIBb9rgEgBf2uASIRIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAb/a4BIhsgFv1RIhZBB/2tASAWQRn9qwH9UCEWIBIgF/2uASAJ/a4BIhIgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBj9rgEiGCAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEiAX/a4BIA79rgEiEiAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGP2uASIYIBf9USIXQQf9rQEgF0EZ/asB/VAhFyATIBT9rgEgD/2uASITIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAZ/a4BIhkgFP1RIhRBDP2tASAUQRT9qwH9UCEUIBMgFP2uASAI/a4BIhMgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBn9rgEiGSAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgECAU/a4BIAP9rgEiECAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgGP2uASIYIBT9USIUQQz9rQEgFEEU/asB/VAhFCAQIBT9rgEgBP2uASIQIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAY/a4BIhggFP1RIhRBB/2tASAUQRn9qwH9UCEUIBEgFf2uASAK/a4BIhEgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBn9rgEiGSAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgESAV/a4BIAz9rgEiESAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGf2uASIZIBX9USIVQQf9rQEgFUEZ/asB/VAhFSASIBb9rgEgDf2uASISIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAa/a4BIhogFv1RIhZBDP2tASAWQRT9qwH9UCEWIBIgFv2uASAC/a4BIhIgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBr9rgEiGiAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgEyAX/a4BIAf9rgEiEyAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gG/2uASIbIBf9USIXQQz9rQEgF0EU/asB/VAhFyATIBf9rgEgDv2uASITIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAb/a4BIhsgF/1RIhdBB/2tASAXQRn9qwH9UCEXIBAgFf2uASAG/a4BIhAgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBr9rgEiGiAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgECAV/a4BIAX9rgEiECAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gGv2uASIaIBX9USIVQQf9rQEgFUEZ/asB/VAhFSARIBb9rgEgCf2uASIRIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAb/a4BIhsgFv1RIhZBDP2tASAWQRT9qwH9UCEWIBEgFv2uASAA/a4BIhEgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBv9rgEiGyAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgEiAX/a4BIAv9rgEiEiAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGP2uASIYIBf9USIXQQz9rQEgF0EU/asB/VAhFyASIBf9rgEgD/2uASISIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAY/a4BIhggF/1RIhdBB/2tASAXQRn9qwH9UCEXIBMgFP2uASAI/a4BIhMgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBn9rgEiGSAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgEyAU/a4BIAH9rgEiEyAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGf2uASIZIBT9USIUQQf9rQEgFEEZ/asB/VAhFCAQIBT9rgEgCv2uASIQIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAY/a4BIhggFP1RIhRBDP2tASAUQRT9qwH9UCEUIBAgFP2uASAH/a4BIhAgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBj9rgEiGCAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgESAV/a4BIAz9rgEiESAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGf2uASIZIBX9USIVQQz9rQEgFUEU/asB/VAhFSARIBX9rgEgCf2uASIRIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAZ/a4BIhkgFf1RIhVBB/2tASAVQRn9qwH9UCEVIBIgFv2uASAO/a4BIhIgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBr9rgEiGiAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgEiAW/a4BIAP9rgEiEiAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGv2uASIaIBb9USIWQQf9rQEgFkEZ/asB/VAhFiATIBf9rgEgDf2uASITIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAb/a4BIhsgF/1RIhdBDP2tASAXQRT9qwH9UCEXIBMgF/2uASAP/a4BIhMgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBv9rgEiGyAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgECAV/a4BIAT9rgEiECAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gGv2uASIaIBX9USIVQQz9rQEgFUEU/asB/VAhFSAQIBX9rgEgAP2uASIQIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAa/a4BIhogFf1RIhVBB/2tASAVQRn9qwH9UCEVIBEgFv2uASAL/a4BIhEgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBv9rgEiGyAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgESAW/a4BIAL9rgEiESAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgG/2uASIbIBb9USIWQQf9rQEgFkEZ/asB/VAhFiASIBf9rgEgBf2uASISIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAY/a4BIhggF/1RIhdBDP2tASAXQRT9qwH9UCEXIBIgF/2uASAI/a4BIhIgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBj9rgEiGCAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgEyAU/a4BIAH9rgEiEyAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGf2uASIZIBT9USIUQQz9rQEgFEEU/asB/VAhFCATIBT9rgEgBv2uASITIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAZ/a4BIhkgFP1RIhRBB/2tASAUQRn9qwH9UCEUIBAgFP2uASAM/a4BIhAgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBj9rgEiGCAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgECAU/a4BIA39rgEiECAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgGP2uASIYIBT9USIUQQf9rQEgFEEZ/asB/VAhFCARIBX9rgEgCf2uASIRIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAZ/a4BIhkgFf1RIhVBDP2tASAVQRT9qwH9UCEVIBEgFf2uASAL/a4BIhEgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBn9rgEiGSAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgEiAW/a4BIA/9rgEiEiAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGv2uASIaIBb9USIWQQz9rQEgFkEU/asB/VAhFiASIBb9rgEgCv2uASISIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAa/a4BIhogFv1RIhZBB/2tASAWQRn9qwH9UCEWIBMgF/2uASAO/a4BIhMgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBv9rgEiGyAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEyAX/a4BIAj9rgEiEyAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gG/2uASIbIBf9USIXQQf9rQEgF0EZ/asB/VAhFyAQIBX9rgEgB/2uASIQIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAa/a4BIhogFf1RIhVBDP2tASAVQRT9qwH9UCEVIBAgFf2uASAC/a4BIhAgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBr9rgEiGiAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgESAW/a4BIAX9rgEiESAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgG/2uASIbIBb9USIWQQz9rQEgFkEU/asB/VAhFiARIBb9rgEgA/2uASIRIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAb/a4BIhsgFv1RIhZBB/2tASAWQRn9qwH9UCEWIBIgF/2uASAA/a4BIhIgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBj9rgEiGCAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEiAX/a4BIAH9rgEiEiAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGP2uASIYIBf9USIXQQf9rQEgF0EZ/asB/VAhFyATIBT9rgEgBv2uASITIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAZ/a4BIhkgFP1RIhRBDP2tASAUQRT9qwH9UCEUIBMgFP2uASAE/a4BIhMgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBn9rgEiGSAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgECAU/a4BIAn9rgEiECAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgGP2uASIYIBT9USIUQQz9rQEgFEEU/asB/VAhFCAQIBT9rgEgDv2uASIQIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAY/a4BIhggFP1RIhRBB/2tASAUQRn9qwH9UCEUIBEgFf2uASAL/a4BIhEgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBn9rgEiGSAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgESAV/a4BIAX9rgEiESAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGf2uASIZIBX9USIVQQf9rQEgFUEZ/asB/VAhFSASIBb9rgEgCP2uASISIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAa/a4BIhogFv1RIhZBDP2tASAWQRT9qwH9UCEWIBIgFv2uASAM/a4BIhIgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBr9rgEiGiAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgEyAX/a4BIA/9rgEiEyAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gG/2uASIbIBf9USIXQQz9rQEgF0EU/asB/VAhFyATIBf9rgEgAf2uASITIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAb/a4BIhsgF/1RIhdBB/2tASAXQRn9qwH9UCEXIBAgFf2uASAN/a4BIhAgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBr9rgEiGiAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgECAV/a4BIAP9rgEiECAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gGv2uASIaIBX9USIVQQf9rQEgFUEZ/asB/VAhFSARIBb9rgEgAP2uASIRIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAb/a4BIhsgFv1RIhZBDP2tASAWQRT9qwH9UCEWIBEgFv2uASAK/a4BIhEgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBv9rgEiGyAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgEiAX/a4BIAL9rgEiEiAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGP2uASIYIBf9USIXQQz9rQEgF0EU/asB/VAhFyASIBf9rgEgBv2uASISIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAY/a4BIhggF/1RIhdBB/2tASAXQRn9qwH9UCEXIBMgFP2uASAE/a4BIhMgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBn9rgEiGSAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgEyAU/a4BIAf9rgEiEyAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGf2uASIZIBT9USIUQQf9rQEgFEEZ/asB/VAhFCAQIBT9rgEgC/2uASIQIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAY/a4BIhggFP1RIhRBDP2tASAUQRT9qwH9UCEUIBAgFP2uASAP/a4BIhAgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBj9rgEiGCAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgESAV/a4BIAX9rgEiESAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGf2uASIZIBX9USIVQQz9rQEgFUEU/asB/VAhFSARIBX9rgEgAP2uASIRIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAZ/a4BIhkgFf1RIhVBB/2tASAVQRn9qwH9UCEVIBIgFv2uASAB/a4BIhIgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBr9rgEiGiAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgEiAW/a4BIAn9rgEiEiAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGv2uASIaIBb9USIWQQf9rQEgFkEZ/asB/VAhFiATIBf9rgEgCP2uASITIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAb/a4BIhsgF/1RIhdBDP2tASAXQRT9qwH9UCEXIBMgF/2uASAG/a4BIhMgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBv9rgEiGyAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgECAV/a4BIA79rgEiECAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gGv2uASIaIBX9USIVQQz9rQEgFUEU/asB/VAhFSAQIBX9rgEgCv2uASIQIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAa/a4BIhogFf1RIhVBB/2tASAVQRn9qwH9UCEVIBEgFv2uASAC/a4BIhEgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBv9rgEiGyAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgESAW/a4BIAz9rgEiESAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgG/2uASIbIBb9USIWQQf9rQEgFkEZ/asB/VAhFiASIBf9rgEgA/2uASISIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAY/a4BIhggF/1RIhdBDP2tASAXQRT9qwH9UCEXIBIgF/2uASAE/a4BIhIgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBj9rgEiGCAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgEyAU/a4BIAf9rgEiEyAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGf2uASIZIBT9USIUQQz9rQEgFEEU/asB/VAhFCATIBT9rgEgDf2uASITIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAZ/a4BIhkgFP1RIhRBB/2tASAUQRn9qwH9UCEUQYAEIBAgGP1R/QsEAEGQBCARIBn9Uf0LBABBoAQgEiAa/VH9CwQAQbAEIBMgG/1R/QsEAEHABCAUIBz9Uf0LBABB0AQgFSAd/VH9CwQAQeAEIBYgHv1R/QsEAEHwBCAXIB/9Uf0LBABBgAUgGEGAAv0ABAD9Uf0LBABBkAUgGUGQAv0ABAD9Uf0LBABBoAUgGkGgAv0ABAD9Uf0LBABBsAUgG0GwAv0ABAD9Uf0LBABBwAUgHEHAAv0ABAD9Uf0LBABB0AUgHUHQAv0ABAD9Uf0LBABB4AUgHkHgAv0ABAD9Uf0LBABB8AUgH0HwAv0ABAD9Uf0LBAAL1ciAgAACMXsEf0HIAygCACEyQbADKAIAITNBgAL9AAQAISBBkAL9AAQAISFBoAL9AAQAISJBsAL9AAQAISNBwAL9AAQAISRB0AL9AAQAISVB4AL9AAQAISZB8AL9AAQAISdBACExA0AgMyAxRXIgMUEPRkEBdHL9ESEwIDL9AAQAISggMv0ABIAIISkgMv0ABIAQISogMv0ABIAYISsgKCAp/Q0AAQIDEBESEwQFBgcUFRYXISwgKiAr/Q0AAQIDEBESEwQFBgcUFRYXIS0gKCAp/Q0ICQoLGBkaGwwNDg8cHR4fIS4gKiAr/Q0ICQoLGBkaGwwNDg8cHR4fIS8gLCAt/Q0AAQIDBAUGBxAREhMUFRYXIQAgLCAt/Q0ICQoLDA0ODxgZGhscHR4fIQEgLiAv/Q0AAQIDBAUGBxAREhMUFRYXIQIgLiAv/Q0ICQoLDA0ODxgZGhscHR4fIQMgMv0ABBAhKCAy/QAEkAghKSAy/QAEkBAhKiAy/QAEkBghKyAoICn9DQABAgMQERITBAUGBxQVFhchLCAqICv9DQABAgMQERITBAUGBxQVFhchLSAoICn9DQgJCgsYGRobDA0ODxwdHh8hLiAqICv9DQgJCgsYGRobDA0ODxwdHh8hLyAsIC39DQABAgMEBQYHEBESExQVFhchBCAsIC39DQgJCgsMDQ4PGBkaGxwdHh8hBSAuIC/9DQABAgMEBQYHEBESExQVFhchBiAuIC/9DQgJCgsMDQ4PGBkaGxwdHh8hByAy/QAEICEoIDL9AASgCCEpIDL9AASgECEqIDL9AASgGCErICggKf0NAAECAxAREhMEBQYHFBUWFyEsICogK/0NAAECAxAREhMEBQYHFBUWFyEtICggKf0NCAkKCxgZGhsMDQ4PHB0eHyEuICogK/0NCAkKCxgZGhsMDQ4PHB0eHyEvICwgLf0NAAECAwQFBgcQERITFBUWFyEIICwgLf0NCAkKCwwNDg8YGRobHB0eHyEJIC4gL/0NAAECAwQFBgcQERITFBUWFyEKIC4gL/0NCAkKCwwNDg8YGRobHB0eHyELIDL9AAQwISggMv0ABLAIISkgMv0ABLAQISogMv0ABLAYISsgKCAp/Q0AAQIDEBESEwQFBgcUFRYXISwgKiAr/Q0AAQIDEBESEwQFBgcUFRYXIS0gKCAp/Q0ICQoLGBkaGwwNDg8cHR4fIS4gKiAr/Q0ICQoLGBkaGwwNDg8cHR4fIS8gLCAt/Q0AAQIDBAUGBxAREhMUFRYXIQwgLCAt/Q0ICQoLDA0ODxgZGhscHR4fIQ0gLiAv/Q0AAQIDBAUGBxAREhMUFRYXIQ4gLiAv/Q0ICQoLDA0ODxgZGhscHR4fIQ8gICEQICEhESAiIRIgIyETICQhFCAlIRUgJiEWICchF/0MZ+YJamfmCWpn5glqZ+YJaiEY/QyFrme7ha5nu4WuZ7uFrme7IRn9DHLzbjxy8248cvNuPHLzbjwhGv0MOvVPpTr1T6U69U+lOvVPpSEbIDT9AASABiEcIDT9AASQBiEdQcAA/REhHiAwIR8gECAU/a4BIAD9rgEiECAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgGP2uASIYIBT9USIUQQz9rQEgFEEU/asB/VAhFCAQIBT9rgEgAf2uASIQIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAY/a4BIhggFP1RIhRBB/2tASAUQRn9qwH9UCEUIBEgFf2uASAC/a4BIhEgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBn9rgEiGSAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgESAV/a4BIAP9rgEiESAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGf2uASIZIBX9USIVQQf9rQEgFUEZ/asB/VAhFSASIBb9rgEgBP2uASISIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAa/a4BIhogFv1RIhZBDP2tASAWQRT9qwH9UCEWIBIgFv2uASAF/a4BIhIgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBr9rgEiGiAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgEyAX/a4BIAb9rgEiEyAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gG/2uASIbIBf9USIXQQz9rQEgF0EU/asB/VAhFyATIBf9rgEgB/2uASITIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAb/a4BIhsgF/1RIhdBB/2tASAXQRn9qwH9UCEXIBAgFf2uASAI/a4BIhAgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBr9rgEiGiAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgECAV/a4BIAn9rgEiECAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gGv2uASIaIBX9USIVQQf9rQEgFUEZ/asB/VAhFSARIBb9rgEgCv2uASIRIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAb/a4BIhsgFv1RIhZBDP2tASAWQRT9qwH9UCEWIBEgFv2uASAL/a4BIhEgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBv9rgEiGyAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgEiAX/a4BIAz9rgEiEiAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGP2uASIYIBf9USIXQQz9rQEgF0EU/asB/VAhFyASIBf9rgEgDf2uASISIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAY/a4BIhggF/1RIhdBB/2tASAXQRn9qwH9UCEXIBMgFP2uASAO/a4BIhMgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBn9rgEiGSAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgEyAU/a4BIA/9rgEiEyAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGf2uASIZIBT9USIUQQf9rQEgFEEZ/asB/VAhFCAQIBT9rgEgAv2uASIQIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAY/a4BIhggFP1RIhRBDP2tASAUQRT9qwH9UCEUIBAgFP2uASAG/a4BIhAgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBj9rgEiGCAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgESAV/a4BIAP9rgEiESAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGf2uASIZIBX9USIVQQz9rQEgFUEU/asB/VAhFSARIBX9rgEgCv2uASIRIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAZ/a4BIhkgFf1RIhVBB/2tASAVQRn9qwH9UCEVIBIgFv2uASAH/a4BIhIgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBr9rgEiGiAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgEiAW/a4BIAD9rgEiEiAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGv2uASIaIBb9USIWQQf9rQEgFkEZ/asB/VAhFiATIBf9rgEgBP2uASITIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAb/a4BIhsgF/1RIhdBDP2tASAXQRT9qwH9UCEXIBMgF/2uASAN/a4BIhMgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBv9rgEiGyAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgECAV/a4BIAH9rgEiECAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gGv2uASIaIBX9USIVQQz9rQEgFUEU/asB/VAhFSAQIBX9rgEgC/2uASIQIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAa/a4BIhogFf1RIhVBB/2tASAVQRn9qwH9UCEVIBEgFv2uASAM/a4BIhEgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBv9rgEiGyAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgESAW/a4BIAX9rgEiESAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgG/2uASIbIBb9USIWQQf9rQEgFkEZ/asB/VAhFiASIBf9rgEgCf2uASISIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAY/a4BIhggF/1RIhdBDP2tASAXQRT9qwH9UCEXIBIgF/2uASAO/a4BIhIgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBj9rgEiGCAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgEyAU/a4BIA/9rgEiEyAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGf2uASIZIBT9USIUQQz9rQEgFEEU/asB/VAhFCATIBT9rgEgCP2uASITIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAZ/a4BIhkgFP1RIhRBB/2tASAUQRn9qwH9UCEUIBAgFP2uASAD/a4BIhAgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBj9rgEiGCAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgECAU/a4BIAT9rgEiECAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgGP2uASIYIBT9USIUQQf9rQEgFEEZ/asB/VAhFCARIBX9rgEgCv2uASIRIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAZ/a4BIhkgFf1RIhVBDP2tASAVQRT9qwH9UCEVIBEgFf2uASAM/a4BIhEgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBn9rgEiGSAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgEiAW/a4BIA39rgEiEiAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGv2uASIaIBb9USIWQQz9rQEgFkEU/asB/VAhFiASIBb9rgEgAv2uASISIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAa/a4BIhogFv1RIhZBB/2tASAWQRn9qwH9UCEWIBMgF/2uASAH/a4BIhMgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBv9rgEiGyAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEyAX/a4BIA79rgEiEyAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gG/2uASIbIBf9USIXQQf9rQEgF0EZ/asB/VAhFyAQIBX9rgEgBv2uASIQIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAa/a4BIhogFf1RIhVBDP2tASAVQRT9qwH9UCEVIBAgFf2uASAF/a4BIhAgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBr9rgEiGiAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgESAW/a4BIAn9rgEiESAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgG/2uASIbIBb9USIWQQz9rQEgFkEU/asB/VAhFiARIBb9rgEgAP2uASIRIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAb/a4BIhsgFv1RIhZBB/2tASAWQRn9qwH9UCEWIBIgF/2uASAL/a4BIhIgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBj9rgEiGCAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEiAX/a4BIA/9rgEiEiAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGP2uASIYIBf9USIXQQf9rQEgF0EZ/asB/VAhFyATIBT9rgEgCP2uASITIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAZ/a4BIhkgFP1RIhRBDP2tASAUQRT9qwH9UCEUIBMgFP2uASAB/a4BIhMgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBn9rgEiGSAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgECAU/a4BIAr9rgEiECAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgGP2uASIYIBT9USIUQQz9rQEgFEEU/asB/VAhFCAQIBT9rgEgB/2uASIQIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAY/a4BIhggFP1RIhRBB/2tASAUQRn9qwH9UCEUIBEgFf2uASAM/a4BIhEgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBn9rgEiGSAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgESAV/a4BIAn9rgEiESAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGf2uASIZIBX9USIVQQf9rQEgFUEZ/asB/VAhFSASIBb9rgEgDv2uASISIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAa/a4BIhogFv1RIhZBDP2tASAWQRT9qwH9UCEWIBIgFv2uASAD/a4BIhIgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBr9rgEiGiAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgEyAX/a4BIA39rgEiEyAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gG/2uASIbIBf9USIXQQz9rQEgF0EU/asB/VAhFyATIBf9rgEgD/2uASITIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAb/a4BIhsgF/1RIhdBB/2tASAXQRn9qwH9UCEXIBAgFf2uASAE/a4BIhAgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBr9rgEiGiAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgECAV/a4BIAD9rgEiECAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gGv2uASIaIBX9USIVQQf9rQEgFUEZ/asB/VAhFSARIBb9rgEgC/2uASIRIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAb/a4BIhsgFv1RIhZBDP2tASAWQRT9qwH9UCEWIBEgFv2uASAC/a4BIhEgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBv9rgEiGyAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgEiAX/a4BIAX9rgEiEiAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGP2uASIYIBf9USIXQQz9rQEgF0EU/asB/VAhFyASIBf9rgEgCP2uASISIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAY/a4BIhggF/1RIhdBB/2tASAXQRn9qwH9UCEXIBMgFP2uASAB/a4BIhMgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBn9rgEiGSAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgEyAU/a4BIAb9rgEiEyAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGf2uASIZIBT9USIUQQf9rQEgFEEZ/asB/VAhFCAQIBT9rgEgDP2uASIQIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAY/a4BIhggFP1RIhRBDP2tASAUQRT9qwH9UCEUIBAgFP2uASAN/a4BIhAgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBj9rgEiGCAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgESAV/a4BIAn9rgEiESAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGf2uASIZIBX9USIVQQz9rQEgFUEU/asB/VAhFSARIBX9rgEgC/2uASIRIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAZ/a4BIhkgFf1RIhVBB/2tASAVQRn9qwH9UCEVIBIgFv2uASAP/a4BIhIgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBr9rgEiGiAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgEiAW/a4BIAr9rgEiEiAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGv2uASIaIBb9USIWQQf9rQEgFkEZ/asB/VAhFiATIBf9rgEgDv2uASITIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAb/a4BIhsgF/1RIhdBDP2tASAXQRT9qwH9UCEXIBMgF/2uASAI/a4BIhMgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBv9rgEiGyAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgECAV/a4BIAf9rgEiECAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gGv2uASIaIBX9USIVQQz9rQEgFUEU/asB/VAhFSAQIBX9rgEgAv2uASIQIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAa/a4BIhogFf1RIhVBB/2tASAVQRn9qwH9UCEVIBEgFv2uASAF/a4BIhEgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBv9rgEiGyAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgESAW/a4BIAP9rgEiESAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgG/2uASIbIBb9USIWQQf9rQEgFkEZ/asB/VAhFiASIBf9rgEgAP2uASISIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAY/a4BIhggF/1RIhdBDP2tASAXQRT9qwH9UCEXIBIgF/2uASAB/a4BIhIgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBj9rgEiGCAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgEyAU/a4BIAb9rgEiEyAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGf2uASIZIBT9USIUQQz9rQEgFEEU/asB/VAhFCATIBT9rgEgBP2uASITIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAZ/a4BIhkgFP1RIhRBB/2tASAUQRn9qwH9UCEUIBAgFP2uASAJ/a4BIhAgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBj9rgEiGCAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgECAU/a4BIA79rgEiECAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgGP2uASIYIBT9USIUQQf9rQEgFEEZ/asB/VAhFCARIBX9rgEgC/2uASIRIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAZ/a4BIhkgFf1RIhVBDP2tASAVQRT9qwH9UCEVIBEgFf2uASAF/a4BIhEgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBn9rgEiGSAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgEiAW/a4BIAj9rgEiEiAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGv2uASIaIBb9USIWQQz9rQEgFkEU/asB/VAhFiASIBb9rgEgDP2uASISIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAa/a4BIhogFv1RIhZBB/2tASAWQRn9qwH9UCEWIBMgF/2uASAP/a4BIhMgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBv9rgEiGyAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEyAX/a4BIAH9rgEiEyAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gG/2uASIbIBf9USIXQQf9rQEgF0EZ/asB/VAhFyAQIBX9rgEgDf2uASIQIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAa/a4BIhogFf1RIhVBDP2tASAVQRT9qwH9UCEVIBAgFf2uASAD/a4BIhAgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBr9rgEiGiAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgESAW/a4BIAD9rgEiESAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgG/2uASIbIBb9USIWQQz9rQEgFkEU/asB/VAhFiARIBb9rgEgCv2uASIRIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAb/a4BIhsgFv1RIhZBB/2tASAWQRn9qwH9UCEWIBIgF/2uASAC/a4BIhIgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBj9rgEiGCAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEiAX/a4BIAb9rgEiEiAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGP2uASIYIBf9USIXQQf9rQEgF0EZ/asB/VAhFyATIBT9rgEgBP2uASITIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAZ/a4BIhkgFP1RIhRBDP2tASAUQRT9qwH9UCEUIBMgFP2uASAH/a4BIhMgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBn9rgEiGSAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgECAU/a4BIAv9rgEiECAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgGP2uASIYIBT9USIUQQz9rQEgFEEU/asB/VAhFCAQIBT9rgEgD/2uASIQIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAY/a4BIhggFP1RIhRBB/2tASAUQRn9qwH9UCEUIBEgFf2uASAF/a4BIhEgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBn9rgEiGSAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgESAV/a4BIAD9rgEiESAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGf2uASIZIBX9USIVQQf9rQEgFUEZ/asB/VAhFSASIBb9rgEgAf2uASISIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAa/a4BIhogFv1RIhZBDP2tASAWQRT9qwH9UCEWIBIgFv2uASAJ/a4BIhIgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBr9rgEiGiAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgEyAX/a4BIAj9rgEiEyAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gG/2uASIbIBf9USIXQQz9rQEgF0EU/asB/VAhFyATIBf9rgEgBv2uASITIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAb/a4BIhsgF/1RIhdBB/2tASAXQRn9qwH9UCEXIBAgFf2uASAO/a4BIhAgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBr9rgEiGiAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgECAV/a4BIAr9rgEiECAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gGv2uASIaIBX9USIVQQf9rQEgFUEZ/asB/VAhFSARIBb9rgEgAv2uASIRIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAb/a4BIhsgFv1RIhZBDP2tASAWQRT9qwH9UCEWIBEgFv2uASAM/a4BIhEgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBv9rgEiGyAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgEiAX/a4BIAP9rgEiEiAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGP2uASIYIBf9USIXQQz9rQEgF0EU/asB/VAhFyASIBf9rgEgBP2uASISIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAY/a4BIhggF/1RIhdBB/2tASAXQRn9qwH9UCEXIBMgFP2uASAH/a4BIhMgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBn9rgEiGSAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgEyAU/a4BIA39rgEiEyAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGf2uASIZIBT9USIUQQf9rQEgFEEZ/asB/VAhFCAQIBj9USEgIBEgGf1RISEgEiAa/VEhIiATIBv9USEjIBQgHP1RISQgFSAd/VEhJSAWIB79USEmIBcgH/1RIScgMkHAAGohMiAxQQFqIjFBEEkNAAsgNEECdCAg/QsEgAggNEECdCAh/QsEkAggNEECdCAi/QsEoAggNEECdCAj/QsEsAggNEECdCAk/QsEwAggNEECdCAl/QsE0AggNEECdCAm/QsE4AggNEECdCAn/QsE8AgLwpCBgAACWXsEf0HIAygCACFaQbADKAIAIVtBgAL9AAQAISAgICFIQZAC/QAEACEhICEhSUGgAv0ABAAhIiAiIUpBsAL9AAQAISMgIyFLQcAC/QAEACEkICQhTEHQAv0ABAAhJSAlIU1B4AL9AAQAISYgJiFOQfAC/QAEACEnICchT0EAIVkDQCBbIFlFciBZQQ9GQQF0cv0RIVggWv0ABAAhUCBa/QAEgAghUSBa/QAEgBAhUiBa/QAEgBghUyBQIFH9DQABAgMQERITBAUGBxQVFhchVCBSIFP9DQABAgMQERITBAUGBxQVFhchVSBQIFH9DQgJCgsYGRobDA0ODxwdHh8hViBSIFP9DQgJCgsYGRobDA0ODxwdHh8hVyBUIFX9DQABAgMEBQYHEBESExQVFhchACBUIFX9DQgJCgsMDQ4PGBkaGxwdHh8hASBWIFf9DQABAgMEBQYHEBESExQVFhchAiBWIFf9DQgJCgsMDQ4PGBkaGxwdHh8hAyBa/QAEECFQIFr9AASQCCFRIFr9AASQECFSIFr9AASQGCFTIFAgUf0NAAECAxAREhMEBQYHFBUWFyFUIFIgU/0NAAECAxAREhMEBQYHFBUWFyFVIFAgUf0NCAkKCxgZGhsMDQ4PHB0eHyFWIFIgU/0NCAkKCxgZGhsMDQ4PHB0eHyFXIFQgVf0NAAECAwQFBgcQERITFBUWFyEEIFQgVf0NCAkKCwwNDg8YGRobHB0eHyEFIFYgV/0NAAECAwQFBgcQERITFBUWFyEGIFYgV/0NCAkKCwwNDg8YGRobHB0eHyEHIFr9AAQgIVAgWv0ABKAIIVEgWv0ABKAQIVIgWv0ABKAYIVMgUCBR/Q0AAQIDEBESEwQFBgcUFRYXIVQgUiBT/Q0AAQIDEBESEwQFBgcUFRYXIVUgUCBR/Q0ICQoLGBkaGwwNDg8cHR4fIVYgUiBT/Q0ICQoLGBkaGwwNDg8cHR4fIVcgVCBV/Q0AAQIDBAUGBxAREhMUFRYXIQggVCBV/Q0ICQoLDA0ODxgZGhscHR4fIQkgViBX/Q0AAQIDBAUGBxAREhMUFRYXIQogViBX/Q0ICQoLDA0ODxgZGhscHR4fIQsgWv0ABDAhUCBa/QAEsAghUSBa/QAEsBAhUiBa/QAEsBghUyBQIFH9DQABAgMQERITBAUGBxQVFhchVCBSIFP9DQABAgMQERITBAUGBxQVFhchVSBQIFH9DQgJCgsYGRobDA0ODxwdHh8hViBSIFP9DQgJCgsYGRobDA0ODxwdHh8hVyBUIFX9DQABAgMEBQYHEBESExQVFhchDCBUIFX9DQgJCgsMDQ4PGBkaGxwdHh8hDSBWIFf9DQABAgMEBQYHEBESExQVFhchDiBWIFf9DQgJCgsMDQ4PGBkaGxwdHh8hDyAgIRAgISERICIhEiAjIRMgJCEUICUhFSAmIRYgJyEX/Qxn5glqZ+YJamfmCWpn5glqIRj9DIWuZ7uFrme7ha5nu4WuZ7shGf0McvNuPHLzbjxy8248cvNuPCEa/Qw69U+lOvVPpTr1T6U69U+lIRsgXP0ABIAGIRwgXP0ABJAGIR1BwAD9ESEeIFghHyBa/QAEgCAhUCBa/QAEgCghUSBa/QAEgDAhUiBa/QAEgDghUyBQIFH9DQABAgMQERITBAUGBxQVFhchVCBSIFP9DQABAgMQERITBAUGBxQVFhchVSBQIFH9DQgJCgsYGRobDA0ODxwdHh8hViBSIFP9DQgJCgsYGRobDA0ODxwdHh8hVyBUIFX9DQABAgMEBQYHEBESExQVFhchKCBUIFX9DQgJCgsMDQ4PGBkaGxwdHh8hKSBWIFf9DQABAgMEBQYHEBESExQVFhchKiBWIFf9DQgJCgsMDQ4PGBkaGxwdHh8hKyBa/QAEkCAhUCBa/QAEkCghUSBa/QAEkDAhUiBa/QAEkDghUyBQIFH9DQABAgMQERITBAUGBxQVFhchVCBSIFP9DQABAgMQERITBAUGBxQVFhchVSBQIFH9DQgJCgsYGRobDA0ODxwdHh8hViBSIFP9DQgJCgsYGRobDA0ODxwdHh8hVyBUIFX9DQABAgMEBQYHEBESExQVFhchLCBUIFX9DQgJCgsMDQ4PGBkaGxwdHh8hLSBWIFf9DQABAgMEBQYHEBESExQVFhchLiBWIFf9DQgJCgsMDQ4PGBkaGxwdHh8hLyBa/QAEoCAhUCBa/QAEoCghUSBa/QAEoDAhUiBa/QAEoDghUyBQIFH9DQABAgMQERITBAUGBxQVFhchVCBSIFP9DQABAgMQERITBAUGBxQVFhchVSBQIFH9DQgJCgsYGRobDA0ODxwdHh8hViBSIFP9DQgJCgsYGRobDA0ODxwdHh8hVyBUIFX9DQABAgMEBQYHEBESExQVFhchMCBUIFX9DQgJCgsMDQ4PGBkaGxwdHh8hMSBWIFf9DQABAgMEBQYHEBESExQVFhchMiBWIFf9DQgJCgsMDQ4PGBkaGxwdHh8hMyBa/QAEsCAhUCBa/QAEsCghUSBa/QAEsDAhUiBa/QAEsDghUyBQIFH9DQABAgMQERITBAUGBxQVFhchVCBSIFP9DQABAgMQERITBAUGBxQVFhchVSBQIFH9DQgJCgsYGRobDA0ODxwdHh8hViBSIFP9DQgJCgsYGRobDA0ODxwdHh8hVyBUIFX9DQABAgMEBQYHEBESExQVFhchNCBUIFX9DQgJCgsMDQ4PGBkaGxwdHh8hNSBWIFf9DQABAgMEBQYHEBESExQVFhchNiBWIFf9DQgJCgsMDQ4PGBkaGxwdHh8hNyBIITggSSE5IEohOiBLITsgTCE8IE0hPSBOIT4gTyE//Qxn5glqZ+YJamfmCWpn5glqIUD9DIWuZ7uFrme7ha5nu4WuZ7shQf0McvNuPHLzbjxy8248cvNuPCFC/Qw69U+lOvVPpTr1T6U69U+lIUMgXP0ABKAGIUQgXP0ABLAGIUVBwAD9ESFGIFghRyAQIBT9rgEgAP2uASIQIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAY/a4BIhggFP1RIhRBDP2tASAUQRT9qwH9UCEUIBAgFP2uASAB/a4BIhAgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBj9rgEiGCAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgOCA8/a4BICj9rgEiOCBE/VEiRCBE/Q0CAwABBgcEBQoLCAkODwwNIkQgQP2uASJAIDz9USI8QQz9rQEgPEEU/asB/VAhPCA4IDz9rgEgKf2uASI4IET9USJEIET9DQECAwAFBgcECQoLCA0ODwwiRCBA/a4BIkAgPP1RIjxBB/2tASA8QRn9qwH9UCE8IBEgFf2uASAC/a4BIhEgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBn9rgEiGSAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgESAV/a4BIAP9rgEiESAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGf2uASIZIBX9USIVQQf9rQEgFUEZ/asB/VAhFSA5ID39rgEgKv2uASI5IEX9USJFIEX9DQIDAAEGBwQFCgsICQ4PDA0iRSBB/a4BIkEgPf1RIj1BDP2tASA9QRT9qwH9UCE9IDkgPf2uASAr/a4BIjkgRf1RIkUgRf0NAQIDAAUGBwQJCgsIDQ4PDCJFIEH9rgEiQSA9/VEiPUEH/a0BID1BGf2rAf1QIT0gEiAW/a4BIAT9rgEiEiAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGv2uASIaIBb9USIWQQz9rQEgFkEU/asB/VAhFiASIBb9rgEgBf2uASISIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAa/a4BIhogFv1RIhZBB/2tASAWQRn9qwH9UCEWIDogPv2uASAs/a4BIjogRv1RIkYgRv0NAgMAAQYHBAUKCwgJDg8MDSJGIEL9rgEiQiA+/VEiPkEM/a0BID5BFP2rAf1QIT4gOiA+/a4BIC39rgEiOiBG/VEiRiBG/Q0BAgMABQYHBAkKCwgNDg8MIkYgQv2uASJCID79USI+QQf9rQEgPkEZ/asB/VAhPiATIBf9rgEgBv2uASITIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAb/a4BIhsgF/1RIhdBDP2tASAXQRT9qwH9UCEXIBMgF/2uASAH/a4BIhMgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBv9rgEiGyAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgOyA//a4BIC79rgEiOyBH/VEiRyBH/Q0CAwABBgcEBQoLCAkODwwNIkcgQ/2uASJDID/9USI/QQz9rQEgP0EU/asB/VAhPyA7ID/9rgEgL/2uASI7IEf9USJHIEf9DQECAwAFBgcECQoLCA0ODwwiRyBD/a4BIkMgP/1RIj9BB/2tASA/QRn9qwH9UCE/IBAgFf2uASAI/a4BIhAgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBr9rgEiGiAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgECAV/a4BIAn9rgEiECAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gGv2uASIaIBX9USIVQQf9rQEgFUEZ/asB/VAhFSA4ID39rgEgMP2uASI4IEf9USJHIEf9DQIDAAEGBwQFCgsICQ4PDA0iRyBC/a4BIkIgPf1RIj1BDP2tASA9QRT9qwH9UCE9IDggPf2uASAx/a4BIjggR/1RIkcgR/0NAQIDAAUGBwQJCgsIDQ4PDCJHIEL9rgEiQiA9/VEiPUEH/a0BID1BGf2rAf1QIT0gESAW/a4BIAr9rgEiESAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgG/2uASIbIBb9USIWQQz9rQEgFkEU/asB/VAhFiARIBb9rgEgC/2uASIRIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAb/a4BIhsgFv1RIhZBB/2tASAWQRn9qwH9UCEWIDkgPv2uASAy/a4BIjkgRP1RIkQgRP0NAgMAAQYHBAUKCwgJDg8MDSJEIEP9rgEiQyA+/VEiPkEM/a0BID5BFP2rAf1QIT4gOSA+/a4BIDP9rgEiOSBE/VEiRCBE/Q0BAgMABQYHBAkKCwgNDg8MIkQgQ/2uASJDID79USI+QQf9rQEgPkEZ/asB/VAhPiASIBf9rgEgDP2uASISIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAY/a4BIhggF/1RIhdBDP2tASAXQRT9qwH9UCEXIBIgF/2uASAN/a4BIhIgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBj9rgEiGCAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgOiA//a4BIDT9rgEiOiBF/VEiRSBF/Q0CAwABBgcEBQoLCAkODwwNIkUgQP2uASJAID/9USI/QQz9rQEgP0EU/asB/VAhPyA6ID/9rgEgNf2uASI6IEX9USJFIEX9DQECAwAFBgcECQoLCA0ODwwiRSBA/a4BIkAgP/1RIj9BB/2tASA/QRn9qwH9UCE/IBMgFP2uASAO/a4BIhMgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBn9rgEiGSAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgEyAU/a4BIA/9rgEiEyAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGf2uASIZIBT9USIUQQf9rQEgFEEZ/asB/VAhFCA7IDz9rgEgNv2uASI7IEb9USJGIEb9DQIDAAEGBwQFCgsICQ4PDA0iRiBB/a4BIkEgPP1RIjxBDP2tASA8QRT9qwH9UCE8IDsgPP2uASA3/a4BIjsgRv1RIkYgRv0NAQIDAAUGBwQJCgsIDQ4PDCJGIEH9rgEiQSA8/VEiPEEH/a0BIDxBGf2rAf1QITwgECAU/a4BIAL9rgEiECAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgGP2uASIYIBT9USIUQQz9rQEgFEEU/asB/VAhFCAQIBT9rgEgBv2uASIQIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAY/a4BIhggFP1RIhRBB/2tASAUQRn9qwH9UCEUIDggPP2uASAq/a4BIjggRP1RIkQgRP0NAgMAAQYHBAUKCwgJDg8MDSJEIED9rgEiQCA8/VEiPEEM/a0BIDxBFP2rAf1QITwgOCA8/a4BIC79rgEiOCBE/VEiRCBE/Q0BAgMABQYHBAkKCwgNDg8MIkQgQP2uASJAIDz9USI8QQf9rQEgPEEZ/asB/VAhPCARIBX9rgEgA/2uASIRIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAZ/a4BIhkgFf1RIhVBDP2tASAVQRT9qwH9UCEVIBEgFf2uASAK/a4BIhEgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBn9rgEiGSAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgOSA9/a4BICv9rgEiOSBF/VEiRSBF/Q0CAwABBgcEBQoLCAkODwwNIkUgQf2uASJBID39USI9QQz9rQEgPUEU/asB/VAhPSA5ID39rgEgMv2uASI5IEX9USJFIEX9DQECAwAFBgcECQoLCA0ODwwiRSBB/a4BIkEgPf1RIj1BB/2tASA9QRn9qwH9UCE9IBIgFv2uASAH/a4BIhIgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBr9rgEiGiAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgEiAW/a4BIAD9rgEiEiAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGv2uASIaIBb9USIWQQf9rQEgFkEZ/asB/VAhFiA6ID79rgEgL/2uASI6IEb9USJGIEb9DQIDAAEGBwQFCgsICQ4PDA0iRiBC/a4BIkIgPv1RIj5BDP2tASA+QRT9qwH9UCE+IDogPv2uASAo/a4BIjogRv1RIkYgRv0NAQIDAAUGBwQJCgsIDQ4PDCJGIEL9rgEiQiA+/VEiPkEH/a0BID5BGf2rAf1QIT4gEyAX/a4BIAT9rgEiEyAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gG/2uASIbIBf9USIXQQz9rQEgF0EU/asB/VAhFyATIBf9rgEgDf2uASITIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAb/a4BIhsgF/1RIhdBB/2tASAXQRn9qwH9UCEXIDsgP/2uASAs/a4BIjsgR/1RIkcgR/0NAgMAAQYHBAUKCwgJDg8MDSJHIEP9rgEiQyA//VEiP0EM/a0BID9BFP2rAf1QIT8gOyA//a4BIDX9rgEiOyBH/VEiRyBH/Q0BAgMABQYHBAkKCwgNDg8MIkcgQ/2uASJDID/9USI/QQf9rQEgP0EZ/asB/VAhPyAQIBX9rgEgAf2uASIQIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAa/a4BIhogFf1RIhVBDP2tASAVQRT9qwH9UCEVIBAgFf2uASAL/a4BIhAgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBr9rgEiGiAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgOCA9/a4BICn9rgEiOCBH/VEiRyBH/Q0CAwABBgcEBQoLCAkODwwNIkcgQv2uASJCID39USI9QQz9rQEgPUEU/asB/VAhPSA4ID39rgEgM/2uASI4IEf9USJHIEf9DQECAwAFBgcECQoLCA0ODwwiRyBC/a4BIkIgPf1RIj1BB/2tASA9QRn9qwH9UCE9IBEgFv2uASAM/a4BIhEgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBv9rgEiGyAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgESAW/a4BIAX9rgEiESAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgG/2uASIbIBb9USIWQQf9rQEgFkEZ/asB/VAhFiA5ID79rgEgNP2uASI5IET9USJEIET9DQIDAAEGBwQFCgsICQ4PDA0iRCBD/a4BIkMgPv1RIj5BDP2tASA+QRT9qwH9UCE+IDkgPv2uASAt/a4BIjkgRP1RIkQgRP0NAQIDAAUGBwQJCgsIDQ4PDCJEIEP9rgEiQyA+/VEiPkEH/a0BID5BGf2rAf1QIT4gEiAX/a4BIAn9rgEiEiAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGP2uASIYIBf9USIXQQz9rQEgF0EU/asB/VAhFyASIBf9rgEgDv2uASISIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAY/a4BIhggF/1RIhdBB/2tASAXQRn9qwH9UCEXIDogP/2uASAx/a4BIjogRf1RIkUgRf0NAgMAAQYHBAUKCwgJDg8MDSJFIED9rgEiQCA//VEiP0EM/a0BID9BFP2rAf1QIT8gOiA//a4BIDb9rgEiOiBF/VEiRSBF/Q0BAgMABQYHBAkKCwgNDg8MIkUgQP2uASJAID/9USI/QQf9rQEgP0EZ/asB/VAhPyATIBT9rgEgD/2uASITIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAZ/a4BIhkgFP1RIhRBDP2tASAUQRT9qwH9UCEUIBMgFP2uASAI/a4BIhMgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBn9rgEiGSAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgOyA8/a4BIDf9rgEiOyBG/VEiRiBG/Q0CAwABBgcEBQoLCAkODwwNIkYgQf2uASJBIDz9USI8QQz9rQEgPEEU/asB/VAhPCA7IDz9rgEgMP2uASI7IEb9USJGIEb9DQECAwAFBgcECQoLCA0ODwwiRiBB/a4BIkEgPP1RIjxBB/2tASA8QRn9qwH9UCE8IBAgFP2uASAD/a4BIhAgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBj9rgEiGCAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgECAU/a4BIAT9rgEiECAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgGP2uASIYIBT9USIUQQf9rQEgFEEZ/asB/VAhFCA4IDz9rgEgK/2uASI4IET9USJEIET9DQIDAAEGBwQFCgsICQ4PDA0iRCBA/a4BIkAgPP1RIjxBDP2tASA8QRT9qwH9UCE8IDggPP2uASAs/a4BIjggRP1RIkQgRP0NAQIDAAUGBwQJCgsIDQ4PDCJEIED9rgEiQCA8/VEiPEEH/a0BIDxBGf2rAf1QITwgESAV/a4BIAr9rgEiESAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGf2uASIZIBX9USIVQQz9rQEgFUEU/asB/VAhFSARIBX9rgEgDP2uASIRIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAZ/a4BIhkgFf1RIhVBB/2tASAVQRn9qwH9UCEVIDkgPf2uASAy/a4BIjkgRf1RIkUgRf0NAgMAAQYHBAUKCwgJDg8MDSJFIEH9rgEiQSA9/VEiPUEM/a0BID1BFP2rAf1QIT0gOSA9/a4BIDT9rgEiOSBF/VEiRSBF/Q0BAgMABQYHBAkKCwgNDg8MIkUgQf2uASJBID39USI9QQf9rQEgPUEZ/asB/VAhPSASIBb9rgEgDf2uASISIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAa/a4BIhogFv1RIhZBDP2tASAWQRT9qwH9UCEWIBIgFv2uASAC/a4BIhIgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBr9rgEiGiAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgOiA+/a4BIDX9rgEiOiBG/VEiRiBG/Q0CAwABBgcEBQoLCAkODwwNIkYgQv2uASJCID79USI+QQz9rQEgPkEU/asB/VAhPiA6ID79rgEgKv2uASI6IEb9USJGIEb9DQECAwAFBgcECQoLCA0ODwwiRiBC/a4BIkIgPv1RIj5BB/2tASA+QRn9qwH9UCE+IBMgF/2uASAH/a4BIhMgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBv9rgEiGyAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEyAX/a4BIA79rgEiEyAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gG/2uASIbIBf9USIXQQf9rQEgF0EZ/asB/VAhFyA7ID/9rgEgL/2uASI7IEf9USJHIEf9DQIDAAEGBwQFCgsICQ4PDA0iRyBD/a4BIkMgP/1RIj9BDP2tASA/QRT9qwH9UCE/IDsgP/2uASA2/a4BIjsgR/1RIkcgR/0NAQIDAAUGBwQJCgsIDQ4PDCJHIEP9rgEiQyA//VEiP0EH/a0BID9BGf2rAf1QIT8gECAV/a4BIAb9rgEiECAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gGv2uASIaIBX9USIVQQz9rQEgFUEU/asB/VAhFSAQIBX9rgEgBf2uASIQIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAa/a4BIhogFf1RIhVBB/2tASAVQRn9qwH9UCEVIDggPf2uASAu/a4BIjggR/1RIkcgR/0NAgMAAQYHBAUKCwgJDg8MDSJHIEL9rgEiQiA9/VEiPUEM/a0BID1BFP2rAf1QIT0gOCA9/a4BIC39rgEiOCBH/VEiRyBH/Q0BAgMABQYHBAkKCwgNDg8MIkcgQv2uASJCID39USI9QQf9rQEgPUEZ/asB/VAhPSARIBb9rgEgCf2uASIRIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAb/a4BIhsgFv1RIhZBDP2tASAWQRT9qwH9UCEWIBEgFv2uASAA/a4BIhEgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBv9rgEiGyAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgOSA+/a4BIDH9rgEiOSBE/VEiRCBE/Q0CAwABBgcEBQoLCAkODwwNIkQgQ/2uASJDID79USI+QQz9rQEgPkEU/asB/VAhPiA5ID79rgEgKP2uASI5IET9USJEIET9DQECAwAFBgcECQoLCA0ODwwiRCBD/a4BIkMgPv1RIj5BB/2tASA+QRn9qwH9UCE+IBIgF/2uASAL/a4BIhIgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBj9rgEiGCAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEiAX/a4BIA/9rgEiEiAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGP2uASIYIBf9USIXQQf9rQEgF0EZ/asB/VAhFyA6ID/9rgEgM/2uASI6IEX9USJFIEX9DQIDAAEGBwQFCgsICQ4PDA0iRSBA/a4BIkAgP/1RIj9BDP2tASA/QRT9qwH9UCE/IDogP/2uASA3/a4BIjogRf1RIkUgRf0NAQIDAAUGBwQJCgsIDQ4PDCJFIED9rgEiQCA//VEiP0EH/a0BID9BGf2rAf1QIT8gEyAU/a4BIAj9rgEiEyAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGf2uASIZIBT9USIUQQz9rQEgFEEU/asB/VAhFCATIBT9rgEgAf2uASITIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAZ/a4BIhkgFP1RIhRBB/2tASAUQRn9qwH9UCEUIDsgPP2uASAw/a4BIjsgRv1RIkYgRv0NAgMAAQYHBAUKCwgJDg8MDSJGIEH9rgEiQSA8/VEiPEEM/a0BIDxBFP2rAf1QITwgOyA8/a4BICn9rgEiOyBG/VEiRiBG/Q0BAgMABQYHBAkKCwgNDg8MIkYgQf2uASJBIDz9USI8QQf9rQEgPEEZ/asB/VAhPCAQIBT9rgEgCv2uASIQIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAY/a4BIhggFP1RIhRBDP2tASAUQRT9qwH9UCEUIBAgFP2uASAH/a4BIhAgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBj9rgEiGCAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgOCA8/a4BIDL9rgEiOCBE/VEiRCBE/Q0CAwABBgcEBQoLCAkODwwNIkQgQP2uASJAIDz9USI8QQz9rQEgPEEU/asB/VAhPCA4IDz9rgEgL/2uASI4IET9USJEIET9DQECAwAFBgcECQoLCA0ODwwiRCBA/a4BIkAgPP1RIjxBB/2tASA8QRn9qwH9UCE8IBEgFf2uASAM/a4BIhEgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBn9rgEiGSAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgESAV/a4BIAn9rgEiESAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGf2uASIZIBX9USIVQQf9rQEgFUEZ/asB/VAhFSA5ID39rgEgNP2uASI5IEX9USJFIEX9DQIDAAEGBwQFCgsICQ4PDA0iRSBB/a4BIkEgPf1RIj1BDP2tASA9QRT9qwH9UCE9IDkgPf2uASAx/a4BIjkgRf1RIkUgRf0NAQIDAAUGBwQJCgsIDQ4PDCJFIEH9rgEiQSA9/VEiPUEH/a0BID1BGf2rAf1QIT0gEiAW/a4BIA79rgEiEiAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGv2uASIaIBb9USIWQQz9rQEgFkEU/asB/VAhFiASIBb9rgEgA/2uASISIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAa/a4BIhogFv1RIhZBB/2tASAWQRn9qwH9UCEWIDogPv2uASA2/a4BIjogRv1RIkYgRv0NAgMAAQYHBAUKCwgJDg8MDSJGIEL9rgEiQiA+/VEiPkEM/a0BID5BFP2rAf1QIT4gOiA+/a4BICv9rgEiOiBG/VEiRiBG/Q0BAgMABQYHBAkKCwgNDg8MIkYgQv2uASJCID79USI+QQf9rQEgPkEZ/asB/VAhPiATIBf9rgEgDf2uASITIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAb/a4BIhsgF/1RIhdBDP2tASAXQRT9qwH9UCEXIBMgF/2uASAP/a4BIhMgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBv9rgEiGyAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgOyA//a4BIDX9rgEiOyBH/VEiRyBH/Q0CAwABBgcEBQoLCAkODwwNIkcgQ/2uASJDID/9USI/QQz9rQEgP0EU/asB/VAhPyA7ID/9rgEgN/2uASI7IEf9USJHIEf9DQECAwAFBgcECQoLCA0ODwwiRyBD/a4BIkMgP/1RIj9BB/2tASA/QRn9qwH9UCE/IBAgFf2uASAE/a4BIhAgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBr9rgEiGiAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgECAV/a4BIAD9rgEiECAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gGv2uASIaIBX9USIVQQf9rQEgFUEZ/asB/VAhFSA4ID39rgEgLP2uASI4IEf9USJHIEf9DQIDAAEGBwQFCgsICQ4PDA0iRyBC/a4BIkIgPf1RIj1BDP2tASA9QRT9qwH9UCE9IDggPf2uASAo/a4BIjggR/1RIkcgR/0NAQIDAAUGBwQJCgsIDQ4PDCJHIEL9rgEiQiA9/VEiPUEH/a0BID1BGf2rAf1QIT0gESAW/a4BIAv9rgEiESAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgG/2uASIbIBb9USIWQQz9rQEgFkEU/asB/VAhFiARIBb9rgEgAv2uASIRIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAb/a4BIhsgFv1RIhZBB/2tASAWQRn9qwH9UCEWIDkgPv2uASAz/a4BIjkgRP1RIkQgRP0NAgMAAQYHBAUKCwgJDg8MDSJEIEP9rgEiQyA+/VEiPkEM/a0BID5BFP2rAf1QIT4gOSA+/a4BICr9rgEiOSBE/VEiRCBE/Q0BAgMABQYHBAkKCwgNDg8MIkQgQ/2uASJDID79USI+QQf9rQEgPkEZ/asB/VAhPiASIBf9rgEgBf2uASISIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAY/a4BIhggF/1RIhdBDP2tASAXQRT9qwH9UCEXIBIgF/2uASAI/a4BIhIgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBj9rgEiGCAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgOiA//a4BIC39rgEiOiBF/VEiRSBF/Q0CAwABBgcEBQoLCAkODwwNIkUgQP2uASJAID/9USI/QQz9rQEgP0EU/asB/VAhPyA6ID/9rgEgMP2uASI6IEX9USJFIEX9DQECAwAFBgcECQoLCA0ODwwiRSBA/a4BIkAgP/1RIj9BB/2tASA/QRn9qwH9UCE/IBMgFP2uASAB/a4BIhMgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBn9rgEiGSAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgEyAU/a4BIAb9rgEiEyAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGf2uASIZIBT9USIUQQf9rQEgFEEZ/asB/VAhFCA7IDz9rgEgKf2uASI7IEb9USJGIEb9DQIDAAEGBwQFCgsICQ4PDA0iRiBB/a4BIkEgPP1RIjxBDP2tASA8QRT9qwH9UCE8IDsgPP2uASAu/a4BIjsgRv1RIkYgRv0NAQIDAAUGBwQJCgsIDQ4PDCJGIEH9rgEiQSA8/VEiPEEH/a0BIDxBGf2rAf1QITwgECAU/a4BIAz9rgEiECAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgGP2uASIYIBT9USIUQQz9rQEgFEEU/asB/VAhFCAQIBT9rgEgDf2uASIQIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAY/a4BIhggFP1RIhRBB/2tASAUQRn9qwH9UCEUIDggPP2uASA0/a4BIjggRP1RIkQgRP0NAgMAAQYHBAUKCwgJDg8MDSJEIED9rgEiQCA8/VEiPEEM/a0BIDxBFP2rAf1QITwgOCA8/a4BIDX9rgEiOCBE/VEiRCBE/Q0BAgMABQYHBAkKCwgNDg8MIkQgQP2uASJAIDz9USI8QQf9rQEgPEEZ/asB/VAhPCARIBX9rgEgCf2uASIRIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAZ/a4BIhkgFf1RIhVBDP2tASAVQRT9qwH9UCEVIBEgFf2uASAL/a4BIhEgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBn9rgEiGSAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgOSA9/a4BIDH9rgEiOSBF/VEiRSBF/Q0CAwABBgcEBQoLCAkODwwNIkUgQf2uASJBID39USI9QQz9rQEgPUEU/asB/VAhPSA5ID39rgEgM/2uASI5IEX9USJFIEX9DQECAwAFBgcECQoLCA0ODwwiRSBB/a4BIkEgPf1RIj1BB/2tASA9QRn9qwH9UCE9IBIgFv2uASAP/a4BIhIgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBr9rgEiGiAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgEiAW/a4BIAr9rgEiEiAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGv2uASIaIBb9USIWQQf9rQEgFkEZ/asB/VAhFiA6ID79rgEgN/2uASI6IEb9USJGIEb9DQIDAAEGBwQFCgsICQ4PDA0iRiBC/a4BIkIgPv1RIj5BDP2tASA+QRT9qwH9UCE+IDogPv2uASAy/a4BIjogRv1RIkYgRv0NAQIDAAUGBwQJCgsIDQ4PDCJGIEL9rgEiQiA+/VEiPkEH/a0BID5BGf2rAf1QIT4gEyAX/a4BIA79rgEiEyAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gG/2uASIbIBf9USIXQQz9rQEgF0EU/asB/VAhFyATIBf9rgEgCP2uASITIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAb/a4BIhsgF/1RIhdBB/2tASAXQRn9qwH9UCEXIDsgP/2uASA2/a4BIjsgR/1RIkcgR/0NAgMAAQYHBAUKCwgJDg8MDSJHIEP9rgEiQyA//VEiP0EM/a0BID9BFP2rAf1QIT8gOyA//a4BIDD9rgEiOyBH/VEiRyBH/Q0BAgMABQYHBAkKCwgNDg8MIkcgQ/2uASJDID/9USI/QQf9rQEgP0EZ/asB/VAhPyAQIBX9rgEgB/2uASIQIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAa/a4BIhogFf1RIhVBDP2tASAVQRT9qwH9UCEVIBAgFf2uASAC/a4BIhAgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBr9rgEiGiAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgOCA9/a4BIC/9rgEiOCBH/VEiRyBH/Q0CAwABBgcEBQoLCAkODwwNIkcgQv2uASJCID39USI9QQz9rQEgPUEU/asB/VAhPSA4ID39rgEgKv2uASI4IEf9USJHIEf9DQECAwAFBgcECQoLCA0ODwwiRyBC/a4BIkIgPf1RIj1BB/2tASA9QRn9qwH9UCE9IBEgFv2uASAF/a4BIhEgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBv9rgEiGyAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgESAW/a4BIAP9rgEiESAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgG/2uASIbIBb9USIWQQf9rQEgFkEZ/asB/VAhFiA5ID79rgEgLf2uASI5IET9USJEIET9DQIDAAEGBwQFCgsICQ4PDA0iRCBD/a4BIkMgPv1RIj5BDP2tASA+QRT9qwH9UCE+IDkgPv2uASAr/a4BIjkgRP1RIkQgRP0NAQIDAAUGBwQJCgsIDQ4PDCJEIEP9rgEiQyA+/VEiPkEH/a0BID5BGf2rAf1QIT4gEiAX/a4BIAD9rgEiEiAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGP2uASIYIBf9USIXQQz9rQEgF0EU/asB/VAhFyASIBf9rgEgAf2uASISIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAY/a4BIhggF/1RIhdBB/2tASAXQRn9qwH9UCEXIDogP/2uASAo/a4BIjogRf1RIkUgRf0NAgMAAQYHBAUKCwgJDg8MDSJFIED9rgEiQCA//VEiP0EM/a0BID9BFP2rAf1QIT8gOiA//a4BICn9rgEiOiBF/VEiRSBF/Q0BAgMABQYHBAkKCwgNDg8MIkUgQP2uASJAID/9USI/QQf9rQEgP0EZ/asB/VAhPyATIBT9rgEgBv2uASITIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAZ/a4BIhkgFP1RIhRBDP2tASAUQRT9qwH9UCEUIBMgFP2uASAE/a4BIhMgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBn9rgEiGSAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgOyA8/a4BIC79rgEiOyBG/VEiRiBG/Q0CAwABBgcEBQoLCAkODwwNIkYgQf2uASJBIDz9USI8QQz9rQEgPEEU/asB/VAhPCA7IDz9rgEgLP2uASI7IEb9USJGIEb9DQECAwAFBgcECQoLCA0ODwwiRiBB/a4BIkEgPP1RIjxBB/2tASA8QRn9qwH9UCE8IBAgFP2uASAJ/a4BIhAgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBj9rgEiGCAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgECAU/a4BIA79rgEiECAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgGP2uASIYIBT9USIUQQf9rQEgFEEZ/asB/VAhFCA4IDz9rgEgMf2uASI4IET9USJEIET9DQIDAAEGBwQFCgsICQ4PDA0iRCBA/a4BIkAgPP1RIjxBDP2tASA8QRT9qwH9UCE8IDggPP2uASA2/a4BIjggRP1RIkQgRP0NAQIDAAUGBwQJCgsIDQ4PDCJEIED9rgEiQCA8/VEiPEEH/a0BIDxBGf2rAf1QITwgESAV/a4BIAv9rgEiESAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGf2uASIZIBX9USIVQQz9rQEgFUEU/asB/VAhFSARIBX9rgEgBf2uASIRIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAZ/a4BIhkgFf1RIhVBB/2tASAVQRn9qwH9UCEVIDkgPf2uASAz/a4BIjkgRf1RIkUgRf0NAgMAAQYHBAUKCwgJDg8MDSJFIEH9rgEiQSA9/VEiPUEM/a0BID1BFP2rAf1QIT0gOSA9/a4BIC39rgEiOSBF/VEiRSBF/Q0BAgMABQYHBAkKCwgNDg8MIkUgQf2uASJBID39USI9QQf9rQEgPUEZ/asB/VAhPSASIBb9rgEgCP2uASISIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAa/a4BIhogFv1RIhZBDP2tASAWQRT9qwH9UCEWIBIgFv2uASAM/a4BIhIgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBr9rgEiGiAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgOiA+/a4BIDD9rgEiOiBG/VEiRiBG/Q0CAwABBgcEBQoLCAkODwwNIkYgQv2uASJCID79USI+QQz9rQEgPkEU/asB/VAhPiA6ID79rgEgNP2uASI6IEb9USJGIEb9DQECAwAFBgcECQoLCA0ODwwiRiBC/a4BIkIgPv1RIj5BB/2tASA+QRn9qwH9UCE+IBMgF/2uASAP/a4BIhMgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBv9rgEiGyAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEyAX/a4BIAH9rgEiEyAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gG/2uASIbIBf9USIXQQf9rQEgF0EZ/asB/VAhFyA7ID/9rgEgN/2uASI7IEf9USJHIEf9DQIDAAEGBwQFCgsICQ4PDA0iRyBD/a4BIkMgP/1RIj9BDP2tASA/QRT9qwH9UCE/IDsgP/2uASAp/a4BIjsgR/1RIkcgR/0NAQIDAAUGBwQJCgsIDQ4PDCJHIEP9rgEiQyA//VEiP0EH/a0BID9BGf2rAf1QIT8gECAV/a4BIA39rgEiECAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gGv2uASIaIBX9USIVQQz9rQEgFUEU/asB/VAhFSAQIBX9rgEgA/2uASIQIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAa/a4BIhogFf1RIhVBB/2tASAVQRn9qwH9UCEVIDggPf2uASA1/a4BIjggR/1RIkcgR/0NAgMAAQYHBAUKCwgJDg8MDSJHIEL9rgEiQiA9/VEiPUEM/a0BID1BFP2rAf1QIT0gOCA9/a4BICv9rgEiOCBH/VEiRyBH/Q0BAgMABQYHBAkKCwgNDg8MIkcgQv2uASJCID39USI9QQf9rQEgPUEZ/asB/VAhPSARIBb9rgEgAP2uASIRIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAb/a4BIhsgFv1RIhZBDP2tASAWQRT9qwH9UCEWIBEgFv2uASAK/a4BIhEgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBv9rgEiGyAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgOSA+/a4BICj9rgEiOSBE/VEiRCBE/Q0CAwABBgcEBQoLCAkODwwNIkQgQ/2uASJDID79USI+QQz9rQEgPkEU/asB/VAhPiA5ID79rgEgMv2uASI5IET9USJEIET9DQECAwAFBgcECQoLCA0ODwwiRCBD/a4BIkMgPv1RIj5BB/2tASA+QRn9qwH9UCE+IBIgF/2uASAC/a4BIhIgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBj9rgEiGCAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEiAX/a4BIAb9rgEiEiAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGP2uASIYIBf9USIXQQf9rQEgF0EZ/asB/VAhFyA6ID/9rgEgKv2uASI6IEX9USJFIEX9DQIDAAEGBwQFCgsICQ4PDA0iRSBA/a4BIkAgP/1RIj9BDP2tASA/QRT9qwH9UCE/IDogP/2uASAu/a4BIjogRf1RIkUgRf0NAQIDAAUGBwQJCgsIDQ4PDCJFIED9rgEiQCA//VEiP0EH/a0BID9BGf2rAf1QIT8gEyAU/a4BIAT9rgEiEyAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGf2uASIZIBT9USIUQQz9rQEgFEEU/asB/VAhFCATIBT9rgEgB/2uASITIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAZ/a4BIhkgFP1RIhRBB/2tASAUQRn9qwH9UCEUIDsgPP2uASAs/a4BIjsgRv1RIkYgRv0NAgMAAQYHBAUKCwgJDg8MDSJGIEH9rgEiQSA8/VEiPEEM/a0BIDxBFP2rAf1QITwgOyA8/a4BIC/9rgEiOyBG/VEiRiBG/Q0BAgMABQYHBAkKCwgNDg8MIkYgQf2uASJBIDz9USI8QQf9rQEgPEEZ/asB/VAhPCAQIBT9rgEgC/2uASIQIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAY/a4BIhggFP1RIhRBDP2tASAUQRT9qwH9UCEUIBAgFP2uASAP/a4BIhAgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBj9rgEiGCAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgOCA8/a4BIDP9rgEiOCBE/VEiRCBE/Q0CAwABBgcEBQoLCAkODwwNIkQgQP2uASJAIDz9USI8QQz9rQEgPEEU/asB/VAhPCA4IDz9rgEgN/2uASI4IET9USJEIET9DQECAwAFBgcECQoLCA0ODwwiRCBA/a4BIkAgPP1RIjxBB/2tASA8QRn9qwH9UCE8IBEgFf2uASAF/a4BIhEgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBn9rgEiGSAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgESAV/a4BIAD9rgEiESAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGf2uASIZIBX9USIVQQf9rQEgFUEZ/asB/VAhFSA5ID39rgEgLf2uASI5IEX9USJFIEX9DQIDAAEGBwQFCgsICQ4PDA0iRSBB/a4BIkEgPf1RIj1BDP2tASA9QRT9qwH9UCE9IDkgPf2uASAo/a4BIjkgRf1RIkUgRf0NAQIDAAUGBwQJCgsIDQ4PDCJFIEH9rgEiQSA9/VEiPUEH/a0BID1BGf2rAf1QIT0gEiAW/a4BIAH9rgEiEiAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGv2uASIaIBb9USIWQQz9rQEgFkEU/asB/VAhFiASIBb9rgEgCf2uASISIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAa/a4BIhogFv1RIhZBB/2tASAWQRn9qwH9UCEWIDogPv2uASAp/a4BIjogRv1RIkYgRv0NAgMAAQYHBAUKCwgJDg8MDSJGIEL9rgEiQiA+/VEiPkEM/a0BID5BFP2rAf1QIT4gOiA+/a4BIDH9rgEiOiBG/VEiRiBG/Q0BAgMABQYHBAkKCwgNDg8MIkYgQv2uASJCID79USI+QQf9rQEgPkEZ/asB/VAhPiATIBf9rgEgCP2uASITIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAb/a4BIhsgF/1RIhdBDP2tASAXQRT9qwH9UCEXIBMgF/2uASAG/a4BIhMgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBv9rgEiGyAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgOyA//a4BIDD9rgEiOyBH/VEiRyBH/Q0CAwABBgcEBQoLCAkODwwNIkcgQ/2uASJDID/9USI/QQz9rQEgP0EU/asB/VAhPyA7ID/9rgEgLv2uASI7IEf9USJHIEf9DQECAwAFBgcECQoLCA0ODwwiRyBD/a4BIkMgP/1RIj9BB/2tASA/QRn9qwH9UCE/IBAgFf2uASAO/a4BIhAgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBr9rgEiGiAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgECAV/a4BIAr9rgEiECAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gGv2uASIaIBX9USIVQQf9rQEgFUEZ/asB/VAhFSA4ID39rgEgNv2uASI4IEf9USJHIEf9DQIDAAEGBwQFCgsICQ4PDA0iRyBC/a4BIkIgPf1RIj1BDP2tASA9QRT9qwH9UCE9IDggPf2uASAy/a4BIjggR/1RIkcgR/0NAQIDAAUGBwQJCgsIDQ4PDCJHIEL9rgEiQiA9/VEiPUEH/a0BID1BGf2rAf1QIT0gESAW/a4BIAL9rgEiESAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgG/2uASIbIBb9USIWQQz9rQEgFkEU/asB/VAhFiARIBb9rgEgDP2uASIRIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAb/a4BIhsgFv1RIhZBB/2tASAWQRn9qwH9UCEWIDkgPv2uASAq/a4BIjkgRP1RIkQgRP0NAgMAAQYHBAUKCwgJDg8MDSJEIEP9rgEiQyA+/VEiPkEM/a0BID5BFP2rAf1QIT4gOSA+/a4BIDT9rgEiOSBE/VEiRCBE/Q0BAgMABQYHBAkKCwgNDg8MIkQgQ/2uASJDID79USI+QQf9rQEgPkEZ/asB/VAhPiASIBf9rgEgA/2uASISIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAY/a4BIhggF/1RIhdBDP2tASAXQRT9qwH9UCEXIBIgF/2uASAE/a4BIhIgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBj9rgEiGCAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgOiA//a4BICv9rgEiOiBF/VEiRSBF/Q0CAwABBgcEBQoLCAkODwwNIkUgQP2uASJAID/9USI/QQz9rQEgP0EU/asB/VAhPyA6ID/9rgEgLP2uASI6IEX9USJFIEX9DQECAwAFBgcECQoLCA0ODwwiRSBA/a4BIkAgP/1RIj9BB/2tASA/QRn9qwH9UCE/IBMgFP2uASAH/a4BIhMgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBn9rgEiGSAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgEyAU/a4BIA39rgEiEyAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGf2uASIZIBT9USIUQQf9rQEgFEEZ/asB/VAhFCA7IDz9rgEgL/2uASI7IEb9USJGIEb9DQIDAAEGBwQFCgsICQ4PDA0iRiBB/a4BIkEgPP1RIjxBDP2tASA8QRT9qwH9UCE8IDsgPP2uASA1/a4BIjsgRv1RIkYgRv0NAQIDAAUGBwQJCgsIDQ4PDCJGIEH9rgEiQSA8/VEiPEEH/a0BIDxBGf2rAf1QITwgECAY/VEhICARIBn9USEhIBIgGv1RISIgEyAb/VEhIyAUIBz9USEkIBUgHf1RISUgFiAe/VEhJiAXIB/9USEnIDggQP1RIUggOSBB/VEhSSA6IEL9USFKIDsgQ/1RIUsgPCBE/VEhTCA9IEX9USFNID4gRv1RIU4gPyBH/VEhTyBaQcAAaiFaIFlBAWoiWUEQSQ0ACyBcQQJ0ICD9CwSACCBcQQJ0ICH9CwSQCCBcQQJ0ICL9CwSgCCBcQQJ0ICP9CwSwCCBcQQJ0ICT9CwTACCBcQQJ0ICX9CwTQCCBcQQJ0ICb9CwTgCCBcQQJ0ICf9CwTwCCBcQQJ0IEj9CwSACSBcQQJ0IEn9CwSQCSBcQQJ0IEr9CwSgCSBcQQJ0IEv9CwSwCSBcQQJ0IEz9CwTACSBcQQJ0IE39CwTQCSBcQQJ0IE79CwTgCSBcQQJ0IE/9CwTwCQvbkIGAAAJZewR/QcgDKAIAIVpBsAMoAgAhWwNAQYAC/QAEACEgICAhSEGQAv0ABAAhISAhIUlBoAL9AAQAISIgIiFKQbAC/QAEACEjICMhS0HAAv0ABAAhJCAkIUxB0AL9AAQAISUgJSFNQeAC/QAEACEmICYhTkHwAv0ABAAhJyAnIU9BACFZA0AgWyBZRXIgWUEPRkEBdHL9ESFYIFr9AAQAIVAgWv0ABIAIIVEgWv0ABIAQIVIgWv0ABIAYIVMgUCBR/Q0AAQIDEBESEwQFBgcUFRYXIVQgUiBT/Q0AAQIDEBESEwQFBgcUFRYXIVUgUCBR/Q0ICQoLGBkaGwwNDg8cHR4fIVYgUiBT/Q0ICQoLGBkaGwwNDg8cHR4fIVcgVCBV/Q0AAQIDBAUGBxAREhMUFRYXIQAgVCBV/Q0ICQoLDA0ODxgZGhscHR4fIQEgViBX/Q0AAQIDBAUGBxAREhMUFRYXIQIgViBX/Q0ICQoLDA0ODxgZGhscHR4fIQMgWv0ABBAhUCBa/QAEkAghUSBa/QAEkBAhUiBa/QAEkBghUyBQIFH9DQABAgMQERITBAUGBxQVFhchVCBSIFP9DQABAgMQERITBAUGBxQVFhchVSBQIFH9DQgJCgsYGRobDA0ODxwdHh8hViBSIFP9DQgJCgsYGRobDA0ODxwdHh8hVyBUIFX9DQABAgMEBQYHEBESExQVFhchBCBUIFX9DQgJCgsMDQ4PGBkaGxwdHh8hBSBWIFf9DQABAgMEBQYHEBESExQVFhchBiBWIFf9DQgJCgsMDQ4PGBkaGxwdHh8hByBa/QAEICFQIFr9AASgCCFRIFr9AASgECFSIFr9AASgGCFTIFAgUf0NAAECAxAREhMEBQYHFBUWFyFUIFIgU/0NAAECAxAREhMEBQYHFBUWFyFVIFAgUf0NCAkKCxgZGhsMDQ4PHB0eHyFWIFIgU/0NCAkKCxgZGhsMDQ4PHB0eHyFXIFQgVf0NAAECAwQFBgcQERITFBUWFyEIIFQgVf0NCAkKCwwNDg8YGRobHB0eHyEJIFYgV/0NAAECAwQFBgcQERITFBUWFyEKIFYgV/0NCAkKCwwNDg8YGRobHB0eHyELIFr9AAQwIVAgWv0ABLAIIVEgWv0ABLAQIVIgWv0ABLAYIVMgUCBR/Q0AAQIDEBESEwQFBgcUFRYXIVQgUiBT/Q0AAQIDEBESEwQFBgcUFRYXIVUgUCBR/Q0ICQoLGBkaGwwNDg8cHR4fIVYgUiBT/Q0ICQoLGBkaGwwNDg8cHR4fIVcgVCBV/Q0AAQIDBAUGBxAREhMUFRYXIQwgVCBV/Q0ICQoLDA0ODxgZGhscHR4fIQ0gViBX/Q0AAQIDBAUGBxAREhMUFRYXIQ4gViBX/Q0ICQoLDA0ODxgZGhscHR4fIQ8gICEQICEhESAiIRIgIyETICQhFCAlIRUgJiEWICchF/0MZ+YJamfmCWpn5glqZ+YJaiEY/QyFrme7ha5nu4WuZ7uFrme7IRn9DHLzbjxy8248cvNuPHLzbjwhGv0MOvVPpTr1T6U69U+lOvVPpSEbIFz9AASABiEcIFz9AASQBiEdQcAA/REhHiBYIR8gWv0ABIAgIVAgWv0ABIAoIVEgWv0ABIAwIVIgWv0ABIA4IVMgUCBR/Q0AAQIDEBESEwQFBgcUFRYXIVQgUiBT/Q0AAQIDEBESEwQFBgcUFRYXIVUgUCBR/Q0ICQoLGBkaGwwNDg8cHR4fIVYgUiBT/Q0ICQoLGBkaGwwNDg8cHR4fIVcgVCBV/Q0AAQIDBAUGBxAREhMUFRYXISggVCBV/Q0ICQoLDA0ODxgZGhscHR4fISkgViBX/Q0AAQIDBAUGBxAREhMUFRYXISogViBX/Q0ICQoLDA0ODxgZGhscHR4fISsgWv0ABJAgIVAgWv0ABJAoIVEgWv0ABJAwIVIgWv0ABJA4IVMgUCBR/Q0AAQIDEBESEwQFBgcUFRYXIVQgUiBT/Q0AAQIDEBESEwQFBgcUFRYXIVUgUCBR/Q0ICQoLGBkaGwwNDg8cHR4fIVYgUiBT/Q0ICQoLGBkaGwwNDg8cHR4fIVcgVCBV/Q0AAQIDBAUGBxAREhMUFRYXISwgVCBV/Q0ICQoLDA0ODxgZGhscHR4fIS0gViBX/Q0AAQIDBAUGBxAREhMUFRYXIS4gViBX/Q0ICQoLDA0ODxgZGhscHR4fIS8gWv0ABKAgIVAgWv0ABKAoIVEgWv0ABKAwIVIgWv0ABKA4IVMgUCBR/Q0AAQIDEBESEwQFBgcUFRYXIVQgUiBT/Q0AAQIDEBESEwQFBgcUFRYXIVUgUCBR/Q0ICQoLGBkaGwwNDg8cHR4fIVYgUiBT/Q0ICQoLGBkaGwwNDg8cHR4fIVcgVCBV/Q0AAQIDBAUGBxAREhMUFRYXITAgVCBV/Q0ICQoLDA0ODxgZGhscHR4fITEgViBX/Q0AAQIDBAUGBxAREhMUFRYXITIgViBX/Q0ICQoLDA0ODxgZGhscHR4fITMgWv0ABLAgIVAgWv0ABLAoIVEgWv0ABLAwIVIgWv0ABLA4IVMgUCBR/Q0AAQIDEBESEwQFBgcUFRYXIVQgUiBT/Q0AAQIDEBESEwQFBgcUFRYXIVUgUCBR/Q0ICQoLGBkaGwwNDg8cHR4fIVYgUiBT/Q0ICQoLGBkaGwwNDg8cHR4fIVcgVCBV/Q0AAQIDBAUGBxAREhMUFRYXITQgVCBV/Q0ICQoLDA0ODxgZGhscHR4fITUgViBX/Q0AAQIDBAUGBxAREhMUFRYXITYgViBX/Q0ICQoLDA0ODxgZGhscHR4fITcgSCE4IEkhOSBKITogSyE7IEwhPCBNIT0gTiE+IE8hP/0MZ+YJamfmCWpn5glqZ+YJaiFA/QyFrme7ha5nu4WuZ7uFrme7IUH9DHLzbjxy8248cvNuPHLzbjwhQv0MOvVPpTr1T6U69U+lOvVPpSFDIFz9AASgBiFEIFz9AASwBiFFQcAA/REhRiBYIUcgECAU/a4BIAD9rgEiECAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgGP2uASIYIBT9USIUQQz9rQEgFEEU/asB/VAhFCAQIBT9rgEgAf2uASIQIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAY/a4BIhggFP1RIhRBB/2tASAUQRn9qwH9UCEUIDggPP2uASAo/a4BIjggRP1RIkQgRP0NAgMAAQYHBAUKCwgJDg8MDSJEIED9rgEiQCA8/VEiPEEM/a0BIDxBFP2rAf1QITwgOCA8/a4BICn9rgEiOCBE/VEiRCBE/Q0BAgMABQYHBAkKCwgNDg8MIkQgQP2uASJAIDz9USI8QQf9rQEgPEEZ/asB/VAhPCARIBX9rgEgAv2uASIRIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAZ/a4BIhkgFf1RIhVBDP2tASAVQRT9qwH9UCEVIBEgFf2uASAD/a4BIhEgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBn9rgEiGSAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgOSA9/a4BICr9rgEiOSBF/VEiRSBF/Q0CAwABBgcEBQoLCAkODwwNIkUgQf2uASJBID39USI9QQz9rQEgPUEU/asB/VAhPSA5ID39rgEgK/2uASI5IEX9USJFIEX9DQECAwAFBgcECQoLCA0ODwwiRSBB/a4BIkEgPf1RIj1BB/2tASA9QRn9qwH9UCE9IBIgFv2uASAE/a4BIhIgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBr9rgEiGiAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgEiAW/a4BIAX9rgEiEiAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGv2uASIaIBb9USIWQQf9rQEgFkEZ/asB/VAhFiA6ID79rgEgLP2uASI6IEb9USJGIEb9DQIDAAEGBwQFCgsICQ4PDA0iRiBC/a4BIkIgPv1RIj5BDP2tASA+QRT9qwH9UCE+IDogPv2uASAt/a4BIjogRv1RIkYgRv0NAQIDAAUGBwQJCgsIDQ4PDCJGIEL9rgEiQiA+/VEiPkEH/a0BID5BGf2rAf1QIT4gEyAX/a4BIAb9rgEiEyAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gG/2uASIbIBf9USIXQQz9rQEgF0EU/asB/VAhFyATIBf9rgEgB/2uASITIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAb/a4BIhsgF/1RIhdBB/2tASAXQRn9qwH9UCEXIDsgP/2uASAu/a4BIjsgR/1RIkcgR/0NAgMAAQYHBAUKCwgJDg8MDSJHIEP9rgEiQyA//VEiP0EM/a0BID9BFP2rAf1QIT8gOyA//a4BIC/9rgEiOyBH/VEiRyBH/Q0BAgMABQYHBAkKCwgNDg8MIkcgQ/2uASJDID/9USI/QQf9rQEgP0EZ/asB/VAhPyAQIBX9rgEgCP2uASIQIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAa/a4BIhogFf1RIhVBDP2tASAVQRT9qwH9UCEVIBAgFf2uASAJ/a4BIhAgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBr9rgEiGiAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgOCA9/a4BIDD9rgEiOCBH/VEiRyBH/Q0CAwABBgcEBQoLCAkODwwNIkcgQv2uASJCID39USI9QQz9rQEgPUEU/asB/VAhPSA4ID39rgEgMf2uASI4IEf9USJHIEf9DQECAwAFBgcECQoLCA0ODwwiRyBC/a4BIkIgPf1RIj1BB/2tASA9QRn9qwH9UCE9IBEgFv2uASAK/a4BIhEgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBv9rgEiGyAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgESAW/a4BIAv9rgEiESAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgG/2uASIbIBb9USIWQQf9rQEgFkEZ/asB/VAhFiA5ID79rgEgMv2uASI5IET9USJEIET9DQIDAAEGBwQFCgsICQ4PDA0iRCBD/a4BIkMgPv1RIj5BDP2tASA+QRT9qwH9UCE+IDkgPv2uASAz/a4BIjkgRP1RIkQgRP0NAQIDAAUGBwQJCgsIDQ4PDCJEIEP9rgEiQyA+/VEiPkEH/a0BID5BGf2rAf1QIT4gEiAX/a4BIAz9rgEiEiAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGP2uASIYIBf9USIXQQz9rQEgF0EU/asB/VAhFyASIBf9rgEgDf2uASISIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAY/a4BIhggF/1RIhdBB/2tASAXQRn9qwH9UCEXIDogP/2uASA0/a4BIjogRf1RIkUgRf0NAgMAAQYHBAUKCwgJDg8MDSJFIED9rgEiQCA//VEiP0EM/a0BID9BFP2rAf1QIT8gOiA//a4BIDX9rgEiOiBF/VEiRSBF/Q0BAgMABQYHBAkKCwgNDg8MIkUgQP2uASJAID/9USI/QQf9rQEgP0EZ/asB/VAhPyATIBT9rgEgDv2uASITIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAZ/a4BIhkgFP1RIhRBDP2tASAUQRT9qwH9UCEUIBMgFP2uASAP/a4BIhMgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBn9rgEiGSAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgOyA8/a4BIDb9rgEiOyBG/VEiRiBG/Q0CAwABBgcEBQoLCAkODwwNIkYgQf2uASJBIDz9USI8QQz9rQEgPEEU/asB/VAhPCA7IDz9rgEgN/2uASI7IEb9USJGIEb9DQECAwAFBgcECQoLCA0ODwwiRiBB/a4BIkEgPP1RIjxBB/2tASA8QRn9qwH9UCE8IBAgFP2uASAC/a4BIhAgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBj9rgEiGCAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgECAU/a4BIAb9rgEiECAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgGP2uASIYIBT9USIUQQf9rQEgFEEZ/asB/VAhFCA4IDz9rgEgKv2uASI4IET9USJEIET9DQIDAAEGBwQFCgsICQ4PDA0iRCBA/a4BIkAgPP1RIjxBDP2tASA8QRT9qwH9UCE8IDggPP2uASAu/a4BIjggRP1RIkQgRP0NAQIDAAUGBwQJCgsIDQ4PDCJEIED9rgEiQCA8/VEiPEEH/a0BIDxBGf2rAf1QITwgESAV/a4BIAP9rgEiESAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGf2uASIZIBX9USIVQQz9rQEgFUEU/asB/VAhFSARIBX9rgEgCv2uASIRIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAZ/a4BIhkgFf1RIhVBB/2tASAVQRn9qwH9UCEVIDkgPf2uASAr/a4BIjkgRf1RIkUgRf0NAgMAAQYHBAUKCwgJDg8MDSJFIEH9rgEiQSA9/VEiPUEM/a0BID1BFP2rAf1QIT0gOSA9/a4BIDL9rgEiOSBF/VEiRSBF/Q0BAgMABQYHBAkKCwgNDg8MIkUgQf2uASJBID39USI9QQf9rQEgPUEZ/asB/VAhPSASIBb9rgEgB/2uASISIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAa/a4BIhogFv1RIhZBDP2tASAWQRT9qwH9UCEWIBIgFv2uASAA/a4BIhIgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBr9rgEiGiAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgOiA+/a4BIC/9rgEiOiBG/VEiRiBG/Q0CAwABBgcEBQoLCAkODwwNIkYgQv2uASJCID79USI+QQz9rQEgPkEU/asB/VAhPiA6ID79rgEgKP2uASI6IEb9USJGIEb9DQECAwAFBgcECQoLCA0ODwwiRiBC/a4BIkIgPv1RIj5BB/2tASA+QRn9qwH9UCE+IBMgF/2uASAE/a4BIhMgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBv9rgEiGyAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEyAX/a4BIA39rgEiEyAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gG/2uASIbIBf9USIXQQf9rQEgF0EZ/asB/VAhFyA7ID/9rgEgLP2uASI7IEf9USJHIEf9DQIDAAEGBwQFCgsICQ4PDA0iRyBD/a4BIkMgP/1RIj9BDP2tASA/QRT9qwH9UCE/IDsgP/2uASA1/a4BIjsgR/1RIkcgR/0NAQIDAAUGBwQJCgsIDQ4PDCJHIEP9rgEiQyA//VEiP0EH/a0BID9BGf2rAf1QIT8gECAV/a4BIAH9rgEiECAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gGv2uASIaIBX9USIVQQz9rQEgFUEU/asB/VAhFSAQIBX9rgEgC/2uASIQIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAa/a4BIhogFf1RIhVBB/2tASAVQRn9qwH9UCEVIDggPf2uASAp/a4BIjggR/1RIkcgR/0NAgMAAQYHBAUKCwgJDg8MDSJHIEL9rgEiQiA9/VEiPUEM/a0BID1BFP2rAf1QIT0gOCA9/a4BIDP9rgEiOCBH/VEiRyBH/Q0BAgMABQYHBAkKCwgNDg8MIkcgQv2uASJCID39USI9QQf9rQEgPUEZ/asB/VAhPSARIBb9rgEgDP2uASIRIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAb/a4BIhsgFv1RIhZBDP2tASAWQRT9qwH9UCEWIBEgFv2uASAF/a4BIhEgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBv9rgEiGyAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgOSA+/a4BIDT9rgEiOSBE/VEiRCBE/Q0CAwABBgcEBQoLCAkODwwNIkQgQ/2uASJDID79USI+QQz9rQEgPkEU/asB/VAhPiA5ID79rgEgLf2uASI5IET9USJEIET9DQECAwAFBgcECQoLCA0ODwwiRCBD/a4BIkMgPv1RIj5BB/2tASA+QRn9qwH9UCE+IBIgF/2uASAJ/a4BIhIgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBj9rgEiGCAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEiAX/a4BIA79rgEiEiAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGP2uASIYIBf9USIXQQf9rQEgF0EZ/asB/VAhFyA6ID/9rgEgMf2uASI6IEX9USJFIEX9DQIDAAEGBwQFCgsICQ4PDA0iRSBA/a4BIkAgP/1RIj9BDP2tASA/QRT9qwH9UCE/IDogP/2uASA2/a4BIjogRf1RIkUgRf0NAQIDAAUGBwQJCgsIDQ4PDCJFIED9rgEiQCA//VEiP0EH/a0BID9BGf2rAf1QIT8gEyAU/a4BIA/9rgEiEyAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGf2uASIZIBT9USIUQQz9rQEgFEEU/asB/VAhFCATIBT9rgEgCP2uASITIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAZ/a4BIhkgFP1RIhRBB/2tASAUQRn9qwH9UCEUIDsgPP2uASA3/a4BIjsgRv1RIkYgRv0NAgMAAQYHBAUKCwgJDg8MDSJGIEH9rgEiQSA8/VEiPEEM/a0BIDxBFP2rAf1QITwgOyA8/a4BIDD9rgEiOyBG/VEiRiBG/Q0BAgMABQYHBAkKCwgNDg8MIkYgQf2uASJBIDz9USI8QQf9rQEgPEEZ/asB/VAhPCAQIBT9rgEgA/2uASIQIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAY/a4BIhggFP1RIhRBDP2tASAUQRT9qwH9UCEUIBAgFP2uASAE/a4BIhAgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBj9rgEiGCAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgOCA8/a4BICv9rgEiOCBE/VEiRCBE/Q0CAwABBgcEBQoLCAkODwwNIkQgQP2uASJAIDz9USI8QQz9rQEgPEEU/asB/VAhPCA4IDz9rgEgLP2uASI4IET9USJEIET9DQECAwAFBgcECQoLCA0ODwwiRCBA/a4BIkAgPP1RIjxBB/2tASA8QRn9qwH9UCE8IBEgFf2uASAK/a4BIhEgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBn9rgEiGSAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgESAV/a4BIAz9rgEiESAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGf2uASIZIBX9USIVQQf9rQEgFUEZ/asB/VAhFSA5ID39rgEgMv2uASI5IEX9USJFIEX9DQIDAAEGBwQFCgsICQ4PDA0iRSBB/a4BIkEgPf1RIj1BDP2tASA9QRT9qwH9UCE9IDkgPf2uASA0/a4BIjkgRf1RIkUgRf0NAQIDAAUGBwQJCgsIDQ4PDCJFIEH9rgEiQSA9/VEiPUEH/a0BID1BGf2rAf1QIT0gEiAW/a4BIA39rgEiEiAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGv2uASIaIBb9USIWQQz9rQEgFkEU/asB/VAhFiASIBb9rgEgAv2uASISIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAa/a4BIhogFv1RIhZBB/2tASAWQRn9qwH9UCEWIDogPv2uASA1/a4BIjogRv1RIkYgRv0NAgMAAQYHBAUKCwgJDg8MDSJGIEL9rgEiQiA+/VEiPkEM/a0BID5BFP2rAf1QIT4gOiA+/a4BICr9rgEiOiBG/VEiRiBG/Q0BAgMABQYHBAkKCwgNDg8MIkYgQv2uASJCID79USI+QQf9rQEgPkEZ/asB/VAhPiATIBf9rgEgB/2uASITIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAb/a4BIhsgF/1RIhdBDP2tASAXQRT9qwH9UCEXIBMgF/2uASAO/a4BIhMgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBv9rgEiGyAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgOyA//a4BIC/9rgEiOyBH/VEiRyBH/Q0CAwABBgcEBQoLCAkODwwNIkcgQ/2uASJDID/9USI/QQz9rQEgP0EU/asB/VAhPyA7ID/9rgEgNv2uASI7IEf9USJHIEf9DQECAwAFBgcECQoLCA0ODwwiRyBD/a4BIkMgP/1RIj9BB/2tASA/QRn9qwH9UCE/IBAgFf2uASAG/a4BIhAgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBr9rgEiGiAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgECAV/a4BIAX9rgEiECAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gGv2uASIaIBX9USIVQQf9rQEgFUEZ/asB/VAhFSA4ID39rgEgLv2uASI4IEf9USJHIEf9DQIDAAEGBwQFCgsICQ4PDA0iRyBC/a4BIkIgPf1RIj1BDP2tASA9QRT9qwH9UCE9IDggPf2uASAt/a4BIjggR/1RIkcgR/0NAQIDAAUGBwQJCgsIDQ4PDCJHIEL9rgEiQiA9/VEiPUEH/a0BID1BGf2rAf1QIT0gESAW/a4BIAn9rgEiESAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgG/2uASIbIBb9USIWQQz9rQEgFkEU/asB/VAhFiARIBb9rgEgAP2uASIRIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAb/a4BIhsgFv1RIhZBB/2tASAWQRn9qwH9UCEWIDkgPv2uASAx/a4BIjkgRP1RIkQgRP0NAgMAAQYHBAUKCwgJDg8MDSJEIEP9rgEiQyA+/VEiPkEM/a0BID5BFP2rAf1QIT4gOSA+/a4BICj9rgEiOSBE/VEiRCBE/Q0BAgMABQYHBAkKCwgNDg8MIkQgQ/2uASJDID79USI+QQf9rQEgPkEZ/asB/VAhPiASIBf9rgEgC/2uASISIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAY/a4BIhggF/1RIhdBDP2tASAXQRT9qwH9UCEXIBIgF/2uASAP/a4BIhIgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBj9rgEiGCAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgOiA//a4BIDP9rgEiOiBF/VEiRSBF/Q0CAwABBgcEBQoLCAkODwwNIkUgQP2uASJAID/9USI/QQz9rQEgP0EU/asB/VAhPyA6ID/9rgEgN/2uASI6IEX9USJFIEX9DQECAwAFBgcECQoLCA0ODwwiRSBA/a4BIkAgP/1RIj9BB/2tASA/QRn9qwH9UCE/IBMgFP2uASAI/a4BIhMgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBn9rgEiGSAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgEyAU/a4BIAH9rgEiEyAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGf2uASIZIBT9USIUQQf9rQEgFEEZ/asB/VAhFCA7IDz9rgEgMP2uASI7IEb9USJGIEb9DQIDAAEGBwQFCgsICQ4PDA0iRiBB/a4BIkEgPP1RIjxBDP2tASA8QRT9qwH9UCE8IDsgPP2uASAp/a4BIjsgRv1RIkYgRv0NAQIDAAUGBwQJCgsIDQ4PDCJGIEH9rgEiQSA8/VEiPEEH/a0BIDxBGf2rAf1QITwgECAU/a4BIAr9rgEiECAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgGP2uASIYIBT9USIUQQz9rQEgFEEU/asB/VAhFCAQIBT9rgEgB/2uASIQIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAY/a4BIhggFP1RIhRBB/2tASAUQRn9qwH9UCEUIDggPP2uASAy/a4BIjggRP1RIkQgRP0NAgMAAQYHBAUKCwgJDg8MDSJEIED9rgEiQCA8/VEiPEEM/a0BIDxBFP2rAf1QITwgOCA8/a4BIC/9rgEiOCBE/VEiRCBE/Q0BAgMABQYHBAkKCwgNDg8MIkQgQP2uASJAIDz9USI8QQf9rQEgPEEZ/asB/VAhPCARIBX9rgEgDP2uASIRIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAZ/a4BIhkgFf1RIhVBDP2tASAVQRT9qwH9UCEVIBEgFf2uASAJ/a4BIhEgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBn9rgEiGSAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgOSA9/a4BIDT9rgEiOSBF/VEiRSBF/Q0CAwABBgcEBQoLCAkODwwNIkUgQf2uASJBID39USI9QQz9rQEgPUEU/asB/VAhPSA5ID39rgEgMf2uASI5IEX9USJFIEX9DQECAwAFBgcECQoLCA0ODwwiRSBB/a4BIkEgPf1RIj1BB/2tASA9QRn9qwH9UCE9IBIgFv2uASAO/a4BIhIgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBr9rgEiGiAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgEiAW/a4BIAP9rgEiEiAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGv2uASIaIBb9USIWQQf9rQEgFkEZ/asB/VAhFiA6ID79rgEgNv2uASI6IEb9USJGIEb9DQIDAAEGBwQFCgsICQ4PDA0iRiBC/a4BIkIgPv1RIj5BDP2tASA+QRT9qwH9UCE+IDogPv2uASAr/a4BIjogRv1RIkYgRv0NAQIDAAUGBwQJCgsIDQ4PDCJGIEL9rgEiQiA+/VEiPkEH/a0BID5BGf2rAf1QIT4gEyAX/a4BIA39rgEiEyAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gG/2uASIbIBf9USIXQQz9rQEgF0EU/asB/VAhFyATIBf9rgEgD/2uASITIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAb/a4BIhsgF/1RIhdBB/2tASAXQRn9qwH9UCEXIDsgP/2uASA1/a4BIjsgR/1RIkcgR/0NAgMAAQYHBAUKCwgJDg8MDSJHIEP9rgEiQyA//VEiP0EM/a0BID9BFP2rAf1QIT8gOyA//a4BIDf9rgEiOyBH/VEiRyBH/Q0BAgMABQYHBAkKCwgNDg8MIkcgQ/2uASJDID/9USI/QQf9rQEgP0EZ/asB/VAhPyAQIBX9rgEgBP2uASIQIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAa/a4BIhogFf1RIhVBDP2tASAVQRT9qwH9UCEVIBAgFf2uASAA/a4BIhAgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBr9rgEiGiAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgOCA9/a4BICz9rgEiOCBH/VEiRyBH/Q0CAwABBgcEBQoLCAkODwwNIkcgQv2uASJCID39USI9QQz9rQEgPUEU/asB/VAhPSA4ID39rgEgKP2uASI4IEf9USJHIEf9DQECAwAFBgcECQoLCA0ODwwiRyBC/a4BIkIgPf1RIj1BB/2tASA9QRn9qwH9UCE9IBEgFv2uASAL/a4BIhEgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBv9rgEiGyAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgESAW/a4BIAL9rgEiESAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgG/2uASIbIBb9USIWQQf9rQEgFkEZ/asB/VAhFiA5ID79rgEgM/2uASI5IET9USJEIET9DQIDAAEGBwQFCgsICQ4PDA0iRCBD/a4BIkMgPv1RIj5BDP2tASA+QRT9qwH9UCE+IDkgPv2uASAq/a4BIjkgRP1RIkQgRP0NAQIDAAUGBwQJCgsIDQ4PDCJEIEP9rgEiQyA+/VEiPkEH/a0BID5BGf2rAf1QIT4gEiAX/a4BIAX9rgEiEiAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGP2uASIYIBf9USIXQQz9rQEgF0EU/asB/VAhFyASIBf9rgEgCP2uASISIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAY/a4BIhggF/1RIhdBB/2tASAXQRn9qwH9UCEXIDogP/2uASAt/a4BIjogRf1RIkUgRf0NAgMAAQYHBAUKCwgJDg8MDSJFIED9rgEiQCA//VEiP0EM/a0BID9BFP2rAf1QIT8gOiA//a4BIDD9rgEiOiBF/VEiRSBF/Q0BAgMABQYHBAkKCwgNDg8MIkUgQP2uASJAID/9USI/QQf9rQEgP0EZ/asB/VAhPyATIBT9rgEgAf2uASITIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAZ/a4BIhkgFP1RIhRBDP2tASAUQRT9qwH9UCEUIBMgFP2uASAG/a4BIhMgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBn9rgEiGSAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgOyA8/a4BICn9rgEiOyBG/VEiRiBG/Q0CAwABBgcEBQoLCAkODwwNIkYgQf2uASJBIDz9USI8QQz9rQEgPEEU/asB/VAhPCA7IDz9rgEgLv2uASI7IEb9USJGIEb9DQECAwAFBgcECQoLCA0ODwwiRiBB/a4BIkEgPP1RIjxBB/2tASA8QRn9qwH9UCE8IBAgFP2uASAM/a4BIhAgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBj9rgEiGCAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgECAU/a4BIA39rgEiECAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgGP2uASIYIBT9USIUQQf9rQEgFEEZ/asB/VAhFCA4IDz9rgEgNP2uASI4IET9USJEIET9DQIDAAEGBwQFCgsICQ4PDA0iRCBA/a4BIkAgPP1RIjxBDP2tASA8QRT9qwH9UCE8IDggPP2uASA1/a4BIjggRP1RIkQgRP0NAQIDAAUGBwQJCgsIDQ4PDCJEIED9rgEiQCA8/VEiPEEH/a0BIDxBGf2rAf1QITwgESAV/a4BIAn9rgEiESAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGf2uASIZIBX9USIVQQz9rQEgFUEU/asB/VAhFSARIBX9rgEgC/2uASIRIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAZ/a4BIhkgFf1RIhVBB/2tASAVQRn9qwH9UCEVIDkgPf2uASAx/a4BIjkgRf1RIkUgRf0NAgMAAQYHBAUKCwgJDg8MDSJFIEH9rgEiQSA9/VEiPUEM/a0BID1BFP2rAf1QIT0gOSA9/a4BIDP9rgEiOSBF/VEiRSBF/Q0BAgMABQYHBAkKCwgNDg8MIkUgQf2uASJBID39USI9QQf9rQEgPUEZ/asB/VAhPSASIBb9rgEgD/2uASISIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAa/a4BIhogFv1RIhZBDP2tASAWQRT9qwH9UCEWIBIgFv2uASAK/a4BIhIgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBr9rgEiGiAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgOiA+/a4BIDf9rgEiOiBG/VEiRiBG/Q0CAwABBgcEBQoLCAkODwwNIkYgQv2uASJCID79USI+QQz9rQEgPkEU/asB/VAhPiA6ID79rgEgMv2uASI6IEb9USJGIEb9DQECAwAFBgcECQoLCA0ODwwiRiBC/a4BIkIgPv1RIj5BB/2tASA+QRn9qwH9UCE+IBMgF/2uASAO/a4BIhMgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBv9rgEiGyAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEyAX/a4BIAj9rgEiEyAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gG/2uASIbIBf9USIXQQf9rQEgF0EZ/asB/VAhFyA7ID/9rgEgNv2uASI7IEf9USJHIEf9DQIDAAEGBwQFCgsICQ4PDA0iRyBD/a4BIkMgP/1RIj9BDP2tASA/QRT9qwH9UCE/IDsgP/2uASAw/a4BIjsgR/1RIkcgR/0NAQIDAAUGBwQJCgsIDQ4PDCJHIEP9rgEiQyA//VEiP0EH/a0BID9BGf2rAf1QIT8gECAV/a4BIAf9rgEiECAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gGv2uASIaIBX9USIVQQz9rQEgFUEU/asB/VAhFSAQIBX9rgEgAv2uASIQIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAa/a4BIhogFf1RIhVBB/2tASAVQRn9qwH9UCEVIDggPf2uASAv/a4BIjggR/1RIkcgR/0NAgMAAQYHBAUKCwgJDg8MDSJHIEL9rgEiQiA9/VEiPUEM/a0BID1BFP2rAf1QIT0gOCA9/a4BICr9rgEiOCBH/VEiRyBH/Q0BAgMABQYHBAkKCwgNDg8MIkcgQv2uASJCID39USI9QQf9rQEgPUEZ/asB/VAhPSARIBb9rgEgBf2uASIRIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAb/a4BIhsgFv1RIhZBDP2tASAWQRT9qwH9UCEWIBEgFv2uASAD/a4BIhEgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBv9rgEiGyAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgOSA+/a4BIC39rgEiOSBE/VEiRCBE/Q0CAwABBgcEBQoLCAkODwwNIkQgQ/2uASJDID79USI+QQz9rQEgPkEU/asB/VAhPiA5ID79rgEgK/2uASI5IET9USJEIET9DQECAwAFBgcECQoLCA0ODwwiRCBD/a4BIkMgPv1RIj5BB/2tASA+QRn9qwH9UCE+IBIgF/2uASAA/a4BIhIgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBj9rgEiGCAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEiAX/a4BIAH9rgEiEiAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGP2uASIYIBf9USIXQQf9rQEgF0EZ/asB/VAhFyA6ID/9rgEgKP2uASI6IEX9USJFIEX9DQIDAAEGBwQFCgsICQ4PDA0iRSBA/a4BIkAgP/1RIj9BDP2tASA/QRT9qwH9UCE/IDogP/2uASAp/a4BIjogRf1RIkUgRf0NAQIDAAUGBwQJCgsIDQ4PDCJFIED9rgEiQCA//VEiP0EH/a0BID9BGf2rAf1QIT8gEyAU/a4BIAb9rgEiEyAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGf2uASIZIBT9USIUQQz9rQEgFEEU/asB/VAhFCATIBT9rgEgBP2uASITIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAZ/a4BIhkgFP1RIhRBB/2tASAUQRn9qwH9UCEUIDsgPP2uASAu/a4BIjsgRv1RIkYgRv0NAgMAAQYHBAUKCwgJDg8MDSJGIEH9rgEiQSA8/VEiPEEM/a0BIDxBFP2rAf1QITwgOyA8/a4BICz9rgEiOyBG/VEiRiBG/Q0BAgMABQYHBAkKCwgNDg8MIkYgQf2uASJBIDz9USI8QQf9rQEgPEEZ/asB/VAhPCAQIBT9rgEgCf2uASIQIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAY/a4BIhggFP1RIhRBDP2tASAUQRT9qwH9UCEUIBAgFP2uASAO/a4BIhAgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBj9rgEiGCAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgOCA8/a4BIDH9rgEiOCBE/VEiRCBE/Q0CAwABBgcEBQoLCAkODwwNIkQgQP2uASJAIDz9USI8QQz9rQEgPEEU/asB/VAhPCA4IDz9rgEgNv2uASI4IET9USJEIET9DQECAwAFBgcECQoLCA0ODwwiRCBA/a4BIkAgPP1RIjxBB/2tASA8QRn9qwH9UCE8IBEgFf2uASAL/a4BIhEgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBn9rgEiGSAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgESAV/a4BIAX9rgEiESAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGf2uASIZIBX9USIVQQf9rQEgFUEZ/asB/VAhFSA5ID39rgEgM/2uASI5IEX9USJFIEX9DQIDAAEGBwQFCgsICQ4PDA0iRSBB/a4BIkEgPf1RIj1BDP2tASA9QRT9qwH9UCE9IDkgPf2uASAt/a4BIjkgRf1RIkUgRf0NAQIDAAUGBwQJCgsIDQ4PDCJFIEH9rgEiQSA9/VEiPUEH/a0BID1BGf2rAf1QIT0gEiAW/a4BIAj9rgEiEiAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGv2uASIaIBb9USIWQQz9rQEgFkEU/asB/VAhFiASIBb9rgEgDP2uASISIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAa/a4BIhogFv1RIhZBB/2tASAWQRn9qwH9UCEWIDogPv2uASAw/a4BIjogRv1RIkYgRv0NAgMAAQYHBAUKCwgJDg8MDSJGIEL9rgEiQiA+/VEiPkEM/a0BID5BFP2rAf1QIT4gOiA+/a4BIDT9rgEiOiBG/VEiRiBG/Q0BAgMABQYHBAkKCwgNDg8MIkYgQv2uASJCID79USI+QQf9rQEgPkEZ/asB/VAhPiATIBf9rgEgD/2uASITIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAb/a4BIhsgF/1RIhdBDP2tASAXQRT9qwH9UCEXIBMgF/2uASAB/a4BIhMgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBv9rgEiGyAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgOyA//a4BIDf9rgEiOyBH/VEiRyBH/Q0CAwABBgcEBQoLCAkODwwNIkcgQ/2uASJDID/9USI/QQz9rQEgP0EU/asB/VAhPyA7ID/9rgEgKf2uASI7IEf9USJHIEf9DQECAwAFBgcECQoLCA0ODwwiRyBD/a4BIkMgP/1RIj9BB/2tASA/QRn9qwH9UCE/IBAgFf2uASAN/a4BIhAgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBr9rgEiGiAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgECAV/a4BIAP9rgEiECAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gGv2uASIaIBX9USIVQQf9rQEgFUEZ/asB/VAhFSA4ID39rgEgNf2uASI4IEf9USJHIEf9DQIDAAEGBwQFCgsICQ4PDA0iRyBC/a4BIkIgPf1RIj1BDP2tASA9QRT9qwH9UCE9IDggPf2uASAr/a4BIjggR/1RIkcgR/0NAQIDAAUGBwQJCgsIDQ4PDCJHIEL9rgEiQiA9/VEiPUEH/a0BID1BGf2rAf1QIT0gESAW/a4BIAD9rgEiESAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgG/2uASIbIBb9USIWQQz9rQEgFkEU/asB/VAhFiARIBb9rgEgCv2uASIRIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAb/a4BIhsgFv1RIhZBB/2tASAWQRn9qwH9UCEWIDkgPv2uASAo/a4BIjkgRP1RIkQgRP0NAgMAAQYHBAUKCwgJDg8MDSJEIEP9rgEiQyA+/VEiPkEM/a0BID5BFP2rAf1QIT4gOSA+/a4BIDL9rgEiOSBE/VEiRCBE/Q0BAgMABQYHBAkKCwgNDg8MIkQgQ/2uASJDID79USI+QQf9rQEgPkEZ/asB/VAhPiASIBf9rgEgAv2uASISIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAY/a4BIhggF/1RIhdBDP2tASAXQRT9qwH9UCEXIBIgF/2uASAG/a4BIhIgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBj9rgEiGCAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgOiA//a4BICr9rgEiOiBF/VEiRSBF/Q0CAwABBgcEBQoLCAkODwwNIkUgQP2uASJAID/9USI/QQz9rQEgP0EU/asB/VAhPyA6ID/9rgEgLv2uASI6IEX9USJFIEX9DQECAwAFBgcECQoLCA0ODwwiRSBA/a4BIkAgP/1RIj9BB/2tASA/QRn9qwH9UCE/IBMgFP2uASAE/a4BIhMgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBn9rgEiGSAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgEyAU/a4BIAf9rgEiEyAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGf2uASIZIBT9USIUQQf9rQEgFEEZ/asB/VAhFCA7IDz9rgEgLP2uASI7IEb9USJGIEb9DQIDAAEGBwQFCgsICQ4PDA0iRiBB/a4BIkEgPP1RIjxBDP2tASA8QRT9qwH9UCE8IDsgPP2uASAv/a4BIjsgRv1RIkYgRv0NAQIDAAUGBwQJCgsIDQ4PDCJGIEH9rgEiQSA8/VEiPEEH/a0BIDxBGf2rAf1QITwgECAU/a4BIAv9rgEiECAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgGP2uASIYIBT9USIUQQz9rQEgFEEU/asB/VAhFCAQIBT9rgEgD/2uASIQIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAY/a4BIhggFP1RIhRBB/2tASAUQRn9qwH9UCEUIDggPP2uASAz/a4BIjggRP1RIkQgRP0NAgMAAQYHBAUKCwgJDg8MDSJEIED9rgEiQCA8/VEiPEEM/a0BIDxBFP2rAf1QITwgOCA8/a4BIDf9rgEiOCBE/VEiRCBE/Q0BAgMABQYHBAkKCwgNDg8MIkQgQP2uASJAIDz9USI8QQf9rQEgPEEZ/asB/VAhPCARIBX9rgEgBf2uASIRIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAZ/a4BIhkgFf1RIhVBDP2tASAVQRT9qwH9UCEVIBEgFf2uASAA/a4BIhEgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBn9rgEiGSAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgOSA9/a4BIC39rgEiOSBF/VEiRSBF/Q0CAwABBgcEBQoLCAkODwwNIkUgQf2uASJBID39USI9QQz9rQEgPUEU/asB/VAhPSA5ID39rgEgKP2uASI5IEX9USJFIEX9DQECAwAFBgcECQoLCA0ODwwiRSBB/a4BIkEgPf1RIj1BB/2tASA9QRn9qwH9UCE9IBIgFv2uASAB/a4BIhIgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBr9rgEiGiAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgEiAW/a4BIAn9rgEiEiAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGv2uASIaIBb9USIWQQf9rQEgFkEZ/asB/VAhFiA6ID79rgEgKf2uASI6IEb9USJGIEb9DQIDAAEGBwQFCgsICQ4PDA0iRiBC/a4BIkIgPv1RIj5BDP2tASA+QRT9qwH9UCE+IDogPv2uASAx/a4BIjogRv1RIkYgRv0NAQIDAAUGBwQJCgsIDQ4PDCJGIEL9rgEiQiA+/VEiPkEH/a0BID5BGf2rAf1QIT4gEyAX/a4BIAj9rgEiEyAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gG/2uASIbIBf9USIXQQz9rQEgF0EU/asB/VAhFyATIBf9rgEgBv2uASITIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAb/a4BIhsgF/1RIhdBB/2tASAXQRn9qwH9UCEXIDsgP/2uASAw/a4BIjsgR/1RIkcgR/0NAgMAAQYHBAUKCwgJDg8MDSJHIEP9rgEiQyA//VEiP0EM/a0BID9BFP2rAf1QIT8gOyA//a4BIC79rgEiOyBH/VEiRyBH/Q0BAgMABQYHBAkKCwgNDg8MIkcgQ/2uASJDID/9USI/QQf9rQEgP0EZ/asB/VAhPyAQIBX9rgEgDv2uASIQIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAa/a4BIhogFf1RIhVBDP2tASAVQRT9qwH9UCEVIBAgFf2uASAK/a4BIhAgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBr9rgEiGiAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgOCA9/a4BIDb9rgEiOCBH/VEiRyBH/Q0CAwABBgcEBQoLCAkODwwNIkcgQv2uASJCID39USI9QQz9rQEgPUEU/asB/VAhPSA4ID39rgEgMv2uASI4IEf9USJHIEf9DQECAwAFBgcECQoLCA0ODwwiRyBC/a4BIkIgPf1RIj1BB/2tASA9QRn9qwH9UCE9IBEgFv2uASAC/a4BIhEgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBv9rgEiGyAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgESAW/a4BIAz9rgEiESAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgG/2uASIbIBb9USIWQQf9rQEgFkEZ/asB/VAhFiA5ID79rgEgKv2uASI5IET9USJEIET9DQIDAAEGBwQFCgsICQ4PDA0iRCBD/a4BIkMgPv1RIj5BDP2tASA+QRT9qwH9UCE+IDkgPv2uASA0/a4BIjkgRP1RIkQgRP0NAQIDAAUGBwQJCgsIDQ4PDCJEIEP9rgEiQyA+/VEiPkEH/a0BID5BGf2rAf1QIT4gEiAX/a4BIAP9rgEiEiAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGP2uASIYIBf9USIXQQz9rQEgF0EU/asB/VAhFyASIBf9rgEgBP2uASISIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAY/a4BIhggF/1RIhdBB/2tASAXQRn9qwH9UCEXIDogP/2uASAr/a4BIjogRf1RIkUgRf0NAgMAAQYHBAUKCwgJDg8MDSJFIED9rgEiQCA//VEiP0EM/a0BID9BFP2rAf1QIT8gOiA//a4BICz9rgEiOiBF/VEiRSBF/Q0BAgMABQYHBAkKCwgNDg8MIkUgQP2uASJAID/9USI/QQf9rQEgP0EZ/asB/VAhPyATIBT9rgEgB/2uASITIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAZ/a4BIhkgFP1RIhRBDP2tASAUQRT9qwH9UCEUIBMgFP2uASAN/a4BIhMgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBn9rgEiGSAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgOyA8/a4BIC/9rgEiOyBG/VEiRiBG/Q0CAwABBgcEBQoLCAkODwwNIkYgQf2uASJBIDz9USI8QQz9rQEgPEEU/asB/VAhPCA7IDz9rgEgNf2uASI7IEb9USJGIEb9DQECAwAFBgcECQoLCA0ODwwiRiBB/a4BIkEgPP1RIjxBB/2tASA8QRn9qwH9UCE8IBAgGP1RISAgESAZ/VEhISASIBr9USEiIBMgG/1RISMgFCAc/VEhJCAVIB39USElIBYgHv1RISYgFyAf/VEhJyA4IED9USFIIDkgQf1RIUkgOiBC/VEhSiA7IEP9USFLIDwgRP1RIUwgPSBF/VEhTSA+IEb9USFOID8gR/1RIU8gWkHAAGohWiBZQQFqIllBEEkNAAsgXEECdCAg/QsEgAggXEECdCAh/QsEkAggXEECdCAi/QsEoAggXEECdCAj/QsEsAggXEECdCAk/QsEwAggXEECdCAl/QsE0AggXEECdCAm/QsE4AggXEECdCAn/QsE8AggXEECdCBI/QsEgAkgXEECdCBJ/QsEkAkgXEECdCBK/QsEoAkgXEECdCBL/QsEsAkgXEECdCBM/QsEwAkgXEECdCBN/QsE0AkgXEECdCBO/QsE4AkgXEECdCBP/QsE8AkgWkGAOGohWiBcQcAAaiJcQYABSQ0ACwuzy4CAAAIxewN/QYAC/QAEACEgQZAC/QAEACEhQaAC/QAEACEiQbAC/QAEACEjQcAC/QAEACEkQdAC/QAEACElQeAC/QAEACEmQfAC/QAEACEnQbADKAIAQQRy/REhMEHAAygCAEECdiExQYCgASIyITMDQCAy/QAEACEoIDL9AARAISkgMv0ABIABISogMv0ABMABISsgKCAp/Q0AAQIDEBESEwQFBgcUFRYXISwgKiAr/Q0AAQIDEBESEwQFBgcUFRYXIS0gKCAp/Q0ICQoLGBkaGwwNDg8cHR4fIS4gKiAr/Q0ICQoLGBkaGwwNDg8cHR4fIS8gLCAt/Q0AAQIDBAUGBxAREhMUFRYXIQAgLCAt/Q0ICQoLDA0ODxgZGhscHR4fIQEgLiAv/Q0AAQIDBAUGBxAREhMUFRYXIQIgLiAv/Q0ICQoLDA0ODxgZGhscHR4fIQMgMv0ABBAhKCAy/QAEUCEpIDL9AASQASEqIDL9AATQASErICggKf0NAAECAxAREhMEBQYHFBUWFyEsICogK/0NAAECAxAREhMEBQYHFBUWFyEtICggKf0NCAkKCxgZGhsMDQ4PHB0eHyEuICogK/0NCAkKCxgZGhsMDQ4PHB0eHyEvICwgLf0NAAECAwQFBgcQERITFBUWFyEEICwgLf0NCAkKCwwNDg8YGRobHB0eHyEFIC4gL/0NAAECAwQFBgcQERITFBUWFyEGIC4gL/0NCAkKCwwNDg8YGRobHB0eHyEHIDL9AAQgISggMv0ABGAhKSAy/QAEoAEhKiAy/QAE4AEhKyAoICn9DQABAgMQERITBAUGBxQVFhchLCAqICv9DQABAgMQERITBAUGBxQVFhchLSAoICn9DQgJCgsYGRobDA0ODxwdHh8hLiAqICv9DQgJCgsYGRobDA0ODxwdHh8hLyAsIC39DQABAgMEBQYHEBESExQVFhchCCAsIC39DQgJCgsMDQ4PGBkaGxwdHh8hCSAuIC/9DQABAgMEBQYHEBESExQVFhchCiAuIC/9DQgJCgsMDQ4PGBkaGxwdHh8hCyAy/QAEMCEoIDL9AARwISkgMv0ABLABISogMv0ABPABISsgKCAp/Q0AAQIDEBESEwQFBgcUFRYXISwgKiAr/Q0AAQIDEBESEwQFBgcUFRYXIS0gKCAp/Q0ICQoLGBkaGwwNDg8cHR4fIS4gKiAr/Q0ICQoLGBkaGwwNDg8cHR4fIS8gLCAt/Q0AAQIDBAUGBxAREhMUFRYXIQwgLCAt/Q0ICQoLDA0ODxgZGhscHR4fIQ0gLiAv/Q0AAQIDBAUGBxAREhMUFRYXIQ4gLiAv/Q0ICQoLDA0ODxgZGhscHR4fIQ8gICEQICEhESAiIRIgIyETICQhFCAlIRUgJiEWICchF/0MZ+YJamfmCWpn5glqZ+YJaiEY/QyFrme7ha5nu4WuZ7uFrme7IRn9DHLzbjxy8248cvNuPHLzbjwhGv0MOvVPpTr1T6U69U+lOvVPpSEb/QwAAAAAAAAAAAAAAAAAAAAAIhwhHUHAAP0RIR4gMCEfIBAgFP2uASAA/a4BIhAgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBj9rgEiGCAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgECAU/a4BIAH9rgEiECAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgGP2uASIYIBT9USIUQQf9rQEgFEEZ/asB/VAhFCARIBX9rgEgAv2uASIRIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAZ/a4BIhkgFf1RIhVBDP2tASAVQRT9qwH9UCEVIBEgFf2uASAD/a4BIhEgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBn9rgEiGSAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgEiAW/a4BIAT9rgEiEiAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGv2uASIaIBb9USIWQQz9rQEgFkEU/asB/VAhFiASIBb9rgEgBf2uASISIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAa/a4BIhogFv1RIhZBB/2tASAWQRn9qwH9UCEWIBMgF/2uASAG/a4BIhMgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBv9rgEiGyAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEyAX/a4BIAf9rgEiEyAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gG/2uASIbIBf9USIXQQf9rQEgF0EZ/asB/VAhFyAQIBX9rgEgCP2uASIQIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAa/a4BIhogFf1RIhVBDP2tASAVQRT9qwH9UCEVIBAgFf2uASAJ/a4BIhAgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBr9rgEiGiAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgESAW/a4BIAr9rgEiESAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgG/2uASIbIBb9USIWQQz9rQEgFkEU/asB/VAhFiARIBb9rgEgC/2uASIRIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAb/a4BIhsgFv1RIhZBB/2tASAWQRn9qwH9UCEWIBIgF/2uASAM/a4BIhIgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBj9rgEiGCAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEiAX/a4BIA39rgEiEiAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGP2uASIYIBf9USIXQQf9rQEgF0EZ/asB/VAhFyATIBT9rgEgDv2uASITIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAZ/a4BIhkgFP1RIhRBDP2tASAUQRT9qwH9UCEUIBMgFP2uASAP/a4BIhMgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBn9rgEiGSAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgECAU/a4BIAL9rgEiECAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgGP2uASIYIBT9USIUQQz9rQEgFEEU/asB/VAhFCAQIBT9rgEgBv2uASIQIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAY/a4BIhggFP1RIhRBB/2tASAUQRn9qwH9UCEUIBEgFf2uASAD/a4BIhEgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBn9rgEiGSAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgESAV/a4BIAr9rgEiESAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGf2uASIZIBX9USIVQQf9rQEgFUEZ/asB/VAhFSASIBb9rgEgB/2uASISIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAa/a4BIhogFv1RIhZBDP2tASAWQRT9qwH9UCEWIBIgFv2uASAA/a4BIhIgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBr9rgEiGiAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgEyAX/a4BIAT9rgEiEyAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gG/2uASIbIBf9USIXQQz9rQEgF0EU/asB/VAhFyATIBf9rgEgDf2uASITIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAb/a4BIhsgF/1RIhdBB/2tASAXQRn9qwH9UCEXIBAgFf2uASAB/a4BIhAgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBr9rgEiGiAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgECAV/a4BIAv9rgEiECAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gGv2uASIaIBX9USIVQQf9rQEgFUEZ/asB/VAhFSARIBb9rgEgDP2uASIRIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAb/a4BIhsgFv1RIhZBDP2tASAWQRT9qwH9UCEWIBEgFv2uASAF/a4BIhEgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBv9rgEiGyAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgEiAX/a4BIAn9rgEiEiAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGP2uASIYIBf9USIXQQz9rQEgF0EU/asB/VAhFyASIBf9rgEgDv2uASISIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAY/a4BIhggF/1RIhdBB/2tASAXQRn9qwH9UCEXIBMgFP2uASAP/a4BIhMgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBn9rgEiGSAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgEyAU/a4BIAj9rgEiEyAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGf2uASIZIBT9USIUQQf9rQEgFEEZ/asB/VAhFCAQIBT9rgEgA/2uASIQIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAY/a4BIhggFP1RIhRBDP2tASAUQRT9qwH9UCEUIBAgFP2uASAE/a4BIhAgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBj9rgEiGCAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgESAV/a4BIAr9rgEiESAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGf2uASIZIBX9USIVQQz9rQEgFUEU/asB/VAhFSARIBX9rgEgDP2uASIRIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAZ/a4BIhkgFf1RIhVBB/2tASAVQRn9qwH9UCEVIBIgFv2uASAN/a4BIhIgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBr9rgEiGiAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgEiAW/a4BIAL9rgEiEiAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGv2uASIaIBb9USIWQQf9rQEgFkEZ/asB/VAhFiATIBf9rgEgB/2uASITIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAb/a4BIhsgF/1RIhdBDP2tASAXQRT9qwH9UCEXIBMgF/2uASAO/a4BIhMgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBv9rgEiGyAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgECAV/a4BIAb9rgEiECAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gGv2uASIaIBX9USIVQQz9rQEgFUEU/asB/VAhFSAQIBX9rgEgBf2uASIQIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAa/a4BIhogFf1RIhVBB/2tASAVQRn9qwH9UCEVIBEgFv2uASAJ/a4BIhEgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBv9rgEiGyAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgESAW/a4BIAD9rgEiESAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgG/2uASIbIBb9USIWQQf9rQEgFkEZ/asB/VAhFiASIBf9rgEgC/2uASISIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAY/a4BIhggF/1RIhdBDP2tASAXQRT9qwH9UCEXIBIgF/2uASAP/a4BIhIgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBj9rgEiGCAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgEyAU/a4BIAj9rgEiEyAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGf2uASIZIBT9USIUQQz9rQEgFEEU/asB/VAhFCATIBT9rgEgAf2uASITIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAZ/a4BIhkgFP1RIhRBB/2tASAUQRn9qwH9UCEUIBAgFP2uASAK/a4BIhAgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBj9rgEiGCAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgECAU/a4BIAf9rgEiECAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgGP2uASIYIBT9USIUQQf9rQEgFEEZ/asB/VAhFCARIBX9rgEgDP2uASIRIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAZ/a4BIhkgFf1RIhVBDP2tASAVQRT9qwH9UCEVIBEgFf2uASAJ/a4BIhEgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBn9rgEiGSAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgEiAW/a4BIA79rgEiEiAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGv2uASIaIBb9USIWQQz9rQEgFkEU/asB/VAhFiASIBb9rgEgA/2uASISIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAa/a4BIhogFv1RIhZBB/2tASAWQRn9qwH9UCEWIBMgF/2uASAN/a4BIhMgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBv9rgEiGyAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEyAX/a4BIA/9rgEiEyAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gG/2uASIbIBf9USIXQQf9rQEgF0EZ/asB/VAhFyAQIBX9rgEgBP2uASIQIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAa/a4BIhogFf1RIhVBDP2tASAVQRT9qwH9UCEVIBAgFf2uASAA/a4BIhAgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBr9rgEiGiAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgESAW/a4BIAv9rgEiESAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgG/2uASIbIBb9USIWQQz9rQEgFkEU/asB/VAhFiARIBb9rgEgAv2uASIRIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAb/a4BIhsgFv1RIhZBB/2tASAWQRn9qwH9UCEWIBIgF/2uASAF/a4BIhIgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBj9rgEiGCAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEiAX/a4BIAj9rgEiEiAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGP2uASIYIBf9USIXQQf9rQEgF0EZ/asB/VAhFyATIBT9rgEgAf2uASITIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAZ/a4BIhkgFP1RIhRBDP2tASAUQRT9qwH9UCEUIBMgFP2uASAG/a4BIhMgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBn9rgEiGSAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgECAU/a4BIAz9rgEiECAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgGP2uASIYIBT9USIUQQz9rQEgFEEU/asB/VAhFCAQIBT9rgEgDf2uASIQIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAY/a4BIhggFP1RIhRBB/2tASAUQRn9qwH9UCEUIBEgFf2uASAJ/a4BIhEgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBn9rgEiGSAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgESAV/a4BIAv9rgEiESAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGf2uASIZIBX9USIVQQf9rQEgFUEZ/asB/VAhFSASIBb9rgEgD/2uASISIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAa/a4BIhogFv1RIhZBDP2tASAWQRT9qwH9UCEWIBIgFv2uASAK/a4BIhIgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBr9rgEiGiAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgEyAX/a4BIA79rgEiEyAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gG/2uASIbIBf9USIXQQz9rQEgF0EU/asB/VAhFyATIBf9rgEgCP2uASITIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAb/a4BIhsgF/1RIhdBB/2tASAXQRn9qwH9UCEXIBAgFf2uASAH/a4BIhAgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBr9rgEiGiAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgECAV/a4BIAL9rgEiECAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gGv2uASIaIBX9USIVQQf9rQEgFUEZ/asB/VAhFSARIBb9rgEgBf2uASIRIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAb/a4BIhsgFv1RIhZBDP2tASAWQRT9qwH9UCEWIBEgFv2uASAD/a4BIhEgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBv9rgEiGyAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgEiAX/a4BIAD9rgEiEiAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGP2uASIYIBf9USIXQQz9rQEgF0EU/asB/VAhFyASIBf9rgEgAf2uASISIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAY/a4BIhggF/1RIhdBB/2tASAXQRn9qwH9UCEXIBMgFP2uASAG/a4BIhMgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBn9rgEiGSAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgEyAU/a4BIAT9rgEiEyAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGf2uASIZIBT9USIUQQf9rQEgFEEZ/asB/VAhFCAQIBT9rgEgCf2uASIQIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAY/a4BIhggFP1RIhRBDP2tASAUQRT9qwH9UCEUIBAgFP2uASAO/a4BIhAgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBj9rgEiGCAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgESAV/a4BIAv9rgEiESAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGf2uASIZIBX9USIVQQz9rQEgFUEU/asB/VAhFSARIBX9rgEgBf2uASIRIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAZ/a4BIhkgFf1RIhVBB/2tASAVQRn9qwH9UCEVIBIgFv2uASAI/a4BIhIgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBr9rgEiGiAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgEiAW/a4BIAz9rgEiEiAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGv2uASIaIBb9USIWQQf9rQEgFkEZ/asB/VAhFiATIBf9rgEgD/2uASITIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAb/a4BIhsgF/1RIhdBDP2tASAXQRT9qwH9UCEXIBMgF/2uASAB/a4BIhMgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBv9rgEiGyAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgECAV/a4BIA39rgEiECAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gGv2uASIaIBX9USIVQQz9rQEgFUEU/asB/VAhFSAQIBX9rgEgA/2uASIQIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAa/a4BIhogFf1RIhVBB/2tASAVQRn9qwH9UCEVIBEgFv2uASAA/a4BIhEgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBv9rgEiGyAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgESAW/a4BIAr9rgEiESAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgG/2uASIbIBb9USIWQQf9rQEgFkEZ/asB/VAhFiASIBf9rgEgAv2uASISIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAY/a4BIhggF/1RIhdBDP2tASAXQRT9qwH9UCEXIBIgF/2uASAG/a4BIhIgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBj9rgEiGCAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgEyAU/a4BIAT9rgEiEyAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGf2uASIZIBT9USIUQQz9rQEgFEEU/asB/VAhFCATIBT9rgEgB/2uASITIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAZ/a4BIhkgFP1RIhRBB/2tASAUQRn9qwH9UCEUIBAgFP2uASAL/a4BIhAgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBj9rgEiGCAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgECAU/a4BIA/9rgEiECAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgGP2uASIYIBT9USIUQQf9rQEgFEEZ/asB/VAhFCARIBX9rgEgBf2uASIRIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAZ/a4BIhkgFf1RIhVBDP2tASAVQRT9qwH9UCEVIBEgFf2uASAA/a4BIhEgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBn9rgEiGSAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgEiAW/a4BIAH9rgEiEiAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGv2uASIaIBb9USIWQQz9rQEgFkEU/asB/VAhFiASIBb9rgEgCf2uASISIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAa/a4BIhogFv1RIhZBB/2tASAWQRn9qwH9UCEWIBMgF/2uASAI/a4BIhMgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBv9rgEiGyAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEyAX/a4BIAb9rgEiEyAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gG/2uASIbIBf9USIXQQf9rQEgF0EZ/asB/VAhFyAQIBX9rgEgDv2uASIQIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAa/a4BIhogFf1RIhVBDP2tASAVQRT9qwH9UCEVIBAgFf2uASAK/a4BIhAgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBr9rgEiGiAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgESAW/a4BIAL9rgEiESAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgG/2uASIbIBb9USIWQQz9rQEgFkEU/asB/VAhFiARIBb9rgEgDP2uASIRIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAb/a4BIhsgFv1RIhZBB/2tASAWQRn9qwH9UCEWIBIgF/2uASAD/a4BIhIgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBj9rgEiGCAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEiAX/a4BIAT9rgEiEiAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGP2uASIYIBf9USIXQQf9rQEgF0EZ/asB/VAhFyATIBT9rgEgB/2uASITIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAZ/a4BIhkgFP1RIhRBDP2tASAUQRT9qwH9UCEUIBMgFP2uASAN/a4BIhMgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBn9rgEiGSAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgECAY/VEhECARIBn9USERIBIgGv1RIRIgEyAb/VEhEyAUIBz9USEUIBUgHf1RIRUgFiAe/VEhFiAXIB/9USEXIBAgEf0NAAECAxAREhMEBQYHFBUWFyEsIBIgE/0NAAECAxAREhMEBQYHFBUWFyEtIBAgEf0NCAkKCxgZGhsMDQ4PHB0eHyEuIBIgE/0NCAkKCxgZGhsMDQ4PHB0eHyEvICwgLf0NAAECAwQFBgcQERITFBUWFyEAICwgLf0NCAkKCwwNDg8YGRobHB0eHyEBIC4gL/0NAAECAwQFBgcQERITFBUWFyECIC4gL/0NCAkKCwwNDg8YGRobHB0eHyEDIBQgFf0NAAECAxAREhMEBQYHFBUWFyEsIBYgF/0NAAECAxAREhMEBQYHFBUWFyEtIBQgFf0NCAkKCxgZGhsMDQ4PHB0eHyEuIBYgF/0NCAkKCxgZGhsMDQ4PHB0eHyEvICwgLf0NAAECAwQFBgcQERITFBUWFyEEICwgLf0NCAkKCwwNDg8YGRobHB0eHyEFIC4gL/0NAAECAwQFBgcQERITFBUWFyEGIC4gL/0NCAkKCwwNDg8YGRobHB0eHyEHIDMgAP0LBAAgMyAE/QsEECAzIAH9CwQgIDMgBf0LBDAgMyAC/QsEQCAzIAb9CwRQIDMgA/0LBGAgMyAH/QsEcCAyQYACaiEyIDNBgAFqITMgMUEBayIxDQALC8eVgIAAAgx7Bn9BxAMoAgAhDEHQAygCACEOQdQDKAIAIQ9BgIAEIQ1BgMABIREDQEGAoAEhEANAQcgDIA02AgBBgAYgDkEAajYCAEGQBiAPIA5BAGogDklqNgIAQYQGIA5BAWo2AgBBlAYgDyAOQQFqIA5JajYCAEGIBiAOQQJqNgIAQZgGIA8gDkECaiAOSWo2AgBBjAYgDkEDajYCAEGcBiAPIA5BA2ogDklqNgIAQaAGIA5BBGo2AgBBsAYgDyAOQQRqIA5JajYCAEGkBiAOQQVqNgIAQbQGIA8gDkEFaiAOSWo2AgBBqAYgDkEGajYCAEG4BiAPIA5BBmogDklqNgIAQawGIA5BB2o2AgBBvAYgDyAOQQdqIA5JajYCAEHABiAOQQhqNgIAQdAGIA8gDkEIaiAOSWo2AgBBxAYgDkEJajYCAEHUBiAPIA5BCWogDklqNgIAQcgGIA5BCmo2AgBB2AYgDyAOQQpqIA5JajYCAEHMBiAOQQtqNgIAQdwGIA8gDkELaiAOSWo2AgBB4AYgDkEMajYCAEHwBiAPIA5BDGogDklqNgIAQeQGIA5BDWo2AgBB9AYgDyAOQQ1qIA5JajYCAEHoBiAOQQ5qNgIAQfgGIA8gDkEOaiAOSWo2AgBB7AYgDkEPajYCAEH8BiAPIA5BD2ogDklqNgIAEARBgAj9AAQAIQBBkAj9AAQAIQFBoAj9AAQAIQJBsAj9AAQAIQMgACAB/Q0AAQIDEBESEwQFBgcUFRYXIQQgAiAD/Q0AAQIDEBESEwQFBgcUFRYXIQUgACAB/Q0ICQoLGBkaGwwNDg8cHR4fIQYgAiAD/Q0ICQoLGBkaGwwNDg8cHR4fIQcgBCAF/Q0AAQIDBAUGBxAREhMUFRYXIQggBCAF/Q0ICQoLDA0ODxgZGhscHR4fIQkgBiAH/Q0AAQIDBAUGBxAREhMUFRYXIQogBiAH/Q0ICQoLDA0ODxgZGhscHR4fIQsgECAI/QsEACAQIAn9CwQgIBAgCv0LBEAgECAL/QsEYEHACP0ABAAhAEHQCP0ABAAhAUHgCP0ABAAhAkHwCP0ABAAhAyAAIAH9DQABAgMQERITBAUGBxQVFhchBCACIAP9DQABAgMQERITBAUGBxQVFhchBSAAIAH9DQgJCgsYGRobDA0ODxwdHh8hBiACIAP9DQgJCgsYGRobDA0ODxwdHh8hByAEIAX9DQABAgMEBQYHEBESExQVFhchCCAEIAX9DQgJCgsMDQ4PGBkaGxwdHh8hCSAGIAf9DQABAgMEBQYHEBESExQVFhchCiAGIAf9DQgJCgsMDQ4PGBkaGxwdHh8hCyAQIAj9CwQQIBAgCf0LBDAgECAK/QsEUCAQIAv9CwRwQYAJ/QAEACEAQZAJ/QAEACEBQaAJ/QAEACECQbAJ/QAEACEDIAAgAf0NAAECAxAREhMEBQYHFBUWFyEEIAIgA/0NAAECAxAREhMEBQYHFBUWFyEFIAAgAf0NCAkKCxgZGhsMDQ4PHB0eHyEGIAIgA/0NCAkKCxgZGhsMDQ4PHB0eHyEHIAQgBf0NAAECAwQFBgcQERITFBUWFyEIIAQgBf0NCAkKCwwNDg8YGRobHB0eHyEJIAYgB/0NAAECAwQFBgcQERITFBUWFyEKIAYgB/0NCAkKCwwNDg8YGRobHB0eHyELIBAgCP0LBIABIBAgCf0LBKABIBAgCv0LBMABIBAgC/0LBOABQcAJ/QAEACEAQdAJ/QAEACEBQeAJ/QAEACECQfAJ/QAEACEDIAAgAf0NAAECAxAREhMEBQYHFBUWFyEEIAIgA/0NAAECAxAREhMEBQYHFBUWFyEFIAAgAf0NCAkKCxgZGhsMDQ4PHB0eHyEGIAIgA/0NCAkKCxgZGhsMDQ4PHB0eHyEHIAQgBf0NAAECAwQFBgcQERITFBUWFyEIIAQgBf0NCAkKCwwNDg8YGRobHB0eHyEJIAYgB/0NAAECAwQFBgcQERITFBUWFyEKIAYgB/0NCAkKCwwNDg8YGRobHB0eHyELIBAgCP0LBJABIBAgCf0LBLABIBAgCv0LBNABIBAgC/0LBPABQYAK/QAEACEAQZAK/QAEACEBQaAK/QAEACECQbAK/QAEACEDIAAgAf0NAAECAxAREhMEBQYHFBUWFyEEIAIgA/0NAAECAxAREhMEBQYHFBUWFyEFIAAgAf0NCAkKCxgZGhsMDQ4PHB0eHyEGIAIgA/0NCAkKCxgZGhsMDQ4PHB0eHyEHIAQgBf0NAAECAwQFBgcQERITFBUWFyEIIAQgBf0NCAkKCwwNDg8YGRobHB0eHyEJIAYgB/0NAAECAwQFBgcQERITFBUWFyEKIAYgB/0NCAkKCwwNDg8YGRobHB0eHyELIBAgCP0LBIACIBAgCf0LBKACIBAgCv0LBMACIBAgC/0LBOACQcAK/QAEACEAQdAK/QAEACEBQeAK/QAEACECQfAK/QAEACEDIAAgAf0NAAECAxAREhMEBQYHFBUWFyEEIAIgA/0NAAECAxAREhMEBQYHFBUWFyEFIAAgAf0NCAkKCxgZGhsMDQ4PHB0eHyEGIAIgA/0NCAkKCxgZGhsMDQ4PHB0eHyEHIAQgBf0NAAECAwQFBgcQERITFBUWFyEIIAQgBf0NCAkKCwwNDg8YGRobHB0eHyEJIAYgB/0NAAECAwQFBgcQERITFBUWFyEKIAYgB/0NCAkKCwwNDg8YGRobHB0eHyELIBAgCP0LBJACIBAgCf0LBLACIBAgCv0LBNACIBAgC/0LBPACQYAL/QAEACEAQZAL/QAEACEBQaAL/QAEACECQbAL/QAEACEDIAAgAf0NAAECAxAREhMEBQYHFBUWFyEEIAIgA/0NAAECAxAREhMEBQYHFBUWFyEFIAAgAf0NCAkKCxgZGhsMDQ4PHB0eHyEGIAIgA/0NCAkKCxgZGhsMDQ4PHB0eHyEHIAQgBf0NAAECAwQFBgcQERITFBUWFyEIIAQgBf0NCAkKCwwNDg8YGRobHB0eHyEJIAYgB/0NAAECAwQFBgcQERITFBUWFyEKIAYgB/0NCAkKCwwNDg8YGRobHB0eHyELIBAgCP0LBIADIBAgCf0LBKADIBAgCv0LBMADIBAgC/0LBOADQcAL/QAEACEAQdAL/QAEACEBQeAL/QAEACECQfAL/QAEACEDIAAgAf0NAAECAxAREhMEBQYHFBUWFyEEIAIgA/0NAAECAxAREhMEBQYHFBUWFyEFIAAgAf0NCAkKCxgZGhsMDQ4PHB0eHyEGIAIgA/0NCAkKCxgZGhsMDQ4PHB0eHyEHIAQgBf0NAAECAwQFBgcQERITFBUWFyEIIAQgBf0NCAkKCwwNDg8YGRobHB0eHyEJIAYgB/0NAAECAwQFBgcQERITFBUWFyEKIAYgB/0NCAkKCwwNDg8YGRobHB0eHyELIBAgCP0LBJADIBAgCf0LBLADIBAgCv0LBNADIBAgC/0LBPADIA5BEGoiDkEQSSAPaiEPIA1BgIABaiENIBBBgARqIhBBgLABSQ0AC0HAA0EgNgIAEAVBwANBEDYCABAFQcADQQg2AgAQBUHAA0EENgIAEAVBwANBBDYCABAFQcADQQQ2AgAQBSARQYCgAf0ABAD9CwQAIBFBkKAB/QAEAP0LBBAgEUEgaiERIAxBAWsiDA0ACwvZ1YCAAAIoexx/QYACKAIAIShBkAIoAgAhKUGgAigCACEqQbACKAIAIStBwAIoAgAhLEHQAigCACEtQeACKAIAIS5B8AIoAgAhL0GwAygCACEwQcADKAIAITJBBCEzIDEgMkkEQCAxQQN0KAKAgAIhNCAxQQN0KAKEgAIhOCAxQQV0QYCgAmohPEEBIUAgMUEBaiExQYACICg2AgBBkAIgKTYCAEGgAiAqNgIAQbACICs2AgBBwAIgLDYCAEHQAiAtNgIAQeACIC42AgBB8AIgLzYCAAVBACE8IDNBAWshMwsgMSAySQRAIDFBA3QoAoCAAiE1IDFBA3QoAoSAAiE5IDFBBXRBgKACaiE9QQEhQSAxQQFqITFBhAIgKDYCAEGUAiApNgIAQaQCICo2AgBBtAIgKzYCAEHEAiAsNgIAQdQCIC02AgBB5AIgLjYCAEH0AiAvNgIABUEAIT0gM0EBayEzCyAxIDJJBEAgMUEDdCgCgIACITYgMUEDdCgChIACITogMUEFdEGAoAJqIT5BASFCIDFBAWohMUGIAiAoNgIAQZgCICk2AgBBqAIgKjYCAEG4AiArNgIAQcgCICw2AgBB2AIgLTYCAEHoAiAuNgIAQfgCIC82AgAFQQAhPiAzQQFrITMLIDEgMkkEQCAxQQN0KAKAgAIhNyAxQQN0KAKEgAIhOyAxQQV0QYCgAmohP0EBIUMgMUEBaiExQYwCICg2AgBBnAIgKTYCAEGsAiAqNgIAQbwCICs2AgBBzAIgLDYCAEHcAiAtNgIAQewCIC42AgBB/AIgLzYCAAVBACE/IDNBAWshMwsCQANAIDNFDQFBoAMgOEHAACA4QcAASRs2AgBBsAMgMCBAckEKQQAgOEHBAEkbcjYCAEGkAyA5QcAAIDlBwABJGzYCAEG0AyAwIEFyQQpBACA5QcEASRtyNgIAQagDIDpBwAAgOkHAAEkbNgIAQbgDIDAgQnJBCkEAIDpBwQBJG3I2AgBBrAMgO0HAACA7QcAASRs2AgBBvAMgMCBDckEKQQAgO0HBAEkbcjYCACA0/QAEACEgIDX9AAQAISEgNv0ABAAhIiA3/QAEACEjICAgIf0NAAECAxAREhMEBQYHFBUWFyEkICIgI/0NAAECAxAREhMEBQYHFBUWFyElICAgIf0NCAkKCxgZGhsMDQ4PHB0eHyEmICIgI/0NCAkKCxgZGhsMDQ4PHB0eHyEnICQgJf0NAAECAwQFBgcQERITFBUWFyEAICQgJf0NCAkKCwwNDg8YGRobHB0eHyEBICYgJ/0NAAECAwQFBgcQERITFBUWFyECICYgJ/0NCAkKCwwNDg8YGRobHB0eHyEDIDT9AAQQISAgNf0ABBAhISA2/QAEECEiIDf9AAQQISMgICAh/Q0AAQIDEBESEwQFBgcUFRYXISQgIiAj/Q0AAQIDEBESEwQFBgcUFRYXISUgICAh/Q0ICQoLGBkaGwwNDg8cHR4fISYgIiAj/Q0ICQoLGBkaGwwNDg8cHR4fIScgJCAl/Q0AAQIDBAUGBxAREhMUFRYXIQQgJCAl/Q0ICQoLDA0ODxgZGhscHR4fIQUgJiAn/Q0AAQIDBAUGBxAREhMUFRYXIQYgJiAn/Q0ICQoLDA0ODxgZGhscHR4fIQcgNP0ABCAhICA1/QAEICEhIDb9AAQgISIgN/0ABCAhIyAgICH9DQABAgMQERITBAUGBxQVFhchJCAiICP9DQABAgMQERITBAUGBxQVFhchJSAgICH9DQgJCgsYGRobDA0ODxwdHh8hJiAiICP9DQgJCgsYGRobDA0ODxwdHh8hJyAkICX9DQABAgMEBQYHEBESExQVFhchCCAkICX9DQgJCgsMDQ4PGBkaGxwdHh8hCSAmICf9DQABAgMEBQYHEBESExQVFhchCiAmICf9DQgJCgsMDQ4PGBkaGxwdHh8hCyA0/QAEMCEgIDX9AAQwISEgNv0ABDAhIiA3/QAEMCEjICAgIf0NAAECAxAREhMEBQYHFBUWFyEkICIgI/0NAAECAxAREhMEBQYHFBUWFyElICAgIf0NCAkKCxgZGhsMDQ4PHB0eHyEmICIgI/0NCAkKCxgZGhsMDQ4PHB0eHyEnICQgJf0NAAECAwQFBgcQERITFBUWFyEMICQgJf0NCAkKCwwNDg8YGRobHB0eHyENICYgJ/0NAAECAwQFBgcQERITFBUWFyEOICYgJ/0NCAkKCwwNDg8YGRobHB0eHyEPQYAC/QAEACEQQZAC/QAEACERQaAC/QAEACESQbAC/QAEACETQcAC/QAEACEUQdAC/QAEACEVQeAC/QAEACEWQfAC/QAEACEX/Qxn5glqZ+YJamfmCWpn5glqIRj9DIWuZ7uFrme7ha5nu4WuZ7shGf0McvNuPHLzbjxy8248cvNuPCEa/Qw69U+lOvVPpTr1T6U69U+lIRv9DAAAAAAAAAAAAAAAAAAAAAAhHP0MAAAAAAAAAAAAAAAAAAAAACEdQaAD/QAEACEeQbAD/QAEACEfIBAgFP2uASAA/a4BIhAgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBj9rgEiGCAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgECAU/a4BIAH9rgEiECAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgGP2uASIYIBT9USIUQQf9rQEgFEEZ/asB/VAhFCARIBX9rgEgAv2uASIRIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAZ/a4BIhkgFf1RIhVBDP2tASAVQRT9qwH9UCEVIBEgFf2uASAD/a4BIhEgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBn9rgEiGSAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgEiAW/a4BIAT9rgEiEiAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGv2uASIaIBb9USIWQQz9rQEgFkEU/asB/VAhFiASIBb9rgEgBf2uASISIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAa/a4BIhogFv1RIhZBB/2tASAWQRn9qwH9UCEWIBMgF/2uASAG/a4BIhMgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBv9rgEiGyAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEyAX/a4BIAf9rgEiEyAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gG/2uASIbIBf9USIXQQf9rQEgF0EZ/asB/VAhFyAQIBX9rgEgCP2uASIQIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAa/a4BIhogFf1RIhVBDP2tASAVQRT9qwH9UCEVIBAgFf2uASAJ/a4BIhAgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBr9rgEiGiAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgESAW/a4BIAr9rgEiESAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgG/2uASIbIBb9USIWQQz9rQEgFkEU/asB/VAhFiARIBb9rgEgC/2uASIRIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAb/a4BIhsgFv1RIhZBB/2tASAWQRn9qwH9UCEWIBIgF/2uASAM/a4BIhIgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBj9rgEiGCAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEiAX/a4BIA39rgEiEiAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGP2uASIYIBf9USIXQQf9rQEgF0EZ/asB/VAhFyATIBT9rgEgDv2uASITIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAZ/a4BIhkgFP1RIhRBDP2tASAUQRT9qwH9UCEUIBMgFP2uASAP/a4BIhMgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBn9rgEiGSAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgECAU/a4BIAL9rgEiECAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgGP2uASIYIBT9USIUQQz9rQEgFEEU/asB/VAhFCAQIBT9rgEgBv2uASIQIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAY/a4BIhggFP1RIhRBB/2tASAUQRn9qwH9UCEUIBEgFf2uASAD/a4BIhEgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBn9rgEiGSAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgESAV/a4BIAr9rgEiESAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGf2uASIZIBX9USIVQQf9rQEgFUEZ/asB/VAhFSASIBb9rgEgB/2uASISIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAa/a4BIhogFv1RIhZBDP2tASAWQRT9qwH9UCEWIBIgFv2uASAA/a4BIhIgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBr9rgEiGiAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgEyAX/a4BIAT9rgEiEyAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gG/2uASIbIBf9USIXQQz9rQEgF0EU/asB/VAhFyATIBf9rgEgDf2uASITIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAb/a4BIhsgF/1RIhdBB/2tASAXQRn9qwH9UCEXIBAgFf2uASAB/a4BIhAgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBr9rgEiGiAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgECAV/a4BIAv9rgEiECAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gGv2uASIaIBX9USIVQQf9rQEgFUEZ/asB/VAhFSARIBb9rgEgDP2uASIRIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAb/a4BIhsgFv1RIhZBDP2tASAWQRT9qwH9UCEWIBEgFv2uASAF/a4BIhEgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBv9rgEiGyAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgEiAX/a4BIAn9rgEiEiAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGP2uASIYIBf9USIXQQz9rQEgF0EU/asB/VAhFyASIBf9rgEgDv2uASISIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAY/a4BIhggF/1RIhdBB/2tASAXQRn9qwH9UCEXIBMgFP2uASAP/a4BIhMgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBn9rgEiGSAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgEyAU/a4BIAj9rgEiEyAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGf2uASIZIBT9USIUQQf9rQEgFEEZ/asB/VAhFCAQIBT9rgEgA/2uASIQIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAY/a4BIhggFP1RIhRBDP2tASAUQRT9qwH9UCEUIBAgFP2uASAE/a4BIhAgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBj9rgEiGCAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgESAV/a4BIAr9rgEiESAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGf2uASIZIBX9USIVQQz9rQEgFUEU/asB/VAhFSARIBX9rgEgDP2uASIRIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAZ/a4BIhkgFf1RIhVBB/2tASAVQRn9qwH9UCEVIBIgFv2uASAN/a4BIhIgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBr9rgEiGiAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgEiAW/a4BIAL9rgEiEiAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGv2uASIaIBb9USIWQQf9rQEgFkEZ/asB/VAhFiATIBf9rgEgB/2uASITIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAb/a4BIhsgF/1RIhdBDP2tASAXQRT9qwH9UCEXIBMgF/2uASAO/a4BIhMgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBv9rgEiGyAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgECAV/a4BIAb9rgEiECAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gGv2uASIaIBX9USIVQQz9rQEgFUEU/asB/VAhFSAQIBX9rgEgBf2uASIQIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAa/a4BIhogFf1RIhVBB/2tASAVQRn9qwH9UCEVIBEgFv2uASAJ/a4BIhEgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBv9rgEiGyAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgESAW/a4BIAD9rgEiESAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgG/2uASIbIBb9USIWQQf9rQEgFkEZ/asB/VAhFiASIBf9rgEgC/2uASISIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAY/a4BIhggF/1RIhdBDP2tASAXQRT9qwH9UCEXIBIgF/2uASAP/a4BIhIgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBj9rgEiGCAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgEyAU/a4BIAj9rgEiEyAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGf2uASIZIBT9USIUQQz9rQEgFEEU/asB/VAhFCATIBT9rgEgAf2uASITIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAZ/a4BIhkgFP1RIhRBB/2tASAUQRn9qwH9UCEUIBAgFP2uASAK/a4BIhAgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBj9rgEiGCAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgECAU/a4BIAf9rgEiECAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgGP2uASIYIBT9USIUQQf9rQEgFEEZ/asB/VAhFCARIBX9rgEgDP2uASIRIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAZ/a4BIhkgFf1RIhVBDP2tASAVQRT9qwH9UCEVIBEgFf2uASAJ/a4BIhEgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBn9rgEiGSAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgEiAW/a4BIA79rgEiEiAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGv2uASIaIBb9USIWQQz9rQEgFkEU/asB/VAhFiASIBb9rgEgA/2uASISIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAa/a4BIhogFv1RIhZBB/2tASAWQRn9qwH9UCEWIBMgF/2uASAN/a4BIhMgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBv9rgEiGyAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEyAX/a4BIA/9rgEiEyAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gG/2uASIbIBf9USIXQQf9rQEgF0EZ/asB/VAhFyAQIBX9rgEgBP2uASIQIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAa/a4BIhogFf1RIhVBDP2tASAVQRT9qwH9UCEVIBAgFf2uASAA/a4BIhAgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBr9rgEiGiAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgESAW/a4BIAv9rgEiESAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgG/2uASIbIBb9USIWQQz9rQEgFkEU/asB/VAhFiARIBb9rgEgAv2uASIRIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAb/a4BIhsgFv1RIhZBB/2tASAWQRn9qwH9UCEWIBIgF/2uASAF/a4BIhIgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBj9rgEiGCAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEiAX/a4BIAj9rgEiEiAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGP2uASIYIBf9USIXQQf9rQEgF0EZ/asB/VAhFyATIBT9rgEgAf2uASITIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAZ/a4BIhkgFP1RIhRBDP2tASAUQRT9qwH9UCEUIBMgFP2uASAG/a4BIhMgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBn9rgEiGSAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgECAU/a4BIAz9rgEiECAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgGP2uASIYIBT9USIUQQz9rQEgFEEU/asB/VAhFCAQIBT9rgEgDf2uASIQIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAY/a4BIhggFP1RIhRBB/2tASAUQRn9qwH9UCEUIBEgFf2uASAJ/a4BIhEgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBn9rgEiGSAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgESAV/a4BIAv9rgEiESAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGf2uASIZIBX9USIVQQf9rQEgFUEZ/asB/VAhFSASIBb9rgEgD/2uASISIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAa/a4BIhogFv1RIhZBDP2tASAWQRT9qwH9UCEWIBIgFv2uASAK/a4BIhIgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBr9rgEiGiAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgEyAX/a4BIA79rgEiEyAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gG/2uASIbIBf9USIXQQz9rQEgF0EU/asB/VAhFyATIBf9rgEgCP2uASITIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAb/a4BIhsgF/1RIhdBB/2tASAXQRn9qwH9UCEXIBAgFf2uASAH/a4BIhAgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBr9rgEiGiAV/VEiFUEM/a0BIBVBFP2rAf1QIRUgECAV/a4BIAL9rgEiECAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gGv2uASIaIBX9USIVQQf9rQEgFUEZ/asB/VAhFSARIBb9rgEgBf2uASIRIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAb/a4BIhsgFv1RIhZBDP2tASAWQRT9qwH9UCEWIBEgFv2uASAD/a4BIhEgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBv9rgEiGyAW/VEiFkEH/a0BIBZBGf2rAf1QIRYgEiAX/a4BIAD9rgEiEiAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGP2uASIYIBf9USIXQQz9rQEgF0EU/asB/VAhFyASIBf9rgEgAf2uASISIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAY/a4BIhggF/1RIhdBB/2tASAXQRn9qwH9UCEXIBMgFP2uASAG/a4BIhMgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBn9rgEiGSAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgEyAU/a4BIAT9rgEiEyAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGf2uASIZIBT9USIUQQf9rQEgFEEZ/asB/VAhFCAQIBT9rgEgCf2uASIQIBz9USIcIBz9DQIDAAEGBwQFCgsICQ4PDA0iHCAY/a4BIhggFP1RIhRBDP2tASAUQRT9qwH9UCEUIBAgFP2uASAO/a4BIhAgHP1RIhwgHP0NAQIDAAUGBwQJCgsIDQ4PDCIcIBj9rgEiGCAU/VEiFEEH/a0BIBRBGf2rAf1QIRQgESAV/a4BIAv9rgEiESAd/VEiHSAd/Q0CAwABBgcEBQoLCAkODwwNIh0gGf2uASIZIBX9USIVQQz9rQEgFUEU/asB/VAhFSARIBX9rgEgBf2uASIRIB39USIdIB39DQECAwAFBgcECQoLCA0ODwwiHSAZ/a4BIhkgFf1RIhVBB/2tASAVQRn9qwH9UCEVIBIgFv2uASAI/a4BIhIgHv1RIh4gHv0NAgMAAQYHBAUKCwgJDg8MDSIeIBr9rgEiGiAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgEiAW/a4BIAz9rgEiEiAe/VEiHiAe/Q0BAgMABQYHBAkKCwgNDg8MIh4gGv2uASIaIBb9USIWQQf9rQEgFkEZ/asB/VAhFiATIBf9rgEgD/2uASITIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAb/a4BIhsgF/1RIhdBDP2tASAXQRT9qwH9UCEXIBMgF/2uASAB/a4BIhMgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBv9rgEiGyAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgECAV/a4BIA39rgEiECAf/VEiHyAf/Q0CAwABBgcEBQoLCAkODwwNIh8gGv2uASIaIBX9USIVQQz9rQEgFUEU/asB/VAhFSAQIBX9rgEgA/2uASIQIB/9USIfIB/9DQECAwAFBgcECQoLCA0ODwwiHyAa/a4BIhogFf1RIhVBB/2tASAVQRn9qwH9UCEVIBEgFv2uASAA/a4BIhEgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBv9rgEiGyAW/VEiFkEM/a0BIBZBFP2rAf1QIRYgESAW/a4BIAr9rgEiESAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgG/2uASIbIBb9USIWQQf9rQEgFkEZ/asB/VAhFiASIBf9rgEgAv2uASISIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAY/a4BIhggF/1RIhdBDP2tASAXQRT9qwH9UCEXIBIgF/2uASAG/a4BIhIgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBj9rgEiGCAX/VEiF0EH/a0BIBdBGf2rAf1QIRcgEyAU/a4BIAT9rgEiEyAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGf2uASIZIBT9USIUQQz9rQEgFEEU/asB/VAhFCATIBT9rgEgB/2uASITIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAZ/a4BIhkgFP1RIhRBB/2tASAUQRn9qwH9UCEUIBAgFP2uASAL/a4BIhAgHP1RIhwgHP0NAgMAAQYHBAUKCwgJDg8MDSIcIBj9rgEiGCAU/VEiFEEM/a0BIBRBFP2rAf1QIRQgECAU/a4BIA/9rgEiECAc/VEiHCAc/Q0BAgMABQYHBAkKCwgNDg8MIhwgGP2uASIYIBT9USIUQQf9rQEgFEEZ/asB/VAhFCARIBX9rgEgBf2uASIRIB39USIdIB39DQIDAAEGBwQFCgsICQ4PDA0iHSAZ/a4BIhkgFf1RIhVBDP2tASAVQRT9qwH9UCEVIBEgFf2uASAA/a4BIhEgHf1RIh0gHf0NAQIDAAUGBwQJCgsIDQ4PDCIdIBn9rgEiGSAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgEiAW/a4BIAH9rgEiEiAe/VEiHiAe/Q0CAwABBgcEBQoLCAkODwwNIh4gGv2uASIaIBb9USIWQQz9rQEgFkEU/asB/VAhFiASIBb9rgEgCf2uASISIB79USIeIB79DQECAwAFBgcECQoLCA0ODwwiHiAa/a4BIhogFv1RIhZBB/2tASAWQRn9qwH9UCEWIBMgF/2uASAI/a4BIhMgH/1RIh8gH/0NAgMAAQYHBAUKCwgJDg8MDSIfIBv9rgEiGyAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEyAX/a4BIAb9rgEiEyAf/VEiHyAf/Q0BAgMABQYHBAkKCwgNDg8MIh8gG/2uASIbIBf9USIXQQf9rQEgF0EZ/asB/VAhFyAQIBX9rgEgDv2uASIQIB/9USIfIB/9DQIDAAEGBwQFCgsICQ4PDA0iHyAa/a4BIhogFf1RIhVBDP2tASAVQRT9qwH9UCEVIBAgFf2uASAK/a4BIhAgH/1RIh8gH/0NAQIDAAUGBwQJCgsIDQ4PDCIfIBr9rgEiGiAV/VEiFUEH/a0BIBVBGf2rAf1QIRUgESAW/a4BIAL9rgEiESAc/VEiHCAc/Q0CAwABBgcEBQoLCAkODwwNIhwgG/2uASIbIBb9USIWQQz9rQEgFkEU/asB/VAhFiARIBb9rgEgDP2uASIRIBz9USIcIBz9DQECAwAFBgcECQoLCA0ODwwiHCAb/a4BIhsgFv1RIhZBB/2tASAWQRn9qwH9UCEWIBIgF/2uASAD/a4BIhIgHf1RIh0gHf0NAgMAAQYHBAUKCwgJDg8MDSIdIBj9rgEiGCAX/VEiF0EM/a0BIBdBFP2rAf1QIRcgEiAX/a4BIAT9rgEiEiAd/VEiHSAd/Q0BAgMABQYHBAkKCwgNDg8MIh0gGP2uASIYIBf9USIXQQf9rQEgF0EZ/asB/VAhFyATIBT9rgEgB/2uASITIB79USIeIB79DQIDAAEGBwQFCgsICQ4PDA0iHiAZ/a4BIhkgFP1RIhRBDP2tASAUQRT9qwH9UCEUIBMgFP2uASAN/a4BIhMgHv1RIh4gHv0NAQIDAAUGBwQJCgsIDQ4PDCIeIBn9rgEiGSAU/VEiFEEH/a0BIBRBGf2rAf1QIRRBgAIgECAY/VH9CwQAQZACIBEgGf1R/QsEAEGgAiASIBr9Uf0LBABBsAIgEyAb/VH9CwQAQcACIBQgHP1R/QsEAEHQAiAVIB39Uf0LBABB4AIgFiAe/VH9CwQAQfACIBcgH/1R/QsEACA8BEBBACFAIDRBwABqITQgOEHBAEkEQCA8QYACKAIANgIAIDxBkAIoAgA2AgQgPEGgAigCADYCCCA8QbACKAIANgIMIDxBwAIoAgA2AhAgPEHQAigCADYCFCA8QeACKAIANgIYIDxB8AIoAgA2AhwgMSAySQRAIDFBA3QoAoCAAiE0IDFBA3QoAoSAAiE4IDFBBXRBgKACaiE8QQEhQCAxQQFqITFBgAIgKDYCAEGQAiApNgIAQaACICo2AgBBsAIgKzYCAEHAAiAsNgIAQdACIC02AgBB4AIgLjYCAEHwAiAvNgIABUEAITwgM0EBayEzCwUgOEHAAGshOAsLID0EQEEAIUEgNUHAAGohNSA5QcEASQRAID1BhAIoAgA2AgAgPUGUAigCADYCBCA9QaQCKAIANgIIID1BtAIoAgA2AgwgPUHEAigCADYCECA9QdQCKAIANgIUID1B5AIoAgA2AhggPUH0AigCADYCHCAxIDJJBEAgMUEDdCgCgIACITUgMUEDdCgChIACITkgMUEFdEGAoAJqIT1BASFBIDFBAWohMUGEAiAoNgIAQZQCICk2AgBBpAIgKjYCAEG0AiArNgIAQcQCICw2AgBB1AIgLTYCAEHkAiAuNgIAQfQCIC82AgAFQQAhPSAzQQFrITMLBSA5QcAAayE5CwsgPgRAQQAhQiA2QcAAaiE2IDpBwQBJBEAgPkGIAigCADYCACA+QZgCKAIANgIEID5BqAIoAgA2AgggPkG4AigCADYCDCA+QcgCKAIANgIQID5B2AIoAgA2AhQgPkHoAigCADYCGCA+QfgCKAIANgIcIDEgMkkEQCAxQQN0KAKAgAIhNiAxQQN0KAKEgAIhOiAxQQV0QYCgAmohPkEBIUIgMUEBaiExQYgCICg2AgBBmAIgKTYCAEGoAiAqNgIAQbgCICs2AgBByAIgLDYCAEHYAiAtNgIAQegCIC42AgBB+AIgLzYCAAVBACE+IDNBAWshMwsFIDpBwABrIToLCyA/BEBBACFDIDdBwABqITcgO0HBAEkEQCA/QYwCKAIANgIAID9BnAIoAgA2AgQgP0GsAigCADYCCCA/QbwCKAIANgIMID9BzAIoAgA2AhAgP0HcAigCADYCFCA/QewCKAIANgIYID9B/AIoAgA2AhwgMSAySQRAIDFBA3QoAoCAAiE3IDFBA3QoAoSAAiE7IDFBBXRBgKACaiE/QQEhQyAxQQFqITFBjAIgKDYCAEGcAiApNgIAQawCICo2AgBBvAIgKzYCAEHMAiAsNgIAQdwCIC02AgBB7AIgLjYCAEH8AiAvNgIABUEAIT8gM0EBayEzCwUgO0HAAGshOwsLDAALCws=',
+  scalar: 'AGFzbQEAAAABDgJgAABgB39/f39/f38AAgsBAmpzA21lbQIAAQMDAgEABx0CCGNvbXByZXNzAAAOY29tcHJlc3NXaW5kb3cAAQrYoYCAAAK8nYCAAAEgfyABKAIAIQcgASgCBCEIIAEoAgghCSABKAIMIQogASgCECELIAEoAhQhDCABKAIYIQ0gASgCHCEOIAEoAiAhDyABKAIkIRAgASgCKCERIAEoAiwhEiABKAIwIRMgASgCNCEUIAEoAjghFSABKAI8IRYgACgCACEXIAAoAgQhGCAAKAIIIRkgACgCDCEaIAAoAhAhGyAAKAIUIRwgACgCGCEdIAAoAhwhHkHnzKfQBiEfQYXdntt7ISBB8ua74wMhIUG66r+qeiEiIAIhIyADISQgBCElIAUhJiAXIBtqIAdqIhcgI3NBEHgiIyAfaiIfIBtzQQx4IRsgFyAbaiAIaiIXICNzQQh4IiMgH2oiHyAbc0EHeCEbIBggHGogCWoiGCAkc0EQeCIkICBqIiAgHHNBDHghHCAYIBxqIApqIhggJHNBCHgiJCAgaiIgIBxzQQd4IRwgGSAdaiALaiIZICVzQRB4IiUgIWoiISAdc0EMeCEdIBkgHWogDGoiGSAlc0EIeCIlICFqIiEgHXNBB3ghHSAaIB5qIA1qIhogJnNBEHgiJiAiaiIiIB5zQQx4IR4gGiAeaiAOaiIaICZzQQh4IiYgImoiIiAec0EHeCEeIBcgHGogD2oiFyAmc0EQeCImICFqIiEgHHNBDHghHCAXIBxqIBBqIhcgJnNBCHgiJiAhaiIhIBxzQQd4IRwgGCAdaiARaiIYICNzQRB4IiMgImoiIiAdc0EMeCEdIBggHWogEmoiGCAjc0EIeCIjICJqIiIgHXNBB3ghHSAZIB5qIBNqIhkgJHNBEHgiJCAfaiIfIB5zQQx4IR4gGSAeaiAUaiIZICRzQQh4IiQgH2oiHyAec0EHeCEeIBogG2ogFWoiGiAlc0EQeCIlICBqIiAgG3NBDHghGyAaIBtqIBZqIhogJXNBCHgiJSAgaiIgIBtzQQd4IRsgFyAbaiAJaiIXICNzQRB4IiMgH2oiHyAbc0EMeCEbIBcgG2ogDWoiFyAjc0EIeCIjIB9qIh8gG3NBB3ghGyAYIBxqIApqIhggJHNBEHgiJCAgaiIgIBxzQQx4IRwgGCAcaiARaiIYICRzQQh4IiQgIGoiICAcc0EHeCEcIBkgHWogDmoiGSAlc0EQeCIlICFqIiEgHXNBDHghHSAZIB1qIAdqIhkgJXNBCHgiJSAhaiIhIB1zQQd4IR0gGiAeaiALaiIaICZzQRB4IiYgImoiIiAec0EMeCEeIBogHmogFGoiGiAmc0EIeCImICJqIiIgHnNBB3ghHiAXIBxqIAhqIhcgJnNBEHgiJiAhaiIhIBxzQQx4IRwgFyAcaiASaiIXICZzQQh4IiYgIWoiISAcc0EHeCEcIBggHWogE2oiGCAjc0EQeCIjICJqIiIgHXNBDHghHSAYIB1qIAxqIhggI3NBCHgiIyAiaiIiIB1zQQd4IR0gGSAeaiAQaiIZICRzQRB4IiQgH2oiHyAec0EMeCEeIBkgHmogFWoiGSAkc0EIeCIkIB9qIh8gHnNBB3ghHiAaIBtqIBZqIhogJXNBEHgiJSAgaiIgIBtzQQx4IRsgGiAbaiAPaiIaICVzQQh4IiUgIGoiICAbc0EHeCEbIBcgG2ogCmoiFyAjc0EQeCIjIB9qIh8gG3NBDHghGyAXIBtqIAtqIhcgI3NBCHgiIyAfaiIfIBtzQQd4IRsgGCAcaiARaiIYICRzQRB4IiQgIGoiICAcc0EMeCEcIBggHGogE2oiGCAkc0EIeCIkICBqIiAgHHNBB3ghHCAZIB1qIBRqIhkgJXNBEHgiJSAhaiIhIB1zQQx4IR0gGSAdaiAJaiIZICVzQQh4IiUgIWoiISAdc0EHeCEdIBogHmogDmoiGiAmc0EQeCImICJqIiIgHnNBDHghHiAaIB5qIBVqIhogJnNBCHgiJiAiaiIiIB5zQQd4IR4gFyAcaiANaiIXICZzQRB4IiYgIWoiISAcc0EMeCEcIBcgHGogDGoiFyAmc0EIeCImICFqIiEgHHNBB3ghHCAYIB1qIBBqIhggI3NBEHgiIyAiaiIiIB1zQQx4IR0gGCAdaiAHaiIYICNzQQh4IiMgImoiIiAdc0EHeCEdIBkgHmogEmoiGSAkc0EQeCIkIB9qIh8gHnNBDHghHiAZIB5qIBZqIhkgJHNBCHgiJCAfaiIfIB5zQQd4IR4gGiAbaiAPaiIaICVzQRB4IiUgIGoiICAbc0EMeCEbIBogG2ogCGoiGiAlc0EIeCIlICBqIiAgG3NBB3ghGyAXIBtqIBFqIhcgI3NBEHgiIyAfaiIfIBtzQQx4IRsgFyAbaiAOaiIXICNzQQh4IiMgH2oiHyAbc0EHeCEbIBggHGogE2oiGCAkc0EQeCIkICBqIiAgHHNBDHghHCAYIBxqIBBqIhggJHNBCHgiJCAgaiIgIBxzQQd4IRwgGSAdaiAVaiIZICVzQRB4IiUgIWoiISAdc0EMeCEdIBkgHWogCmoiGSAlc0EIeCIlICFqIiEgHXNBB3ghHSAaIB5qIBRqIhogJnNBEHgiJiAiaiIiIB5zQQx4IR4gGiAeaiAWaiIaICZzQQh4IiYgImoiIiAec0EHeCEeIBcgHGogC2oiFyAmc0EQeCImICFqIiEgHHNBDHghHCAXIBxqIAdqIhcgJnNBCHgiJiAhaiIhIBxzQQd4IRwgGCAdaiASaiIYICNzQRB4IiMgImoiIiAdc0EMeCEdIBggHWogCWoiGCAjc0EIeCIjICJqIiIgHXNBB3ghHSAZIB5qIAxqIhkgJHNBEHgiJCAfaiIfIB5zQQx4IR4gGSAeaiAPaiIZICRzQQh4IiQgH2oiHyAec0EHeCEeIBogG2ogCGoiGiAlc0EQeCIlICBqIiAgG3NBDHghGyAaIBtqIA1qIhogJXNBCHgiJSAgaiIgIBtzQQd4IRsgFyAbaiATaiIXICNzQRB4IiMgH2oiHyAbc0EMeCEbIBcgG2ogFGoiFyAjc0EIeCIjIB9qIh8gG3NBB3ghGyAYIBxqIBBqIhggJHNBEHgiJCAgaiIgIBxzQQx4IRwgGCAcaiASaiIYICRzQQh4IiQgIGoiICAcc0EHeCEcIBkgHWogFmoiGSAlc0EQeCIlICFqIiEgHXNBDHghHSAZIB1qIBFqIhkgJXNBCHgiJSAhaiIhIB1zQQd4IR0gGiAeaiAVaiIaICZzQRB4IiYgImoiIiAec0EMeCEeIBogHmogD2oiGiAmc0EIeCImICJqIiIgHnNBB3ghHiAXIBxqIA5qIhcgJnNBEHgiJiAhaiIhIBxzQQx4IRwgFyAcaiAJaiIXICZzQQh4IiYgIWoiISAcc0EHeCEcIBggHWogDGoiGCAjc0EQeCIjICJqIiIgHXNBDHghHSAYIB1qIApqIhggI3NBCHgiIyAiaiIiIB1zQQd4IR0gGSAeaiAHaiIZICRzQRB4IiQgH2oiHyAec0EMeCEeIBkgHmogCGoiGSAkc0EIeCIkIB9qIh8gHnNBB3ghHiAaIBtqIA1qIhogJXNBEHgiJSAgaiIgIBtzQQx4IRsgGiAbaiALaiIaICVzQQh4IiUgIGoiICAbc0EHeCEbIBcgG2ogEGoiFyAjc0EQeCIjIB9qIh8gG3NBDHghGyAXIBtqIBVqIhcgI3NBCHgiIyAfaiIfIBtzQQd4IRsgGCAcaiASaiIYICRzQRB4IiQgIGoiICAcc0EMeCEcIBggHGogDGoiGCAkc0EIeCIkICBqIiAgHHNBB3ghHCAZIB1qIA9qIhkgJXNBEHgiJSAhaiIhIB1zQQx4IR0gGSAdaiATaiIZICVzQQh4IiUgIWoiISAdc0EHeCEdIBogHmogFmoiGiAmc0EQeCImICJqIiIgHnNBDHghHiAaIB5qIAhqIhogJnNBCHgiJiAiaiIiIB5zQQd4IR4gFyAcaiAUaiIXICZzQRB4IiYgIWoiISAcc0EMeCEcIBcgHGogCmoiFyAmc0EIeCImICFqIiEgHHNBB3ghHCAYIB1qIAdqIhggI3NBEHgiIyAiaiIiIB1zQQx4IR0gGCAdaiARaiIYICNzQQh4IiMgImoiIiAdc0EHeCEdIBkgHmogCWoiGSAkc0EQeCIkIB9qIh8gHnNBDHghHiAZIB5qIA1qIhkgJHNBCHgiJCAfaiIfIB5zQQd4IR4gGiAbaiALaiIaICVzQRB4IiUgIGoiICAbc0EMeCEbIBogG2ogDmoiGiAlc0EIeCIlICBqIiAgG3NBB3ghGyAXIBtqIBJqIhcgI3NBEHgiIyAfaiIfIBtzQQx4IRsgFyAbaiAWaiIXICNzQQh4IiMgH2oiHyAbc0EHeCEbIBggHGogDGoiGCAkc0EQeCIkICBqIiAgHHNBDHghHCAYIBxqIAdqIhggJHNBCHgiJCAgaiIgIBxzQQd4IRwgGSAdaiAIaiIZICVzQRB4IiUgIWoiISAdc0EMeCEdIBkgHWogEGoiGSAlc0EIeCIlICFqIiEgHXNBB3ghHSAaIB5qIA9qIhogJnNBEHgiJiAiaiIiIB5zQQx4IR4gGiAeaiANaiIaICZzQQh4IiYgImoiIiAec0EHeCEeIBcgHGogFWoiFyAmc0EQeCImICFqIiEgHHNBDHghHCAXIBxqIBFqIhcgJnNBCHgiJiAhaiIhIBxzQQd4IRwgGCAdaiAJaiIYICNzQRB4IiMgImoiIiAdc0EMeCEdIBggHWogE2oiGCAjc0EIeCIjICJqIiIgHXNBB3ghHSAZIB5qIApqIhkgJHNBEHgiJCAfaiIfIB5zQQx4IR4gGSAeaiALaiIZICRzQQh4IiQgH2oiHyAec0EHeCEeIBogG2ogDmoiGiAlc0EQeCIlICBqIiAgG3NBDHghGyAaIBtqIBRqIhogJXNBCHgiJSAgaiIgIBtzQQd4IRsgBiAXIB9zNgIAIAYgGCAgczYCBCAGIBkgIXM2AgggBiAaICJzNgIMIAYgGyAjczYCECAGIBwgJHM2AhQgBiAdICVzNgIYIAYgHiAmczYCHAuRhICAAAEKf0HEAygCACEAQdADKAIAIQJB1AMoAgAhA0GwAygCACEJQYCABCEBQYDAASEIQYCwAUGAAigCADYCAEGEsAFBkAIoAgA2AgBBiLABQaACKAIANgIAQYywAUGwAigCADYCAEGQsAFBwAIoAgA2AgBBlLABQdACKAIANgIAQZiwAUHgAigCADYCAEGcsAFB8AIoAgA2AgADQEGAoAEhBANAIARBgLABKAIANgIAIARBhLABKAIANgIEIARBiLABKAIANgIIIARBjLABKAIANgIMIARBkLABKAIANgIQIARBlLABKAIANgIUIARBmLABKAIANgIYIARBnLABKAIANgIcQQAhBQNAIAQgASACIANBwAAgCSAFRXIgBUEPRkEBdHIgBBAAIAFBwABqIQEgBUEBaiIFQRBJDQALIAJBAWoiAkUgA2ohAyAEQSBqIgRBgLABSQ0AC0EgIQYDQEEAIQcDQEGAsAEgB0EGdEGAoAFqQQBBAEHAACAJQQRyIAdBBXRBgKABahAAIAdBAWoiByAGSQ0ACyAGQQF2IgYNAAsgCEGAoAEoAgA2AgAgCEGEoAEoAgA2AgQgCEGIoAEoAgA2AgggCEGMoAEoAgA2AgwgCEGQoAEoAgA2AhAgCEGUoAEoAgA2AhQgCEGYoAEoAgA2AhggCEGcoAEoAgA2AhwgCEEgaiEIIABBAWsiAA0ACws='
+};
@@ -0,0 +1,520 @@
+/**
+ * ============================================================================
+ * dumpWat() — WebAssembly text of the generated modules (dev only)
+ * ============================================================================
+ *
+ * generateWasmModule() and generateScalarWasmModule() assemble bytes
+ * with the asm encoders and patch LEB128 sizes in place. This decoder
+ * turns their output back into text, so a change to an emitter can be
+ * reviewed as a diff:
+ *
+ *   import { getWasmModuleBytes } from './blake3-turbo-js.js';
+ *   import { dumpWat } from './blake3-turbo-wat.js';
+ *
+ *   console.log(dumpWat(getWasmModuleBytes().simd, { functions: ['compress4x'] }));
+ *
+ * Locals are named after their role (LOCAL_NAMES): $m0..$m15 message
+ * words, $s0..$s15 state, $cv0..$cv7 chaining value, and so on.
+ *
+ * Decoding doubles as a structural check: every section, every function
+ * body and the module itself must end exactly where its declared size
+ * says, and every local, type and function index must exist. Any
+ * mismatch — or an opcode the generators are not known to emit — throws.
+ *
+ * The library never imports this file.
+ */
+
+// ============================================================================
+// LOCAL NAMES
+// ============================================================================
+
+/**
+ * `count` names prefix0..prefix(count-1), each followed by suffix.
+ */
+function numbered(prefix, count, suffix = '') {
+  return Array.from({ length: count }, (_, i) => `${prefix}${i}${suffix}`);
+}
+
+/**
+ * Locals of compressChunks4x / 8x / 16x (see emitCompressChunks()):
+ * 40 per register set, then the shared ones. With two sets, the set
+ * index follows a dot: $m3.1 is message word 3 of set 1.
+ */
+function chunkLocals(sets) {
+  const names = [];
+  for (let set = 0; set < sets; set++) {
+    const suffix = sets > 1 ? `.${set}` : '';
+    names.push(...numbered('m', 16, suffix), ...numbered('s', 16, suffix), ...numbered('cv', 8, suffix));
+  }
+  return [...names, ...numbered('t', 8), 'flags', 'block', 'ptr', 'baseFlags', 'groupOffset'];
+}
+
+/**
+ * Names of the parameters and locals of every generated function, in
+ * index order. Keep in sync with the "Locals" comments of the emitters:
+ * dumpWat() throws when a list no longer matches the local count.
+ */
+const LOCAL_NAMES = {
+  simd: {
+    compress4x: [...numbered('m', 16), ...numbered('s', 16)],
+    compress4xFull: [...numbered('m', 16), ...numbered('s', 16)],
+    compressChunks4x: chunkLocals(1),
+    compressChunks8x: chunkLocals(2),
+    compressChunks16x: chunkLocals(2),
+    compressParents4x: [
+      ...numbered('m', 16), ...numbered('s', 16), ...numbered('key', 8), ...numbered('t', 8),
+      'flags', 'groups', 'in', 'out'
+    ],
+    compressWindow: [
+      ...numbered('t', 8), ...numbered('cv', 4),
+      'subtrees', 'ptr', 'ctrLo', 'ctrHi', 'level', 'out'
+    ],
+  },
+  scalar: {
+    compress: [
+      'cv', 'block', 'ctrLo', 'ctrHi', 'blockLen', 'flags', 'out',
+      ...numbered('m', 16), ...numbered('s', 16)
+    ],
+    compressWindow: [
+      'subtrees', 'ptr', 'ctrLo', 'ctrHi', 'slot', 'block', 'parents', 'parent', 'out', 'baseFlags'
+    ],
+  },
+};
+
+// ============================================================================
+// OPCODES
+// ============================================================================
+
+const VALUE_TYPES = { 0x7f: 'i32', 0x7e: 'i64', 0x7d: 'f32', 0x7c: 'f64', 0x7b: 'v128' };
+
+// Opcodes without immediates
+const PLAIN_OPS = {
+  0x0f: 'return', 0x1a: 'drop', 0x1b: 'select',
+  0x45: 'i32.eqz', 0x46: 'i32.eq', 0x47: 'i32.ne',
+  0x48: 'i32.lt_s', 0x49: 'i32.lt_u', 0x4a: 'i32.gt_s', 0x4b: 'i32.gt_u',
+  0x4c: 'i32.le_s', 0x4d: 'i32.le_u', 0x4e: 'i32.ge_s', 0x4f: 'i32.ge_u',
+  0x6a: 'i32.add', 0x6b: 'i32.sub', 0x6c: 'i32.mul',
+  0x71: 'i32.and', 0x72: 'i32.or', 0x73: 'i32.xor',
+  0x74: 'i32.shl', 0x75: 'i32.shr_s', 0x76: 'i32.shr_u', 0x77: 'i32.rotl', 0x78: 'i32.rotr',
+};
+
+// 0xfd-prefixed opcodes without immediates
+const SIMD_PLAIN_OPS = {
+  0x0e: 'i8x16.swizzle', 0x11: 'i32x4.splat',
+  0x4d: 'v128.not', 0x4e: 'v128.and', 0x50: 'v128.or', 0x51: 'v128.xor',
+  0xab: 'i32x4.shl', 0xac: 'i32x4.shr_s', 0xad: 'i32x4.shr_u', 0xae: 'i32x4.add', 0xb1: 'i32x4.sub',
+  0x100: 'i8x16.relaxed_swizzle',
+};
+
+// Memory accesses: opcode → [name, natural alignment (log2)]
+const MEMORY_OPS = { 0x28: ['i32.load', 2], 0x36: ['i32.store', 2] };
+const SIMD_MEMORY_OPS = {
+  0x00: ['v128.load', 4], 0x0b: ['v128.store', 4], 0x5c: ['v128.load32_zero', 2],
+};
+
+// 0xfd-prefixed opcodes with a lane index (after the memarg, if any)
+const SIMD_LANE_OPS = {
+  0x1b: ['i32x4.extract_lane', null], 0x1c: ['i32x4.replace_lane', null],
+  0x56: ['v128.load32_lane', 2],
+};
+
+const SECTION_NAMES = { 1: 'type', 2: 'import', 3: 'function', 7: 'export', 10: 'code' };
+
+// ============================================================================
+// DECODER
+// ============================================================================
+
+/**
+ * Byte reader over a module; errors carry the byte offset.
+ */
+class ModuleReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+  }
+
+  fail(message, at = this.pos) {
+    throw new Error(`Invalid module at byte ${at}: ${message}`);
+  }
+
+  byte() {
+    if (this.pos >= this.bytes.length) {
+      this.fail('unexpected end of module');
+    }
+    return this.bytes[this.pos++];
+  }
+
+  u32() {
+    let result = 0;
+    for (let shift = 0; shift < 35; shift += 7) {
+      const b = this.byte();
+      result += (b & 0x7f) * 2 ** shift;
+      if ((b & 0x80) === 0) {
+        return result;
+      }
+    }
+    return this.fail('LEB128 longer than 5 bytes');
+  }
+
+  s32() {
+    let result = 0;
+    let shift = 0;
+    let b;
+    do {
+      b = this.byte();
+      result |= (b & 0x7f) << shift;
+      shift += 7;
+    } while ((b & 0x80) !== 0 && shift < 35);
+    if ((b & 0x80) !== 0) {
+      this.fail('LEB128 longer than 5 bytes');
+    }
+    return shift < 32 && (b & 0x40) !== 0 ? result | (-1 << shift) : result;
+  }
+
+  name() {
+    const length = this.u32();
+    let text = '';
+    for (let i = 0; i < length; i++) {
+      text += String.fromCharCode(this.byte());
+    }
+    return text;
+  }
+
+  valueType() {
+    const at = this.pos;
+    const type = VALUE_TYPES[this.byte()];
+    return type !== undefined ? type : this.fail('unknown value type', at);
+  }
+}
+
+/**
+ * Decodes the sections of a module, checking every declared size.
+ *
+ * @param {Uint8Array} bytes - module bytes
+ * @returns {{ types: Array, imports: Array, functions: Array, exports: Array }}
+ *   functions: { type, name, locals, body: [start, end] }
+ */
+function decodeModule(bytes) {
+  const r = new ModuleReader(bytes);
+  const header = [0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00];
+  for (let i = 0; i < header.length; i++) {
+    if (r.byte() !== header[i]) {
+      r.fail('bad magic or version', i);
+    }
+  }
+
+  const module = { types: [], imports: [], functions: [], exports: [] };
+  let bodies = null;
+  let lastId = 0;
+  while (r.pos < bytes.length) {
+    const sectionAt = r.pos;
+    const id = r.byte();
+    const size = r.u32();
+    const end = r.pos + size;
+    if (end > bytes.length) {
+      r.fail(`section ${id} (${size} bytes) runs past the end of the module`, sectionAt);
+    }
+    if (id !== 0) {
+      if (id <= lastId) {
+        r.fail(`section ${id} out of order`, sectionAt);
+      }
+      lastId = id;
+    }
+
+    if (id === 0) {
+      r.pos = end;  // custom section
+    } else if (id === 1) {
+      for (let count = r.u32(); count > 0; count--) {
+        if (r.byte() !== 0x60) {
+          r.fail('function type expected', r.pos - 1);
+        }
+        const params = [];
+        for (let n = r.u32(); n > 0; n--) {
+          params.push(r.valueType());
+        }
+        const results = [];
+        for (let n = r.u32(); n > 0; n--) {
+          results.push(r.valueType());
+        }
+        module.types.push({ params, results });
+      }
+    } else if (id === 2) {
+      for (let count = r.u32(); count > 0; count--) {
+        const from = r.name();
+        const name = r.name();
+        if (r.byte() !== 0x02) {
+          r.fail('only memory imports are supported', r.pos - 1);
+        }
+        const flags = r.byte();
+        const initial = r.u32();
+        const maximum = (flags & 1) !== 0 ? r.u32() : null;
+        module.imports.push({ from, name, initial, maximum });
+      }
+    } else if (id === 3) {
+      for (let count = r.u32(); count > 0; count--) {
+        const at = r.pos;
+        const type = r.u32();
+        if (type >= module.types.length) {
+          r.fail(`type index ${type} out of range`, at);
+        }
+        module.functions.push({ type, name: null, locals: null, body: null });
+      }
+    } else if (id === 7) {
+      for (let count = r.u32(); count > 0; count--) {
+        const name = r.name();
+        const kindAt = r.pos;
+        const kind = r.byte();
+        const index = r.u32();
+        if (kind !== 0x00 || index >= module.functions.length) {
+          r.fail(`export "${name}" is not a function of this module`, kindAt);
+        }
+        module.exports.push({ name, index });
+        if (module.functions[index].name === null) {
+          module.functions[index].name = name;
+        }
+      }
+    } else if (id === 10) {
+      const count = r.u32();
+      if (count !== module.functions.length) {
+        r.fail(`${count} function bodies for ${module.functions.length} functions`, sectionAt);
+      }
+      bodies = count;
+      for (const func of module.functions) {
+        const bodySize = r.u32();
+        const bodyEnd = r.pos + bodySize;
+        if (bodyEnd > end) {
+          r.fail(`function body (${bodySize} bytes) runs past the code section`);
+        }
+        const locals = [...module.types[func.type].params];
+        for (let groups = r.u32(); groups > 0; groups--) {
+          const n = r.u32();
+          const type = r.valueType();
+          for (let i = 0; i < n; i++) {
+            locals.push(type);
+          }
+        }
+        func.locals = locals;
+        func.body = [r.pos, bodyEnd];
+        r.pos = bodyEnd;  // instructions are decoded by disassemble()
+      }
+    } else {
+      r.fail(`unsupported section ${id}`, sectionAt);
+    }
+
+    if (r.pos !== end) {
+      r.fail(`${SECTION_NAMES[id] || 'custom'} section declares ${size} bytes, contents take ${r.pos - (end - size)}`, sectionAt);
+    }
+  }
+  if (bodies === null && module.functions.length > 0) {
+    r.fail('function section without code section');
+  }
+  return module;
+}
+
+/**
+ * Disassembles one function body into indented instruction lines.
+ * Checks that the final `end` closes the body exactly at its declared end.
+ *
+ * @param {Uint8Array} bytes - module bytes
+ * @param {Object} module - decodeModule() result
+ * @param {Object} func - function of the module
+ * @param {string[]} names - local names ($ prefix not included)
+ * @returns {string[]}
+ */
+function disassemble(bytes, module, func, names) {
+  const r = new ModuleReader(bytes);
+  const [start, end] = func.body;
+  r.pos = start;
+  const lines = [];
+  let depth = 0;
+
+  const local = () => {
+    const at = r.pos;
+    const index = r.u32();
+    if (index >= names.length) {
+      r.fail(`local ${index} out of range (${names.length} locals)`, at);
+    }
+    return `$${names[index]}`;
+  };
+  const memarg = (natural) => {
+    const align = r.u32();
+    const offset = r.u32();
+    let text = '';
+    if (offset !== 0) {
+      text += ` offset=${offset}`;
+    }
+    if (align !== natural) {
+      text += ` align=${2 ** align}`;
+    }
+    return text;
+  };
+  const blockType = () => {
+    const at = r.pos;
+    if (r.byte() !== 0x40) {
+      r.fail('only empty block types are supported', at);
+    }
+  };
+
+  while (r.pos < end) {
+    const at = r.pos;
+    const op = r.byte();
+    let text;
+    let indent = depth;
+
+    if (op === 0x02 || op === 0x03 || op === 0x04) {
+      blockType();
+      text = op === 0x02 ? 'block' : op === 0x03 ? 'loop' : 'if';
+      depth++;
+    } else if (op === 0x05) {
+      text = 'else';
+      indent = depth - 1;
+    } else if (op === 0x0b) {
+      if (depth === 0) {
+        if (r.pos !== end) {
+          r.fail(`function ends ${end - r.pos} bytes before its declared size`, at);
+        }
+        return lines;
+      }
+      depth--;
+      indent = depth;
+      text = 'end';
+    } else if (op === 0x0c || op === 0x0d) {
+      text = `${op === 0x0c ? 'br' : 'br_if'} ${r.u32()}`;
+    } else if (op === 0x10) {
+      const index = r.u32();
+      const callee = module.functions[index];
+      if (callee === undefined) {
+        r.fail(`call to function ${index} out of range`, at);
+      }
+      text = `call $${callee.name !== null ? callee.name : `f${index}`}`;
+    } else if (op === 0x20 || op === 0x21 || op === 0x22) {
+      text = `local.${op === 0x20 ? 'get' : op === 0x21 ? 'set' : 'tee'} ${local()}`;
+    } else if (op === 0x41) {
+      text = `i32.const ${r.s32()}`;
+    } else if (MEMORY_OPS[op] !== undefined) {
+      const [name, natural] = MEMORY_OPS[op];
+      text = name + memarg(natural);
+    } else if (PLAIN_OPS[op] !== undefined) {
+      text = PLAIN_OPS[op];
+    } else if (op === 0xfd) {
+      const sub = r.u32();
+      if (sub === 0x0c) {
+        const lanes = Array.from({ length: 16 }, () => r.byte());
+        text = `v128.const ${formatV128(lanes)}`;
+      } else if (sub === 0x0d) {
+        const lanes = Array.from({ length: 16 }, () => r.byte());
+        text = `i8x16.shuffle ${lanes.join(' ')}`;
+      } else if (SIMD_MEMORY_OPS[sub] !== undefined) {
+        const [name, natural] = SIMD_MEMORY_OPS[sub];
+        text = name + memarg(natural);
+      } else if (SIMD_LANE_OPS[sub] !== undefined) {
+        const [name, natural] = SIMD_LANE_OPS[sub];
+        text = name + (natural !== null ? memarg(natural) : '');
+        text += ` ${r.byte()}`;
+      } else if (SIMD_PLAIN_OPS[sub] !== undefined) {
+        text = SIMD_PLAIN_OPS[sub];
+      } else {
+        r.fail(`unknown SIMD opcode 0xfd 0x${sub.toString(16)}`, at);
+      }
+    } else {
+      r.fail(`unknown opcode 0x${op.toString(16)}`, at);
+    }
+    lines.push('  '.repeat(indent) + text);
+  }
+  return r.fail('function body has no final end', end);
+}
+
+/**
+ * v128.const operand: i32x4 hex words when all 4 lanes are equal
+ * (splatted constants like IV rows), otherwise 16 bytes (byte indices).
+ */
+function formatV128(bytes) {
+  const words = [];
+  for (let i = 0; i < 16; i += 4) {
+    const word = (bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16) | (bytes[i + 3] << 24)) >>> 0;
+    words.push('0x' + word.toString(16).padStart(8, '0'));
+  }
+  if (words.every((word) => word === words[0])) {
+    return `i32x4 ${words.join(' ')}`;
+  }
+  return `i8x16 ${bytes.join(' ')}`;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Decodes a generated module into WebAssembly text.
+ *
+ * @param {Uint8Array} bytes - module bytes (see getWasmModuleBytes())
+ * @param {{ functions?: string[] }} [options]
+ *        functions: print only these functions (by export name) instead
+ *        of the whole module; the module is still decoded and checked
+ *        in full
+ * @returns {string} - WAT text
+ */
+function dumpWat(bytes, options) {
+  if (!(bytes instanceof Uint8Array)) {
+    throw new Error('Module must be Uint8Array');
+  }
+  const only = options !== undefined && options.functions !== undefined ? options.functions : null;
+  const module = decodeModule(bytes);
+  const exported = new Set(module.exports.map(({ name }) => name));
+  const table = exported.has('compress4x') ? LOCAL_NAMES.simd : LOCAL_NAMES.scalar;
+  if (only !== null) {
+    for (const name of only) {
+      if (!exported.has(name)) {
+        throw new Error(`No exported function ${name}`);
+      }
+    }
+  }
+
+  const out = [];
+  if (only === null) {
+    out.push('(module');
+    module.types.forEach(({ params, results }, index) => {
+      const signature = (params.length > 0 ? ` (param ${params.join(' ')})` : '') +
+        (results.length > 0 ? ` (result ${results.join(' ')})` : '');
+      out.push(`  (type (;${index};) (func${signature}))`);
+    });
+    for (const { from, name, initial, maximum } of module.imports) {
+      out.push(`  (import "${from}" "${name}" (memory ${initial}${maximum !== null ? ` ${maximum}` : ''}))`);
+    }
+  }
+
+  module.functions.forEach((func, index) => {
+    const name = func.name !== null ? func.name : `f${index}`;
+    let names = table[name];
+    if (names === undefined) {
+      names = numbered('l', func.locals.length);
+    } else if (names.length !== func.locals.length) {
+      throw new Error(`${name}: ${func.locals.length} locals but ${names.length} names in LOCAL_NAMES`);
+    }
+    // Decoded even when not printed: the whole module is checked
+    const lines = disassemble(bytes, module, func, names);
+    if (only !== null && !only.includes(name)) {
+      return;
+    }
+    const pad = only === null ? '  ' : '';
+    const paramCount = module.types[func.type].params.length;
+    out.push(`${pad}(func $${name} (type ${func.type})`);
+    func.locals.forEach((type, i) => {
+      out.push(`${pad}  (${i < paramCount ? 'param' : 'local'} $${names[i]} ${type})`);
+    });
+    for (const line of lines) {
+      out.push(`${pad}  ${line}`);
+    }
+    out.push(`${pad})`);
+  });
+
+  if (only === null) {
+    for (const { name, index } of module.exports) {
+      out.push(`  (export "${name}" (func $${module.functions[index].name}))`);
+    }
+    out.push(')');
+  }
+  return out.join('\n') + '\n';
+}
+
+export { dumpWat, LOCAL_NAMES };
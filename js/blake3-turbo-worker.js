@@ -0,0 +1,35 @@
+/**
+ * Worker script of the hashParallel() pool.
+ *
+ * Loaded as a Web Worker (browsers, Deno, Bun) or as a Node
+ * worker_threads Worker. The first message carries the WASM modules
+ * compiled by the main thread ({ wasmModules }, no reply). Every other
+ * message is one job: compute the CVs of a range of subtrees into a
+ * SharedArrayBuffer and reply { id } or { id, error }.
+ */
+
+import { _computeSubtreeCvs as computeSubtreeCvs, provideWasmModules } from './blake3-turbo-js.js';
+
+function handleJob(job) {
+  try {
+    computeSubtreeCvs(job);
+    return { id: job.id };
+  } catch (error) {
+    return { id: job.id, error: String(error && error.message || error) };
+  }
+}
+
+function handleMessage(message, reply) {
+  if (message.wasmModules !== undefined) {
+    provideWasmModules(message.wasmModules);
+  } else {
+    reply(handleJob(message));
+  }
+}
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  self.onmessage = (event) => handleMessage(event.data, (result) => self.postMessage(result));
+} else {
+  const { parentPort } = await import('node:worker_threads');
+  parentPort.on('message', (message) => handleMessage(message, (result) => parentPort.postMessage(result)));
+}
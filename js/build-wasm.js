@@ -0,0 +1,49 @@
+/**
+ * Writes blake3-turbo-wasm.js: the WASM modules of blake3-turbo-js.js,
+ * generated once at build time and embedded as base64, with the BLAKE3
+ * checksum of each module.
+ *
+ * Pages that compile these bytes (usePrecompiledWasm()) run no module
+ * generator at run time. Rerun after every change to the generator —
+ * usePrecompiledWasm(PRECOMPILED_WASM, { verify: true }) and the tests
+ * reject a stale file.
+ *
+ * Run:
+ *   node build-wasm.js [output file]
+ */
+
+import { writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { getWasmModuleBytes, encodeDigest, hash, toHex } from './blake3-turbo-js.js';
+
+const output = process.argv[2] !== undefined
+  ? process.argv[2]
+  : fileURLToPath(new URL('./blake3-turbo-wasm.js', import.meta.url));
+
+const { simd, scalar, codePath } = getWasmModuleBytes();
+
+const source = `/**
+ * Precompiled WASM modules of blake3-turbo-js.js.
+ *
+ * GENERATED by build-wasm.js — do not edit. Use with:
+ *
+ *   import { PRECOMPILED_WASM } from './blake3-turbo-wasm.js';
+ *   usePrecompiledWasm(PRECOMPILED_WASM);
+ *
+ * simd:   ${simd.length} bytes
+ * scalar: ${scalar.length} bytes
+ */
+
+export const PRECOMPILED_WASM = {
+  codePath: { rotations: '${codePath.rotations}', loads: '${codePath.loads}' },
+  checksums: {
+    simd: '${toHex(hash(simd))}',
+    scalar: '${toHex(hash(scalar))}'
+  },
+  simd: '${encodeDigest(simd, 'base64')}',
+  scalar: '${encodeDigest(scalar, 'base64')}'
+};
+`;
+
+writeFileSync(output, source);
+console.log(`Wrote ${output} (simd ${simd.length} bytes, scalar ${scalar.length} bytes)`);
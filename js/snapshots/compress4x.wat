@@ -0,0 +1,2966 @@
+(func $compress4x (type 0)
+  (local $m0 v128)
+  (local $m1 v128)
+  (local $m2 v128)
+  (local $m3 v128)
+  (local $m4 v128)
+  (local $m5 v128)
+  (local $m6 v128)
+  (local $m7 v128)
+  (local $m8 v128)
+  (local $m9 v128)
+  (local $m10 v128)
+  (local $m11 v128)
+  (local $m12 v128)
+  (local $m13 v128)
+  (local $m14 v128)
+  (local $m15 v128)
+  (local $s0 v128)
+  (local $s1 v128)
+  (local $s2 v128)
+  (local $s3 v128)
+  (local $s4 v128)
+  (local $s5 v128)
+  (local $s6 v128)
+  (local $s7 v128)
+  (local $s8 v128)
+  (local $s9 v128)
+  (local $s10 v128)
+  (local $s11 v128)
+  (local $s12 v128)
+  (local $s13 v128)
+  (local $s14 v128)
+  (local $s15 v128)
+  i32.const 0
+  v128.load
+  local.set $m0
+  i32.const 16
+  v128.load
+  local.set $m1
+  i32.const 32
+  v128.load
+  local.set $m2
+  i32.const 48
+  v128.load
+  local.set $m3
+  i32.const 64
+  v128.load
+  local.set $m4
+  i32.const 80
+  v128.load
+  local.set $m5
+  i32.const 96
+  v128.load
+  local.set $m6
+  i32.const 112
+  v128.load
+  local.set $m7
+  i32.const 128
+  v128.load
+  local.set $m8
+  i32.const 144
+  v128.load
+  local.set $m9
+  i32.const 160
+  v128.load
+  local.set $m10
+  i32.const 176
+  v128.load
+  local.set $m11
+  i32.const 192
+  v128.load
+  local.set $m12
+  i32.const 208
+  v128.load
+  local.set $m13
+  i32.const 224
+  v128.load
+  local.set $m14
+  i32.const 240
+  v128.load
+  local.set $m15
+  i32.const 256
+  v128.load
+  local.set $s0
+  i32.const 272
+  v128.load
+  local.set $s1
+  i32.const 288
+  v128.load
+  local.set $s2
+  i32.const 304
+  v128.load
+  local.set $s3
+  i32.const 320
+  v128.load
+  local.set $s4
+  i32.const 336
+  v128.load
+  local.set $s5
+  i32.const 352
+  v128.load
+  local.set $s6
+  i32.const 368
+  v128.load
+  local.set $s7
+  v128.const i32x4 0x6a09e667 0x6a09e667 0x6a09e667 0x6a09e667
+  local.set $s8
+  v128.const i32x4 0xbb67ae85 0xbb67ae85 0xbb67ae85 0xbb67ae85
+  local.set $s9
+  v128.const i32x4 0x3c6ef372 0x3c6ef372 0x3c6ef372 0x3c6ef372
+  local.set $s10
+  v128.const i32x4 0xa54ff53a 0xa54ff53a 0xa54ff53a 0xa54ff53a
+  local.set $s11
+  i32.const 384
+  v128.load
+  local.set $s12
+  i32.const 400
+  v128.load
+  local.set $s13
+  i32.const 416
+  v128.load
+  local.set $s14
+  i32.const 432
+  v128.load
+  local.set $s15
+  local.get $s0
+  local.get $s4
+  i32x4.add
+  local.get $m0
+  i32x4.add
+  local.tee $s0
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s12
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 12
+  i32x4.shr_u
+  local.get $s4
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32x4.add
+  local.get $m1
+  i32x4.add
+  local.tee $s0
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s12
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 7
+  i32x4.shr_u
+  local.get $s4
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s1
+  local.get $s5
+  i32x4.add
+  local.get $m2
+  i32x4.add
+  local.tee $s1
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s13
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 12
+  i32x4.shr_u
+  local.get $s5
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s1
+  local.get $s5
+  i32x4.add
+  local.get $m3
+  i32x4.add
+  local.tee $s1
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s13
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 7
+  i32x4.shr_u
+  local.get $s5
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s2
+  local.get $s6
+  i32x4.add
+  local.get $m4
+  i32x4.add
+  local.tee $s2
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s14
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 12
+  i32x4.shr_u
+  local.get $s6
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s2
+  local.get $s6
+  i32x4.add
+  local.get $m5
+  i32x4.add
+  local.tee $s2
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s14
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 7
+  i32x4.shr_u
+  local.get $s6
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s3
+  local.get $s7
+  i32x4.add
+  local.get $m6
+  i32x4.add
+  local.tee $s3
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s15
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 12
+  i32x4.shr_u
+  local.get $s7
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s3
+  local.get $s7
+  i32x4.add
+  local.get $m7
+  i32x4.add
+  local.tee $s3
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s15
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 7
+  i32x4.shr_u
+  local.get $s7
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s0
+  local.get $s5
+  i32x4.add
+  local.get $m8
+  i32x4.add
+  local.tee $s0
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s15
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 12
+  i32x4.shr_u
+  local.get $s5
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s0
+  local.get $s5
+  i32x4.add
+  local.get $m9
+  i32x4.add
+  local.tee $s0
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s15
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 7
+  i32x4.shr_u
+  local.get $s5
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s1
+  local.get $s6
+  i32x4.add
+  local.get $m10
+  i32x4.add
+  local.tee $s1
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s12
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 12
+  i32x4.shr_u
+  local.get $s6
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s1
+  local.get $s6
+  i32x4.add
+  local.get $m11
+  i32x4.add
+  local.tee $s1
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s12
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 7
+  i32x4.shr_u
+  local.get $s6
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s2
+  local.get $s7
+  i32x4.add
+  local.get $m12
+  i32x4.add
+  local.tee $s2
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s13
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 12
+  i32x4.shr_u
+  local.get $s7
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s2
+  local.get $s7
+  i32x4.add
+  local.get $m13
+  i32x4.add
+  local.tee $s2
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s13
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 7
+  i32x4.shr_u
+  local.get $s7
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s3
+  local.get $s4
+  i32x4.add
+  local.get $m14
+  i32x4.add
+  local.tee $s3
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s14
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 12
+  i32x4.shr_u
+  local.get $s4
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s3
+  local.get $s4
+  i32x4.add
+  local.get $m15
+  i32x4.add
+  local.tee $s3
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s14
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 7
+  i32x4.shr_u
+  local.get $s4
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32x4.add
+  local.get $m2
+  i32x4.add
+  local.tee $s0
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s12
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 12
+  i32x4.shr_u
+  local.get $s4
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32x4.add
+  local.get $m6
+  i32x4.add
+  local.tee $s0
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s12
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 7
+  i32x4.shr_u
+  local.get $s4
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s1
+  local.get $s5
+  i32x4.add
+  local.get $m3
+  i32x4.add
+  local.tee $s1
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s13
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 12
+  i32x4.shr_u
+  local.get $s5
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s1
+  local.get $s5
+  i32x4.add
+  local.get $m10
+  i32x4.add
+  local.tee $s1
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s13
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 7
+  i32x4.shr_u
+  local.get $s5
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s2
+  local.get $s6
+  i32x4.add
+  local.get $m7
+  i32x4.add
+  local.tee $s2
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s14
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 12
+  i32x4.shr_u
+  local.get $s6
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s2
+  local.get $s6
+  i32x4.add
+  local.get $m0
+  i32x4.add
+  local.tee $s2
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s14
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 7
+  i32x4.shr_u
+  local.get $s6
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s3
+  local.get $s7
+  i32x4.add
+  local.get $m4
+  i32x4.add
+  local.tee $s3
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s15
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 12
+  i32x4.shr_u
+  local.get $s7
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s3
+  local.get $s7
+  i32x4.add
+  local.get $m13
+  i32x4.add
+  local.tee $s3
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s15
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 7
+  i32x4.shr_u
+  local.get $s7
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s0
+  local.get $s5
+  i32x4.add
+  local.get $m1
+  i32x4.add
+  local.tee $s0
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s15
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 12
+  i32x4.shr_u
+  local.get $s5
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s0
+  local.get $s5
+  i32x4.add
+  local.get $m11
+  i32x4.add
+  local.tee $s0
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s15
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 7
+  i32x4.shr_u
+  local.get $s5
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s1
+  local.get $s6
+  i32x4.add
+  local.get $m12
+  i32x4.add
+  local.tee $s1
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s12
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 12
+  i32x4.shr_u
+  local.get $s6
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s1
+  local.get $s6
+  i32x4.add
+  local.get $m5
+  i32x4.add
+  local.tee $s1
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s12
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 7
+  i32x4.shr_u
+  local.get $s6
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s2
+  local.get $s7
+  i32x4.add
+  local.get $m9
+  i32x4.add
+  local.tee $s2
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s13
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 12
+  i32x4.shr_u
+  local.get $s7
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s2
+  local.get $s7
+  i32x4.add
+  local.get $m14
+  i32x4.add
+  local.tee $s2
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s13
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 7
+  i32x4.shr_u
+  local.get $s7
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s3
+  local.get $s4
+  i32x4.add
+  local.get $m15
+  i32x4.add
+  local.tee $s3
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s14
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 12
+  i32x4.shr_u
+  local.get $s4
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s3
+  local.get $s4
+  i32x4.add
+  local.get $m8
+  i32x4.add
+  local.tee $s3
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s14
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 7
+  i32x4.shr_u
+  local.get $s4
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32x4.add
+  local.get $m3
+  i32x4.add
+  local.tee $s0
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s12
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 12
+  i32x4.shr_u
+  local.get $s4
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32x4.add
+  local.get $m4
+  i32x4.add
+  local.tee $s0
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s12
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 7
+  i32x4.shr_u
+  local.get $s4
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s1
+  local.get $s5
+  i32x4.add
+  local.get $m10
+  i32x4.add
+  local.tee $s1
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s13
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 12
+  i32x4.shr_u
+  local.get $s5
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s1
+  local.get $s5
+  i32x4.add
+  local.get $m12
+  i32x4.add
+  local.tee $s1
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s13
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 7
+  i32x4.shr_u
+  local.get $s5
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s2
+  local.get $s6
+  i32x4.add
+  local.get $m13
+  i32x4.add
+  local.tee $s2
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s14
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 12
+  i32x4.shr_u
+  local.get $s6
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s2
+  local.get $s6
+  i32x4.add
+  local.get $m2
+  i32x4.add
+  local.tee $s2
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s14
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 7
+  i32x4.shr_u
+  local.get $s6
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s3
+  local.get $s7
+  i32x4.add
+  local.get $m7
+  i32x4.add
+  local.tee $s3
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s15
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 12
+  i32x4.shr_u
+  local.get $s7
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s3
+  local.get $s7
+  i32x4.add
+  local.get $m14
+  i32x4.add
+  local.tee $s3
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s15
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 7
+  i32x4.shr_u
+  local.get $s7
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s0
+  local.get $s5
+  i32x4.add
+  local.get $m6
+  i32x4.add
+  local.tee $s0
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s15
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 12
+  i32x4.shr_u
+  local.get $s5
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s0
+  local.get $s5
+  i32x4.add
+  local.get $m5
+  i32x4.add
+  local.tee $s0
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s15
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 7
+  i32x4.shr_u
+  local.get $s5
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s1
+  local.get $s6
+  i32x4.add
+  local.get $m9
+  i32x4.add
+  local.tee $s1
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s12
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 12
+  i32x4.shr_u
+  local.get $s6
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s1
+  local.get $s6
+  i32x4.add
+  local.get $m0
+  i32x4.add
+  local.tee $s1
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s12
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 7
+  i32x4.shr_u
+  local.get $s6
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s2
+  local.get $s7
+  i32x4.add
+  local.get $m11
+  i32x4.add
+  local.tee $s2
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s13
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 12
+  i32x4.shr_u
+  local.get $s7
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s2
+  local.get $s7
+  i32x4.add
+  local.get $m15
+  i32x4.add
+  local.tee $s2
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s13
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 7
+  i32x4.shr_u
+  local.get $s7
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s3
+  local.get $s4
+  i32x4.add
+  local.get $m8
+  i32x4.add
+  local.tee $s3
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s14
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 12
+  i32x4.shr_u
+  local.get $s4
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s3
+  local.get $s4
+  i32x4.add
+  local.get $m1
+  i32x4.add
+  local.tee $s3
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s14
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 7
+  i32x4.shr_u
+  local.get $s4
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32x4.add
+  local.get $m10
+  i32x4.add
+  local.tee $s0
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s12
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 12
+  i32x4.shr_u
+  local.get $s4
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32x4.add
+  local.get $m7
+  i32x4.add
+  local.tee $s0
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s12
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 7
+  i32x4.shr_u
+  local.get $s4
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s1
+  local.get $s5
+  i32x4.add
+  local.get $m12
+  i32x4.add
+  local.tee $s1
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s13
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 12
+  i32x4.shr_u
+  local.get $s5
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s1
+  local.get $s5
+  i32x4.add
+  local.get $m9
+  i32x4.add
+  local.tee $s1
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s13
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 7
+  i32x4.shr_u
+  local.get $s5
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s2
+  local.get $s6
+  i32x4.add
+  local.get $m14
+  i32x4.add
+  local.tee $s2
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s14
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 12
+  i32x4.shr_u
+  local.get $s6
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s2
+  local.get $s6
+  i32x4.add
+  local.get $m3
+  i32x4.add
+  local.tee $s2
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s14
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 7
+  i32x4.shr_u
+  local.get $s6
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s3
+  local.get $s7
+  i32x4.add
+  local.get $m13
+  i32x4.add
+  local.tee $s3
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s15
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 12
+  i32x4.shr_u
+  local.get $s7
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s3
+  local.get $s7
+  i32x4.add
+  local.get $m15
+  i32x4.add
+  local.tee $s3
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s15
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 7
+  i32x4.shr_u
+  local.get $s7
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s0
+  local.get $s5
+  i32x4.add
+  local.get $m4
+  i32x4.add
+  local.tee $s0
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s15
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 12
+  i32x4.shr_u
+  local.get $s5
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s0
+  local.get $s5
+  i32x4.add
+  local.get $m0
+  i32x4.add
+  local.tee $s0
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s15
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 7
+  i32x4.shr_u
+  local.get $s5
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s1
+  local.get $s6
+  i32x4.add
+  local.get $m11
+  i32x4.add
+  local.tee $s1
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s12
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 12
+  i32x4.shr_u
+  local.get $s6
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s1
+  local.get $s6
+  i32x4.add
+  local.get $m2
+  i32x4.add
+  local.tee $s1
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s12
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 7
+  i32x4.shr_u
+  local.get $s6
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s2
+  local.get $s7
+  i32x4.add
+  local.get $m5
+  i32x4.add
+  local.tee $s2
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s13
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 12
+  i32x4.shr_u
+  local.get $s7
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s2
+  local.get $s7
+  i32x4.add
+  local.get $m8
+  i32x4.add
+  local.tee $s2
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s13
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 7
+  i32x4.shr_u
+  local.get $s7
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s3
+  local.get $s4
+  i32x4.add
+  local.get $m1
+  i32x4.add
+  local.tee $s3
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s14
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 12
+  i32x4.shr_u
+  local.get $s4
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s3
+  local.get $s4
+  i32x4.add
+  local.get $m6
+  i32x4.add
+  local.tee $s3
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s14
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 7
+  i32x4.shr_u
+  local.get $s4
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32x4.add
+  local.get $m12
+  i32x4.add
+  local.tee $s0
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s12
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 12
+  i32x4.shr_u
+  local.get $s4
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32x4.add
+  local.get $m13
+  i32x4.add
+  local.tee $s0
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s12
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 7
+  i32x4.shr_u
+  local.get $s4
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s1
+  local.get $s5
+  i32x4.add
+  local.get $m9
+  i32x4.add
+  local.tee $s1
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s13
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 12
+  i32x4.shr_u
+  local.get $s5
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s1
+  local.get $s5
+  i32x4.add
+  local.get $m11
+  i32x4.add
+  local.tee $s1
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s13
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 7
+  i32x4.shr_u
+  local.get $s5
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s2
+  local.get $s6
+  i32x4.add
+  local.get $m15
+  i32x4.add
+  local.tee $s2
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s14
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 12
+  i32x4.shr_u
+  local.get $s6
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s2
+  local.get $s6
+  i32x4.add
+  local.get $m10
+  i32x4.add
+  local.tee $s2
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s14
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 7
+  i32x4.shr_u
+  local.get $s6
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s3
+  local.get $s7
+  i32x4.add
+  local.get $m14
+  i32x4.add
+  local.tee $s3
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s15
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 12
+  i32x4.shr_u
+  local.get $s7
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s3
+  local.get $s7
+  i32x4.add
+  local.get $m8
+  i32x4.add
+  local.tee $s3
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s15
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 7
+  i32x4.shr_u
+  local.get $s7
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s0
+  local.get $s5
+  i32x4.add
+  local.get $m7
+  i32x4.add
+  local.tee $s0
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s15
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 12
+  i32x4.shr_u
+  local.get $s5
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s0
+  local.get $s5
+  i32x4.add
+  local.get $m2
+  i32x4.add
+  local.tee $s0
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s15
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 7
+  i32x4.shr_u
+  local.get $s5
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s1
+  local.get $s6
+  i32x4.add
+  local.get $m5
+  i32x4.add
+  local.tee $s1
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s12
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 12
+  i32x4.shr_u
+  local.get $s6
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s1
+  local.get $s6
+  i32x4.add
+  local.get $m3
+  i32x4.add
+  local.tee $s1
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s12
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 7
+  i32x4.shr_u
+  local.get $s6
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s2
+  local.get $s7
+  i32x4.add
+  local.get $m0
+  i32x4.add
+  local.tee $s2
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s13
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 12
+  i32x4.shr_u
+  local.get $s7
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s2
+  local.get $s7
+  i32x4.add
+  local.get $m1
+  i32x4.add
+  local.tee $s2
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s13
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 7
+  i32x4.shr_u
+  local.get $s7
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s3
+  local.get $s4
+  i32x4.add
+  local.get $m6
+  i32x4.add
+  local.tee $s3
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s14
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 12
+  i32x4.shr_u
+  local.get $s4
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s3
+  local.get $s4
+  i32x4.add
+  local.get $m4
+  i32x4.add
+  local.tee $s3
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s14
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 7
+  i32x4.shr_u
+  local.get $s4
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32x4.add
+  local.get $m9
+  i32x4.add
+  local.tee $s0
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s12
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 12
+  i32x4.shr_u
+  local.get $s4
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32x4.add
+  local.get $m14
+  i32x4.add
+  local.tee $s0
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s12
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 7
+  i32x4.shr_u
+  local.get $s4
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s1
+  local.get $s5
+  i32x4.add
+  local.get $m11
+  i32x4.add
+  local.tee $s1
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s13
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 12
+  i32x4.shr_u
+  local.get $s5
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s1
+  local.get $s5
+  i32x4.add
+  local.get $m5
+  i32x4.add
+  local.tee $s1
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s13
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 7
+  i32x4.shr_u
+  local.get $s5
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s2
+  local.get $s6
+  i32x4.add
+  local.get $m8
+  i32x4.add
+  local.tee $s2
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s14
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 12
+  i32x4.shr_u
+  local.get $s6
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s2
+  local.get $s6
+  i32x4.add
+  local.get $m12
+  i32x4.add
+  local.tee $s2
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s14
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 7
+  i32x4.shr_u
+  local.get $s6
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s3
+  local.get $s7
+  i32x4.add
+  local.get $m15
+  i32x4.add
+  local.tee $s3
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s15
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 12
+  i32x4.shr_u
+  local.get $s7
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s3
+  local.get $s7
+  i32x4.add
+  local.get $m1
+  i32x4.add
+  local.tee $s3
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s15
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 7
+  i32x4.shr_u
+  local.get $s7
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s0
+  local.get $s5
+  i32x4.add
+  local.get $m13
+  i32x4.add
+  local.tee $s0
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s15
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 12
+  i32x4.shr_u
+  local.get $s5
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s0
+  local.get $s5
+  i32x4.add
+  local.get $m3
+  i32x4.add
+  local.tee $s0
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s15
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 7
+  i32x4.shr_u
+  local.get $s5
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s1
+  local.get $s6
+  i32x4.add
+  local.get $m0
+  i32x4.add
+  local.tee $s1
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s12
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 12
+  i32x4.shr_u
+  local.get $s6
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s1
+  local.get $s6
+  i32x4.add
+  local.get $m10
+  i32x4.add
+  local.tee $s1
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s12
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 7
+  i32x4.shr_u
+  local.get $s6
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s2
+  local.get $s7
+  i32x4.add
+  local.get $m2
+  i32x4.add
+  local.tee $s2
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s13
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 12
+  i32x4.shr_u
+  local.get $s7
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s2
+  local.get $s7
+  i32x4.add
+  local.get $m6
+  i32x4.add
+  local.tee $s2
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s13
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 7
+  i32x4.shr_u
+  local.get $s7
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s3
+  local.get $s4
+  i32x4.add
+  local.get $m4
+  i32x4.add
+  local.tee $s3
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s14
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 12
+  i32x4.shr_u
+  local.get $s4
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s3
+  local.get $s4
+  i32x4.add
+  local.get $m7
+  i32x4.add
+  local.tee $s3
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s14
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 7
+  i32x4.shr_u
+  local.get $s4
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32x4.add
+  local.get $m11
+  i32x4.add
+  local.tee $s0
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s12
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 12
+  i32x4.shr_u
+  local.get $s4
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32x4.add
+  local.get $m15
+  i32x4.add
+  local.tee $s0
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s12
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 7
+  i32x4.shr_u
+  local.get $s4
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s1
+  local.get $s5
+  i32x4.add
+  local.get $m5
+  i32x4.add
+  local.tee $s1
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s13
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 12
+  i32x4.shr_u
+  local.get $s5
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s1
+  local.get $s5
+  i32x4.add
+  local.get $m0
+  i32x4.add
+  local.tee $s1
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s13
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 7
+  i32x4.shr_u
+  local.get $s5
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s2
+  local.get $s6
+  i32x4.add
+  local.get $m1
+  i32x4.add
+  local.tee $s2
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s14
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 12
+  i32x4.shr_u
+  local.get $s6
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s2
+  local.get $s6
+  i32x4.add
+  local.get $m9
+  i32x4.add
+  local.tee $s2
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s14
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 7
+  i32x4.shr_u
+  local.get $s6
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s3
+  local.get $s7
+  i32x4.add
+  local.get $m8
+  i32x4.add
+  local.tee $s3
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s15
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 12
+  i32x4.shr_u
+  local.get $s7
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s3
+  local.get $s7
+  i32x4.add
+  local.get $m6
+  i32x4.add
+  local.tee $s3
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s15
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 7
+  i32x4.shr_u
+  local.get $s7
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s0
+  local.get $s5
+  i32x4.add
+  local.get $m14
+  i32x4.add
+  local.tee $s0
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s15
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 12
+  i32x4.shr_u
+  local.get $s5
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s0
+  local.get $s5
+  i32x4.add
+  local.get $m10
+  i32x4.add
+  local.tee $s0
+  local.get $s15
+  v128.xor
+  local.tee $s15
+  local.get $s15
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s15
+  local.get $s10
+  i32x4.add
+  local.tee $s10
+  local.get $s5
+  v128.xor
+  local.tee $s5
+  i32.const 7
+  i32x4.shr_u
+  local.get $s5
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s5
+  local.get $s1
+  local.get $s6
+  i32x4.add
+  local.get $m2
+  i32x4.add
+  local.tee $s1
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s12
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 12
+  i32x4.shr_u
+  local.get $s6
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s1
+  local.get $s6
+  i32x4.add
+  local.get $m12
+  i32x4.add
+  local.tee $s1
+  local.get $s12
+  v128.xor
+  local.tee $s12
+  local.get $s12
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s12
+  local.get $s11
+  i32x4.add
+  local.tee $s11
+  local.get $s6
+  v128.xor
+  local.tee $s6
+  i32.const 7
+  i32x4.shr_u
+  local.get $s6
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s6
+  local.get $s2
+  local.get $s7
+  i32x4.add
+  local.get $m3
+  i32x4.add
+  local.tee $s2
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s13
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 12
+  i32x4.shr_u
+  local.get $s7
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s2
+  local.get $s7
+  i32x4.add
+  local.get $m4
+  i32x4.add
+  local.tee $s2
+  local.get $s13
+  v128.xor
+  local.tee $s13
+  local.get $s13
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s13
+  local.get $s8
+  i32x4.add
+  local.tee $s8
+  local.get $s7
+  v128.xor
+  local.tee $s7
+  i32.const 7
+  i32x4.shr_u
+  local.get $s7
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s7
+  local.get $s3
+  local.get $s4
+  i32x4.add
+  local.get $m7
+  i32x4.add
+  local.tee $s3
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13
+  local.tee $s14
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 12
+  i32x4.shr_u
+  local.get $s4
+  i32.const 20
+  i32x4.shl
+  v128.or
+  local.set $s4
+  local.get $s3
+  local.get $s4
+  i32x4.add
+  local.get $m13
+  i32x4.add
+  local.tee $s3
+  local.get $s14
+  v128.xor
+  local.tee $s14
+  local.get $s14
+  i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12
+  local.tee $s14
+  local.get $s9
+  i32x4.add
+  local.tee $s9
+  local.get $s4
+  v128.xor
+  local.tee $s4
+  i32.const 7
+  i32x4.shr_u
+  local.get $s4
+  i32.const 25
+  i32x4.shl
+  v128.or
+  local.set $s4
+  i32.const 512
+  local.get $s0
+  local.get $s8
+  v128.xor
+  v128.store
+  i32.const 528
+  local.get $s1
+  local.get $s9
+  v128.xor
+  v128.store
+  i32.const 544
+  local.get $s2
+  local.get $s10
+  v128.xor
+  v128.store
+  i32.const 560
+  local.get $s3
+  local.get $s11
+  v128.xor
+  v128.store
+  i32.const 576
+  local.get $s4
+  local.get $s12
+  v128.xor
+  v128.store
+  i32.const 592
+  local.get $s5
+  local.get $s13
+  v128.xor
+  v128.store
+  i32.const 608
+  local.get $s6
+  local.get $s14
+  v128.xor
+  v128.store
+  i32.const 624
+  local.get $s7
+  local.get $s15
+  v128.xor
+  v128.store
+)
@@ -0,0 +1,2297 @@
+(func $compress (type 1)
+  (param $cv i32)
+  (param $block i32)
+  (param $ctrLo i32)
+  (param $ctrHi i32)
+  (param $blockLen i32)
+  (param $flags i32)
+  (param $out i32)
+  (local $m0 i32)
+  (local $m1 i32)
+  (local $m2 i32)
+  (local $m3 i32)
+  (local $m4 i32)
+  (local $m5 i32)
+  (local $m6 i32)
+  (local $m7 i32)
+  (local $m8 i32)
+  (local $m9 i32)
+  (local $m10 i32)
+  (local $m11 i32)
+  (local $m12 i32)
+  (local $m13 i32)
+  (local $m14 i32)
+  (local $m15 i32)
+  (local $s0 i32)
+  (local $s1 i32)
+  (local $s2 i32)
+  (local $s3 i32)
+  (local $s4 i32)
+  (local $s5 i32)
+  (local $s6 i32)
+  (local $s7 i32)
+  (local $s8 i32)
+  (local $s9 i32)
+  (local $s10 i32)
+  (local $s11 i32)
+  (local $s12 i32)
+  (local $s13 i32)
+  (local $s14 i32)
+  (local $s15 i32)
+  local.get $block
+  i32.load
+  local.set $m0
+  local.get $block
+  i32.load offset=4
+  local.set $m1
+  local.get $block
+  i32.load offset=8
+  local.set $m2
+  local.get $block
+  i32.load offset=12
+  local.set $m3
+  local.get $block
+  i32.load offset=16
+  local.set $m4
+  local.get $block
+  i32.load offset=20
+  local.set $m5
+  local.get $block
+  i32.load offset=24
+  local.set $m6
+  local.get $block
+  i32.load offset=28
+  local.set $m7
+  local.get $block
+  i32.load offset=32
+  local.set $m8
+  local.get $block
+  i32.load offset=36
+  local.set $m9
+  local.get $block
+  i32.load offset=40
+  local.set $m10
+  local.get $block
+  i32.load offset=44
+  local.set $m11
+  local.get $block
+  i32.load offset=48
+  local.set $m12
+  local.get $block
+  i32.load offset=52
+  local.set $m13
+  local.get $block
+  i32.load offset=56
+  local.set $m14
+  local.get $block
+  i32.load offset=60
+  local.set $m15
+  local.get $cv
+  i32.load
+  local.set $s0
+  local.get $cv
+  i32.load offset=4
+  local.set $s1
+  local.get $cv
+  i32.load offset=8
+  local.set $s2
+  local.get $cv
+  i32.load offset=12
+  local.set $s3
+  local.get $cv
+  i32.load offset=16
+  local.set $s4
+  local.get $cv
+  i32.load offset=20
+  local.set $s5
+  local.get $cv
+  i32.load offset=24
+  local.set $s6
+  local.get $cv
+  i32.load offset=28
+  local.set $s7
+  i32.const 1779033703
+  local.set $s8
+  i32.const -1150833019
+  local.set $s9
+  i32.const 1013904242
+  local.set $s10
+  i32.const -1521486534
+  local.set $s11
+  local.get $ctrLo
+  local.set $s12
+  local.get $ctrHi
+  local.set $s13
+  local.get $blockLen
+  local.set $s14
+  local.get $flags
+  local.set $s15
+  local.get $s0
+  local.get $s4
+  i32.add
+  local.get $m0
+  i32.add
+  local.tee $s0
+  local.get $s12
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s12
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s4
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32.add
+  local.get $m1
+  i32.add
+  local.tee $s0
+  local.get $s12
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s12
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s4
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s4
+  local.get $s1
+  local.get $s5
+  i32.add
+  local.get $m2
+  i32.add
+  local.tee $s1
+  local.get $s13
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s13
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s5
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s5
+  local.get $s1
+  local.get $s5
+  i32.add
+  local.get $m3
+  i32.add
+  local.tee $s1
+  local.get $s13
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s13
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s5
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s5
+  local.get $s2
+  local.get $s6
+  i32.add
+  local.get $m4
+  i32.add
+  local.tee $s2
+  local.get $s14
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s14
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s6
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s6
+  local.get $s2
+  local.get $s6
+  i32.add
+  local.get $m5
+  i32.add
+  local.tee $s2
+  local.get $s14
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s14
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s6
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s6
+  local.get $s3
+  local.get $s7
+  i32.add
+  local.get $m6
+  i32.add
+  local.tee $s3
+  local.get $s15
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s15
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s7
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s7
+  local.get $s3
+  local.get $s7
+  i32.add
+  local.get $m7
+  i32.add
+  local.tee $s3
+  local.get $s15
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s15
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s7
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s7
+  local.get $s0
+  local.get $s5
+  i32.add
+  local.get $m8
+  i32.add
+  local.tee $s0
+  local.get $s15
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s15
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s5
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s5
+  local.get $s0
+  local.get $s5
+  i32.add
+  local.get $m9
+  i32.add
+  local.tee $s0
+  local.get $s15
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s15
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s5
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s5
+  local.get $s1
+  local.get $s6
+  i32.add
+  local.get $m10
+  i32.add
+  local.tee $s1
+  local.get $s12
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s12
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s6
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s6
+  local.get $s1
+  local.get $s6
+  i32.add
+  local.get $m11
+  i32.add
+  local.tee $s1
+  local.get $s12
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s12
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s6
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s6
+  local.get $s2
+  local.get $s7
+  i32.add
+  local.get $m12
+  i32.add
+  local.tee $s2
+  local.get $s13
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s13
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s7
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s7
+  local.get $s2
+  local.get $s7
+  i32.add
+  local.get $m13
+  i32.add
+  local.tee $s2
+  local.get $s13
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s13
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s7
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s7
+  local.get $s3
+  local.get $s4
+  i32.add
+  local.get $m14
+  i32.add
+  local.tee $s3
+  local.get $s14
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s14
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s4
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s4
+  local.get $s3
+  local.get $s4
+  i32.add
+  local.get $m15
+  i32.add
+  local.tee $s3
+  local.get $s14
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s14
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s4
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32.add
+  local.get $m2
+  i32.add
+  local.tee $s0
+  local.get $s12
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s12
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s4
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32.add
+  local.get $m6
+  i32.add
+  local.tee $s0
+  local.get $s12
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s12
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s4
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s4
+  local.get $s1
+  local.get $s5
+  i32.add
+  local.get $m3
+  i32.add
+  local.tee $s1
+  local.get $s13
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s13
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s5
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s5
+  local.get $s1
+  local.get $s5
+  i32.add
+  local.get $m10
+  i32.add
+  local.tee $s1
+  local.get $s13
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s13
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s5
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s5
+  local.get $s2
+  local.get $s6
+  i32.add
+  local.get $m7
+  i32.add
+  local.tee $s2
+  local.get $s14
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s14
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s6
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s6
+  local.get $s2
+  local.get $s6
+  i32.add
+  local.get $m0
+  i32.add
+  local.tee $s2
+  local.get $s14
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s14
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s6
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s6
+  local.get $s3
+  local.get $s7
+  i32.add
+  local.get $m4
+  i32.add
+  local.tee $s3
+  local.get $s15
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s15
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s7
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s7
+  local.get $s3
+  local.get $s7
+  i32.add
+  local.get $m13
+  i32.add
+  local.tee $s3
+  local.get $s15
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s15
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s7
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s7
+  local.get $s0
+  local.get $s5
+  i32.add
+  local.get $m1
+  i32.add
+  local.tee $s0
+  local.get $s15
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s15
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s5
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s5
+  local.get $s0
+  local.get $s5
+  i32.add
+  local.get $m11
+  i32.add
+  local.tee $s0
+  local.get $s15
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s15
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s5
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s5
+  local.get $s1
+  local.get $s6
+  i32.add
+  local.get $m12
+  i32.add
+  local.tee $s1
+  local.get $s12
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s12
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s6
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s6
+  local.get $s1
+  local.get $s6
+  i32.add
+  local.get $m5
+  i32.add
+  local.tee $s1
+  local.get $s12
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s12
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s6
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s6
+  local.get $s2
+  local.get $s7
+  i32.add
+  local.get $m9
+  i32.add
+  local.tee $s2
+  local.get $s13
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s13
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s7
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s7
+  local.get $s2
+  local.get $s7
+  i32.add
+  local.get $m14
+  i32.add
+  local.tee $s2
+  local.get $s13
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s13
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s7
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s7
+  local.get $s3
+  local.get $s4
+  i32.add
+  local.get $m15
+  i32.add
+  local.tee $s3
+  local.get $s14
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s14
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s4
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s4
+  local.get $s3
+  local.get $s4
+  i32.add
+  local.get $m8
+  i32.add
+  local.tee $s3
+  local.get $s14
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s14
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s4
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32.add
+  local.get $m3
+  i32.add
+  local.tee $s0
+  local.get $s12
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s12
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s4
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32.add
+  local.get $m4
+  i32.add
+  local.tee $s0
+  local.get $s12
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s12
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s4
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s4
+  local.get $s1
+  local.get $s5
+  i32.add
+  local.get $m10
+  i32.add
+  local.tee $s1
+  local.get $s13
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s13
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s5
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s5
+  local.get $s1
+  local.get $s5
+  i32.add
+  local.get $m12
+  i32.add
+  local.tee $s1
+  local.get $s13
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s13
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s5
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s5
+  local.get $s2
+  local.get $s6
+  i32.add
+  local.get $m13
+  i32.add
+  local.tee $s2
+  local.get $s14
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s14
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s6
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s6
+  local.get $s2
+  local.get $s6
+  i32.add
+  local.get $m2
+  i32.add
+  local.tee $s2
+  local.get $s14
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s14
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s6
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s6
+  local.get $s3
+  local.get $s7
+  i32.add
+  local.get $m7
+  i32.add
+  local.tee $s3
+  local.get $s15
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s15
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s7
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s7
+  local.get $s3
+  local.get $s7
+  i32.add
+  local.get $m14
+  i32.add
+  local.tee $s3
+  local.get $s15
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s15
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s7
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s7
+  local.get $s0
+  local.get $s5
+  i32.add
+  local.get $m6
+  i32.add
+  local.tee $s0
+  local.get $s15
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s15
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s5
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s5
+  local.get $s0
+  local.get $s5
+  i32.add
+  local.get $m5
+  i32.add
+  local.tee $s0
+  local.get $s15
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s15
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s5
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s5
+  local.get $s1
+  local.get $s6
+  i32.add
+  local.get $m9
+  i32.add
+  local.tee $s1
+  local.get $s12
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s12
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s6
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s6
+  local.get $s1
+  local.get $s6
+  i32.add
+  local.get $m0
+  i32.add
+  local.tee $s1
+  local.get $s12
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s12
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s6
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s6
+  local.get $s2
+  local.get $s7
+  i32.add
+  local.get $m11
+  i32.add
+  local.tee $s2
+  local.get $s13
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s13
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s7
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s7
+  local.get $s2
+  local.get $s7
+  i32.add
+  local.get $m15
+  i32.add
+  local.tee $s2
+  local.get $s13
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s13
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s7
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s7
+  local.get $s3
+  local.get $s4
+  i32.add
+  local.get $m8
+  i32.add
+  local.tee $s3
+  local.get $s14
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s14
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s4
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s4
+  local.get $s3
+  local.get $s4
+  i32.add
+  local.get $m1
+  i32.add
+  local.tee $s3
+  local.get $s14
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s14
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s4
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32.add
+  local.get $m10
+  i32.add
+  local.tee $s0
+  local.get $s12
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s12
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s4
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32.add
+  local.get $m7
+  i32.add
+  local.tee $s0
+  local.get $s12
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s12
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s4
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s4
+  local.get $s1
+  local.get $s5
+  i32.add
+  local.get $m12
+  i32.add
+  local.tee $s1
+  local.get $s13
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s13
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s5
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s5
+  local.get $s1
+  local.get $s5
+  i32.add
+  local.get $m9
+  i32.add
+  local.tee $s1
+  local.get $s13
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s13
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s5
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s5
+  local.get $s2
+  local.get $s6
+  i32.add
+  local.get $m14
+  i32.add
+  local.tee $s2
+  local.get $s14
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s14
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s6
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s6
+  local.get $s2
+  local.get $s6
+  i32.add
+  local.get $m3
+  i32.add
+  local.tee $s2
+  local.get $s14
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s14
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s6
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s6
+  local.get $s3
+  local.get $s7
+  i32.add
+  local.get $m13
+  i32.add
+  local.tee $s3
+  local.get $s15
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s15
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s7
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s7
+  local.get $s3
+  local.get $s7
+  i32.add
+  local.get $m15
+  i32.add
+  local.tee $s3
+  local.get $s15
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s15
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s7
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s7
+  local.get $s0
+  local.get $s5
+  i32.add
+  local.get $m4
+  i32.add
+  local.tee $s0
+  local.get $s15
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s15
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s5
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s5
+  local.get $s0
+  local.get $s5
+  i32.add
+  local.get $m0
+  i32.add
+  local.tee $s0
+  local.get $s15
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s15
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s5
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s5
+  local.get $s1
+  local.get $s6
+  i32.add
+  local.get $m11
+  i32.add
+  local.tee $s1
+  local.get $s12
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s12
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s6
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s6
+  local.get $s1
+  local.get $s6
+  i32.add
+  local.get $m2
+  i32.add
+  local.tee $s1
+  local.get $s12
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s12
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s6
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s6
+  local.get $s2
+  local.get $s7
+  i32.add
+  local.get $m5
+  i32.add
+  local.tee $s2
+  local.get $s13
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s13
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s7
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s7
+  local.get $s2
+  local.get $s7
+  i32.add
+  local.get $m8
+  i32.add
+  local.tee $s2
+  local.get $s13
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s13
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s7
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s7
+  local.get $s3
+  local.get $s4
+  i32.add
+  local.get $m1
+  i32.add
+  local.tee $s3
+  local.get $s14
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s14
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s4
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s4
+  local.get $s3
+  local.get $s4
+  i32.add
+  local.get $m6
+  i32.add
+  local.tee $s3
+  local.get $s14
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s14
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s4
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32.add
+  local.get $m12
+  i32.add
+  local.tee $s0
+  local.get $s12
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s12
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s4
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32.add
+  local.get $m13
+  i32.add
+  local.tee $s0
+  local.get $s12
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s12
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s4
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s4
+  local.get $s1
+  local.get $s5
+  i32.add
+  local.get $m9
+  i32.add
+  local.tee $s1
+  local.get $s13
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s13
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s5
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s5
+  local.get $s1
+  local.get $s5
+  i32.add
+  local.get $m11
+  i32.add
+  local.tee $s1
+  local.get $s13
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s13
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s5
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s5
+  local.get $s2
+  local.get $s6
+  i32.add
+  local.get $m15
+  i32.add
+  local.tee $s2
+  local.get $s14
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s14
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s6
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s6
+  local.get $s2
+  local.get $s6
+  i32.add
+  local.get $m10
+  i32.add
+  local.tee $s2
+  local.get $s14
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s14
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s6
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s6
+  local.get $s3
+  local.get $s7
+  i32.add
+  local.get $m14
+  i32.add
+  local.tee $s3
+  local.get $s15
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s15
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s7
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s7
+  local.get $s3
+  local.get $s7
+  i32.add
+  local.get $m8
+  i32.add
+  local.tee $s3
+  local.get $s15
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s15
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s7
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s7
+  local.get $s0
+  local.get $s5
+  i32.add
+  local.get $m7
+  i32.add
+  local.tee $s0
+  local.get $s15
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s15
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s5
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s5
+  local.get $s0
+  local.get $s5
+  i32.add
+  local.get $m2
+  i32.add
+  local.tee $s0
+  local.get $s15
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s15
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s5
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s5
+  local.get $s1
+  local.get $s6
+  i32.add
+  local.get $m5
+  i32.add
+  local.tee $s1
+  local.get $s12
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s12
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s6
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s6
+  local.get $s1
+  local.get $s6
+  i32.add
+  local.get $m3
+  i32.add
+  local.tee $s1
+  local.get $s12
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s12
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s6
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s6
+  local.get $s2
+  local.get $s7
+  i32.add
+  local.get $m0
+  i32.add
+  local.tee $s2
+  local.get $s13
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s13
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s7
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s7
+  local.get $s2
+  local.get $s7
+  i32.add
+  local.get $m1
+  i32.add
+  local.tee $s2
+  local.get $s13
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s13
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s7
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s7
+  local.get $s3
+  local.get $s4
+  i32.add
+  local.get $m6
+  i32.add
+  local.tee $s3
+  local.get $s14
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s14
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s4
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s4
+  local.get $s3
+  local.get $s4
+  i32.add
+  local.get $m4
+  i32.add
+  local.tee $s3
+  local.get $s14
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s14
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s4
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32.add
+  local.get $m9
+  i32.add
+  local.tee $s0
+  local.get $s12
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s12
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s4
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32.add
+  local.get $m14
+  i32.add
+  local.tee $s0
+  local.get $s12
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s12
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s4
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s4
+  local.get $s1
+  local.get $s5
+  i32.add
+  local.get $m11
+  i32.add
+  local.tee $s1
+  local.get $s13
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s13
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s5
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s5
+  local.get $s1
+  local.get $s5
+  i32.add
+  local.get $m5
+  i32.add
+  local.tee $s1
+  local.get $s13
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s13
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s5
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s5
+  local.get $s2
+  local.get $s6
+  i32.add
+  local.get $m8
+  i32.add
+  local.tee $s2
+  local.get $s14
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s14
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s6
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s6
+  local.get $s2
+  local.get $s6
+  i32.add
+  local.get $m12
+  i32.add
+  local.tee $s2
+  local.get $s14
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s14
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s6
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s6
+  local.get $s3
+  local.get $s7
+  i32.add
+  local.get $m15
+  i32.add
+  local.tee $s3
+  local.get $s15
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s15
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s7
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s7
+  local.get $s3
+  local.get $s7
+  i32.add
+  local.get $m1
+  i32.add
+  local.tee $s3
+  local.get $s15
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s15
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s7
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s7
+  local.get $s0
+  local.get $s5
+  i32.add
+  local.get $m13
+  i32.add
+  local.tee $s0
+  local.get $s15
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s15
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s5
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s5
+  local.get $s0
+  local.get $s5
+  i32.add
+  local.get $m3
+  i32.add
+  local.tee $s0
+  local.get $s15
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s15
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s5
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s5
+  local.get $s1
+  local.get $s6
+  i32.add
+  local.get $m0
+  i32.add
+  local.tee $s1
+  local.get $s12
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s12
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s6
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s6
+  local.get $s1
+  local.get $s6
+  i32.add
+  local.get $m10
+  i32.add
+  local.tee $s1
+  local.get $s12
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s12
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s6
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s6
+  local.get $s2
+  local.get $s7
+  i32.add
+  local.get $m2
+  i32.add
+  local.tee $s2
+  local.get $s13
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s13
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s7
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s7
+  local.get $s2
+  local.get $s7
+  i32.add
+  local.get $m6
+  i32.add
+  local.tee $s2
+  local.get $s13
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s13
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s7
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s7
+  local.get $s3
+  local.get $s4
+  i32.add
+  local.get $m4
+  i32.add
+  local.tee $s3
+  local.get $s14
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s14
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s4
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s4
+  local.get $s3
+  local.get $s4
+  i32.add
+  local.get $m7
+  i32.add
+  local.tee $s3
+  local.get $s14
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s14
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s4
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32.add
+  local.get $m11
+  i32.add
+  local.tee $s0
+  local.get $s12
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s12
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s4
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s4
+  local.get $s0
+  local.get $s4
+  i32.add
+  local.get $m15
+  i32.add
+  local.tee $s0
+  local.get $s12
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s12
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s4
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s4
+  local.get $s1
+  local.get $s5
+  i32.add
+  local.get $m5
+  i32.add
+  local.tee $s1
+  local.get $s13
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s13
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s5
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s5
+  local.get $s1
+  local.get $s5
+  i32.add
+  local.get $m0
+  i32.add
+  local.tee $s1
+  local.get $s13
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s13
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s5
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s5
+  local.get $s2
+  local.get $s6
+  i32.add
+  local.get $m1
+  i32.add
+  local.tee $s2
+  local.get $s14
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s14
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s6
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s6
+  local.get $s2
+  local.get $s6
+  i32.add
+  local.get $m9
+  i32.add
+  local.tee $s2
+  local.get $s14
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s14
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s6
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s6
+  local.get $s3
+  local.get $s7
+  i32.add
+  local.get $m8
+  i32.add
+  local.tee $s3
+  local.get $s15
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s15
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s7
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s7
+  local.get $s3
+  local.get $s7
+  i32.add
+  local.get $m6
+  i32.add
+  local.tee $s3
+  local.get $s15
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s15
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s7
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s7
+  local.get $s0
+  local.get $s5
+  i32.add
+  local.get $m14
+  i32.add
+  local.tee $s0
+  local.get $s15
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s15
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s5
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s5
+  local.get $s0
+  local.get $s5
+  i32.add
+  local.get $m10
+  i32.add
+  local.tee $s0
+  local.get $s15
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s15
+  local.get $s10
+  i32.add
+  local.tee $s10
+  local.get $s5
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s5
+  local.get $s1
+  local.get $s6
+  i32.add
+  local.get $m2
+  i32.add
+  local.tee $s1
+  local.get $s12
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s12
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s6
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s6
+  local.get $s1
+  local.get $s6
+  i32.add
+  local.get $m12
+  i32.add
+  local.tee $s1
+  local.get $s12
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s12
+  local.get $s11
+  i32.add
+  local.tee $s11
+  local.get $s6
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s6
+  local.get $s2
+  local.get $s7
+  i32.add
+  local.get $m3
+  i32.add
+  local.tee $s2
+  local.get $s13
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s13
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s7
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s7
+  local.get $s2
+  local.get $s7
+  i32.add
+  local.get $m4
+  i32.add
+  local.tee $s2
+  local.get $s13
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s13
+  local.get $s8
+  i32.add
+  local.tee $s8
+  local.get $s7
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s7
+  local.get $s3
+  local.get $s4
+  i32.add
+  local.get $m7
+  i32.add
+  local.tee $s3
+  local.get $s14
+  i32.xor
+  i32.const 16
+  i32.rotr
+  local.tee $s14
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s4
+  i32.xor
+  i32.const 12
+  i32.rotr
+  local.set $s4
+  local.get $s3
+  local.get $s4
+  i32.add
+  local.get $m13
+  i32.add
+  local.tee $s3
+  local.get $s14
+  i32.xor
+  i32.const 8
+  i32.rotr
+  local.tee $s14
+  local.get $s9
+  i32.add
+  local.tee $s9
+  local.get $s4
+  i32.xor
+  i32.const 7
+  i32.rotr
+  local.set $s4
+  local.get $out
+  local.get $s0
+  local.get $s8
+  i32.xor
+  i32.store
+  local.get $out
+  local.get $s1
+  local.get $s9
+  i32.xor
+  i32.store offset=4
+  local.get $out
+  local.get $s2
+  local.get $s10
+  i32.xor
+  i32.store offset=8
+  local.get $out
+  local.get $s3
+  local.get $s11
+  i32.xor
+  i32.store offset=12
+  local.get $out
+  local.get $s4
+  local.get $s12
+  i32.xor
+  i32.store offset=16
+  local.get $out
+  local.get $s5
+  local.get $s13
+  i32.xor
+  i32.store offset=20
+  local.get $out
+  local.get $s6
+  local.get $s14
+  i32.xor
+  i32.store offset=24
+  local.get $out
+  local.get $s7
+  local.get $s15
+  i32.xor
+  i32.store offset=28
+)
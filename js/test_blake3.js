@@ -7,9 +7,20 @@
  *   deno run test_blake3_v0.js
  */
 
-import { hash, hash as blake3 } from './v9.js';
+import {
+  hash, hash as blake3, hashInto, keyedHash, deriveKey, finalizeXof,
+  createHash, createKeyed, Hasher,
+  encodeDigest, parseDigest, toHex, fromHex,
+  equal, verify, verifyKeyed,
+  hashMany, hashParallel, setWasmWindowSize, getBackend,
+  getCodePath, setCodePath, setBackend, getBackendInfo, initWasm, ready,
+  getWasmModuleBytes
+} from './blake3-turbo-js.js';
 
-import { VECTOR, STRING_VECTORS } from './testvec.js';
+import { VECTOR, STRING_VECTORS, XOF_LONG_VECTOR } from './testvec.js';
+
+import { PRECOMPILED_WASM } from './blake3-turbo-wasm.js';
+import { dumpWat } from './blake3-turbo-wat.js';
 
 // ============================================================================
 // УТИЛИТЫ
@@ -41,13 +52,61 @@ export function generateTestInput(length) {
 }
 
 
+/**
+ * Детерминированный генератор псевдослучайных чисел (LCG)
+ * @param seed - начальное значение
+ * @returns функция (n) => целое в диапазоне [0, n)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return (n) => {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    return (state >>> 8) % n;
+  };
+}
+
+/**
+ * Подаёт данные в hasher кусками случайной длины (1..maxPiece)
+ */
+function updateInPieces(hasher, data, random, maxPiece) {
+  for (let offset = 0; offset < data.length; ) {
+    const len = 1 + random(maxPiece);
+    hasher.update(data.subarray(offset, offset + len));
+    offset += len;
+  }
+  return hasher;
+}
+
+
+// ============================================================================
+// test_vectors.json (hash / keyed_hash / derive_key, 131 байт вывода)
+// ============================================================================
+
+const TEST_VECTORS = JSON.parse((await import('node:fs')).readFileSync(
+  new URL('./test_vectors.json', import.meta.url), 'utf8'));
+
+const KEYED_KEY = TEST_VECTORS.key;
+const DERIVE_KEY_CONTEXT = TEST_VECTORS.context_string;
+
+/** [размер, 32 байта в hex] для режима mode ('hash', 'keyed_hash', 'derive_key') */
+function defaultLengthVectors(mode) {
+  return TEST_VECTORS.cases.map((vector) => [vector.input_len, vector[mode].slice(0, 64)]);
+}
+
+const KEYED_VECTORS = defaultLengthVectors('keyed_hash');
+const DERIVE_KEY_VECTORS = defaultLengthVectors('derive_key');
+const XOF_VECTORS = TEST_VECTORS.cases.map((vector) => [vector.input_len, vector.hash]);
+
+
 // ============================================================================
 // ЗАПУСК ТЕСТОВ
 // ============================================================================
 
-function runTests() {
+async function runTests() {
   console.log('='.repeat(60));
   console.log('BLAKE3 Test Suite');
+  await ready();
+  console.log(`Backend: ${getBackend()}`, getCodePath() || '');
   console.log('='.repeat(60));
   
   let passed = 0;
@@ -92,8 +151,10 @@ function runTests() {
       const input = new TextEncoder().encode(str);
       const result = blake3(input);
       const resultHex = bytesToHex(result);
+      // Строка напрямую (UTF-8 внутри)
+      const directHex = bytesToHex(blake3(str));
       
-      if (resultHex === expected) {
+      if (resultHex === expected && directHex === expected) {
         console.log(`✅ PASS: ${displayName}`);
         passed++;
       } else {
@@ -109,6 +170,1584 @@ function runTests() {
     }
   }
 
+  // ========================================
+  // Тест 3: Keyed hash (MAC)
+  // ========================================
+  console.log('\n🔑 Keyed hash vectors (KEYED_HASH):');
+
+  const key = new TextEncoder().encode(KEYED_KEY);
+
+  for (const [size, expected] of KEYED_VECTORS) {
+    try {
+      const input = generateTestInput(size);
+      const result = keyedHash(key, input);
+      const resultHex = bytesToHex(result);
+
+      if (resultHex === expected) {
+        console.log(`✅ PASS: keyed ${size} bytes`);
+        passed++;
+      } else {
+        console.log(`❌ FAIL: keyed ${size} bytes`);
+        console.log(`   Expected: ${expected}`);
+        console.log(`   Got:      ${resultHex}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`💥 ERROR: keyed ${size} bytes`);
+      console.log(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  // ========================================
+  // Тест 4: Derive key (KDF)
+  // ========================================
+  console.log('\n🗝️  Derive key vectors (DERIVE_KEY_CONTEXT / DERIVE_KEY_MATERIAL):');
+
+  for (const [size, expected] of DERIVE_KEY_VECTORS) {
+    try {
+      const material = generateTestInput(size);
+      const result = deriveKey(DERIVE_KEY_CONTEXT, material);
+      const resultHex = bytesToHex(result);
+
+      // Укороченный ключ — префикс полного
+      const short = bytesToHex(deriveKey(DERIVE_KEY_CONTEXT, material, 16));
+
+      if (resultHex === expected && short === expected.slice(0, 32)) {
+        console.log(`✅ PASS: derive_key ${size} bytes`);
+        passed++;
+      } else {
+        console.log(`❌ FAIL: derive_key ${size} bytes`);
+        console.log(`   Expected: ${expected}`);
+        console.log(`   Got:      ${resultHex}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`💥 ERROR: derive_key ${size} bytes`);
+      console.log(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  // ========================================
+  // Тест 5: Расширенный вывод (XOF)
+  // ========================================
+  console.log('\n📏 Extended output vectors (XOF):');
+
+  for (const [size, expected] of XOF_VECTORS) {
+    try {
+      const input = generateTestInput(size);
+      const result = bytesToHex(hash(input, { length: expected.length / 2 }));
+
+      // Любая длина вывода — префикс полного вывода
+      const prefixesOk = [0, 1, 31, 32, 33, 64, 65].every(
+        (len) => bytesToHex(hash(input, { length: len })) === expected.slice(0, len * 2)
+      );
+
+      if (result === expected && prefixesOk) {
+        console.log(`✅ PASS: xof ${size} bytes`);
+        passed++;
+      } else {
+        console.log(`❌ FAIL: xof ${size} bytes`);
+        console.log(`   Expected: ${expected}`);
+        console.log(`   Got:      ${result}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`💥 ERROR: xof ${size} bytes`);
+      console.log(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  {
+    const [size, length, expectedTail] = XOF_LONG_VECTOR;
+    const result = hash(generateTestInput(size), { length });
+    const resultTail = bytesToHex(result.subarray(length - 32));
+
+    if (result.length === length && resultTail === expectedTail) {
+      console.log(`✅ PASS: xof ${size} bytes → ${length} bytes output`);
+      passed++;
+    } else {
+      console.log(`❌ FAIL: xof ${size} bytes → ${length} bytes output`);
+      console.log(`   Expected tail: ${expectedTail}`);
+      console.log(`   Got tail:      ${resultTail}`);
+      failed++;
+    }
+  }
+
+  // ========================================
+  // Тест 6: OutputReader (read / seek / position)
+  // ========================================
+  console.log('\n📖 XOF OutputReader:');
+
+  for (const size of [0, 1, 1024, 1025, 8193]) {
+    try {
+      const input = generateTestInput(size);
+      const full = hash(input, { length: 1500 });
+      const reader = finalizeXof(input);
+
+      // Чтение кусками разной длины, пересекающими границы блоков
+      const pieces = [];
+      for (const len of [1, 63, 64, 65, 7, 300, 0, 1000]) {
+        pieces.push(...reader.read(new Uint8Array(len)));
+      }
+      const sequentialOk = bytesToHex(pieces) === bytesToHex(full) &&
+        reader.position === 1500;
+
+      // Произвольный доступ без генерации префикса
+      const seekOk = [0, 63, 64, 517, 1299].every((offset) => {
+        const part = reader.seek(offset).read(new Uint8Array(200));
+        return bytesToHex(part) === bytesToHex(full.subarray(offset, offset + 200)) &&
+          reader.position === offset + 200;
+      });
+
+      if (sequentialOk && seekOk) {
+        console.log(`✅ PASS: reader ${size} bytes`);
+        passed++;
+      } else {
+        console.log(`❌ FAIL: reader ${size} bytes (sequential: ${sequentialOk}, seek: ${seekOk})`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`💥 ERROR: reader ${size} bytes`);
+      console.log(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  // ========================================
+  // Тест 7: Потоковый Hasher (случайные точки разбиения)
+  // ========================================
+  console.log('\n🌊 Streaming Hasher (random split points):');
+
+  const random = createRandom(0xb1a4e3);
+  const keyedExpected = new Map(KEYED_VECTORS);
+
+  for (const [size, expected] of VECTOR) {
+    try {
+      const input = generateTestInput(size);
+      let ok = true;
+
+      for (const maxPiece of [1, 63, 1024, 5000, 70000]) {
+        if (maxPiece === 1 && size > 20000) continue;
+
+        const hasher = updateInPieces(createHash(), input, random, maxPiece);
+        ok = ok && bytesToHex(hasher.digest()) === expected;
+
+        if (keyedExpected.has(size)) {
+          const keyed = updateInPieces(createKeyed(key), input, random, maxPiece);
+          ok = ok && bytesToHex(keyed.digest()) === keyedExpected.get(size);
+        }
+      }
+
+      if (ok) {
+        console.log(`✅ PASS: streaming ${size} bytes`);
+        passed++;
+      } else {
+        console.log(`❌ FAIL: streaming ${size} bytes`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`💥 ERROR: streaming ${size} bytes`);
+      console.log(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  // ========================================
+  // Тест 8: Владение результатом и hashInto
+  // ========================================
+  console.log('\n📦 Owned output / hashInto:');
+
+  {
+    // Результаты предыдущих вызовов не должны меняться
+    const digests = VECTOR.map(([size]) => blake3(generateTestInput(size)));
+    const ownedOk = digests.every((digest, i) => bytesToHex(digest) === VECTOR[i][1]) &&
+      new Set(digests.map((digest) => digest.buffer)).size === digests.length;
+
+    // hashInto пишет ровно 32 байта по смещению и возвращает out
+    const out = new Uint8Array(100).fill(0xaa);
+    const input = generateTestInput(5000);
+    const returned = hashInto(input, out, 7);
+    const intoOk = returned === out &&
+      bytesToHex(out.subarray(7, 39)) === bytesToHex(blake3(input)) &&
+      out.subarray(0, 7).every((b) => b === 0xaa) &&
+      out.subarray(39).every((b) => b === 0xaa);
+
+    let rangeOk = false;
+    try {
+      hashInto(input, out, 69);
+    } catch (error) {
+      rangeOk = error instanceof RangeError;
+    }
+
+    if (ownedOk && intoOk && rangeOk) {
+      console.log('✅ PASS: owned digests, hashInto');
+      passed++;
+    } else {
+      console.log(`❌ FAIL: owned: ${ownedOk}, hashInto: ${intoOk}, range check: ${rangeOk}`);
+      failed++;
+    }
+  }
+
+  // ========================================
+  // Тест 9: Сериализация состояния Hasher
+  // ========================================
+  console.log('\n💾 Hasher state export / import:');
+
+  for (const size of [0, 1, 1024, 1025, 4096, 4097, 16384, 31744, 102400]) {
+    try {
+      const input = generateTestInput(size);
+      const expected = bytesToHex(blake3(input));
+      const expectedKeyed = bytesToHex(keyedHash(key, input));
+      let ok = true;
+
+      // Каждое «HTTP-сообщение» — новый процесс: состояние только в байтах
+      for (const maxPiece of [700, 5000, 40000]) {
+        let state = createHash().exportState();
+        let keyedState = createKeyed(key).exportState();
+
+        for (let offset = 0; offset < size; ) {
+          const piece = input.subarray(offset, offset + 1 + random(maxPiece));
+          state = Hasher.importState(state).update(piece).exportState();
+          keyedState = Hasher.importState(keyedState, key).update(piece).exportState();
+          offset += piece.length;
+        }
+
+        ok = ok &&
+          bytesToHex(Hasher.importState(state).digest()) === expected &&
+          bytesToHex(Hasher.importState(keyedState, key).digest()) === expectedKeyed;
+      }
+
+      if (ok) {
+        console.log(`✅ PASS: state round-trip ${size} bytes`);
+        passed++;
+      } else {
+        console.log(`❌ FAIL: state round-trip ${size} bytes`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`💥 ERROR: state round-trip ${size} bytes`);
+      console.log(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  {
+    const state = createHash().update(generateTestInput(9000)).exportState();
+    const corrupted = [
+      ['truncated', state.subarray(0, state.length - 1)],
+      ['extended', new Uint8Array([...state, 0])],
+      ['bit flip', state.map((b, i) => i === 60 ? b ^ 1 : b)],
+      ['checksum', state.map((b, i) => i === state.length - 1 ? b ^ 0x80 : b)],
+      ['version', state.map((b, i) => i === 4 ? 99 : b)],
+      ['empty', new Uint8Array(0)],
+    ];
+
+    // Ключ не попадает в состояние и обязателен при импорте
+    const keyedState = createKeyed(key).update(generateTestInput(9000)).exportState();
+    const keyHex = bytesToHex(key);
+    const otherKey = key.map((b) => b ^ 1);
+    const throws = (fn) => { try { fn(); return false; } catch { return true; } };
+    const keyChecks = [
+      ['no key bytes in state', !bytesToHex(keyedState).includes(keyHex)],
+      ['missing key', throws(() => Hasher.importState(keyedState))],
+      ['wrong key', throws(() => Hasher.importState(keyedState, otherKey))],
+      ['key for unkeyed state', throws(() => Hasher.importState(state, key))],
+    ];
+    const keyFailures = keyChecks.filter(([, ok]) => !ok).map(([name]) => name);
+    if (keyFailures.length === 0) {
+      console.log('✅ PASS: keyed state omits the key');
+      passed++;
+    } else {
+      console.log(`❌ FAIL: keyed state: ${keyFailures.join(', ')}`);
+      failed++;
+    }
+
+    const rejected = corrupted.filter(([, bytes]) => {
+      try {
+        Hasher.importState(bytes);
+        return false;
+      } catch (error) {
+        return error.message.startsWith('Invalid hasher state');
+      }
+    });
+
+    if (rejected.length === corrupted.length) {
+      console.log('✅ PASS: corrupted states rejected');
+      passed++;
+    } else {
+      console.log(`❌ FAIL: ${corrupted.length - rejected.length} corrupted states accepted`);
+      failed++;
+    }
+  }
+
+  // ========================================
+  // Тест 10: clone / reset / промежуточные digest
+  // ========================================
+  console.log('\n🧬 Hasher clone / reset / intermediate digest:');
+
+  for (const prefixLen of [0, 100, 1024, 4096, 5000, 20000]) {
+    try {
+      const prefix = generateTestInput(prefixLen);
+      const base = createHash().update(prefix);
+      const baseDigest = bytesToHex(base.digest());
+      let ok = baseDigest === bytesToHex(blake3(prefix));
+
+      // Общий префикс + разные суффиксы
+      for (const suffixLen of [1, 1023, 3000, 9000]) {
+        const suffix = generateTestInput(suffixLen).map((b) => b ^ 0x5a);
+        const full = new Uint8Array(prefixLen + suffixLen);
+        full.set(prefix, 0);
+        full.set(suffix, prefixLen);
+
+        const fork = base.clone().update(suffix);
+        ok = ok && bytesToHex(fork.digest()) === bytesToHex(blake3(full));
+        // Повторный digest даёт тот же результат
+        ok = ok && bytesToHex(fork.digest()) === bytesToHex(blake3(full));
+      }
+
+      // Клоны не влияют на исходный hasher
+      ok = ok && bytesToHex(base.digest()) === baseDigest;
+
+      // reset() возвращает к пустому состоянию без новых буферов
+      const buffer = base.buffer;
+      base.reset().update(generateTestInput(777));
+      ok = ok && base.buffer === buffer &&
+        bytesToHex(base.digest()) === bytesToHex(blake3(generateTestInput(777)));
+
+      if (ok) {
+        console.log(`✅ PASS: clone/reset, prefix ${prefixLen} bytes`);
+        passed++;
+      } else {
+        console.log(`❌ FAIL: clone/reset, prefix ${prefixLen} bytes`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`💥 ERROR: clone/reset, prefix ${prefixLen} bytes`);
+      console.log(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  // ========================================
+  // Тест 11: Типы входных данных
+  // ========================================
+  console.log('\n🧩 Input types (string, ArrayBuffer, DataView, typed arrays):');
+
+  for (const size of [0, 1, 63, 1024, 4096, 5000, 16384, 31744]) {
+    // Внешний буфер с запасом: смещения 0..4 проверяют выровненный
+    // и невыровненный доступ к тем же байтам
+    const data = generateTestInput(size);
+    const expected = bytesToHex(blake3(data));
+    const expectedKeyed = bytesToHex(keyedHash(key, data));
+
+    for (const shift of [0, 1, 2, 4]) {
+      const label = `${size} bytes, byteOffset ${shift}`;
+      try {
+        const backing = new ArrayBuffer(size + 8);
+        new Uint8Array(backing, shift, size).set(data);
+
+        const inputs = [
+          ['Uint8Array', new Uint8Array(backing, shift, size)],
+          ['DataView', new DataView(backing, shift, size)],
+          ['Uint8ClampedArray', new Uint8ClampedArray(backing, shift, size)],
+        ];
+        if (shift === 0) {
+          inputs.push(['ArrayBuffer', backing.slice(0, size)]);
+        }
+        if (shift % 2 === 0 && size % 2 === 0) {
+          inputs.push(['Uint16Array', new Uint16Array(backing, shift, size / 2)]);
+        }
+        if (shift % 4 === 0 && size % 4 === 0) {
+          inputs.push(['Int32Array', new Int32Array(backing, shift, size / 4)]);
+        }
+        if (typeof Buffer !== 'undefined') {
+          inputs.push(['Buffer', Buffer.from(backing, shift, size)]);
+        }
+
+        const bad = [];
+        for (const [name, input] of inputs) {
+          const streamed = createHash().update(input).digest();
+          if (bytesToHex(blake3(input)) !== expected ||
+              bytesToHex(streamed) !== expected ||
+              bytesToHex(keyedHash(key, input)) !== expectedKeyed) {
+            bad.push(name);
+          }
+        }
+
+        if (bad.length === 0) {
+          console.log(`✅ PASS: ${label} (${inputs.length} types)`);
+          passed++;
+        } else {
+          console.log(`❌ FAIL: ${label}: ${bad.join(', ')}`);
+          failed++;
+        }
+      } catch (error) {
+        console.log(`💥 ERROR: ${label}`);
+        console.log(`   ${error.message}`);
+        failed++;
+      }
+    }
+  }
+
+  // Строки: короткие (буфер без аллокаций), длинные, не-ASCII
+  const strings = [
+    'abc',
+    'привет, мир 👋',
+    'x'.repeat(5461),
+    'x'.repeat(5462),
+    'я'.repeat(20000),
+    '🙂'.repeat(3000),
+  ];
+  for (const str of strings) {
+    const label = `string of ${str.length} code units`;
+    try {
+      const bytes = new TextEncoder().encode(str);
+      const expected = bytesToHex(blake3(bytes));
+      const hasher = createHash();
+      // Потоковый режим: каждая часть кодируется отдельно
+      const mid = str.length >> 1;
+      hasher.update(str.slice(0, mid)).update(str.slice(mid));
+      const splitOk = /[\ud800-\udfff]/.test(str[mid - 1] || '') ||
+        bytesToHex(hasher.digest()) === expected;
+
+      if (bytesToHex(blake3(str)) === expected &&
+          bytesToHex(hash(str, { length: 64 })) === bytesToHex(hash(bytes, { length: 64 })) &&
+          bytesToHex(deriveKey(DERIVE_KEY_CONTEXT, str)) === bytesToHex(deriveKey(DERIVE_KEY_CONTEXT, bytes)) &&
+          splitOk) {
+        console.log(`✅ PASS: ${label}`);
+        passed++;
+      } else {
+        console.log(`❌ FAIL: ${label}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`💥 ERROR: ${label}`);
+      console.log(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  // Неподдерживаемые типы отклоняются
+  {
+    let rejected = 0;
+    const invalid = [null, undefined, 42, {}, [1, 2, 3]];
+    for (const input of invalid) {
+      try { blake3(input); } catch { rejected++; }
+      try { createHash().update(input); } catch { rejected++; }
+    }
+    if (rejected === invalid.length * 2) {
+      console.log('✅ PASS: unsupported input types rejected');
+      passed++;
+    } else {
+      console.log('❌ FAIL: unsupported input types rejected');
+      failed++;
+    }
+  }
+
+  // ========================================
+  // Тест 12: Кодировки вывода
+  // ========================================
+  console.log('\n🔤 Output encodings:');
+
+  // RFC 4648, section 10
+  const RFC4648_VECTORS = [
+    ['', '', ''],
+    ['f', 'Zg==', 'MY======'],
+    ['fo', 'Zm8=', 'MZXQ===='],
+    ['foo', 'Zm9v', 'MZXW6==='],
+    ['foob', 'Zm9vYg==', 'MZXW6YQ='],
+    ['fooba', 'Zm9vYmE=', 'MZXW6YTB'],
+    ['foobar', 'Zm9vYmFy', 'MZXW6YTBOI======'],
+  ];
+  {
+    let ok = true;
+    for (const [text, base64, base32] of RFC4648_VECTORS) {
+      const bytes = new TextEncoder().encode(text);
+      ok = ok &&
+        encodeDigest(bytes, 'base64') === base64 &&
+        encodeDigest(bytes, 'base32') === base32 &&
+        bytesToHex(parseDigest(base64, 'base64')) === bytesToHex(bytes) &&
+        bytesToHex(parseDigest(base32, 'base32')) === bytesToHex(bytes) &&
+        bytesToHex(parseDigest(base32.toLowerCase().replace(/=/g, ''), 'base32')) === bytesToHex(bytes);
+    }
+    if (ok) {
+      console.log('✅ PASS: RFC 4648 base64 / base32 vectors');
+      passed++;
+    } else {
+      console.log('❌ FAIL: RFC 4648 base64 / base32 vectors');
+      failed++;
+    }
+  }
+
+  // Круговое преобразование для всех длин 0..70
+  const ENCODING_NAMES = ['hex', 'base64', 'base64url', 'base32', 'base32crockford', 'multibase'];
+  for (const encoding of ENCODING_NAMES) {
+    try {
+      let ok = true;
+      for (let length = 0; length <= 70; length++) {
+        const bytes = hash(generateTestInput(length), { length });
+        const str = encodeDigest(bytes, encoding);
+        ok = ok && bytesToHex(parseDigest(str, encoding)) === bytesToHex(bytes);
+        if (typeof Buffer !== 'undefined' && encoding.startsWith('base64')) {
+          ok = ok && str === Buffer.from(bytes).toString(encoding);
+        }
+      }
+      if (ok) {
+        console.log(`✅ PASS: ${encoding} round-trip`);
+        passed++;
+      } else {
+        console.log(`❌ FAIL: ${encoding} round-trip`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`💥 ERROR: ${encoding} round-trip`);
+      console.log(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  // hash({ encoding }), digest(encoding), toHex / fromHex, multibase
+  try {
+    const data = generateTestInput(5000);
+    const digest = blake3(data);
+    const expectedHex = bytesToHex(digest);
+    let ok = toHex(digest) === expectedHex &&
+      bytesToHex(fromHex(expectedHex.toUpperCase())) === expectedHex &&
+      hash(data, { encoding: 'hex' }) === expectedHex &&
+      createHash().update(data).digest('hex') === expectedHex &&
+      hash(data, { encoding: 'hex', length: 64 }).startsWith(expectedHex);
+    for (const encoding of ENCODING_NAMES) {
+      ok = ok && hash(data, { encoding }) === encodeDigest(digest, encoding) &&
+        createHash().update(data).digest(encoding) === encodeDigest(digest, encoding);
+    }
+    const multibase = encodeDigest(digest, 'multibase');
+    ok = ok && multibase[0] === 'b' &&
+      bytesToHex(parseDigest('f' + expectedHex, 'multibase')) === expectedHex &&
+      bytesToHex(parseDigest('u' + encodeDigest(digest, 'base64url'), 'multibase')) === expectedHex &&
+      bytesToHex(parseDigest('M' + encodeDigest(digest, 'base64'), 'multibase')) === expectedHex &&
+      bytesToHex(parseDigest(multibase.toUpperCase(), 'multibase')) === expectedHex;
+    // Crockford: регистр, дефисы, I/L → 1, O → 0
+    const crockford = encodeDigest(digest, 'base32crockford');
+    const spelled = crockford.toLowerCase().replace(/1/g, 'l').replace(/0/g, 'o');
+    ok = ok && bytesToHex(parseDigest(spelled.slice(0, 10) + '-' + spelled.slice(10), 'base32crockford')) === expectedHex;
+
+    if (ok) {
+      console.log('✅ PASS: hash({ encoding }) / digest(encoding) / multibase');
+      passed++;
+    } else {
+      console.log('❌ FAIL: hash({ encoding }) / digest(encoding) / multibase');
+      failed++;
+    }
+  } catch (error) {
+    console.log('💥 ERROR: hash({ encoding }) / digest(encoding) / multibase');
+    console.log(`   ${error.message}`);
+    failed++;
+  }
+
+  // Некорректные строки отклоняются
+  {
+    const invalid = [
+      ['abc', 'hex'], ['zz', 'hex'], ['Zg=', 'base64'], ['Zh==', 'base64'],
+      ['Z', 'base64'], ['Zm9v+', 'base64url'], ['MY=', 'base32'], ['M1', 'base32'],
+      ['U', 'base32crockford'], ['xabc', 'multibase'], ['', 'multibase'], ['00', 'base58'],
+      // Лишние '=' сверх нужных для последнего блока
+      ['Zg======', 'base64'], ['Zg===', 'base64'], ['Zm9v====', 'base64'], ['Zg======', 'base64url'],
+      ['MY==============', 'base32'], ['MZXW6YTB========', 'base32'], ['MZXW6YQ==', 'base32'],
+      // '=' у кодировок без дополнения
+      ['CR======', 'base32crockford'], ['Zg==', 'base64url'], ['66=', 'hex'], ['bmy======', 'multibase'],
+      // Префикс multibase задаёт ровно одну базу: регистр и дополнение
+      ['mZg==', 'multibase'], ['MZg', 'multibase'], ['uZg==', 'multibase'], ['UZg', 'multibase'],
+      ['cmy', 'multibase'], ['Cmy======', 'multibase'], ['bMY', 'multibase'], ['fAB', 'multibase'],
+    ];
+    const accepted = invalid.filter(([str, encoding]) => {
+      try { parseDigest(str, encoding); return true; } catch { return false; }
+    });
+    let encodeRejected = false;
+    try { hash('abc', { encoding: 'base58' }); } catch { encodeRejected = true; }
+
+    // Каждый префикс multibase в своей форме принимается
+    const multibaseForms = [
+      ['fab', 'ab'], ['FAB', 'ab'], ['bmy', '66'], ['BMY', '66'], ['cmy======', '66'],
+      ['CMY======', '66'], ['mZg', '66'], ['MZg==', '66'], ['uZg', '66'], ['UZg==', '66'],
+    ];
+    const rejectedForms = multibaseForms.filter(([str, hex]) => {
+      try { return bytesToHex(parseDigest(str, 'multibase')) !== hex; } catch { return true; }
+    }).map(([str]) => str);
+    if (rejectedForms.length > 0) {
+      console.log(`❌ FAIL: multibase forms rejected: ${rejectedForms.join(', ')}`);
+    }
+
+    if (accepted.length === 0 && encodeRejected && rejectedForms.length === 0) {
+      console.log('✅ PASS: invalid encoded strings rejected');
+      passed++;
+    } else {
+      console.log(`❌ FAIL: invalid encoded strings accepted: ${accepted.map(([s, e]) => `${e}:"${s}"`).join(', ')}`);
+      failed++;
+    }
+  }
+
+  // ========================================
+  // Тест 13: equal / verify / verifyKeyed
+  // ========================================
+  console.log('\n🛡️  Constant-time comparison and verification:');
+
+  {
+    const a = generateTestInput(32);
+    const cases = [
+      [a, a.slice(), true],
+      [a, new Uint8Array(32), false],
+      [a, a.subarray(0, 31), false],
+      [a.subarray(0, 31), a, false],
+      [new Uint8Array(0), new Uint8Array(0), true],
+      [new Uint8Array(0), a, false],
+    ];
+    // Отличие в каждом отдельном байте и бите
+    for (let i = 0; i < 32; i++) {
+      const b = a.slice();
+      b[i] ^= 1 << (i % 8);
+      cases.push([a, b, false]);
+    }
+    const wrong = cases.filter(([x, y, expected]) => equal(x, y) !== expected);
+    if (wrong.length === 0) {
+      console.log(`✅ PASS: equal() (${cases.length} cases)`);
+      passed++;
+    } else {
+      console.log(`❌ FAIL: equal() — ${wrong.length} wrong results`);
+      failed++;
+    }
+  }
+
+  for (const size of [0, 1, 1024, 5000]) {
+    const label = `verify / verifyKeyed, ${size} bytes`;
+    try {
+      const data = generateTestInput(size);
+      const digest = blake3(data);
+      const mac = keyedHash(key, data);
+      const tampered = data.length > 0 ? data.slice() : new Uint8Array([0]);
+      tampered[0] ^= 0x80;
+
+      let ok = verify(data, digest) && !verify(tampered, digest) &&
+        verifyKeyed(key, data, mac) && !verifyKeyed(key, tampered, mac) &&
+        !verifyKeyed(key, data, digest) && !verify(data, mac);
+      for (const encoding of ENCODING_NAMES) {
+        ok = ok &&
+          verify(data, encodeDigest(digest, encoding), encoding) &&
+          !verify(tampered, encodeDigest(digest, encoding), encoding) &&
+          verifyKeyed(key, data, encodeDigest(mac, encoding), encoding) &&
+          !verifyKeyed(key, tampered, encodeDigest(mac, encoding), encoding);
+      }
+      // Hex по умолчанию, в любом регистре
+      ok = ok && verify(data, bytesToHex(digest)) && verify(data, bytesToHex(digest).toUpperCase());
+      // Некорректная или усечённая строка — просто несовпадение
+      ok = ok && !verify(data, 'not a digest') && !verify(data, bytesToHex(digest).slice(0, 62)) &&
+        !verify(data, digest.subarray(0, 16)) && !verifyKeyed(key, data, '');
+
+      if (ok) {
+        console.log(`✅ PASS: ${label}`);
+        passed++;
+      } else {
+        console.log(`❌ FAIL: ${label}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`💥 ERROR: ${label}`);
+      console.log(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  // ========================================
+  // Тест 14: hashParallel (пул воркеров)
+  // ========================================
+  console.log('\n🧵 hashParallel (worker pool):');
+
+  for (const size of [0, 1024, 131072, 131073, 1048576, 1048577, 3146245]) {
+    const label = `hashParallel ${size} bytes`;
+    try {
+      const data = generateTestInput(size);
+      const expected = bytesToHex(blake3(data));
+      const bad = [];
+      for (const threads of [1, 2, 3, 4]) {
+        if (bytesToHex(await hashParallel(data, { threads })) !== expected) {
+          bad.push(threads);
+        }
+      }
+      if (bad.length === 0) {
+        console.log(`✅ PASS: ${label}`);
+        passed++;
+      } else {
+        console.log(`❌ FAIL: ${label}, threads ${bad.join(', ')}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`💥 ERROR: ${label}`);
+      console.log(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  // Вход уже в SharedArrayBuffer (невыровненное смещение) и параллельные вызовы
+  try {
+    const size = 1048576 + 100;
+    const shared = new Uint8Array(new SharedArrayBuffer(size + 3), 3, size);
+    shared.set(generateTestInput(size));
+    const small = generateTestInput(200000);
+    const [sharedHash, defaultHash, smallHash] = await Promise.all([
+      hashParallel(shared, { threads: 3 }),
+      hashParallel(shared),
+      hashParallel(small, { threads: 2 }),
+    ]);
+    if (bytesToHex(sharedHash) === bytesToHex(blake3(shared)) &&
+        bytesToHex(defaultHash) === bytesToHex(blake3(shared)) &&
+        bytesToHex(smallHash) === bytesToHex(blake3(small))) {
+      console.log('✅ PASS: hashParallel SharedArrayBuffer input / concurrent calls');
+      passed++;
+    } else {
+      console.log('❌ FAIL: hashParallel SharedArrayBuffer input / concurrent calls');
+      failed++;
+    }
+  } catch (error) {
+    console.log('💥 ERROR: hashParallel SharedArrayBuffer input / concurrent calls');
+    console.log(`   ${error.message}`);
+    failed++;
+  }
+
+  // Одновременные вызовы на пустом пуле создают воркеры один раз.
+  // Отдельный экземпляр модуля (пустой пул) со считающим глобальным Worker
+  {
+    const { Worker: NodeWorker } = await import('node:worker_threads');
+    let spawned = 0;
+    globalThis.Worker = class {
+      constructor(url) {
+        spawned++;
+        this.worker = new NodeWorker(url);
+        this.worker.on('message', (data) => this.onmessage({ data }));
+      }
+      postMessage(message) { this.worker.postMessage(message); }
+      terminate() { this.worker.terminate(); }
+    };
+    const pool = await import(new URL('./blake3-turbo-js.js?pool', import.meta.url).href);
+    try {
+      const data = generateTestInput(1048576 + 1);
+      const expected = bytesToHex(blake3(data));
+      const results = await Promise.all(
+        [2, 2, 2, 2].map((threads) => pool.hashParallel(data, { threads })));
+      if (spawned === 2 && results.every((result) => bytesToHex(result) === expected)) {
+        console.log('✅ PASS: concurrent calls share one pool');
+        passed++;
+      } else {
+        console.log(`❌ FAIL: concurrent calls share one pool (${spawned} workers)`);
+        failed++;
+      }
+    } catch (error) {
+      console.log('💥 ERROR: concurrent calls share one pool');
+      console.log(`   ${error.message}`);
+      failed++;
+    } finally {
+      pool.terminateWorkers();
+      delete globalThis.Worker;
+    }
+  }
+
+  // ========================================
+  // Тест 15: Поддеревья по 64 чанка (родители в WASM)
+  // ========================================
+  console.log('\n🌳 64-chunk subtrees (SIMD parent levels):');
+
+  // Границы поддеревьев: 64, 128, 192 чанка ± 1 чанк / 1 байт
+  const SUBTREE = 65536;
+  for (const size of [SUBTREE, SUBTREE + 1, 2 * SUBTREE, 2 * SUBTREE + 1024, 3 * SUBTREE + 1, 5 * SUBTREE + 4095]) {
+    const label = `${size} bytes`;
+    try {
+      const data = generateTestInput(size);
+      // Потоковый режим кусками по 1000 байт идёт мимо поддеревьев
+      const streamed = createHash();
+      const keyedStreamed = createKeyed(key);
+      for (let pos = 0; pos < size; pos += 1000) {
+        streamed.update(data.subarray(pos, pos + 1000));
+        keyedStreamed.update(data.subarray(pos, pos + 1000));
+      }
+      if (bytesToHex(blake3(data)) === bytesToHex(streamed.digest()) &&
+          bytesToHex(keyedHash(key, data)) === bytesToHex(keyedStreamed.digest())) {
+        console.log(`✅ PASS: ${label}`);
+        passed++;
+      } else {
+        console.log(`❌ FAIL: ${label}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`💥 ERROR: ${label}`);
+      console.log(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  // ========================================
+  // Тест 16: Пачки по 16 / 8 / 4 чанка
+  // ========================================
+  console.log('\n📦 16/8/4-chunk SIMD batches:');
+
+  // 4..31 полных чанков перед последним: все сочетания ширин пачек
+  for (let chunks = 4; chunks <= 32; chunks += 1) {
+    const size = chunks * 1024 + 1;
+    const label = `${chunks} chunks + 1 byte`;
+    try {
+      const data = generateTestInput(size);
+      const streamed = createHash();
+      for (let pos = 0; pos < size; pos += 1000) {
+        streamed.update(data.subarray(pos, pos + 1000));
+      }
+      const expected = bytesToHex(streamed.digest());
+      // Один update() целиком идёт через Hasher._compressChunks()
+      if (bytesToHex(blake3(data)) === expected &&
+          bytesToHex(createHash().update(data).digest()) === expected) {
+        passed++;
+      } else {
+        console.log(`❌ FAIL: ${label}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`💥 ERROR: ${label}`);
+      console.log(`   ${error.message}`);
+      failed++;
+    }
+  }
+  console.log('✅ Batch sizes checked');
+
+  // Ровно 4, 5, 8 и 4·k±1 чанков против JS-бэкенда, в том числе вход
+  // с невыровненным byteOffset (без прямого Uint32Array-вида)
+  {
+    const chunkCounts = [4, 5, 8];
+    for (let k = 2; k <= 5; k++) {
+      chunkCounts.push(4 * k - 1, 4 * k + 1);
+    }
+    const inputs = [];
+    for (const chunks of chunkCounts) {
+      const data = generateTestInput(chunks * 1024);
+      const unaligned = new Uint8Array(data.length + 1).subarray(1);
+      unaligned.set(data);
+      inputs.push([`${chunks} chunks`, data], [`${chunks} chunks, byteOffset 1`, unaligned]);
+    }
+    const digests = () => inputs.map(([, data]) => [
+      bytesToHex(blake3(data)),
+      bytesToHex(keyedHash(key, data)),
+      bytesToHex(createHash().update(data).digest()),
+    ].join());
+
+    setBackend('js');
+    const reference = digests();
+    setBackend('auto');
+    const bad = digests()
+      .map((actual, i) => actual === reference[i] ? null : inputs[i][0])
+      .filter((label) => label !== null);
+    if (bad.length === 0) {
+      console.log(`✅ PASS: 4-chunk batches match JS backend (${inputs.length} inputs)`);
+      passed++;
+    } else {
+      console.log(`❌ FAIL: 4-chunk batches: ${bad.join('; ')}`);
+      failed++;
+    }
+  }
+
+  // ========================================
+  // Тест 17: Окно WASM-памяти
+  // ========================================
+  console.log('\n🪟 WASM input window:');
+
+  // Окно 64 КБ (по поддереву за вызов) и по умолчанию (1 МБ):
+  // несколько окон подряд и неполное последнее окно
+  const windowData = generateTestInput(17 * SUBTREE + 3000);
+  const windowExpected = bytesToHex(createHash().update(windowData.subarray(0, 1000)).update(windowData.subarray(1000)).digest());
+  const windowKeyed = bytesToHex(keyedHash(key, windowData));
+  for (const windowSize of [SUBTREE, 3 * SUBTREE, 1 << 20]) {
+    const label = `window ${windowSize} bytes`;
+    try {
+      setWasmWindowSize(windowSize);
+      if (bytesToHex(blake3(windowData)) === windowExpected &&
+          bytesToHex(keyedHash(key, windowData)) === windowKeyed) {
+        console.log(`✅ PASS: ${label}`);
+        passed++;
+      } else {
+        console.log(`❌ FAIL: ${label}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`💥 ERROR: ${label}`);
+      console.log(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  for (const windowSize of [0, 1000, SUBTREE + 1024, 257 * SUBTREE, NaN]) {
+    try {
+      setWasmWindowSize(windowSize);
+      console.log(`❌ FAIL: window ${windowSize} accepted`);
+      failed++;
+    } catch (error) {
+      if (error instanceof RangeError) {
+        passed++;
+      } else {
+        console.log(`❌ FAIL: window ${windowSize} threw ${error.message}`);
+        failed++;
+      }
+    }
+  }
+  setWasmWindowSize(1 << 20);
+  console.log('✅ Invalid window sizes rejected');
+
+  // Скалярный WASM (wasm-scalar) принудительно, даже если есть SIMD:
+  // официальные векторы и эталон JS-бэкенда по обе стороны порога
+  // WASM_SCALAR_MIN_LEN и через границу окна 64 КБ
+  if (getBackendInfo().features.wasm) {
+    const scalarMinLength = getBackendInfo().thresholds.scalarMinLength;
+    const sizes = [
+      scalarMinLength - 1, scalarMinLength, scalarMinLength + 1,
+      2 * SUBTREE + 1024, 2 * SUBTREE + 1025, 5 * SUBTREE + 1,
+    ];
+    const inputs = sizes.map(generateTestInput);
+    setBackend('js');
+    const reference = inputs.map((input) => [
+      bytesToHex(blake3(input)), bytesToHex(keyedHash(key, input))]);
+
+    for (const windowSize of [SUBTREE, 1 << 20]) {
+      const label = `wasm-scalar, window ${windowSize} bytes`;
+      try {
+        setBackend('wasm-scalar');
+        setWasmWindowSize(windowSize);
+        const bad = VECTOR
+          .filter(([size, expected]) => bytesToHex(blake3(generateTestInput(size))) !== expected)
+          .map(([size]) => size);
+        inputs.forEach((input, i) => {
+          if (bytesToHex(blake3(input)) !== reference[i][0] ||
+              bytesToHex(keyedHash(key, input)) !== reference[i][1]) {
+            bad.push(sizes[i]);
+          }
+        });
+        if (getBackend() === 'wasm-scalar' && bad.length === 0) {
+          console.log(`✅ PASS: ${label}`);
+          passed++;
+        } else {
+          console.log(`❌ FAIL: ${label}, ${getBackend()}, sizes ${bad.join(', ')}`);
+          failed++;
+        }
+      } catch (error) {
+        console.log(`💥 ERROR: ${label}`);
+        console.log(`   ${error.message}`);
+        failed++;
+      } finally {
+        setWasmWindowSize(1 << 20);
+        setBackend('auto');
+      }
+    }
+  }
+
+  // ========================================
+  // Тест 18: hashMany — много маленьких сообщений
+  // ========================================
+  console.log('\n📚 hashMany (4 messages per SIMD call):');
+
+  {
+    // Разные длины вперемешку: пустое, границы блоков и чанка,
+    // больше чанка (идёт через blake3()), строки
+    const random = createRandom(17);
+    const messages = [];
+    for (const len of [0, 1, 63, 64, 65, 1023, 1024, 1025, 5000]) {
+      messages.push(generateTestInput(len));
+    }
+    for (let i = 0; i < 200; i++) {
+      messages.push(generateTestInput(40 + random(861)));
+    }
+    messages.push('hello', '', 'привет');
+    const expected = messages.map((message) => bytesToHex(blake3(message)));
+
+    const checks = [
+      ['digests', () => hashMany(messages).map(bytesToHex)],
+      ['packed out', () => {
+        const out = hashMany(messages, { out: new Uint8Array(messages.length * 32) });
+        return expected.map((_, i) => bytesToHex(out.subarray(i * 32, i * 32 + 32)));
+      }],
+      ['single message', () => [bytesToHex(hashMany([messages[5]])[0])]],
+      ['no messages', () => hashMany([])],
+    ];
+    const wanted = {
+      'single message': [expected[5]],
+      'no messages': []
+    };
+    for (const [label, run] of checks) {
+      try {
+        const result = run();
+        if (JSON.stringify(result) === JSON.stringify(wanted[label] || expected)) {
+          console.log(`✅ PASS: ${label}`);
+          passed++;
+        } else {
+          console.log(`❌ FAIL: ${label}`);
+          failed++;
+        }
+      } catch (error) {
+        console.log(`💥 ERROR: ${label}`);
+        console.log(`   ${error.message}`);
+        failed++;
+      }
+    }
+
+    // Больше 512 сообщений: пачки заканчиваются по числу сообщений
+    // (окно 1 MB) и по концу окна (64 KB)
+    const many = [];
+    for (let i = 0; i < 1500; i++) {
+      many.push(generateTestInput(random(1025)));
+    }
+    const manyExpected = many.map((message) => bytesToHex(blake3(message)));
+    for (const windowSize of [65536, 1 << 20]) {
+      const label = `${many.length} messages, ${windowSize / 1024} KB window`;
+      try {
+        setWasmWindowSize(windowSize);
+        if (JSON.stringify(hashMany(many).map(bytesToHex)) === JSON.stringify(manyExpected)) {
+          console.log(`✅ PASS: ${label}`);
+          passed++;
+        } else {
+          console.log(`❌ FAIL: ${label}`);
+          failed++;
+        }
+      } catch (error) {
+        console.log(`💥 ERROR: ${label}`);
+        console.log(`   ${error.message}`);
+        failed++;
+      } finally {
+        setWasmWindowSize(1 << 20);
+      }
+    }
+
+    for (const [label, run] of [
+      ['not an array', () => hashMany('abc')],
+      ['invalid message', () => hashMany([new Uint8Array(1), 42])],
+      ['short out', () => hashMany(messages, { out: new Uint8Array(32) })]
+    ]) {
+      try {
+        run();
+        console.log(`❌ FAIL: ${label} accepted`);
+        failed++;
+      } catch (error) {
+        console.log(`✅ PASS: ${label} rejected`);
+        passed++;
+      }
+    }
+  }
+
+  // ========================================
+  // Тест 19: Варианты кода SIMD (повороты / загрузки)
+  // ========================================
+  console.log('\n🔀 SIMD code paths:');
+
+  const activePath = getCodePath();
+  if (activePath === null) {
+    console.log('⏭️  SKIP: no WASM SIMD');
+  } else {
+    for (const rotations of ['shift', 'shuffle', 'relaxed-swizzle']) {
+      for (const loads of ['transpose', 'lanes']) {
+        const label = `${rotations} + ${loads}`;
+        try {
+          setCodePath({ rotations, loads });
+        } catch (error) {
+          // Релаксированный SIMD есть не во всех движках
+          console.log(`⏭️  SKIP: ${label} (${error.message})`);
+          continue;
+        }
+        try {
+          // Чанки, поддеревья, родители, XOF и hashMany (compress4x)
+          const mismatches = [];
+          for (const [size, expected] of VECTOR) {
+            if (bytesToHex(blake3(generateTestInput(size))) !== expected) {
+              mismatches.push(`hash ${size}`);
+            }
+          }
+          for (const [size, expected] of KEYED_VECTORS) {
+            if (bytesToHex(keyedHash(key, generateTestInput(size))) !== expected) {
+              mismatches.push(`keyed ${size}`);
+            }
+          }
+          for (const [size, expected] of XOF_VECTORS) {
+            if (bytesToHex(hash(generateTestInput(size), { length: expected.length / 2 })) !== expected) {
+              mismatches.push(`xof ${size}`);
+            }
+          }
+          const small = VECTOR.filter(([size]) => size <= 1024);
+          const many = hashMany(small.map(([size]) => generateTestInput(size)));
+          small.forEach(([size, expected], i) => {
+            if (bytesToHex(many[i]) !== expected) {
+              mismatches.push(`hashMany ${size}`);
+            }
+          });
+          if (mismatches.length === 0) {
+            console.log(`✅ PASS: ${label}`);
+            passed++;
+          } else {
+            console.log(`❌ FAIL: ${label}: ${mismatches.join(', ')}`);
+            failed++;
+          }
+        } catch (error) {
+          console.log(`💥 ERROR: ${label}`);
+          console.log(`   ${error.message}`);
+          failed++;
+        }
+      }
+    }
+    setCodePath(activePath);
+
+    try {
+      setCodePath({ rotations: 'magic' });
+      console.log('❌ FAIL: unknown code path accepted');
+      failed++;
+    } catch (error) {
+      console.log('✅ PASS: unknown code path rejected');
+      passed++;
+    }
+
+    // getWasmModuleBytes() проверяет имена так же, как setCodePath()
+    const acceptedPaths = [{ rotations: 'bogus' }, { loads: 'bogus' }].filter((path) => {
+      try { getWasmModuleBytes(path); return true; } catch { return false; }
+    });
+    if (acceptedPaths.length === 0) {
+      console.log('✅ PASS: getWasmModuleBytes() rejects unknown code paths');
+      passed++;
+    } else {
+      console.log(`❌ FAIL: getWasmModuleBytes() accepted ${JSON.stringify(acceptedPaths)}`);
+      failed++;
+    }
+  }
+
+  // ========================================
+  // Тест 20: Выбор бэкенда (wasm-simd / wasm-scalar / js)
+  // ========================================
+  console.log('\n🎛️  Backends:');
+
+  {
+    const info = getBackendInfo();
+    const available = ['wasm-simd', 'wasm-scalar', 'js'].filter((backend) =>
+      backend === 'js' ||
+      (backend === 'wasm-simd' ? info.features.simd : info.features.wasm));
+
+    // Один и тот же вход через каждый бэкенд
+    const random = createRandom(20);
+    const inputs = [0, 1, 1024, 1025, 4096, 65 * 1024 + 1, 200000].map(generateTestInput);
+    const results = {};
+    for (const backend of available) {
+      try {
+        setBackend(backend);
+        const outputs = [];
+        for (const input of inputs) {
+          outputs.push(
+            bytesToHex(blake3(input)),
+            bytesToHex(keyedHash(key, input)),
+            bytesToHex(deriveKey(DERIVE_KEY_CONTEXT, input)),
+            bytesToHex(hash(input, { length: 200 })),
+            bytesToHex(updateInPieces(createHash(), input, random, 5000).digest())
+          );
+        }
+        outputs.push(...hashMany(inputs.slice(0, 4)).map(bytesToHex));
+        results[backend] = outputs;
+        if (getBackend() === backend && getBackendInfo().requested === backend &&
+            VECTOR.every(([size, expected]) => bytesToHex(blake3(generateTestInput(size))) === expected)) {
+          console.log(`✅ PASS: ${backend}`);
+          passed++;
+        } else {
+          console.log(`❌ FAIL: ${backend}`);
+          failed++;
+        }
+      } catch (error) {
+        console.log(`💥 ERROR: ${backend}`);
+        console.log(`   ${error.message}`);
+        failed++;
+      }
+    }
+    const reference = JSON.stringify(results.js);
+    if (available.every((backend) => JSON.stringify(results[backend]) === reference)) {
+      console.log(`✅ PASS: same output on ${available.join(', ')}`);
+      passed++;
+    } else {
+      console.log('❌ FAIL: backends disagree');
+      failed++;
+    }
+
+    // initWasm() не переключает принудительно выбранный бэкенд
+    setBackend('js');
+    await initWasm();
+    const stayed = getBackend() === 'js';
+    setBackend('auto');
+    if (stayed && getBackend() === info.backend && getBackendInfo().requested === 'auto' &&
+        info.thresholds.simdMinLength === 4096 && info.thresholds.windowSize === 1 << 20) {
+      console.log('✅ PASS: auto / initWasm / thresholds');
+      passed++;
+    } else {
+      console.log('❌ FAIL: auto / initWasm / thresholds');
+      failed++;
+    }
+
+    try {
+      setBackend('gpu');
+      console.log('❌ FAIL: unknown backend accepted');
+      failed++;
+    } catch (error) {
+      console.log('✅ PASS: unknown backend rejected');
+      passed++;
+    }
+  }
+
+  // ========================================
+  // Тест 21: Ленивая инициализация и общие WASM-модули
+  // ========================================
+  console.log('\n💤 Lazy init:');
+
+  {
+    // Отдельные экземпляры модуля: эта копия уже инициализирована
+    const instanceUrl = (name) => new URL(`./blake3-turbo-js.js?${name}`, import.meta.url).href;
+    const originalLog = console.log;
+    let logged = 0;
+    console.log = () => { logged++; };
+    let lazy;
+    try {
+      lazy = await import(instanceUrl('lazy'));
+    } finally {
+      console.log = originalLog;
+    }
+    const modulesAfterImport = lazy.getWasmModules();
+    lazy.hash(generateTestInput(1000));
+    const modulesAfterSmall = lazy.getWasmModules();
+    if (logged === 0 && modulesAfterImport.simd === null && modulesAfterImport.scalar === null &&
+        modulesAfterSmall.simd === null && modulesAfterSmall.scalar === null) {
+      console.log('✅ PASS: import compiles nothing and never logs');
+      passed++;
+    } else {
+      console.log('❌ FAIL: import compiles nothing and never logs');
+      failed++;
+    }
+
+    const input = generateTestInput(200000);
+    const expected = bytesToHex(blake3(input));
+    const backend = await lazy.ready();
+    const modules = lazy.getWasmModules();
+    const compiled = backend === 'js' || modules.simd !== null || modules.scalar !== null;
+    if (backend === getBackend() && compiled && bytesToHex(lazy.hash(input)) === expected) {
+      console.log(`✅ PASS: ready() → ${backend}`);
+      passed++;
+    } else {
+      console.log(`❌ FAIL: ready() → ${backend}`);
+      failed++;
+    }
+
+    const shared = await import(instanceUrl('shared'));
+    shared.provideWasmModules(modules);
+    const reused = shared.getWasmModules();
+    if (reused.simd === modules.simd && reused.scalar === modules.scalar &&
+        bytesToHex(shared.hash(input)) === expected && shared.getBackend() === backend) {
+      console.log('✅ PASS: modules shared with another instance');
+      passed++;
+    } else {
+      console.log('❌ FAIL: modules shared with another instance');
+      failed++;
+    }
+
+    try {
+      shared.provideWasmModules({ simd: new Uint8Array(8) });
+      console.log('❌ FAIL: non-module accepted');
+      failed++;
+    } catch (error) {
+      console.log('✅ PASS: non-module rejected');
+      passed++;
+    }
+
+    // Синхронные компиляции считаются через подменённый WebAssembly.Module
+    const OriginalModule = WebAssembly.Module;
+    let syncCompiles = 0;
+    WebAssembly.Module = class extends OriginalModule {
+      constructor(bytes) {
+        super(bytes);
+        syncCompiles++;
+      }
+    };
+    try {
+      // Геттеры только сообщают состояние
+      const info = await import(instanceUrl('info'));
+      const before = info.getBackendInfo();
+      const reported = [info.getBackend(), info.getCodePath()];
+      const untouched = info.getWasmModules();
+      if (syncCompiles === 0 && !before.initialized && reported[0] === 'js' && reported[1] === null &&
+          untouched.simd === null && untouched.scalar === null) {
+        console.log('✅ PASS: getBackend() / getBackendInfo() / getCodePath() compile nothing');
+        passed++;
+      } else {
+        console.log('❌ FAIL: getBackend() / getBackendInfo() / getCodePath() compile nothing');
+        failed++;
+      }
+
+      // Большой хеш, пока ready() компилирует: второй компиляции нет
+      const pending = await import(instanceUrl('pending'));
+      const pendingReady = pending.ready();
+      const duringReady = bytesToHex(pending.hash(input));
+      const pendingBackend = await pendingReady;
+      if (syncCompiles === 0 && duringReady === expected && pendingBackend === backend &&
+          pending.getBackendInfo().initialized && bytesToHex(pending.hash(input)) === expected) {
+        console.log('✅ PASS: hash during ready() reuses the async compile');
+        passed++;
+      } else {
+        console.log(`❌ FAIL: hash during ready() reuses the async compile (${syncCompiles} sync compiles)`);
+        failed++;
+      }
+
+      // Без ready() первый большой хеш компилирует синхронно, один раз
+      const sync = await import(instanceUrl('sync'));
+      const syncHashes = [sync.hash(input), sync.hash(input)].map(bytesToHex);
+      const expectedCompiles = backend === 'js' ? 0 : 1;
+      if (syncCompiles === expectedCompiles && syncHashes.every((h) => h === expected) &&
+          sync.getBackend() === backend) {
+        console.log('✅ PASS: first large hash without ready() compiles once');
+        passed++;
+      } else {
+        console.log(`❌ FAIL: first large hash without ready() compiles once (${syncCompiles})`);
+        failed++;
+      }
+    } finally {
+      WebAssembly.Module = OriginalModule;
+    }
+  }
+
+  // ========================================
+  // Тест 22: Предкомпилированные модули (build-wasm.js)
+  // ========================================
+  console.log('\n📦 Precompiled WASM:');
+
+  {
+    const precompiled = await import(new URL('./blake3-turbo-js.js?precompiled', import.meta.url).href);
+    const input = generateTestInput(200000);
+    try {
+      // Устаревший blake3-turbo-wasm.js: node build-wasm.js
+      precompiled.usePrecompiledWasm(PRECOMPILED_WASM, { verify: true });
+      const backend = precompiled.getBackend();
+      if (bytesToHex(precompiled.hash(input)) === bytesToHex(blake3(input)) &&
+          (backend === 'js' || precompiled.getWasmModules().scalar !== null ||
+           precompiled.getWasmModules().simd !== null)) {
+        console.log(`✅ PASS: embedded bytes match the generator (${backend})`);
+        passed++;
+      } else {
+        console.log(`❌ FAIL: embedded bytes match the generator (${backend})`);
+        failed++;
+      }
+    } catch (error) {
+      console.log('💥 ERROR: embedded bytes match the generator');
+      console.log(`   ${error.message}`);
+      failed++;
+    }
+
+    // Испорченная контрольная сумма и изменённые байты
+    const scalar = parseDigest(PRECOMPILED_WASM.scalar, 'base64');
+    scalar[scalar.length - 2] ^= 1;
+    const patched = {
+      ...PRECOMPILED_WASM,
+      scalar: encodeDigest(scalar, 'base64'),
+      checksums: { ...PRECOMPILED_WASM.checksums, scalar: toHex(blake3(scalar)) }
+    };
+    const corrupted = { ...PRECOMPILED_WASM, checksums: patched.checksums };
+    for (const [name, modules, options, message] of [
+      ['corrupted module rejected', corrupted, undefined, 'checksum mismatch'],
+      ['stale module rejected', patched, { verify: true }, 'out of date'],
+    ]) {
+      try {
+        precompiled.usePrecompiledWasm(modules, options);
+        console.log(`❌ FAIL: ${name}`);
+        failed++;
+      } catch (error) {
+        if (error.message.includes(message)) {
+          console.log(`✅ PASS: ${name}`);
+          passed++;
+        } else {
+          console.log(`❌ FAIL: ${name} (${error.message})`);
+          failed++;
+        }
+      }
+    }
+  }
+
+  // ========================================
+  // Тест 23: dumpWat() и снимки WAT
+  // ========================================
+  // После намеренного изменения эмиттеров: node test_blake3.js --update-snapshots
+  console.log('\n📝 WAT snapshots:');
+
+  {
+    const fs = await import('node:fs');
+    const update = typeof process !== 'undefined' && process.argv.includes('--update-snapshots');
+    const modules = getWasmModuleBytes();
+    const snapshots = [
+      ['compress4x.wat', modules.simd, 'compress4x'],
+      ['scalar-compress.wat', modules.scalar, 'compress'],
+    ];
+    for (const [file, bytes, name] of snapshots) {
+      const url = new URL(`./snapshots/${file}`, import.meta.url);
+      try {
+        const wat = dumpWat(bytes, { functions: [name] });
+        if (update) {
+          fs.writeFileSync(url, wat);
+        }
+        const expected = fs.readFileSync(url, 'utf8');
+        if (wat === expected) {
+          console.log(`✅ PASS: ${file}`);
+          passed++;
+        } else {
+          // Первая отличающаяся строка
+          const actualLines = wat.split('\n');
+          const expectedLines = expected.split('\n');
+          let line = 0;
+          while (actualLines[line] === expectedLines[line]) {
+            line++;
+          }
+          console.log(`❌ FAIL: ${file}, line ${line + 1}`);
+          console.log(`   expected: ${expectedLines[line]}`);
+          console.log(`   actual:   ${actualLines[line]}`);
+          failed++;
+        }
+      } catch (error) {
+        console.log(`💥 ERROR: ${file}`);
+        console.log(`   ${error.message}`);
+        failed++;
+      }
+    }
+
+    // Все варианты кода декодируются целиком, размеры секций сходятся
+    const decodeErrors = [];
+    for (const rotations of ['shift', 'shuffle', 'relaxed-swizzle']) {
+      for (const loads of ['transpose', 'lanes']) {
+        try {
+          dumpWat(getWasmModuleBytes({ rotations, loads }).simd);
+        } catch (error) {
+          decodeErrors.push(`${rotations} + ${loads}: ${error.message}`);
+        }
+      }
+    }
+    try {
+      dumpWat(modules.scalar);
+    } catch (error) {
+      decodeErrors.push(`scalar: ${error.message}`);
+    }
+    if (decodeErrors.length === 0) {
+      console.log('✅ PASS: all modules decode');
+      passed++;
+    } else {
+      console.log(`❌ FAIL: ${decodeErrors.join('; ')}`);
+      failed++;
+    }
+
+    // Неверный размер секции типов (байт 9) обнаруживается
+    const broken = modules.simd.slice();
+    broken[9] += 1;
+    try {
+      dumpWat(broken);
+      console.log('❌ FAIL: wrong section size accepted');
+      failed++;
+    } catch (error) {
+      console.log(`✅ PASS: wrong section size rejected (${error.message})`);
+      passed++;
+    }
+  }
+
+  // ========================================
+  // Тест 24: test_vectors.json целиком (hash / keyed_hash / derive_key, XOF)
+  // ========================================
+  // Каждый случай — 131 байт расширенного вывода в трёх режимах; проверяются
+  // все публичные API на каждом доступном бэкенде
+  console.log('\n📚 test_vectors.json:');
+
+  {
+    const vectors = TEST_VECTORS;
+    const vectorKey = new TextEncoder().encode(vectors.key);
+    const context = vectors.context_string;
+    const random = createRandom(0x7e57);
+
+    const info = getBackendInfo();
+    const available = ['wasm-simd', 'wasm-scalar', 'js'].filter((backend) =>
+      backend === 'js' ||
+      (backend === 'wasm-simd' ? info.features.simd : info.features.wasm));
+
+    for (const backend of available) {
+      setBackend(backend);
+      const inputs = [];
+
+      for (const { input_len: size, hash: xof, keyed_hash: keyedXof, derive_key: deriveXof } of vectors.cases) {
+        const label = `${backend} ${size} bytes`;
+        try {
+          const input = generateTestInput(size);
+          const outLen = xof.length / 2;
+          const digest = xof.slice(0, 64);
+          const mac = keyedXof.slice(0, 64);
+          const errors = [];
+          inputs.push(input);
+
+          const check = (name, actual, expected) => {
+            if (actual !== expected) {
+              errors.push(name);
+            }
+          };
+
+          // Один проход
+          check('hash', bytesToHex(hash(input)), digest);
+          check('blake3', bytesToHex(blake3(input)), digest);
+          check('hashInto', bytesToHex(hashInto(input, new Uint8Array(40), 8).subarray(8)), digest);
+          check('keyedHash', bytesToHex(keyedHash(vectorKey, input)), mac);
+          check('deriveKey', bytesToHex(deriveKey(context, input)), deriveXof.slice(0, 64));
+          check('verify', verify(input, digest), true);
+          check('verifyKeyed', verifyKeyed(vectorKey, input, mac), true);
+
+          // XOF: полный вывод и его префиксы
+          check('hash xof', bytesToHex(hash(input, { length: outLen })), xof);
+          check('deriveKey xof', bytesToHex(deriveKey(context, input, outLen)), deriveXof);
+          for (const len of [0, 1, 31, 33, 64, 65, outLen - 1]) {
+            check(`hash xof ${len}`, bytesToHex(hash(input, { length: len })), xof.slice(0, len * 2));
+            check(`deriveKey xof ${len}`, bytesToHex(deriveKey(context, input, len)), deriveXof.slice(0, len * 2));
+          }
+          const reader = finalizeXof(input);
+          check('finalizeXof', bytesToHex(reader.read(new Uint8Array(outLen))), xof);
+          const offset = random(outLen);
+          check('finalizeXof seek', bytesToHex(reader.seek(offset).read(new Uint8Array(outLen - offset))),
+            xof.slice(offset * 2));
+
+          // Поток со случайными точками разбиения
+          const hasher = updateInPieces(createHash(), input, random, 1 + random(5000));
+          check('createHash', bytesToHex(hasher.digest()), digest);
+          check('createHash xof', bytesToHex(hasher.finalizeXof().read(new Uint8Array(outLen))), xof);
+          const keyed = updateInPieces(createKeyed(vectorKey), input, random, 1 + random(5000));
+          check('createKeyed', bytesToHex(keyed.digest()), mac);
+          check('createKeyed xof', bytesToHex(keyed.finalizeXof().read(new Uint8Array(outLen))), keyedXof);
+
+          check('hashParallel', bytesToHex(await hashParallel(input, { threads: 2 })), digest);
+
+          if (errors.length === 0) {
+            console.log(`✅ PASS: ${label}`);
+            passed++;
+          } else {
+            console.log(`❌ FAIL: ${label}: ${errors.join(', ')}`);
+            failed++;
+          }
+        } catch (error) {
+          console.log(`💥 ERROR: ${label}`);
+          console.log(`   ${error.message}`);
+          failed++;
+        }
+      }
+
+      // hashMany: все входы одной пачкой
+      const expected = vectors.cases.map((vector) => vector.hash.slice(0, 64));
+      if (hashMany(inputs).every((digest, i) => bytesToHex(digest) === expected[i])) {
+        console.log(`✅ PASS: ${backend} hashMany (${inputs.length} messages)`);
+        passed++;
+      } else {
+        console.log(`❌ FAIL: ${backend} hashMany`);
+        failed++;
+      }
+    }
+    setBackend('auto');
+  }
+
   // ========================================
   // Итоги
   // ========================================
@@ -7,6 +7,9 @@
  * Online verification: https://connor4312.github.io/blake3/index.html
  * 
  * Format: [input_size, expected_hash]
+ *
+ * keyed_hash, derive_key and 131-byte extended outputs for the lengths of
+ * the official set are in test_vectors.json (see its provenance in README).
  * 
  * Input data is generated with pattern: data[i] = i % 251
  * Special cases (strings) are listed separately.
@@ -164,3 +167,17 @@ export const STRING_VECTORS = [
   ["hello world", "d74981efa70a0c880b8d8c1985d075dbcbf679b99a5f9914e5aaf96b831a9e24"],
   ["BLAKE3", "f890484173e516bfd935ef3d22b912dc9738de38743993cfedf2c9473b3216a4"],
 ];
+
+
+// ============================================================================
+// EXTENDED OUTPUT (XOF) TEST VECTORS
+// ============================================================================
+
+/**
+ * Long extended output: tail of a 1 MiB output
+ * Format: [input_size, output_length, expected_hex_last_32_bytes]
+ * @type {[number, number, string]}
+ */
+export const XOF_LONG_VECTOR = [
+  5000, 1048576, "bd75c8b0dde4606bd8811eb79b57df10f8873a92dafc321f05fb64313ccca448"
+];